@@ -0,0 +1,127 @@
+/**
+ * Tests for CompoundFields.
+ */
+
+import {
+    isCompoundType,
+    getDefaultParts,
+    parseCompound,
+    serializeCompound,
+    updateCompound,
+    diffCompound,
+    findCompoundParts,
+    getPartField,
+} from '../../adapter/CompoundFields';
+
+describe('CompoundFields', () => {
+    test('isCompoundType knows the pipe-delimited types', () => {
+        expect(isCompoundType('font')).toBe(true);
+        expect(isCompoundType('custom_padding')).toBe(true);
+        expect(isCompoundType('border_radii')).toBe(true);
+        expect(isCompoundType('text')).toBe(false);
+        expect(isCompoundType(undefined)).toBe(false);
+    });
+
+    describe('parseCompound / serializeCompound', () => {
+        test('reads font parts, flags as on/off', () => {
+            expect(parseCompound('font', 'Open Sans|700|on||||||')).toMatchObject({
+                family: 'Open Sans',
+                weight: '700',
+                italic: 'on',
+                uppercase: 'off',
+                line_color: '',
+            });
+        });
+
+        test('reads spacing and link flags', () => {
+            expect(parseCompound('custom_padding', '10px|20px|10px|20px|true|false')).toEqual({
+                top: '10px',
+                right: '20px',
+                bottom: '10px',
+                left: '20px',
+                link_vertical: 'on',
+                link_horizontal: 'off',
+            });
+        });
+
+        test('parses empty and short values', () => {
+            expect(parseCompound('border_radii', '')).toEqual({
+                linked: 'off', top_left: '', top_right: '', bottom_right: '', bottom_left: '',
+            });
+            expect(parseCompound('custom_margin', '5px').top).toBe('5px');
+        });
+
+        test('round-trips each format', () => {
+            ['Open Sans|700|on||||||', '10px|20px|10px|20px|false|false', 'on|5px|5px|5px|5px'].forEach((value, i) => {
+                const type = ['font', 'custom_margin', 'border_radii'][i];
+                expect(serializeCompound(type, parseCompound(type, value))).toBe(value);
+            });
+        });
+
+        test('stores flags in each format\'s own encoding', () => {
+            expect(serializeCompound('custom_padding', { top: '1px', link_vertical: 'on' })).toBe('1px||||true|false');
+            expect(serializeCompound('border_radii', { top_left: '3px' })).toBe('off|3px|||');
+        });
+    });
+
+    describe('updateCompound', () => {
+        test('changes only the named parts', () => {
+            expect(updateCompound('custom_padding', '10px|10px|10px|10px|false|false', { top: '20px' }))
+                .toBe('20px|10px|10px|10px|false|false');
+            expect(updateCompound('font', 'Open Sans|400|||||||', { italic: 'on' })).toBe('Open Sans|400|on||||||');
+        });
+
+        test('follows linked sides', () => {
+            expect(updateCompound('custom_padding', '10px|10px|10px|10px|true|false', { top: '20px' }))
+                .toBe('20px|10px|20px|10px|true|false');
+            expect(updateCompound('border_radii', 'on|5px|5px|5px|5px', { top_left: '8px' }))
+                .toBe('on|8px|8px|8px|8px');
+        });
+
+        test('leaves other field types alone', () => {
+            expect(updateCompound('text', '12px', { top: '1px' })).toBe('12px');
+        });
+    });
+
+    test('diffCompound lists the parts that changed', () => {
+        expect(diffCompound('font', 'Open Sans|400|||||||', 'Roboto|400|on||||||')).toEqual([
+            { key: 'family', label: 'Font', type: 'text', old_value: 'Open Sans', new_value: 'Roboto' },
+            { key: 'italic', label: 'Italic', type: 'yes_no', old_value: 'off', new_value: 'on' },
+        ]);
+        expect(diffCompound('custom_margin', '1px|||', '1px||||false|false')).toEqual([]);
+    });
+
+    describe('findCompoundParts', () => {
+        test('finds a named part', () => {
+            expect(findCompoundParts('custom_padding', 'set the top padding to 20px')).toEqual(['top']);
+            expect(findCompoundParts('font', 'make the title font weight bold')).toEqual(['weight']);
+        });
+
+        test('prefers the longer phrase', () => {
+            expect(findCompoundParts('border_radii', 'round the top left corner')).toEqual(['top_left']);
+            expect(findCompoundParts('font', 'use small caps')).toEqual(['small_caps']);
+        });
+
+        test('expands groups', () => {
+            expect(findCompoundParts('custom_margin', 'vertical margin 10px')).toEqual(['top', 'bottom']);
+            expect(findCompoundParts('border_radii', 'round the bottom corners')).toEqual(['bottom_left', 'bottom_right']);
+        });
+
+        test('collects every named part in order', () => {
+            expect(findCompoundParts('custom_padding', 'set top and bottom padding')).toEqual(['top', 'bottom']);
+            expect(findCompoundParts('border_radii', 'round the top left and bottom corners')).toEqual(['top_left', 'bottom_left', 'bottom_right']);
+        });
+
+        test('returns null when no part is named', () => {
+            expect(findCompoundParts('custom_padding', 'more padding')).toBeNull();
+            expect(findCompoundParts('text', 'top')).toBeNull();
+        });
+    });
+
+    test('getDefaultParts / getPartField describe parts for value parsing', () => {
+        expect(getDefaultParts('font')).toEqual(['family']);
+        expect(getPartField('custom_padding', 'top')).toEqual({ fieldName: 'top', type: 'text', options: null, unit: true });
+        expect(getPartField('font', 'weight')).toMatchObject({ type: 'select', options: expect.objectContaining({ 700: 'Bold' }) });
+        expect(getPartField('font', 'nope')).toBeNull();
+    });
+});
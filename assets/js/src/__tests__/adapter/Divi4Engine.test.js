@@ -0,0 +1,210 @@
+/**
+ * Tests for Divi4Engine.
+ */
+
+import { Divi4Engine } from '../../adapter/Divi4Engine';
+
+describe('Divi4Engine', () => {
+    let engine;
+    let model;
+
+    beforeEach(() => {
+        model = { cid: 'c1', attributes: {}, set: jest.fn(), unset: jest.fn() };
+        window.ET_Builder = {
+            Modules: [model],
+            Events: { trigger: jest.fn() },
+        };
+        engine = new Divi4Engine();
+    });
+
+    afterEach(() => {
+        delete window.ET_Builder;
+    });
+
+    // --- applyChanges ---
+
+    describe('applyChanges', () => {
+        test('returns false without the builder', () => {
+            delete window.ET_Builder;
+            expect(engine.applyChanges('c1', { text_color: '#fff' })).toBe(false);
+        });
+
+        test('returns false for an unknown module', () => {
+            expect(engine.applyChanges('nope', { text_color: '#fff' })).toBe(false);
+        });
+
+        test('sets base values as-is', () => {
+            expect(engine.applyChanges('c1', { text_color: '#fff' })).toBe(true);
+            expect(model.set).toHaveBeenCalledTimes(1);
+            expect(model.set).toHaveBeenCalledWith('text_color', '#fff');
+            expect(window.ET_Builder.Events.trigger).toHaveBeenCalledWith('et-modal-view-changed');
+        });
+
+        test('enables responsive mode for breakpoint values', () => {
+            engine.applyChanges('c1', { text_orientation_phone: 'center' });
+            expect(model.set).toHaveBeenCalledWith('text_orientation_phone', 'center');
+            expect(model.set).toHaveBeenCalledWith('text_orientation_last_edited', 'on|phone');
+        });
+
+        test('enables hover mode for hover values', () => {
+            engine.applyChanges('c1', { text_color__hover: '#f00' });
+            expect(model.set).toHaveBeenCalledWith('text_color__hover', '#f00');
+            expect(model.set).toHaveBeenCalledWith('text_color__hover_enabled', 'on|hover');
+        });
+
+        test('keeps flags that are part of the changes', () => {
+            engine.applyChanges('c1', { text_orientation_tablet: 'left', text_orientation_last_edited: 'off|desktop' });
+            expect(model.set).toHaveBeenCalledWith('text_orientation_last_edited', 'off|desktop');
+            expect(model.set).not.toHaveBeenCalledWith('text_orientation_last_edited', 'on|tablet');
+        });
+    });
+
+    // --- unsetAttributes ---
+
+    describe('unsetAttributes', () => {
+        test('removes the keys without touching mode flags', () => {
+            expect(engine.unsetAttributes('c1', ['text_orientation_phone'])).toBe(true);
+            expect(model.unset).toHaveBeenCalledTimes(1);
+            expect(model.unset).toHaveBeenCalledWith('text_orientation_phone');
+            expect(model.set).not.toHaveBeenCalled();
+            expect(window.ET_Builder.Events.trigger).toHaveBeenCalledWith('et-modal-view-changed');
+        });
+
+        test('returns false for an unknown module', () => {
+            expect(engine.unsetAttributes('nope', ['title'])).toBe(false);
+        });
+    });
+
+    // --- getAffectedKeys ---
+
+    describe('getAffectedKeys', () => {
+        test('lists the mode flags applyChanges would set', () => {
+            expect(engine.getAffectedKeys({ text_color: '#fff', text_orientation_phone: 'center', text_color__hover: '#f00' })).toEqual([
+                'text_color',
+                'text_orientation_phone',
+                'text_color__hover',
+                'text_orientation_last_edited',
+                'text_color__hover_enabled',
+            ]);
+        });
+    });
+
+    // --- getPageStructure ---
+
+    describe('getPageStructure', () => {
+        const make = (cid, attrs) => ({ cid, attributes: { cid, ...attrs }, set: jest.fn() });
+
+        test('returns null without the builder', () => {
+            delete window.ET_Builder;
+            expect(engine.getPageStructure()).toBeNull();
+        });
+
+        test('nests models under their parent in index order', () => {
+            window.ET_Builder.Modules = [
+                make('m2', { type: 'et_pb_button', parent_cid: 'col', _i: 1, button_text: 'Go' }),
+                make('sec', { type: 'et_pb_section', admin_label: 'Hero' }),
+                make('m1', { type: 'et_pb_text', parent_cid: 'col', _i: 0, content: '<p>Hello</p>' }),
+                make('row', { type: 'et_pb_row', parent_cid: 'sec' }),
+                make('col', { type: 'et_pb_column', parent_cid: 'row' }),
+            ];
+
+            const [section] = engine.getPageStructure();
+            expect(section).toMatchObject({ id: 'sec', kind: 'section', label: 'Hero' });
+
+            const column = section.children[0].children[0];
+            expect(column.kind).toBe('column');
+            expect(column.children.map((node) => node.id)).toEqual(['m1', 'm2']);
+            expect(column.children[0]).toMatchObject({
+                type: 'et_pb_text',
+                kind: 'module',
+                label: 'Text',
+                excerpt: 'Hello',
+                settings: { content: '<p>Hello</p>' },
+            });
+            expect(column.children[1].excerpt).toBe('Go');
+        });
+    });
+
+    // --- structural changes ---
+
+    describe('structural changes', () => {
+        let next;
+
+        const make = (cid, attrs) => {
+            const m = { cid, attributes: { cid, ...attrs } };
+            m.set = jest.fn((key, value) => { m.attributes[key] = value; });
+            return m;
+        };
+
+        const childIds = (parentId) => engine.getChildren(parentId).map((m) => engine.getId(m));
+
+        beforeEach(() => {
+            next = 0;
+            const modules = [
+                make('col', { type: 'et_pb_column' }),
+                make('a', { type: 'et_pb_text', parent_cid: 'col', _i: 0, content: 'A' }),
+                make('b', { type: 'et_pb_button', parent_cid: 'col', _i: 1, button_text: 'B' }),
+                make('c', { type: 'et_pb_blurb', parent_cid: 'col', _i: 2 }),
+            ];
+            modules.add = jest.fn((attrs) => {
+                next++;
+                const m = make(`new${next}`, attrs);
+                modules.push(m);
+                return m;
+            });
+            modules.remove = jest.fn((m) => modules.splice(modules.indexOf(m), 1));
+            window.ET_Builder.Modules = modules;
+        });
+
+        test('inserts a module at a position and reindexes its siblings', () => {
+            const id = engine.insertModule('col', 'et_pb_divider', 1, { color: '#000' });
+            expect(id).toBe('new1');
+            expect(childIds('col')).toEqual(['a', 'new1', 'b', 'c']);
+            expect(engine.findModel('new1').attributes).toMatchObject({ type: 'et_pb_divider', color: '#000' });
+            expect(window.ET_Builder.Events.trigger).toHaveBeenCalledWith('et-modal-view-changed');
+        });
+
+        test('inserts top-level sections without a parent', () => {
+            const id = engine.insertModule(null, 'et_pb_section', 0);
+            expect(engine.findModel(id).attributes).not.toHaveProperty('parent_cid');
+            expect(childIds(null)[0]).toBe(id);
+        });
+
+        test('does not insert into an unknown parent', () => {
+            expect(engine.insertModule('nope', 'et_pb_text', 0)).toBeNull();
+            expect(window.ET_Builder.Modules.add).not.toHaveBeenCalled();
+        });
+
+        test('duplicates a module right after the original', () => {
+            const id = engine.duplicateModule('b');
+            expect(childIds('col')).toEqual(['a', 'b', id, 'c']);
+            expect(engine.findModel(id).attributes).toMatchObject({ type: 'et_pb_button', button_text: 'B' });
+        });
+
+        test('duplicates children with the module', () => {
+            window.ET_Builder.Modules.push(make('b1', { type: 'et_pb_text', parent_cid: 'b' }));
+            const id = engine.duplicateModule('b');
+            expect(childIds(id)).toHaveLength(1);
+            expect(engine.getChildren(id)[0].attributes.type).toBe('et_pb_text');
+        });
+
+        test('removes a module with its children and closes the gap', () => {
+            window.ET_Builder.Modules.push(make('b1', { type: 'et_pb_text', parent_cid: 'b' }));
+            expect(engine.removeModule('b')).toBe(true);
+            expect(engine.findModel('b1')).toBeNull();
+            expect(childIds('col')).toEqual(['a', 'c']);
+            expect(engine.findModel('c').attributes._i).toBe(1);
+        });
+
+        test('moves a module within its parent', () => {
+            expect(engine.moveModule('c', 'col', 0)).toBe(true);
+            expect(childIds('col')).toEqual(['c', 'a', 'b']);
+        });
+
+        test('returns false for unknown modules', () => {
+            expect(engine.duplicateModule('nope')).toBeNull();
+            expect(engine.removeModule('nope')).toBe(false);
+            expect(engine.moveModule('nope', 'col', 0)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for Divi5AttributeMap.
+ */
+
+import { Divi5AttributeMap } from '../../adapter/Divi5AttributeMap';
+
+describe('Divi5AttributeMap', () => {
+    let map;
+
+    beforeEach(() => {
+        map = new Divi5AttributeMap();
+    });
+
+    describe('locate', () => {
+        test('splits a mapped path into attribute and subkey', () => {
+            expect(map.locate('et_pb_text', 'text_orientation')).toEqual({
+                attrName: 'module.advanced.text.text',
+                subkey: 'orientation',
+                mapped: true,
+            });
+        });
+
+        test('returns a null subkey for paths ending at the state', () => {
+            expect(map.locate('et_pb_text', 'content')).toEqual({
+                attrName: 'content.innerContent',
+                subkey: null,
+                mapped: true,
+            });
+        });
+
+        test('prefers module paths over common ones', () => {
+            expect(map.locate('et_pb_image', 'url').attrName).toBe('image.innerContent');
+            expect(map.locate('et_pb_text', 'url').attrName).toBe('module.advanced.link');
+        });
+
+        test('falls back to a top-level attribute for unmapped fields', () => {
+            expect(map.locate('et_pb_text', 'orientation')).toEqual({
+                attrName: 'orientation',
+                subkey: null,
+                mapped: false,
+            });
+        });
+    });
+
+    describe('findUnmapped', () => {
+        test('lists keys with neither a path nor a stored attribute', () => {
+            const attrs = { orientation: { desktop: { value: 'left' } } };
+            expect(map.findUnmapped('et_pb_text', attrs, [
+                'text_orientation_phone',
+                'orientation__hover',
+                'header_font',
+                'custom_padding_tablet',
+            ])).toEqual(['header_font', 'custom_padding_tablet']);
+        });
+
+        test('handles missing attributes', () => {
+            expect(map.findUnmapped('et_pb_text', null, ['content', 'border_radii'])).toEqual(['border_radii']);
+        });
+    });
+
+    describe('toPath / toKey', () => {
+        test('builds full paths for variant keys', () => {
+            expect(map.toPath('et_pb_text', 'text_orientation_phone'))
+                .toBe('module.advanced.text.text.phone.value.orientation');
+            expect(map.toPath('et_pb_button', 'button_bg_color__hover'))
+                .toBe('button.decoration.background.desktop.hover.color');
+            expect(map.toPath('et_pb_text', 'content')).toBe('content.innerContent.desktop.value');
+        });
+
+        test('maps full paths back to variant keys', () => {
+            expect(map.toKey('et_pb_text', 'module.advanced.text.text.tablet.value.orientation'))
+                .toBe('text_orientation_tablet');
+            expect(map.toKey('et_pb_button', 'button.decoration.background.desktop.hover.color'))
+                .toBe('button_bg_color__hover');
+            expect(map.toKey('et_pb_text', 'content.innerContent.desktop.value')).toBe('content');
+        });
+
+        test('returns null for unknown paths', () => {
+            expect(map.toKey('et_pb_text', 'module.advanced.unknown.desktop.value.x')).toBeNull();
+            expect(map.toKey('et_pb_text', 'not-a-path')).toBeNull();
+        });
+    });
+
+    describe('read', () => {
+        test('reads mapped fields from their nested paths', () => {
+            const attrs = {
+                module: {
+                    advanced: {
+                        text: {
+                            text: {
+                                desktop: { value: { orientation: 'left', color: 'light' } },
+                                phone: { value: { orientation: 'center' } },
+                            },
+                        },
+                    },
+                },
+                content: { innerContent: { desktop: { value: '<p>Hi</p>' } } },
+            };
+
+            expect(map.read('et_pb_text', attrs)).toEqual({
+                text_orientation: 'left',
+                text_orientation_phone: 'center',
+                content: '<p>Hi</p>',
+            });
+        });
+
+        test('reads hover values from the desktop state', () => {
+            const attrs = {
+                button: {
+                    decoration: {
+                        background: { desktop: { value: { color: '#000' }, hover: { color: '#f00' } } },
+                    },
+                },
+            };
+
+            expect(map.read('et_pb_button', attrs)).toEqual({
+                button_bg_color: '#000',
+                button_bg_color__hover: '#f00',
+            });
+        });
+
+        test('keeps unmapped top-level scalars and groups', () => {
+            expect(map.read('et_pb_text', {
+                admin_label: 'Intro',
+                orientation: { desktop: { value: 'left' } },
+            })).toEqual({ admin_label: 'Intro', orientation: 'left' });
+        });
+
+        test('handles missing attributes', () => {
+            expect(map.read('et_pb_text', null)).toEqual({});
+        });
+    });
+
+    describe('write', () => {
+        test('writes a subkey and keeps its siblings', () => {
+            const attrs = {
+                module: {
+                    advanced: {
+                        text: { text: { desktop: { value: { orientation: 'left', color: 'light' } } } },
+                    },
+                },
+            };
+
+            expect(map.write('et_pb_text', attrs, { text_orientation: 'center' })).toEqual({
+                'module.advanced.text.text': {
+                    desktop: { value: { orientation: 'center', color: 'light' } },
+                },
+            });
+        });
+
+        test('merges breakpoints and hover of one group', () => {
+            const updates = map.write('et_pb_button', {}, {
+                button_bg_color: '#000',
+                button_bg_color__hover: '#f00',
+                button_alignment_phone: 'center',
+            });
+
+            expect(updates).toEqual({
+                'button.decoration.background': {
+                    desktop: { value: { color: '#000' }, hover: { color: '#f00' } },
+                },
+                'button.decoration.button': {
+                    phone: { value: { alignment: 'center' } },
+                },
+            });
+        });
+
+        test('writes whole values for paths without a subkey', () => {
+            expect(map.write('et_pb_text', {}, { content: '<p>New</p>' })).toEqual({
+                'content.innerContent': { desktop: { value: '<p>New</p>' } },
+            });
+        });
+
+        test('removes keys given an undefined value', () => {
+            const attrs = {
+                module: {
+                    advanced: {
+                        text: { text: { desktop: { value: { orientation: 'left' } }, phone: { value: { orientation: 'center' } } } },
+                    },
+                },
+                title: { innerContent: { desktop: { value: 'Old', hover: 'Hover' } } },
+            };
+
+            expect(map.write('et_pb_text', attrs, { text_orientation_phone: undefined, title__hover: undefined })).toEqual({
+                'module.advanced.text.text': { desktop: { value: { orientation: 'left' } } },
+                'title.innerContent': { desktop: { value: 'Old' } },
+            });
+        });
+
+        test('does not mutate the stored attributes', () => {
+            const attrs = { title: { innerContent: { desktop: { value: 'Old' } } } };
+            map.write('et_pb_blurb', attrs, { title: 'New' });
+            expect(attrs.title.innerContent.desktop.value).toBe('Old');
+        });
+
+        test('round-trips through read', () => {
+            const updates = map.write('et_pb_divider', {}, { divider_style: 'dashed', height: '20px' });
+            const attrs = {
+                module: {
+                    advanced: { line: updates['module.advanced.line'] },
+                    decoration: { sizing: updates['module.decoration.sizing'] },
+                },
+            };
+
+            expect(map.read('et_pb_divider', attrs)).toEqual({ divider_style: 'dashed', height: '20px' });
+        });
+    });
+
+    describe('register', () => {
+        test('adds paths for third-party modules', () => {
+            map.register('dsm_card', { card_title: 'card.innerContent.*.title' });
+            expect(map.toPath('dsm_card', 'card_title_tablet')).toBe('card.innerContent.tablet.value.title');
+            expect(map.locate('et_pb_text', 'card_title').mapped).toBe(false);
+        });
+    });
+});
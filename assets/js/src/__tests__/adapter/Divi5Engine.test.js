@@ -88,6 +88,79 @@ describe('Divi5Engine', () => {
                 moduleData: { content: 'hello' },
             });
         });
+
+        test('flattens nested breakpoint and hover values to variant keys', () => {
+            engine.init();
+            engine.selectedModuleId = 'mod-123';
+            mockSelect.getModuleType.mockReturnValue('et_pb_text');
+            mockSelect.getModuleAttrs.mockReturnValue({
+                orientation: { desktop: { value: 'left', hover: 'center' }, phone: { value: 'right' } },
+            });
+
+            expect(engine.getSelectedModule().moduleData).toEqual({
+                orientation: 'left',
+                orientation__hover: 'center',
+                orientation_phone: 'right',
+            });
+        });
+
+        test('reads mapped fields from their nested attribute paths', () => {
+            engine.init();
+            engine.selectedModuleId = 'mod-123';
+            mockSelect.getModuleType.mockReturnValue('et_pb_text');
+            mockSelect.getModuleAttrs.mockReturnValue({
+                module: { advanced: { text: { text: { desktop: { value: { orientation: 'right' } } } } } },
+                content: { innerContent: { desktop: { value: '<p>Hi</p>' } } },
+            });
+
+            expect(engine.getSelectedModule().moduleData).toEqual({
+                text_orientation: 'right',
+                content: '<p>Hi</p>',
+            });
+        });
+    });
+
+    // --- getPageStructure ---
+
+    describe('getPageStructure', () => {
+        test('returns null without a content selector', () => {
+            engine.init();
+            expect(engine.getPageStructure()).toBeNull();
+        });
+
+        test('builds the tree from the store content in child order', () => {
+            engine.init();
+            const attrs = {
+                sec: { module: { meta: { adminLabel: { desktop: { value: 'Hero' } } } } },
+                t1: { content: { innerContent: { desktop: { value: '<p>Welcome</p>' } } } },
+            };
+            const types = {
+                sec: 'divi/section', row: 'divi/row', col: 'divi/column', t1: 'divi/text', t2: 'divi/text',
+            };
+            mockSelect.getContent = jest.fn().mockReturnValue({
+                root: { id: 'root', children: ['sec'] },
+                sec: { id: 'sec', parent: 'root', children: ['row'] },
+                row: { id: 'row', parent: 'sec', children: ['col'] },
+                col: { id: 'col', parent: 'row', children: ['t2', 't1'] },
+                t1: { id: 't1', parent: 'col', children: [] },
+                t2: { id: 't2', parent: 'col', children: [] },
+            });
+            mockSelect.getModuleType.mockImplementation((id) => types[id]);
+            mockSelect.getModuleAttrs.mockImplementation((id) => attrs[id] || {});
+
+            const [section] = engine.getPageStructure();
+            expect(section).toMatchObject({ id: 'sec', kind: 'section', label: 'Hero' });
+
+            const column = section.children[0].children[0];
+            expect(column.kind).toBe('column');
+            expect(column.children.map((node) => node.id)).toEqual(['t2', 't1']);
+            expect(column.children[1]).toMatchObject({
+                kind: 'module',
+                label: 'Text',
+                excerpt: 'Welcome',
+                settings: { content: '<p>Welcome</p>' },
+            });
+        });
     });
 
     // --- applyChanges ---
@@ -97,17 +170,212 @@ describe('Divi5Engine', () => {
             expect(engine.applyChanges('mod-1', { color: 'red' })).toBe(false);
         });
 
-        test('calls editModuleAttribute for each change', () => {
+        test('calls editModuleAttribute for each change with the desktop value', () => {
             engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({ color: { desktop: { value: 'blue' } }, size: '12px' });
             engine.applyChanges('mod-1', { color: 'red', size: '14px' });
-            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'color', 'red');
-            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'size', '14px');
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'color', { desktop: { value: 'red' } });
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'size', { desktop: { value: '14px' } });
+        });
+
+        test('writes breakpoint values and keeps the others', () => {
+            engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({
+                orientation: { desktop: { value: 'left' }, tablet: { value: 'center' } },
+            });
+            engine.applyChanges('mod-1', { orientation_phone: 'right' });
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'orientation', {
+                desktop: { value: 'left' },
+                tablet: { value: 'center' },
+                phone: { value: 'right' },
+            });
+        });
+
+        test('writes hover values into the desktop state', () => {
+            engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({ color: { desktop: { value: '#000' } } });
+            engine.applyChanges('mod-1', { color__hover: '#f00' });
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'color', {
+                desktop: { value: '#000', hover: '#f00' },
+            });
+        });
+
+        test('merges variant keys of one attribute into a single write', () => {
+            engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({ color: { desktop: { value: '#fff' } } });
+            engine.applyChanges('mod-1', { color: '#000', color_tablet: '#111' });
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledTimes(1);
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'color', {
+                desktop: { value: '#000' },
+                tablet: { value: '#111' },
+            });
+        });
+
+        test('wraps a flat current value before writing a breakpoint', () => {
+            engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({ color: '#000' });
+            engine.applyChanges('mod-1', { color_phone: '#fff' });
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'color', {
+                desktop: { value: '#000' },
+                phone: { value: '#fff' },
+            });
+        });
+
+        test('does not mutate the stored attributes', () => {
+            engine.init();
+            const attrs = { color: { desktop: { value: '#000' } } };
+            mockSelect.getModuleAttrs.mockReturnValue(attrs);
+            engine.applyChanges('mod-1', { color: '#fff' });
+            expect(attrs.color.desktop.value).toBe('#000');
+        });
+
+        test('writes mapped fields at their nested attribute path', () => {
+            engine.init();
+            mockSelect.getModuleType.mockReturnValue('et_pb_text');
+            mockSelect.getModuleAttrs.mockReturnValue({
+                module: { advanced: { text: { text: { desktop: { value: { orientation: 'left' } } } } } },
+            });
+            engine.applyChanges('mod-1', { text_orientation_tablet: 'center' });
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'module.advanced.text.text', {
+                desktop: { value: { orientation: 'left' } },
+                tablet: { value: { orientation: 'center' } },
+            });
         });
 
         test('returns true on success', () => {
             engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({ color: 'blue' });
             expect(engine.applyChanges('mod-1', { color: 'red' })).toBe(true);
         });
+
+        test('does not write fields without a Divi 5 attribute', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            engine.init();
+            mockSelect.getModuleType.mockReturnValue('et_pb_text');
+            mockSelect.getModuleAttrs.mockReturnValue({});
+
+            expect(engine.applyChanges('mod-1', { custom_padding: '10px|10px|10px|10px', header_font_size_tablet: '20px' })).toBe(false);
+            expect(mockDispatch.editModuleAttribute).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('No Divi 5 attribute'), ['custom_padding', 'header_font_size_tablet']);
+            warn.mockRestore();
+        });
+
+        test('writes the mapped fields of a partly unmapped changeset', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({});
+
+            expect(engine.applyChanges('mod-1', { admin_label: 'Hero', custom_margin: '0|0|0|0' })).toBe(true);
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledTimes(1);
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'module.meta.adminLabel', { desktop: { value: 'Hero' } });
+            expect(warn).toHaveBeenCalledWith(expect.any(String), ['custom_margin']);
+            warn.mockRestore();
+        });
+    });
+
+    // --- getUnmappedKeys ---
+
+    describe('getUnmappedKeys', () => {
+        test('lists keys with no path and no stored attribute', () => {
+            engine.init();
+            mockSelect.getModuleType.mockReturnValue('et_pb_button');
+            mockSelect.getModuleAttrs.mockReturnValue({ legacy_flag: 'on' });
+
+            expect(engine.getUnmappedKeys('mod-1', {
+                button_bg_color__hover: '#000',
+                legacy_flag_phone: 'off',
+                border_radii: 'on|5px|5px|5px|5px',
+            })).toEqual(['border_radii']);
+        });
+    });
+
+    // --- unsetAttributes ---
+
+    describe('unsetAttributes', () => {
+        test('removes a breakpoint value and keeps the others', () => {
+            engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({
+                color: { desktop: { value: '#000' }, phone: { value: '#fff' } },
+            });
+            expect(engine.unsetAttributes('mod-1', ['color_phone'])).toBe(true);
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('mod-1', 'color', {
+                desktop: { value: '#000' },
+            });
+        });
+
+        test('returns false when not initialized', () => {
+            expect(engine.unsetAttributes('mod-1', ['color_phone'])).toBe(false);
+        });
+
+        test('treats keys without an attribute as already removed', () => {
+            engine.init();
+            mockSelect.getModuleAttrs.mockReturnValue({});
+            expect(engine.unsetAttributes('mod-1', ['custom_padding_phone'])).toBe(true);
+            expect(mockDispatch.editModuleAttribute).not.toHaveBeenCalled();
+        });
+    });
+
+    // --- structural changes ---
+
+    describe('structural changes', () => {
+        let content;
+
+        beforeEach(() => {
+            content = {
+                col: { id: 'col', parent: 'row', children: ['a', 'b'] },
+                a: { id: 'a', parent: 'col', children: [] },
+                b: { id: 'b', parent: 'col', children: [] },
+            };
+            mockSelect.getContent = jest.fn(() => content);
+            mockSelect.getModuleAttrs.mockReturnValue({});
+            mockDispatch.insertModule = jest.fn((parentId, type, index) => {
+                content[parentId].children.splice(index, 0, 'new');
+            });
+            mockDispatch.duplicateModule = jest.fn((id) => {
+                const siblings = content.col.children;
+                siblings.splice(siblings.indexOf(id) + 1, 0, 'copy');
+            });
+            mockDispatch.removeModule = jest.fn();
+            mockDispatch.moveModule = jest.fn();
+            engine.init();
+        });
+
+        test('inserts a module and returns the new ID', () => {
+            expect(engine.insertModule('col', 'divi/button', 1)).toBe('new');
+            expect(mockDispatch.insertModule).toHaveBeenCalledWith('col', 'divi/button', 1);
+            expect(mockDispatch.editModuleAttribute).not.toHaveBeenCalled();
+        });
+
+        test('converts schema type names and inserts sections under the root', () => {
+            content.root = { id: 'root', children: [] };
+            engine.insertModule(null, 'et_pb_row_inner', 0);
+            expect(mockDispatch.insertModule).toHaveBeenCalledWith('root', 'divi/row-inner', 0);
+        });
+
+        test('applies initial settings to an inserted module', () => {
+            engine.insertModule('col', 'divi/button', 0, { admin_label: 'Hero' });
+            expect(mockDispatch.editModuleAttribute).toHaveBeenCalledWith('new', 'module.meta.adminLabel', { desktop: { value: 'Hero' } });
+        });
+
+        test('duplicates a module and returns the copy ID', () => {
+            expect(engine.duplicateModule('a')).toBe('copy');
+            expect(mockDispatch.duplicateModule).toHaveBeenCalledWith('a');
+        });
+
+        test('dispatches removes and moves', () => {
+            expect(engine.removeModule('a')).toBe(true);
+            expect(engine.moveModule('a', 'col', 1)).toBe(true);
+            expect(mockDispatch.removeModule).toHaveBeenCalledWith('a');
+            expect(mockDispatch.moveModule).toHaveBeenCalledWith('a', 'col', 1);
+        });
+
+        test('warns and fails when the store lacks an action', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            delete mockDispatch.removeModule;
+            expect(engine.removeModule('a')).toBe(false);
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
     });
 
     // --- destroy ---
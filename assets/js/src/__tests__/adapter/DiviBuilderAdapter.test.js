@@ -0,0 +1,339 @@
+/**
+ * Tests for DiviBuilderAdapter structural and layout helpers.
+ */
+
+import { DiviBuilderAdapter } from '../../adapter/DiviBuilderAdapter';
+import { createNode } from '../../adapter/PageStructure';
+import { parseLayout } from '../../adapter/LayoutPlan';
+import { NetworkError, ParseError, NonceError, RateLimitError, ValidationError } from '../../adapter/RequestErrors';
+
+describe('DiviBuilderAdapter', () => {
+    let engine;
+    let adapter;
+
+    beforeEach(() => {
+        const blurb = createNode({
+            id: 'b',
+            type: 'et_pb_blurb',
+            settings: { title: 'Fast' },
+            children: [createNode({ id: 'b1', type: 'et_pb_text', settings: { content: 'Inner' } })],
+        });
+        const column = createNode({
+            id: 'col',
+            type: 'et_pb_column',
+            children: [createNode({ id: 'a', type: 'et_pb_text' }), blurb],
+        });
+
+        let next = 0;
+        engine = {
+            getPageStructure: jest.fn(() => [createNode({ id: 's', type: 'et_pb_section', children: [column] })]),
+            insertModule: jest.fn(() => `new${++next}`),
+            removeModule: jest.fn(() => true),
+            moveModule: jest.fn(() => true),
+        };
+        adapter = new DiviBuilderAdapter({ restUrl: '/wp-json/divi-anchor/v1/', nonce: 'n' }, engine);
+    });
+
+    describe('request', () => {
+        /** A fetch that never answers, but rejects when aborted. */
+        const hangingFetch = () => jest.fn((url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+
+        /** A fetch response with a JSON body. */
+        const reply = (status, data) => ({ ok: status < 400, status, json: () => Promise.resolve(data) });
+
+        afterEach(() => {
+            delete global.fetch;
+            jest.useRealTimers();
+        });
+
+        test('returns the JSON response', async () => {
+            global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ a: 1 }) }));
+            await expect(adapter.request('module-types')).resolves.toEqual({ a: 1 });
+            expect(global.fetch.mock.calls[0][0]).toBe('/wp-json/divi-anchor/v1/module-types');
+        });
+
+        test('throws the server message on errors', async () => {
+            global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 400, json: () => Promise.resolve({ message: 'Boom' }) }));
+            await expect(adapter.request('module-types')).rejects.toThrow('Boom');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('throws typed errors with the code, status and data', async () => {
+            global.fetch = jest.fn(() => Promise.resolve(reply(400, { code: 'unknown_module', message: 'Unknown module type: x', data: { status: 400 } })));
+            const error = await adapter.request('module-schema', 'POST', {}).catch((e) => e);
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error).toMatchObject({ code: 'unknown_module', status: 400, data: { status: 400 } });
+        });
+
+        test('tells network failures and unreadable responses apart', async () => {
+            global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+            await expect(adapter.request('module-types')).rejects.toBeInstanceOf(NetworkError);
+
+            global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.reject(new SyntaxError('Unexpected token <')) }));
+            await expect(adapter.request('module-types')).rejects.toMatchObject({ name: 'ParseError', code: 'invalid_json' });
+            await expect(adapter.request('module-types')).rejects.toBeInstanceOf(ParseError);
+        });
+
+        test('is cancelled by the caller\'s signal', async () => {
+            global.fetch = hangingFetch();
+            const controller = new AbortController();
+            const pending = adapter.request('analyze-module', 'POST', {}, { signal: controller.signal });
+            controller.abort();
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError', message: 'The request was cancelled.' });
+        });
+
+        test('times out per endpoint', async () => {
+            jest.useFakeTimers();
+            global.fetch = hangingFetch();
+            const pending = adapter.request('generate-changes', 'POST', {});
+            jest.advanceTimersByTime(75000);
+            await expect(pending).rejects.toMatchObject({ name: 'TimeoutError', message: 'The request took longer than 75 seconds.' });
+        });
+
+        test('retries rate limits and server errors with backoff', async () => {
+            jest.useFakeTimers();
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(reply(429, { message: 'Slow down' }))
+                .mockResolvedValueOnce(reply(503, { message: 'Busy' }))
+                .mockResolvedValueOnce(reply(200, { a: 1 }));
+            const onRetry = jest.fn();
+
+            const pending = adapter.request('generate-changes', 'POST', {}, { onRetry });
+            await jest.advanceTimersByTimeAsync(500);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            await jest.advanceTimersByTimeAsync(1000);
+
+            await expect(pending).resolves.toEqual({ a: 1 });
+            expect(onRetry.mock.calls).toEqual([[1, 3], [2, 3]]);
+            Math.random.mockRestore();
+        });
+
+        test('waits as long as Retry-After asks', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(reply(429, { message: 'Slow down', data: { retry_after: '5' } }))
+                .mockResolvedValueOnce(reply(200, { a: 1 }));
+
+            const pending = adapter.request('generate-changes', 'POST', {});
+            await jest.advanceTimersByTimeAsync(4999);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(1);
+            await expect(pending).resolves.toEqual({ a: 1 });
+        });
+
+        test('gives up after three retries or a long Retry-After', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn(() => Promise.resolve(reply(500, { message: 'Down' })));
+            const pending = adapter.request('module-types');
+            const result = expect(pending).rejects.toThrow('Down');
+            await jest.advanceTimersByTimeAsync(10000);
+            await result;
+            expect(global.fetch).toHaveBeenCalledTimes(4);
+
+            global.fetch = jest.fn(() => Promise.resolve(reply(429, { message: 'Quota', data: { retry_after: '120' } })));
+            await expect(adapter.request('module-types')).rejects.toBeInstanceOf(RateLimitError);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('does not retry POSTs that change the site', async () => {
+            global.fetch = jest.fn(() => Promise.resolve(reply(503, { message: 'Busy' })));
+            await expect(adapter.saveSnapshot('m1', 'et_pb_text', {})).rejects.toThrow('Busy');
+            await expect(adapter.rollback({ module_id: 'm1' })).rejects.toThrow('Busy');
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('retries only as the caller allows', async () => {
+            global.fetch = jest.fn(() => Promise.resolve(reply(503, { message: 'Busy' })));
+            await expect(adapter.request('module-types', 'GET', null, { retry: false })).rejects.toThrow('Busy');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('throws a typed error for an empty error body', async () => {
+            global.fetch = jest.fn(() => Promise.resolve(reply(403, null)));
+            const error = await adapter.request('module-types').catch((e) => e);
+            expect(error.name).toBe('AuthError');
+            expect(error.message).toBe('Request failed: 403');
+        });
+
+        test('stops waiting to retry when cancelled', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn(() => Promise.resolve(reply(503, {})));
+            const controller = new AbortController();
+            const pending = adapter.request('module-types', 'GET', null, { signal: controller.signal });
+            await jest.advanceTimersByTimeAsync(0);
+            controller.abort();
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('refreshes an expired nonce and replays once', async () => {
+            adapter.config.ajaxUrl = '/wp-admin/admin-ajax.php';
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(reply(403, { code: 'rest_cookie_invalid_nonce', message: 'Cookie check failed' }))
+                .mockResolvedValueOnce(reply(200, { success: true, data: { nonce: 'fresh' } }))
+                .mockResolvedValueOnce(reply(200, { a: 1 }));
+
+            await expect(adapter.request('module-types')).resolves.toEqual({ a: 1 });
+            expect(global.fetch.mock.calls[1][0]).toBe('/wp-admin/admin-ajax.php');
+            expect(global.fetch.mock.calls[1][1].body).toBe('action=divi_anchor_refresh_nonce');
+            expect(global.fetch.mock.calls[2][1].headers['X-WP-Nonce']).toBe('fresh');
+        });
+
+        test('fails when the nonce cannot be refreshed', async () => {
+            adapter.config.ajaxUrl = '/wp-admin/admin-ajax.php';
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(reply(403, { code: 'rest_cookie_invalid_nonce', message: 'Cookie check failed' }))
+                .mockResolvedValueOnce(reply(200, { success: false }));
+
+            await expect(adapter.request('module-types')).rejects.toBeInstanceOf(NonceError);
+            expect(adapter.nonce).toBe('n');
+        });
+
+        test('takes time limits from the config', () => {
+            const configured = new DiviBuilderAdapter({ restUrl: '/', nonce: 'n', timeouts: { 'generate-changes': 0, default: 5000 } }, engine);
+            expect(configured.getTimeout('generate-changes')).toBe(0);
+            expect(configured.getTimeout('snapshots?module_id=a')).toBe(5000);
+            expect(configured.getTimeout('analyze-module')).toBe(75000);
+        });
+    });
+
+    describe('getAffectedKeys', () => {
+        test('asks the engine', () => {
+            engine.getAffectedKeys = jest.fn(() => ['text_orientation_phone', 'text_orientation_last_edited']);
+            expect(adapter.getAffectedKeys({ text_orientation_phone: 'center' })).toEqual(['text_orientation_phone', 'text_orientation_last_edited']);
+        });
+
+        test('falls back to the change keys', () => {
+            expect(adapter.getAffectedKeys({ title: 'Hi' })).toEqual(['title']);
+        });
+    });
+
+    describe('getUnmappedKeys', () => {
+        test('asks the engine', () => {
+            engine.getUnmappedKeys = jest.fn(() => ['custom_padding']);
+            expect(adapter.getUnmappedKeys('m1', { custom_padding: '1px|1px|1px|1px' })).toEqual(['custom_padding']);
+            expect(engine.getUnmappedKeys).toHaveBeenCalledWith('m1', { custom_padding: '1px|1px|1px|1px' });
+        });
+
+        test('reports nothing when the engine writes every field', () => {
+            expect(adapter.getUnmappedKeys('m1', { title: 'Hi' })).toEqual([]);
+        });
+    });
+
+    describe('restoreState', () => {
+        beforeEach(() => {
+            engine.applyChanges = jest.fn(() => true);
+            engine.unsetAttributes = jest.fn(() => true);
+        });
+
+        test('removes variant keys and flags the undone change added', () => {
+            const written = ['text_orientation_phone', 'text_orientation_last_edited', 'text_orientation'];
+            expect(adapter.restoreState('m1', { text_orientation: 'left' }, written)).toBe(true);
+            expect(engine.applyChanges).toHaveBeenCalledWith('m1', { text_orientation: 'left' });
+            expect(engine.unsetAttributes).toHaveBeenCalledWith('m1', ['text_orientation_phone', 'text_orientation_last_edited']);
+        });
+
+        test('leaves keys alone when nothing was added', () => {
+            adapter.restoreState('m1', { title: 'Old' }, ['title']);
+            expect(engine.unsetAttributes).not.toHaveBeenCalled();
+        });
+
+        test('fails when the data cannot be applied', () => {
+            engine.applyChanges.mockReturnValue(false);
+            expect(adapter.restoreState('m1', {}, ['title'])).toBe(false);
+            expect(engine.unsetAttributes).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getPosition', () => {
+        test('returns the parent, index and sibling count', () => {
+            expect(adapter.getPosition('b')).toEqual({ parentId: 'col', index: 1, count: 2 });
+        });
+
+        test('has a null parent for sections', () => {
+            expect(adapter.getPosition('s')).toEqual({ parentId: null, index: 0, count: 1 });
+        });
+
+        test('returns null for unknown nodes', () => {
+            expect(adapter.getPosition('nope')).toBeNull();
+        });
+    });
+
+    describe('getChildren', () => {
+        test('returns a module\'s child nodes in order', () => {
+            expect(adapter.getChildren('col').map((node) => node.id)).toEqual(['a', 'b']);
+            expect(adapter.getChildren('a')).toEqual([]);
+        });
+
+        test('returns null for unknown modules', () => {
+            expect(adapter.getChildren('nope')).toBeNull();
+        });
+    });
+
+    describe('removeModule / restoreModule', () => {
+        test('returns a record of the removed module and its children', () => {
+            const record = adapter.removeModule('b');
+            expect(engine.removeModule).toHaveBeenCalledWith('b');
+            expect(record).toMatchObject({
+                moduleType: 'et_pb_blurb',
+                parentId: 'col',
+                index: 1,
+                settings: { title: 'Fast' },
+                children: [{ moduleType: 'et_pb_text', index: 0, settings: { content: 'Inner' } }],
+            });
+        });
+
+        test('returns null when the engine fails', () => {
+            engine.removeModule.mockReturnValue(false);
+            expect(adapter.removeModule('b')).toBeNull();
+        });
+
+        test('re-inserts the module and its children where they were', () => {
+            const record = adapter.removeModule('b');
+            expect(adapter.restoreModule(record)).toBe('new1');
+            expect(engine.insertModule).toHaveBeenNthCalledWith(1, 'col', 'et_pb_blurb', 1, { title: 'Fast' });
+            expect(engine.insertModule).toHaveBeenNthCalledWith(2, 'new1', 'et_pb_text', 0, { content: 'Inner' });
+        });
+    });
+
+    describe('insertLayout', () => {
+        test('inserts each section with its contents at the index', () => {
+            const sections = parseLayout({
+                sections: [
+                    { rows: [{ columns: [{ width: '4_4', modules: [{ module_type: 'et_pb_text', settings: { content: 'Hi' } }] }] }] },
+                    { rows: [{ columns: [{ modules: [{ module_type: 'et_pb_button' }] }] }] },
+                ],
+            });
+
+            expect(adapter.insertLayout(sections, 1)).toEqual(['new1', 'new5']);
+            expect(engine.insertModule.mock.calls).toEqual([
+                [null, 'et_pb_section', 1, {}],
+                ['new1', 'et_pb_row', 0, { column_structure: '4_4' }],
+                ['new2', 'et_pb_column', 0, {}],
+                ['new3', 'et_pb_text', 0, { content: 'Hi' }],
+                [null, 'et_pb_section', 2, {}],
+                ['new5', 'et_pb_row', 0, {}],
+                ['new6', 'et_pb_column', 0, {}],
+                ['new7', 'et_pb_button', 0, {}],
+            ]);
+        });
+
+        test('skips sections that cannot be inserted', () => {
+            engine.insertModule.mockReturnValue(null);
+            const sections = parseLayout({ sections: [{ rows: [{ columns: [{ modules: [{ module_type: 'et_pb_text' }] }] }] }] });
+            expect(adapter.insertLayout(sections, 0)).toEqual([]);
+        });
+    });
+
+    test('structural calls fail safely without engine support', () => {
+        const bare = new DiviBuilderAdapter({ restUrl: '', nonce: '' }, {});
+        expect(bare.insertModule('col', 'et_pb_text', 0)).toBeNull();
+        expect(bare.duplicateModule('a')).toBeNull();
+        expect(bare.removeModule('a')).toBeNull();
+        expect(bare.moveModule('a', 'col', 0)).toBe(false);
+        expect(bare.unsetAttributes('a', ['title'])).toBe(false);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for FieldVariants.
+ */
+
+import {
+    getTarget,
+    isUnsupportedTarget,
+    variantKey,
+    parseVariantKey,
+    readVariant,
+    describeTarget,
+} from '../../adapter/FieldVariants';
+
+describe('FieldVariants', () => {
+    const responsive = { fieldName: 'text_orientation', responsive: true, hover: false };
+    const hoverable = { fieldName: 'text_color', responsive: false, hover: true };
+
+    // --- getTarget ---
+
+    describe('getTarget', () => {
+        test('targets a breakpoint on responsive fields', () => {
+            expect(getTarget(responsive, { breakpoint: 'phone' })).toEqual({ breakpoint: 'phone', state: null });
+        });
+
+        test('treats desktop as the base value', () => {
+            expect(getTarget(responsive, { breakpoint: 'desktop' })).toEqual({ breakpoint: null, state: null });
+        });
+
+        test('targets hover on fields with hover values', () => {
+            expect(getTarget(hoverable, { state: 'hover' })).toEqual({ breakpoint: null, state: 'hover' });
+        });
+
+        test('ignores variants the field does not support', () => {
+            expect(getTarget(hoverable, { breakpoint: 'tablet' })).toEqual({ breakpoint: null, state: null });
+            expect(getTarget(responsive, { state: 'hover' })).toEqual({ breakpoint: null, state: null });
+        });
+    });
+
+    // --- isUnsupportedTarget ---
+
+    describe('isUnsupportedTarget', () => {
+        test('flags a breakpoint on a non-responsive field', () => {
+            expect(isUnsupportedTarget({ fields: [hoverable], breakpoint: 'phone' })).toBe(true);
+        });
+
+        test('flags hover on a field without hover values', () => {
+            expect(isUnsupportedTarget({ fields: [responsive], state: 'hover' })).toBe(true);
+        });
+
+        test('accepts supported and base targets', () => {
+            expect(isUnsupportedTarget({ fields: [responsive], breakpoint: 'phone' })).toBe(false);
+            expect(isUnsupportedTarget({ fields: [hoverable], breakpoint: 'desktop' })).toBe(false);
+            expect(isUnsupportedTarget({ fields: [] })).toBe(false);
+        });
+    });
+
+    // --- variantKey / parseVariantKey ---
+
+    describe('variantKey / parseVariantKey', () => {
+        test('builds Divi 4 style keys', () => {
+            expect(variantKey('text_orientation')).toBe('text_orientation');
+            expect(variantKey('text_orientation', { breakpoint: 'tablet' })).toBe('text_orientation_tablet');
+            expect(variantKey('text_orientation', { breakpoint: 'phone' })).toBe('text_orientation_phone');
+            expect(variantKey('text_color', { state: 'hover' })).toBe('text_color__hover');
+        });
+
+        test('hover ignores the breakpoint', () => {
+            expect(variantKey('text_color', { breakpoint: 'phone', state: 'hover' })).toBe('text_color__hover');
+        });
+
+        test('parses keys back', () => {
+            expect(parseVariantKey('text_orientation_phone')).toEqual({ fieldName: 'text_orientation', breakpoint: 'phone', state: null });
+            expect(parseVariantKey('text_color__hover')).toEqual({ fieldName: 'text_color', breakpoint: null, state: 'hover' });
+            expect(parseVariantKey('text_color')).toEqual({ fieldName: 'text_color', breakpoint: null, state: null });
+        });
+    });
+
+    // --- readVariant ---
+
+    describe('readVariant', () => {
+        const data = { size: '20px', size_tablet: '16px', color: '#000' };
+
+        test('reads the variant value', () => {
+            expect(readVariant(data, 'size', { breakpoint: 'tablet' })).toBe('16px');
+        });
+
+        test('phone falls back to tablet, then desktop', () => {
+            expect(readVariant(data, 'size', { breakpoint: 'phone' })).toBe('16px');
+            expect(readVariant({ size: '20px' }, 'size', { breakpoint: 'phone' })).toBe('20px');
+        });
+
+        test('hover falls back to desktop', () => {
+            expect(readVariant(data, 'color', { state: 'hover' })).toBe('#000');
+        });
+
+        test('returns undefined when nothing is stored', () => {
+            expect(readVariant(data, 'missing')).toBeUndefined();
+            expect(readVariant(null, 'size')).toBeUndefined();
+        });
+    });
+
+    // --- describeTarget ---
+
+    describe('describeTarget', () => {
+        test('names the variant', () => {
+            expect(describeTarget({ breakpoint: 'phone' })).toBe('Phone');
+            expect(describeTarget({ state: 'hover' })).toBe('Hover');
+            expect(describeTarget({})).toBe('');
+        });
+    });
+});
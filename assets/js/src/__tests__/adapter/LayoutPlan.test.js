@@ -0,0 +1,136 @@
+/**
+ * Tests for LayoutPlan.
+ */
+
+import { parseLayout, validateLayout, getLayoutIndex } from '../../adapter/LayoutPlan';
+import { createNode, listModules } from '../../adapter/PageStructure';
+
+describe('LayoutPlan', () => {
+    const layout = {
+        sections: [
+            {
+                label: 'Hero',
+                rows: [
+                    {
+                        columns: [
+                            {
+                                width: '1_2',
+                                modules: [
+                                    { module_type: 'et_pb_heading', settings: { title: 'Grow faster' } },
+                                    { module_type: 'et_pb_button', settings: { button_text: 'Start', button_alignment: 'sideways' } },
+                                ],
+                            },
+                            { width: '1_2', modules: [{ module_type: 'et_pb_image', settings: {} }] },
+                        ],
+                    },
+                ],
+            },
+        ],
+        summary: 'A hero section',
+    };
+
+    describe('parseLayout', () => {
+        test('builds section, row, column and module nodes', () => {
+            const [section] = parseLayout(layout);
+            expect(section).toMatchObject({ type: 'et_pb_section', kind: 'section', label: 'Hero' });
+
+            const row = section.children[0];
+            expect(row).toMatchObject({ kind: 'row', settings: { column_structure: '1_2,1_2' } });
+            expect(row.children.map((column) => column.kind)).toEqual(['column', 'column']);
+            expect(row.children[0].children[0]).toMatchObject({
+                type: 'et_pb_heading',
+                kind: 'module',
+                excerpt: 'Grow faster',
+            });
+        });
+
+        test('gives every node a unique placeholder ID', () => {
+            const ids = [];
+            const collect = (nodes) => nodes.forEach((node) => {
+                ids.push(node.id);
+                collect(node.children);
+            });
+            collect(parseLayout(layout));
+            expect(new Set(ids).size).toBe(ids.length);
+        });
+
+        test('leaves out the column structure when a width is unknown', () => {
+            const [section] = parseLayout({
+                sections: [{ rows: [{ columns: [{ width: '5_7', modules: [{ module_type: 'et_pb_text' }] }] }] }],
+            });
+            expect(section.children[0].settings).toEqual({});
+        });
+
+        test('drops malformed parts and empty sections', () => {
+            expect(parseLayout(null)).toEqual([]);
+            expect(parseLayout({ sections: 'nope' })).toEqual([]);
+            expect(parseLayout({ sections: [{ rows: [{ columns: [] }] }, null] })).toEqual([]);
+            expect(parseLayout({
+                sections: [{ rows: [{ columns: [{ modules: [{ settings: {} }, 'x'] }] }] }],
+            })).toEqual([]);
+        });
+    });
+
+    describe('validateLayout', () => {
+        test('drops invalid settings and notes them', async () => {
+            const sections = parseLayout(layout);
+            const validate = jest.fn(async (changeset) => (changeset.module_type === 'et_pb_button'
+                ? { valid: false, errors: ['Field "button_alignment" must be one of: left, center, right'], invalid_fields: ['button_alignment'] }
+                : { valid: true, errors: [], invalid_fields: [] }));
+
+            const notes = await validateLayout(sections, validate);
+
+            expect(validate).toHaveBeenCalledTimes(3);
+            expect(validate).toHaveBeenCalledWith({
+                module_type: 'et_pb_heading',
+                changes: [{ field: 'title', new_value: 'Grow faster' }],
+            });
+            const button = listModules(sections).find((node) => node.type === 'et_pb_button');
+            expect(button.settings).toEqual({ button_text: 'Start' });
+            expect(notes).toEqual(['Button: Field "button_alignment" must be one of: left, center, right']);
+        });
+
+        test('removes modules of unknown types', async () => {
+            const sections = parseLayout(layout);
+            const notes = await validateLayout(sections, async (changeset) => (changeset.module_type === 'et_pb_image'
+                ? { valid: false, errors: ['Unknown module type: et_pb_image'], invalid_fields: [] }
+                : { valid: true }));
+
+            expect(listModules(sections).map((node) => node.type)).toEqual(['et_pb_heading', 'et_pb_button']);
+            expect(notes[0]).toMatch(/^Skipped a Image module/);
+        });
+
+        test('keeps the layout when validation requests fail', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const sections = parseLayout(layout);
+            const notes = await validateLayout(sections, async () => {
+                throw new Error('offline');
+            });
+            expect(notes).toEqual([]);
+            expect(listModules(sections)).toHaveLength(3);
+            warn.mockRestore();
+        });
+    });
+
+    describe('getLayoutIndex', () => {
+        const structure = [
+            createNode({ id: 's1', type: 'et_pb_section' }),
+            createNode({
+                id: 's2',
+                type: 'et_pb_section',
+                children: [createNode({ id: 'r', type: 'et_pb_row', children: [createNode({ id: 'm', type: 'et_pb_text' })] })],
+            }),
+            createNode({ id: 's3', type: 'et_pb_section' }),
+        ];
+
+        test('places the layout after the selected module\'s section', () => {
+            expect(getLayoutIndex(structure, 'm')).toBe(2);
+        });
+
+        test('places the layout at the end without a selection', () => {
+            expect(getLayoutIndex(structure, null)).toBe(3);
+            expect(getLayoutIndex(structure, 'nope')).toBe(3);
+            expect(getLayoutIndex(null, null)).toBe(0);
+        });
+    });
+});
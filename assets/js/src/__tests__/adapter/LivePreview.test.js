@@ -0,0 +1,91 @@
+/**
+ * Tests for LivePreview.
+ */
+
+import { LivePreview } from '../../adapter/LivePreview';
+
+describe('LivePreview', () => {
+    let adapter;
+    let preview;
+
+    beforeEach(() => {
+        adapter = {
+            getAffectedKeys: jest.fn((changes) => {
+                const keys = Object.keys(changes);
+                if (keys.includes('text_orientation_phone')) keys.push('text_orientation_last_edited');
+                return keys;
+            }),
+            applyChanges: jest.fn(() => true),
+            unsetAttributes: jest.fn(() => true),
+        };
+        preview = new LivePreview(adapter);
+    });
+
+    test('applies the values without touching anything else', () => {
+        expect(preview.isActive()).toBe(false);
+        expect(preview.show('m1', { text_color: '#f00' }, { text_color: '#000' })).toBe(true);
+        expect(adapter.applyChanges).toHaveBeenCalledWith('m1', { text_color: '#f00' });
+        expect(preview.isActive()).toBe(true);
+    });
+
+    test('reverts to the values from before the first preview', () => {
+        preview.show('m1', { text_color: '#f00' }, { text_color: '#000' });
+        preview.show('m1', { text_color: '#0f0' }, { text_color: '#f00' });
+
+        expect(preview.revert()).toBe(true);
+        expect(adapter.applyChanges).toHaveBeenLastCalledWith('m1', { text_color: '#000' });
+        expect(preview.isActive()).toBe(false);
+    });
+
+    test('restores mode flags along with the values', () => {
+        preview.show('m1', { text_orientation_phone: 'center' }, { text_orientation_phone: 'left', text_orientation_last_edited: 'off|desktop' });
+        preview.revert();
+
+        expect(adapter.applyChanges).toHaveBeenLastCalledWith('m1', {
+            text_orientation_phone: 'left',
+            text_orientation_last_edited: 'off|desktop',
+        });
+    });
+
+    test('restores attributes that are no longer previewed', () => {
+        preview.show('m1', { text_color: '#f00', title: 'New' }, { text_color: '#000', title: 'Old' });
+        preview.show('m1', { text_color: '#f00' }, { text_color: '#f00', title: 'New' });
+
+        expect(adapter.applyChanges).toHaveBeenLastCalledWith('m1', { title: 'Old', text_color: '#f00' });
+        preview.revert();
+        expect(adapter.applyChanges).toHaveBeenLastCalledWith('m1', { text_color: '#000' });
+    });
+
+    test('removes previewed keys the module did not have on cancel', () => {
+        preview.show('m1', { text_orientation_phone: 'center' }, { text_orientation: 'left' });
+        expect(preview.revert()).toBe(true);
+
+        expect(adapter.unsetAttributes).toHaveBeenCalledWith('m1', ['text_orientation_phone', 'text_orientation_last_edited']);
+        expect(adapter.applyChanges).toHaveBeenCalledTimes(1);
+    });
+
+    test('removes new keys that are no longer previewed', () => {
+        preview.show('m1', { text_color: '#f00', title: 'New' }, { text_color: '#000' });
+        preview.show('m1', { text_color: '#0f0' }, { text_color: '#f00', title: 'New' });
+
+        expect(adapter.unsetAttributes).toHaveBeenCalledWith('m1', ['title']);
+        expect(adapter.applyChanges).toHaveBeenLastCalledWith('m1', { text_color: '#0f0' });
+        preview.revert();
+        expect(adapter.unsetAttributes).toHaveBeenCalledTimes(1);
+        expect(adapter.applyChanges).toHaveBeenLastCalledWith('m1', { text_color: '#000' });
+    });
+
+    test('reverts the previous module before previewing another', () => {
+        preview.show('m1', { title: 'New' }, { title: 'Old' });
+        preview.show('m2', { title: 'Other' }, { title: 'Before' });
+
+        expect(adapter.applyChanges.mock.calls[1]).toEqual(['m1', { title: 'Old' }]);
+        preview.revert();
+        expect(adapter.applyChanges).toHaveBeenLastCalledWith('m2', { title: 'Before' });
+    });
+
+    test('does nothing on revert when nothing is previewed', () => {
+        expect(preview.revert()).toBe(false);
+        expect(adapter.applyChanges).not.toHaveBeenCalled();
+    });
+});
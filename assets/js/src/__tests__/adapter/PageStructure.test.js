@@ -0,0 +1,188 @@
+/**
+ * Tests for PageStructure.
+ */
+
+import {
+    getKind,
+    getLabel,
+    getExcerpt,
+    createNode,
+    walkStructure,
+    listModules,
+    isSameType,
+    findContainer,
+    locateNode,
+} from '../../adapter/PageStructure';
+
+describe('PageStructure', () => {
+    describe('getKind', () => {
+        test('recognizes Divi 4 and Divi 5 layout types', () => {
+            expect(getKind('et_pb_section')).toBe('section');
+            expect(getKind('et_pb_fullwidth_section')).toBe('section');
+            expect(getKind('divi/row-inner')).toBe('row');
+            expect(getKind('et_pb_column_inner')).toBe('column');
+        });
+
+        test('treats everything else as a module', () => {
+            expect(getKind('et_pb_text')).toBe('module');
+            expect(getKind('divi/button')).toBe('module');
+            expect(getKind('')).toBe('module');
+        });
+    });
+
+    describe('getLabel', () => {
+        test('uses the admin label when set', () => {
+            expect(getLabel('et_pb_text', { admin_label: '  Intro ' })).toBe('Intro');
+        });
+
+        test('falls back to the type name', () => {
+            expect(getLabel('et_pb_fullwidth_header', {})).toBe('Fullwidth Header');
+            expect(getLabel('divi/call-to-action', { admin_label: '' })).toBe('Call To Action');
+        });
+    });
+
+    describe('getExcerpt', () => {
+        test('prefers the title over the content', () => {
+            expect(getExcerpt({ title: 'Heading', content: 'Body' })).toBe('Heading');
+        });
+
+        test('strips markup and collapses whitespace', () => {
+            expect(getExcerpt({ content: '<p>Hello</p>\n<p>world</p>' })).toBe('Hello world');
+        });
+
+        test('truncates long text', () => {
+            const excerpt = getExcerpt({ content: 'word '.repeat(40) }, 20);
+            expect(excerpt.length).toBeLessThanOrEqual(20);
+            expect(excerpt.endsWith('…')).toBe(true);
+        });
+
+        test('returns an empty string without text', () => {
+            expect(getExcerpt({ content: '<img src="a.png">' })).toBe('');
+            expect(getExcerpt(null)).toBe('');
+        });
+    });
+
+    describe('createNode', () => {
+        test('only gives modules an excerpt', () => {
+            expect(createNode({ id: 's', type: 'et_pb_section', settings: { title: 'x' } }).excerpt).toBe('');
+            expect(createNode({ id: 'm', type: 'et_pb_text', settings: { content: 'x' } }).excerpt).toBe('x');
+        });
+
+        test('defaults settings and children', () => {
+            expect(createNode({ id: 'm', type: 'et_pb_text' })).toEqual({
+                id: 'm',
+                type: 'et_pb_text',
+                kind: 'module',
+                label: 'Text',
+                excerpt: '',
+                settings: {},
+                children: [],
+            });
+        });
+    });
+
+    describe('walkStructure / listModules', () => {
+        const tree = [
+            createNode({
+                id: 's',
+                type: 'et_pb_section',
+                children: [
+                    createNode({
+                        id: 'r',
+                        type: 'et_pb_row',
+                        children: [
+                            createNode({
+                                id: 'c',
+                                type: 'et_pb_column',
+                                children: [
+                                    createNode({ id: 'a', type: 'et_pb_text' }),
+                                    createNode({ id: 'b', type: 'et_pb_button' }),
+                                ],
+                            }),
+                        ],
+                    }),
+                ],
+            }),
+        ];
+
+        test('visits parents before children with depth', () => {
+            const visited = [];
+            walkStructure(tree, (node, parent, depth) => {
+                visited.push([node.id, parent ? parent.id : null, depth]);
+            });
+            expect(visited).toEqual([
+                ['s', null, 0],
+                ['r', 's', 1],
+                ['c', 'r', 2],
+                ['a', 'c', 3],
+                ['b', 'c', 3],
+            ]);
+        });
+
+        test('lists modules in page order', () => {
+            expect(listModules(tree).map((node) => node.id)).toEqual(['a', 'b']);
+            expect(listModules(null)).toEqual([]);
+        });
+    });
+
+    describe('isSameType', () => {
+        test('compares types across builder naming', () => {
+            expect(isSameType('et_pb_button', 'divi/button')).toBe(true);
+            expect(isSameType('et_pb_row_inner', 'divi/row-inner')).toBe(true);
+            expect(isSameType('et_pb_button', 'et_pb_blurb')).toBe(false);
+        });
+    });
+
+    describe('findContainer', () => {
+        const tree = [
+            createNode({
+                id: 's',
+                type: 'et_pb_section',
+                children: [
+                    createNode({
+                        id: 'r',
+                        type: 'et_pb_row',
+                        children: [createNode({ id: 'c', type: 'et_pb_column', children: [createNode({ id: 'm', type: 'et_pb_text' })] })],
+                    }),
+                ],
+            }),
+        ];
+
+        test('returns the nearest container of the kind', () => {
+            expect(findContainer(tree, 'm', 'section').id).toBe('s');
+            expect(findContainer(tree, 'm', 'column').id).toBe('c');
+            expect(findContainer(tree, 'r', 'row').id).toBe('r');
+        });
+
+        test('returns null for unknown nodes or kinds', () => {
+            expect(findContainer(tree, 'nope', 'section')).toBeNull();
+            expect(findContainer(tree, 's', 'column')).toBeNull();
+        });
+    });
+
+    describe('locateNode', () => {
+        const column = createNode({
+            id: 'c',
+            type: 'et_pb_column',
+            children: [createNode({ id: 'a', type: 'et_pb_text' }), createNode({ id: 'b', type: 'et_pb_button' })],
+        });
+        const tree = [createNode({ id: 's', type: 'et_pb_section', children: [column] })];
+
+        test('returns the node with its parent and position', () => {
+            const located = locateNode(tree, 'b');
+            expect(located.node.id).toBe('b');
+            expect(located.parent).toBe(column);
+            expect(located.index).toBe(1);
+            expect(located.siblings).toHaveLength(2);
+        });
+
+        test('has no parent for top-level nodes', () => {
+            expect(locateNode(tree, 's')).toMatchObject({ parent: null, index: 0 });
+        });
+
+        test('returns null for unknown nodes', () => {
+            expect(locateNode(tree, 'nope')).toBeNull();
+            expect(locateNode(null, 'a')).toBeNull();
+        });
+    });
+});
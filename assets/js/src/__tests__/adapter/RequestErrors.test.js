@@ -0,0 +1,51 @@
+/**
+ * Tests for RequestErrors.
+ */
+
+import {
+    RequestError,
+    NonceError,
+    AuthError,
+    ConfigError,
+    RateLimitError,
+    ProviderError,
+    ValidationError,
+    ParseError,
+    createRequestError,
+} from '../../adapter/RequestErrors';
+
+describe('RequestErrors', () => {
+    test('errors carry the code, status and data', () => {
+        const error = createRequestError(429, { code: 'anthropic_error', message: 'Rate limited', data: { status: 429, retry_after: '5' } });
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error).toBeInstanceOf(RequestError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('RateLimitError');
+        expect(error.message).toBe('Rate limited');
+        expect(error.code).toBe('anthropic_error');
+        expect(error.status).toBe(429);
+        expect(error.data).toEqual({ status: 429, retry_after: '5' });
+    });
+
+    test('reads the kind from the WP error code', () => {
+        expect(createRequestError(403, { code: 'rest_cookie_invalid_nonce' })).toBeInstanceOf(NonceError);
+        expect(createRequestError(403, { code: 'feature_disabled' })).toBeInstanceOf(ConfigError);
+        expect(createRequestError(500, { code: 'no_api_key' })).toBeInstanceOf(ConfigError);
+        expect(createRequestError(500, { code: 'parse_error' })).toBeInstanceOf(ParseError);
+        expect(createRequestError(529, { code: 'anthropic_error' })).toBeInstanceOf(ProviderError);
+        expect(createRequestError(500, { code: 'unknown_module' })).toBeInstanceOf(ValidationError);
+    });
+
+    test('falls back to the HTTP status', () => {
+        expect(createRequestError(401, { code: 'rest_not_logged_in' })).toBeInstanceOf(AuthError);
+        expect(createRequestError(403, { code: 'rest_forbidden' })).toBeInstanceOf(AuthError);
+        expect(createRequestError(400, { code: 'rest_invalid_param' })).toBeInstanceOf(ValidationError);
+        expect(createRequestError(404, {})).toBeInstanceOf(ValidationError);
+
+        const other = createRequestError(502, {});
+        expect(other.constructor).toBe(RequestError);
+        expect(other.message).toBe('Request failed: 502');
+        expect(other.code).toBe('');
+        expect(other.data).toBeNull();
+    });
+});
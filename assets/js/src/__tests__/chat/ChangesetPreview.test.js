@@ -3,6 +3,7 @@
  */
 
 import { ChangesetPreview } from '../../chat/ChangesetPreview';
+import { parseLayout } from '../../adapter/LayoutPlan';
 
 describe('ChangesetPreview', () => {
     let preview;
@@ -119,5 +120,490 @@ describe('ChangesetPreview', () => {
             expect(el.querySelector('.da-changeset-btn-apply').disabled).toBe(true);
             expect(el.querySelector('.da-changeset-btn-cancel').disabled).toBe(true);
         });
+
+        test('passes the checked changes to onApply', () => {
+            const onApply = jest.fn();
+            const changes = [
+                { field: 'a', label: 'A', old_value: '', new_value: '1' },
+                { field: 'b', label: 'B', old_value: '', new_value: '2' },
+            ];
+            const el = preview.renderWithActions(changes, { onApply, onCancel: jest.fn() });
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply).toHaveBeenCalledWith(changes);
+        });
+    });
+
+    // --- selective apply ---
+
+    describe('selective apply', () => {
+        const changes = [
+            { field: 'a', label: 'A', old_value: '', new_value: '1' },
+            { field: 'b', label: 'B', old_value: '', new_value: '2' },
+        ];
+
+        function uncheck(el, index) {
+            const box = el.querySelectorAll('.da-changeset-check')[index];
+            box.checked = false;
+            box.dispatchEvent(new Event('change'));
+        }
+
+        test('renders a checked checkbox per row', () => {
+            const el = preview.renderWithActions(changes, { onApply: jest.fn(), onCancel: jest.fn() });
+            const boxes = el.querySelectorAll('.da-changeset-check');
+            expect(boxes.length).toBe(2);
+            expect(Array.from(boxes).every((box) => box.checked)).toBe(true);
+        });
+
+        test('leaves unchecked rows out of onApply', () => {
+            const onApply = jest.fn();
+            const el = preview.renderWithActions(changes, { onApply, onCancel: jest.fn() });
+            uncheck(el, 0);
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply).toHaveBeenCalledWith([changes[1]]);
+        });
+
+        test('labels Apply with the selected count and marks skipped rows', () => {
+            const el = preview.renderWithActions(changes, { onApply: jest.fn(), onCancel: jest.fn() });
+            uncheck(el, 0);
+            expect(el.querySelector('.da-changeset-btn-apply').textContent).toBe('Apply 1 of 2');
+            expect(el.querySelectorAll('.da-changeset-item')[0].classList.contains('da-changeset-item-skipped')).toBe(true);
+        });
+
+        test('disables Apply when nothing is checked', () => {
+            const el = preview.renderWithActions(changes, { onApply: jest.fn(), onCancel: jest.fn() });
+            uncheck(el, 0);
+            uncheck(el, 1);
+            expect(el.querySelector('.da-changeset-btn-apply').disabled).toBe(true);
+        });
+
+        test('starts blocked changes unchecked and says why', () => {
+            const blocked = { field: 'c', label: 'C', old_value: '', new_value: 'x', issue: { level: 'error', message: 'Nope.' } };
+            const el = preview.renderWithActions([changes[0], blocked], { onApply: jest.fn(), onCancel: jest.fn() });
+            const rows = el.querySelectorAll('.da-changeset-item');
+            expect(rows[1].querySelector('.da-changeset-check').checked).toBe(false);
+            expect(rows[1].classList.contains('da-changeset-item-invalid')).toBe(true);
+            expect(rows[1].querySelector('.da-changeset-issue').textContent).toBe('Nope.');
+            expect(el.querySelector('.da-changeset-btn-apply').textContent).toBe('Apply 1 of 2');
+        });
+
+        test('disables the rows after Cancel', () => {
+            const el = preview.renderWithActions(changes, { onApply: jest.fn(), onCancel: jest.fn() });
+            el.querySelector('.da-changeset-btn-cancel').click();
+            expect(el.querySelector('.da-changeset-check').disabled).toBe(true);
+            expect(el.querySelector('.da-changeset-editor').disabled).toBe(true);
+        });
+    });
+
+    // --- live preview ---
+
+    describe('live preview', () => {
+        const changes = [
+            { field: 'a', label: 'A', old_value: '', new_value: '1' },
+            { field: 'b', label: 'B', old_value: '', new_value: '2' },
+        ];
+
+        function render(callbacks = {}) {
+            return preview.renderWithActions(changes, {
+                onApply: jest.fn(),
+                onCancel: jest.fn(),
+                onPreview: jest.fn(),
+                onEndPreview: jest.fn(),
+                ...callbacks,
+            });
+        }
+
+        test('has no Preview button without onPreview', () => {
+            const el = preview.renderWithActions(changes, { onApply: jest.fn(), onCancel: jest.fn() });
+            expect(el.querySelector('.da-changeset-btn-preview')).toBeNull();
+        });
+
+        test('toggles the preview with the checked changes', () => {
+            const onPreview = jest.fn();
+            const onEndPreview = jest.fn();
+            const el = render({ onPreview, onEndPreview });
+            const button = el.querySelector('.da-changeset-btn-preview');
+
+            button.click();
+            expect(onPreview).toHaveBeenCalledWith(changes);
+            expect(button.textContent).toBe('Stop Preview');
+            expect(button.getAttribute('aria-pressed')).toBe('true');
+
+            button.click();
+            expect(onEndPreview).toHaveBeenCalledTimes(1);
+            expect(button.textContent).toBe('Preview');
+        });
+
+        test('shows row changes while previewing', () => {
+            const onPreview = jest.fn();
+            const el = render({ onPreview });
+            el.querySelector('.da-changeset-btn-preview').click();
+
+            const box = el.querySelector('.da-changeset-check');
+            box.checked = false;
+            box.dispatchEvent(new Event('change'));
+            expect(onPreview).toHaveBeenLastCalledWith([changes[1]]);
+        });
+
+        test('ends the preview before Apply and Cancel', () => {
+            const order = [];
+            const el = render({
+                onApply: () => order.push('apply'),
+                onEndPreview: () => order.push('end'),
+            });
+            el.querySelector('.da-changeset-btn-preview').click();
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(order).toEqual(['end', 'apply']);
+            expect(el.querySelector('.da-changeset-btn-preview').disabled).toBe(true);
+
+            const onCancel = jest.fn();
+            const onEndPreview = jest.fn();
+            const other = render({ onCancel, onEndPreview });
+            other.querySelector('.da-changeset-btn-preview').click();
+            other.querySelector('.da-changeset-btn-cancel').click();
+            expect(onEndPreview).toHaveBeenCalledTimes(1);
+            expect(onCancel).toHaveBeenCalled();
+        });
+
+        test('keeps one preview at a time', () => {
+            const firstEnd = jest.fn();
+            const first = render({ onEndPreview: firstEnd });
+            const second = render();
+            first.querySelector('.da-changeset-btn-preview').click();
+            second.querySelector('.da-changeset-btn-preview').click();
+            expect(firstEnd).toHaveBeenCalledTimes(1);
+            expect(first.querySelector('.da-changeset-btn-preview').textContent).toBe('Preview');
+        });
+
+        test('endPreview() takes the active preview back', () => {
+            const onEndPreview = jest.fn();
+            const el = render({ onEndPreview });
+            expect(preview.endPreview()).toBe(false);
+
+            el.querySelector('.da-changeset-btn-preview').click();
+            expect(preview.endPreview()).toBe(true);
+            expect(onEndPreview).toHaveBeenCalledTimes(1);
+            expect(preview.endPreview()).toBe(false);
+        });
+    });
+
+    // --- grouped changesets ---
+
+    describe('renderGroupsWithActions', () => {
+        const groups = [
+            {
+                moduleId: 'b1',
+                label: 'Button',
+                excerpt: 'Learn more',
+                changes: [
+                    { field: 'a', label: 'A', old_value: '', new_value: '1' },
+                    { field: 'b', label: 'B', old_value: '', new_value: '2' },
+                ],
+            },
+            {
+                moduleId: 'b2',
+                label: 'Button',
+                changes: [{ field: 'a', label: 'A', old_value: '', new_value: '3' }],
+            },
+        ];
+
+        function uncheck(el, index) {
+            const box = el.querySelectorAll('.da-changeset-check')[index];
+            box.checked = false;
+            box.dispatchEvent(new Event('change'));
+        }
+
+        test('renders one section per module with its label and excerpt', () => {
+            const el = preview.renderGroupsWithActions(groups, { onApply: jest.fn(), onCancel: jest.fn() });
+            const sections = el.querySelectorAll('.da-changeset-group');
+            expect(el.querySelector('.da-changeset-preview-title').textContent).toBe('Proposed Changes (2 modules)');
+            expect(sections.length).toBe(2);
+            expect(sections[0].dataset.moduleId).toBe('b1');
+            expect(sections[0].querySelector('.da-changeset-group-excerpt').textContent).toBe('\u201cLearn more\u201d');
+            expect(sections[0].querySelectorAll('.da-changeset-item').length).toBe(2);
+            expect(sections[1].querySelector('.da-changeset-group-excerpt')).toBeNull();
+        });
+
+        test('counts rows across groups', () => {
+            const el = preview.renderGroupsWithActions(groups, { onApply: jest.fn(), onCancel: jest.fn() });
+            uncheck(el, 1);
+            expect(el.querySelector('.da-changeset-btn-apply').textContent).toBe('Apply 2 of 3');
+        });
+
+        test('applies the checked changes grouped by module, dropping empty groups', () => {
+            const onApply = jest.fn();
+            const el = preview.renderGroupsWithActions(groups, { onApply, onCancel: jest.fn() });
+            uncheck(el, 0);
+            uncheck(el, 2);
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply).toHaveBeenCalledWith([{ ...groups[0], changes: [groups[0].changes[1]] }]);
+        });
+
+        test('calls onCancel and locks every row', () => {
+            const onCancel = jest.fn();
+            const el = preview.renderGroupsWithActions(groups, { onApply: jest.fn(), onCancel });
+            el.querySelector('.da-changeset-btn-cancel').click();
+            expect(onCancel).toHaveBeenCalled();
+            expect(Array.from(el.querySelectorAll('.da-changeset-check')).every((box) => box.disabled)).toBe(true);
+        });
+    });
+
+    // --- layout preview ---
+
+    describe('renderLayoutWithActions', () => {
+        const sections = parseLayout({
+            sections: [{
+                label: 'Hero',
+                rows: [{
+                    columns: [
+                        { width: '1_2', modules: [{ module_type: 'et_pb_heading', settings: { title: 'Grow faster' } }] },
+                        { width: '1_2', modules: [{ module_type: 'et_pb_button', settings: { button_text: 'Start' } }] },
+                    ],
+                }],
+            }],
+        });
+
+        test('renders the layout as an outline', () => {
+            const el = preview.renderLayoutWithActions(sections, { onApply: jest.fn(), onCancel: jest.fn() });
+            expect(el.querySelector('.da-changeset-preview-title').textContent).toBe('Proposed Layout (1 section)');
+            expect(el.querySelector('.da-layout-section > .da-layout-label').textContent).toBe('Hero');
+            expect(el.querySelector('.da-layout-row > .da-layout-label').textContent).toBe('Row (1/2 + 1/2)');
+            expect(el.querySelectorAll('.da-layout-column').length).toBe(2);
+
+            const modules = el.querySelectorAll('.da-layout-module');
+            expect(modules.length).toBe(2);
+            expect(modules[0].querySelector('.da-changeset-group-excerpt').textContent).toBe('\u201cGrow faster\u201d');
+        });
+
+        test('lists validation notes', () => {
+            const el = preview.renderLayoutWithActions(sections, { onApply: jest.fn(), onCancel: jest.fn() }, ['Button: bad value']);
+            expect(el.querySelector('.da-layout-notes').textContent).toBe('Button: bad value');
+        });
+
+        test('calls onApply and locks the buttons', () => {
+            const onApply = jest.fn();
+            const el = preview.renderLayoutWithActions(sections, { onApply, onCancel: jest.fn() });
+            const apply = el.querySelector('.da-changeset-btn-apply');
+            apply.click();
+            expect(onApply).toHaveBeenCalledTimes(1);
+            expect(apply.disabled).toBe(true);
+        });
+    });
+
+    // --- inline editors ---
+
+    describe('renderConflictsWithActions', () => {
+        const conflicts = [
+            { field: 'title', label: 'Title', original: 'Hello', current: 'Hi there', new_value: 'Welcome' },
+            { field: 'text_color', label: 'Text Color', type: 'color', original: '', current: '#000000', new_value: '#ff0000' },
+        ];
+
+        test('shows the original, current and proposed value of each field', () => {
+            const el = preview.renderConflictsWithActions(conflicts, { onApply: jest.fn(), onCancel: jest.fn() });
+            const rows = el.querySelectorAll('.da-conflict-item');
+            expect(rows.length).toBe(2);
+            expect(Array.from(rows[0].querySelectorAll('.da-conflict-caption')).map((c) => c.textContent))
+                .toEqual(['Original', 'Current', 'Proposed']);
+            expect(Array.from(rows[0].querySelectorAll('.da-conflict-value')).map((v) => v.textContent))
+                .toEqual(['Hello', 'Hi there', 'Welcome']);
+            expect(rows[1].querySelectorAll('.da-changeset-swatch').length).toBe(2);
+        });
+
+        test('keeps the current values unless another is picked', () => {
+            const onApply = jest.fn();
+            const el = preview.renderConflictsWithActions(conflicts, { onApply, onCancel: jest.fn() });
+            el.querySelector('.da-conflict-item[data-field="title"] input[value="proposed"]').checked = true;
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply).toHaveBeenCalledWith({ title: 'proposed', text_color: 'current' });
+            expect(Array.from(el.querySelectorAll('input')).every((input) => input.disabled)).toBe(true);
+        });
+
+        test('calls onCancel', () => {
+            const onCancel = jest.fn();
+            const el = preview.renderConflictsWithActions(conflicts, { onApply: jest.fn(), onCancel });
+            el.querySelector('.da-changeset-btn-cancel').click();
+            expect(onCancel).toHaveBeenCalled();
+        });
+    });
+
+    describe('inline editors', () => {
+        function renderOne(change, onApply = jest.fn()) {
+            return preview.renderWithActions([change], { onApply, onCancel: jest.fn() });
+        }
+
+        test('uses a dropdown for select fields', () => {
+            const el = renderOne({
+                field: 'text_orientation', label: 'Alignment', old_value: 'left', new_value: 'center',
+                type: 'select', options: { left: 'Left', center: 'Center', right: 'Right' },
+            });
+            const select = el.querySelector('select.da-changeset-editor');
+            expect(select).not.toBeNull();
+            expect(select.value).toBe('center');
+            expect(select.options.length).toBe(3);
+        });
+
+        test('keeps an unknown select value as an option', () => {
+            const el = renderOne({
+                field: 'f', label: 'F', old_value: '', new_value: 'justified',
+                type: 'select', options: { left: 'Left' },
+            });
+            expect(el.querySelector('select').value).toBe('justified');
+        });
+
+        test('uses a color picker for hex colors', () => {
+            const el = renderOne({ field: 'c', label: 'C', old_value: '', new_value: '#F00', type: 'color' });
+            const input = el.querySelector('.da-changeset-editor');
+            expect(input.type).toBe('color');
+            expect(input.value).toBe('#ff0000');
+        });
+
+        test('falls back to text for rgba colors', () => {
+            const el = renderOne({ field: 'c', label: 'C', old_value: '', new_value: 'rgba(0,0,0,0.5)', type: 'color' });
+            const input = el.querySelector('.da-changeset-editor');
+            expect(input.type).toBe('text');
+            expect(input.value).toBe('rgba(0,0,0,0.5)');
+        });
+
+        test('uses a toggle for yes/no fields', () => {
+            const onApply = jest.fn();
+            const el = renderOne({ field: 'show', label: 'Show', old_value: 'off', new_value: 'on', type: 'yes_no' }, onApply);
+            const toggle = el.querySelector('.da-changeset-toggle input');
+            expect(toggle.checked).toBe(true);
+            toggle.checked = false;
+            toggle.dispatchEvent(new Event('change'));
+            expect(el.querySelector('.da-changeset-toggle span').textContent).toBe('No');
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply.mock.calls[0][0][0].new_value).toBe('off');
+        });
+
+        test('passes an edited text value to onApply', () => {
+            const onApply = jest.fn();
+            const el = renderOne({ field: 'size', label: 'Size', old_value: '14px', new_value: '18px' }, onApply);
+            const input = el.querySelector('.da-changeset-editor');
+            input.value = '20px';
+            input.dispatchEvent(new Event('input'));
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply).toHaveBeenCalledWith([expect.objectContaining({ field: 'size', new_value: '20px' })]);
+        });
+
+        test('editing an unchecked row checks it again', () => {
+            const el = renderOne({ field: 'size', label: 'Size', old_value: '', new_value: '18px' });
+            const box = el.querySelector('.da-changeset-check');
+            box.checked = false;
+            box.dispatchEvent(new Event('change'));
+            const input = el.querySelector('.da-changeset-editor');
+            input.value = '20px';
+            input.dispatchEvent(new Event('input'));
+            expect(box.checked).toBe(true);
+            expect(el.querySelector('.da-changeset-btn-apply').disabled).toBe(false);
+        });
+
+        test('passes unedited values through verbatim', () => {
+            const onApply = jest.fn();
+            const el = renderOne({ field: 'c', label: 'C', old_value: '', new_value: '#F00', type: 'color' }, onApply);
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply.mock.calls[0][0][0].new_value).toBe('#F00');
+        });
+
+        test('shows rich text as a read-only diff', () => {
+            const onApply = jest.fn();
+            const el = renderOne({ field: 'content', label: 'Body', old_value: '', new_value: '<p>Hello</p>', type: 'tiny_mce' }, onApply);
+            expect(el.querySelector('.da-changeset-diff').textContent).toBe('Hello');
+            expect(el.querySelector('.da-changeset-editor')).toBeNull();
+            el.querySelector('.da-changeset-btn-apply').click();
+            expect(onApply.mock.calls[0][0][0].new_value).toBe('<p>Hello</p>');
+        });
+
+        test('shows a thumbnail next to the URL for uploads', () => {
+            const el = renderOne({ field: 'image', label: 'Image', old_value: '', new_value: 'https://example.com/a.jpg', type: 'upload' });
+            expect(el.querySelector('.da-changeset-upload .da-changeset-thumb').getAttribute('src')).toBe('https://example.com/a.jpg');
+            expect(el.querySelector('.da-changeset-upload .da-changeset-editor').value).toBe('https://example.com/a.jpg');
+        });
+    });
+
+    // --- type-aware values ---
+
+    describe('type-aware values', () => {
+        test('shows color swatches for both values', () => {
+            const el = preview.render([{ field: 'c', label: 'C', old_value: '#ff0000', new_value: '#0000ff', type: 'color' }]);
+            const swatches = el.querySelectorAll('.da-changeset-swatch');
+            expect(swatches.length).toBe(2);
+            expect(swatches[0].style.background).toBe('rgb(255, 0, 0)');
+            expect(el.querySelector('.da-changeset-new').textContent).toBe('#0000ff');
+        });
+
+        test('shows thumbnails for uploads', () => {
+            const el = preview.render([{
+                field: 'image', label: 'Image', type: 'upload',
+                old_value: 'https://example.com/old.jpg', new_value: 'https://example.com/new.jpg',
+            }]);
+            const thumbs = el.querySelectorAll('.da-changeset-thumb');
+            expect(thumbs.length).toBe(2);
+            expect(thumbs[1].getAttribute('src')).toBe('https://example.com/new.jpg');
+            expect(el.querySelector('.da-changeset-new .da-changeset-filename').textContent).toBe('new.jpg');
+        });
+
+        test('shows Yes/No pills for toggles', () => {
+            const el = preview.render([{ field: 'show', label: 'Show', old_value: 'off', new_value: 'on', type: 'yes_no' }]);
+            expect(el.querySelector('.da-changeset-old .da-changeset-pill-off').textContent).toBe('No');
+            expect(el.querySelector('.da-changeset-new .da-changeset-pill-on').textContent).toBe('Yes');
+        });
+
+        test('shows a word diff for rich text', () => {
+            const el = preview.render([{
+                field: 'content', label: 'Body', type: 'tiny_mce',
+                old_value: '<p>Welcome to our shop</p>', new_value: '<p>Welcome to our new store</p>',
+            }]);
+            expect(el.querySelector('.da-changeset-old')).toBeNull();
+            expect(el.querySelector('.da-changeset-diff del').textContent).toBe('shop');
+            expect(el.querySelector('.da-changeset-diff ins').textContent).toBe('new store');
+        });
+
+        test('notes markup-only rich text changes', () => {
+            const el = preview.render([{
+                field: 'content', label: 'Body', type: 'tiny_mce',
+                old_value: '<p>Hi</p>', new_value: '<p><strong>Hi</strong></p>',
+            }]);
+            expect(el.querySelector('.da-changeset-diff-note').textContent).toBe('Formatting changes only');
+        });
+
+        test('shows a line diff for CSS', () => {
+            const el = preview.render([{
+                field: 'custom_css_main_element', label: 'Main Element', type: 'custom_css',
+                old_value: 'color: red;\nmargin: 0;', new_value: 'color: blue;\nmargin: 0;',
+            }]);
+            const lines = el.querySelectorAll('.da-changeset-diff-line');
+            expect(Array.from(lines).map((line) => line.textContent)).toEqual([
+                '- color: red;',
+                '+ color: blue;',
+                '  margin: 0;',
+            ]);
+        });
+
+        test('shows one line per changed part of a compound value', () => {
+            const el = preview.render([{
+                field: 'header_font', label: 'Title Font', type: 'font',
+                old_value: 'Open Sans|400|||||||', new_value: 'Open Sans|700|on||||||',
+            }]);
+            const lines = el.querySelectorAll('.da-changeset-diff-parts .da-changeset-part');
+            expect(Array.from(lines).map((line) => line.dataset.part)).toEqual(['weight', 'italic']);
+            expect(lines[0].querySelector('.da-changeset-part-label').textContent).toBe('Weight');
+            expect(lines[0].querySelector('.da-changeset-new').textContent).toBe('700');
+            expect(lines[1].querySelector('.da-changeset-new .da-changeset-pill-on').textContent).toBe('Yes');
+        });
+
+        test('notes corrected values under the row', () => {
+            const el = preview.render([{
+                field: 'c', label: 'C', old_value: '', new_value: '#ff0000', type: 'color',
+                issue: { level: 'fixed', message: 'Corrected from "red".' },
+            }]);
+            expect(el.querySelector('.da-changeset-item').classList.contains('da-changeset-item-fixed')).toBe(true);
+            expect(el.querySelector('.da-changeset-issue').textContent).toBe('Corrected from "red".');
+        });
+
+        test('falls back to text without a type', () => {
+            const el = preview.render([{ field: 'c', label: 'C', old_value: '#ff0000', new_value: '#0000ff' }]);
+            expect(el.querySelector('.da-changeset-swatch')).toBeNull();
+            expect(el.querySelector('.da-changeset-new').textContent).toBe('#0000ff');
+        });
     });
 });
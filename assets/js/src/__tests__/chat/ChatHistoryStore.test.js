@@ -0,0 +1,74 @@
+/**
+ * Tests for ChatHistoryStore.
+ */
+
+import { ChatHistoryStore } from '../../chat/ChatHistoryStore';
+
+describe('ChatHistoryStore', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('keeps transcripts per module in memory', () => {
+        const store = new ChatHistoryStore();
+        store.save('m1', '<div>one</div>');
+        store.save('m2', '<div>two</div>');
+        expect(store.get('m1')).toBe('<div>one</div>');
+        expect(store.get('m2')).toBe('<div>two</div>');
+        expect(store.get('m3')).toBeNull();
+    });
+
+    test('ignores saves without a module ID', () => {
+        const store = new ChatHistoryStore();
+        store.save(null, '<div>x</div>');
+        expect(store.transcripts).toEqual({});
+    });
+
+    test('clear removes a transcript', () => {
+        const store = new ChatHistoryStore();
+        store.save('m1', '<div>one</div>');
+        store.clear('m1');
+        expect(store.get('m1')).toBeNull();
+    });
+
+    test('does not touch localStorage unless persistence is enabled', () => {
+        const store = new ChatHistoryStore({ postId: 12 });
+        store.save('m1', '<div>one</div>');
+        expect(localStorage.getItem('diviAnchorChat:12')).toBeNull();
+    });
+
+    test('needs a post ID to persist', () => {
+        const store = new ChatHistoryStore({ persist: true });
+        expect(store.persist).toBe(false);
+    });
+
+    test('persists transcripts per post and reloads them', () => {
+        const store = new ChatHistoryStore({ postId: 12, persist: true });
+        store.save('m1', '<div>one</div>');
+
+        const reloaded = new ChatHistoryStore({ postId: 12, persist: true });
+        expect(reloaded.get('m1')).toBe('<div>one</div>');
+
+        const otherPost = new ChatHistoryStore({ postId: 13, persist: true });
+        expect(otherPost.get('m1')).toBeNull();
+    });
+
+    test('survives unreadable saved data', () => {
+        localStorage.setItem('diviAnchorChat:12', '{not json');
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const store = new ChatHistoryStore({ postId: 12, persist: true });
+        expect(store.get('m1')).toBeNull();
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test('survives a storage that throws', () => {
+        const storage = { getItem: () => null, setItem: () => { throw new Error('quota'); } };
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const store = new ChatHistoryStore({ postId: 12, persist: true, storage });
+        store.save('m1', '<div>one</div>');
+        expect(store.get('m1')).toBe('<div>one</div>');
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
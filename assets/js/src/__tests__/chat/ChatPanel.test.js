@@ -107,6 +107,66 @@ describe('ChatPanel', () => {
         });
     });
 
+    // --- appendStopButton ---
+
+    describe('appendStopButton', () => {
+        test('appends a Stop button that calls back once', () => {
+            panel.mount();
+            const msgEl = panel.addMessage('Analyzing your request...', 'assistant');
+            const onStop = jest.fn();
+            const btn = panel.appendStopButton(msgEl, onStop);
+            expect(msgEl.querySelector('.da-msg-content').textContent).toBe('Analyzing your request...');
+            btn.click();
+            btn.click();
+            expect(onStop).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    // --- appendRecovery ---
+
+    describe('appendRecovery', () => {
+        test('appends a Retry button', () => {
+            panel.mount();
+            const msgEl = panel.addMessage('Timed out.', 'error');
+            const onRetry = jest.fn();
+            panel.appendRecovery(msgEl, 'retry', { onRetry }).click();
+            expect(onRetry).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    // --- appendChoices ---
+
+    describe('appendChoices', () => {
+        const choices = [
+            { fieldName: 'module_class', label: 'CSS Class', detail: 'Advanced › Custom CSS' },
+            { fieldName: 'module_id', label: 'CSS ID', detail: 'Advanced › Custom CSS' },
+        ];
+
+        test('renders one chip per choice', () => {
+            panel.mount();
+            const msgEl = panel.addMessage('Which one?', 'assistant');
+            panel.appendChoices(msgEl, choices, jest.fn());
+            const chips = msgEl.querySelectorAll('.da-choice-chip');
+            expect(chips).toHaveLength(2);
+            expect(chips[0].querySelector('.da-choice-label').textContent).toBe('CSS Class');
+            expect(chips[0].querySelector('.da-choice-detail').textContent).toBe('Advanced › Custom CSS');
+        });
+
+        test('clicking a chip calls back once and disables the group', () => {
+            panel.mount();
+            const msgEl = panel.addMessage('Which one?', 'assistant');
+            const onPick = jest.fn();
+            panel.appendChoices(msgEl, choices, onPick);
+            const chips = msgEl.querySelectorAll('.da-choice-chip');
+            chips[1].click();
+            chips[0].click();
+            expect(onPick).toHaveBeenCalledTimes(1);
+            expect(onPick).toHaveBeenCalledWith(choices[1]);
+            expect(chips[0].disabled).toBe(true);
+            expect(chips[1].classList.contains('da-choice-chip-picked')).toBe(true);
+        });
+    });
+
     // --- toggleCollapse ---
 
     describe('toggleCollapse', () => {
@@ -0,0 +1,105 @@
+/**
+ * Tests for TextDiff.
+ */
+
+import { diffTokens, diffWords, diffLines, htmlToText } from '../../chat/TextDiff';
+
+describe('TextDiff', () => {
+    // --- diffTokens ---
+
+    describe('diffTokens', () => {
+        test('returns a single equal op for identical input', () => {
+            expect(diffTokens(['a', 'b'], ['a', 'b'])).toEqual([{ op: 'equal', text: 'ab' }]);
+        });
+
+        test('finds an insertion in the middle', () => {
+            expect(diffTokens(['a', 'c'], ['a', 'b', 'c'])).toEqual([
+                { op: 'equal', text: 'a' },
+                { op: 'insert', text: 'b' },
+                { op: 'equal', text: 'c' },
+            ]);
+        });
+
+        test('lists a deletion before the insertion that replaces it', () => {
+            expect(diffTokens(['a', 'x', 'c'], ['a', 'y', 'c'])).toEqual([
+                { op: 'equal', text: 'a' },
+                { op: 'delete', text: 'x' },
+                { op: 'insert', text: 'y' },
+                { op: 'equal', text: 'c' },
+            ]);
+        });
+
+        test('handles empty sides', () => {
+            expect(diffTokens([], ['a'])).toEqual([{ op: 'insert', text: 'a' }]);
+            expect(diffTokens(['a'], [])).toEqual([{ op: 'delete', text: 'a' }]);
+            expect(diffTokens([], [])).toEqual([]);
+        });
+
+        test('falls back to a full replacement for very large inputs', () => {
+            const a = Array.from({ length: 600 }, (_, i) => `a${i}`);
+            const b = Array.from({ length: 600 }, (_, i) => `b${i}`);
+            const ops = diffTokens(a, b);
+            expect(ops.map((part) => part.op)).toEqual(['delete', 'insert']);
+        });
+    });
+
+    // --- diffWords ---
+
+    describe('diffWords', () => {
+        test('marks changed words and keeps whitespace', () => {
+            const ops = diffWords('Hello big world', 'Hello small world');
+            expect(ops).toEqual([
+                { op: 'equal', text: 'Hello ' },
+                { op: 'delete', text: 'big' },
+                { op: 'insert', text: 'small' },
+                { op: 'equal', text: ' world' },
+            ]);
+        });
+
+        test('joins back into the old and new text', () => {
+            const ops = diffWords('one two three', 'one three four');
+            const oldText = ops.filter((p) => p.op !== 'insert').map((p) => p.text).join('');
+            const newText = ops.filter((p) => p.op !== 'delete').map((p) => p.text).join('');
+            expect(oldText).toBe('one two three');
+            expect(newText).toBe('one three four');
+        });
+    });
+
+    // --- diffLines ---
+
+    describe('diffLines', () => {
+        test('returns one op per line', () => {
+            const ops = diffLines('a {\n  color: red;\n}', 'a {\n  color: blue;\n}');
+            expect(ops).toEqual([
+                { op: 'equal', text: 'a {\n' },
+                { op: 'delete', text: '  color: red;\n' },
+                { op: 'insert', text: '  color: blue;\n' },
+                { op: 'equal', text: '}' },
+            ]);
+        });
+
+        test('splits merged runs back into lines', () => {
+            const ops = diffLines('', 'one\ntwo');
+            expect(ops).toEqual([
+                { op: 'insert', text: 'one\n' },
+                { op: 'insert', text: 'two' },
+            ]);
+        });
+    });
+
+    // --- htmlToText ---
+
+    describe('htmlToText', () => {
+        test('strips tags and breaks blocks into lines', () => {
+            expect(htmlToText('<p>Hello <strong>there</strong></p><p>World</p>')).toBe('Hello there\nWorld');
+        });
+
+        test('decodes common entities', () => {
+            expect(htmlToText('Fish &amp; chips&nbsp;&lt;3')).toBe('Fish & chips <3');
+        });
+
+        test('handles empty input', () => {
+            expect(htmlToText(null)).toBe('');
+        });
+    });
+});
@@ -5,12 +5,37 @@
 import {
     COMPLEX_FIELD_TYPES,
     isSimpleLocalChange,
+    isCompoundLocalChange,
+    buildLocalChanges,
     resolveLocalValue,
+    getCurrentValue,
+    getOldValue,
     needsAI,
+    withFieldHints,
     changesetToMap,
+    findScopeTargets,
+    buildBatchGroups,
+    resolveMoveTarget,
     formatMarkdown,
     formatAIError,
+    describeAIError,
+    formatBlockedChanges,
+    findConflicts,
+    resolveConflicts,
 } from '../../helpers';
+import { createNode } from '../../adapter/PageStructure';
+import {
+    RequestError,
+    NetworkError,
+    TimeoutError,
+    NonceError,
+    AuthError,
+    ConfigError,
+    RateLimitError,
+    ProviderError,
+    ValidationError,
+    ParseError,
+} from '../../adapter/RequestErrors';
 
 describe('helpers', () => {
 
@@ -56,6 +81,93 @@ describe('helpers', () => {
         test('returns null for empty value string', () => {
             expect(resolveLocalValue({ action: 'change', value: '' })).toBeNull();
         });
+
+        test('resolves a relative change against module data', () => {
+            const intent = {
+                action: 'change',
+                value: null,
+                relative: { kind: 'size', direction: 1, amount: 10, unit: 'px', magnitude: 'normal' },
+                fields: [{ fieldName: 'divider_weight', default: '1px' }],
+            };
+            expect(resolveLocalValue(intent, { divider_weight: '20px' })).toBe('30px');
+        });
+
+        test('falls back to the schema default for relative changes', () => {
+            const intent = {
+                action: 'change',
+                value: null,
+                relative: { kind: 'size', direction: 1, amount: 2, unit: 'px', magnitude: 'normal' },
+                fields: [{ fieldName: 'divider_weight', default: '1px' }],
+            };
+            expect(resolveLocalValue(intent, {})).toBe('3px');
+        });
+
+        test('returns null for a relative change without fields', () => {
+            expect(resolveLocalValue({ action: 'change', relative: { kind: 'size', direction: 1 }, fields: [] })).toBeNull();
+        });
+
+        test('changes the named parts of a compound value', () => {
+            const fields = [{ fieldName: 'custom_padding', type: 'custom_padding', default: '' }];
+            const data = { custom_padding: '10px|10px|10px|10px|false|false' };
+            expect(resolveLocalValue({ action: 'change', value: '20px', parts: ['top'], fields }, data))
+                .toBe('20px|10px|10px|10px|false|false');
+            expect(resolveLocalValue({
+                action: 'change',
+                value: null,
+                relative: { kind: 'size', direction: 1, amount: 5, unit: 'px', magnitude: 'normal' },
+                parts: ['left', 'right'],
+                fields,
+            }, data)).toBe('10px|15px|10px|15px|false|false');
+        });
+
+        test('switches compound flags on and off', () => {
+            const fields = [{ fieldName: 'header_font', type: 'font', default: '' }];
+            expect(resolveLocalValue({ action: 'disable', parts: ['italic'], fields }, { header_font: 'Lato|400|on||||||' }))
+                .toBe('Lato|400|||||||');
+        });
+    });
+
+    // --- getCurrentValue ---
+
+    describe('getCurrentValue', () => {
+        test('reads the module value', () => {
+            expect(getCurrentValue({ fieldName: 'a', default: 'x' }, { a: 'y' })).toBe('y');
+        });
+
+        test('falls back to the default for empty values', () => {
+            expect(getCurrentValue({ fieldName: 'a', default: 'x' }, { a: '' })).toBe('x');
+        });
+
+        test('returns empty string without value or default', () => {
+            expect(getCurrentValue({ fieldName: 'a' }, null)).toBe('');
+        });
+
+        test('reads the value in effect for a breakpoint', () => {
+            const data = { a: 'left', a_tablet: 'center' };
+            expect(getCurrentValue({ fieldName: 'a' }, data, { breakpoint: 'phone' })).toBe('center');
+        });
+    });
+
+    // --- getOldValue ---
+
+    describe('getOldValue', () => {
+        const field = { fieldName: 'text_orientation' };
+
+        test('reads the stored value of the key', () => {
+            expect(getOldValue('text_orientation', field, { text_orientation: 'left' })).toBe('left');
+            expect(getOldValue('text_orientation_phone', field, { text_orientation_phone: 'right' })).toBe('right');
+        });
+
+        test('shows the inherited value of an unset variant key', () => {
+            const data = { text_orientation: 'left', text_orientation_tablet: 'center' };
+            expect(getOldValue('text_orientation_phone', field, data)).toBe('center');
+            expect(getOldValue('text_orientation__hover', field, data)).toBe('left');
+        });
+
+        test('returns empty string for unknown or unset keys', () => {
+            expect(getOldValue('title', null, {})).toBe('');
+            expect(getOldValue('text_orientation_tablet', field, null)).toBe('');
+        });
     });
 
     // --- isSimpleLocalChange ---
@@ -117,6 +229,43 @@ describe('helpers', () => {
         test('returns false when no value on change', () => {
             expect(isSimpleLocalChange(makeIntent({ value: null }))).toBe(false);
         });
+
+        test('returns false for a breakpoint the field has no values for', () => {
+            expect(isSimpleLocalChange(makeIntent({ breakpoint: 'phone' }))).toBe(false);
+        });
+
+        test('returns true for a breakpoint on a responsive field', () => {
+            expect(isSimpleLocalChange(makeIntent({
+                fields: [{ fieldName: 'text_orientation', type: 'select', responsive: true }],
+                breakpoint: 'phone',
+            }))).toBe(true);
+        });
+
+        test('returns false when the value could not be parsed for the field', () => {
+            expect(isSimpleLocalChange(makeIntent({ value: 'diagonal', valueResolved: false }))).toBe(false);
+        });
+
+        test('returns true for a resolvable relative change', () => {
+            expect(isSimpleLocalChange(makeIntent({
+                fields: [{ fieldName: 'button_bg_color', type: 'color' }],
+                value: null,
+                valueResolved: false,
+                relative: { kind: 'lightness', direction: -1, amount: null, magnitude: 'normal' },
+            }), { button_bg_color: '#808080' })).toBe(true);
+        });
+
+        test('returns false for a relative change without a current value', () => {
+            expect(isSimpleLocalChange(makeIntent({
+                fields: [{ fieldName: 'button_bg_color', type: 'color', default: '' }],
+                value: null,
+                valueResolved: false,
+                relative: { kind: 'lightness', direction: -1, amount: null, magnitude: 'normal' },
+            }), {})).toBe(false);
+        });
+
+        test('returns true for a parsed value', () => {
+            expect(isSimpleLocalChange(makeIntent({ value: 'justified', valueResolved: true }))).toBe(true);
+        });
     });
 
     // --- needsAI ---
@@ -153,8 +302,236 @@ describe('helpers', () => {
         });
     });
 
+    // --- isCompoundLocalChange ---
+
+    describe('isCompoundLocalChange', () => {
+        const simple = {
+            action: 'change',
+            confidence: 'high',
+            fields: [{ fieldName: 'text_orientation', type: 'select' }],
+            value: 'center',
+        };
+
+        test('returns true when every clause is a simple change', () => {
+            expect(isCompoundLocalChange([
+                simple,
+                { ...simple, fields: [{ fieldName: 'header_level', type: 'select' }], value: 'h1' },
+            ])).toBe(true);
+        });
+
+        test('ignores find clauses', () => {
+            expect(isCompoundLocalChange([simple, { action: 'find', fields: [], confidence: 'low' }])).toBe(true);
+        });
+
+        test('returns false when any clause needs AI', () => {
+            expect(isCompoundLocalChange([simple, { ...simple, confidence: 'low' }])).toBe(false);
+        });
+
+        test('returns false when there is nothing to change', () => {
+            expect(isCompoundLocalChange([{ action: 'find', fields: [], confidence: 'low' }])).toBe(false);
+        });
+    });
+
+    // --- withFieldHints ---
+
+    describe('withFieldHints', () => {
+        const locked = {
+            locked: true,
+            fields: [{ fieldName: 'module_id', label: 'CSS ID' }],
+        };
+
+        test('returns the text unchanged without locked intents', () => {
+            expect(withFieldHints('change the css', [{ fields: [] }])).toBe('change the css');
+        });
+
+        test('appends the confirmed setting', () => {
+            expect(withFieldHints('change the css', [locked])).toBe(
+                'change the css\n\n[Setting confirmed by the user: CSS ID (module_id)]'
+            );
+        });
+
+        test('lists several confirmed settings', () => {
+            const other = { locked: true, fields: [{ fieldName: 'module_class', label: 'CSS Class' }] };
+            expect(withFieldHints('x', [locked, other])).toContain('Settings confirmed by the user: CSS ID (module_id), CSS Class (module_class)');
+        });
+    });
+
+    // --- buildLocalChanges ---
+
+    describe('buildLocalChanges', () => {
+        test('builds one change per actionable intent', () => {
+            const changes = buildLocalChanges([
+                {
+                    action: 'change',
+                    fields: [{ fieldName: 'text_orientation', label: 'Text Alignment', default: 'left' }],
+                    value: 'center',
+                },
+                {
+                    action: 'enable',
+                    fields: [{ fieldName: 'use_icon', label: 'Use Icon', default: 'off' }],
+                },
+                { action: 'find', fields: [] },
+            ], { use_icon: 'off' });
+
+            expect(changes).toEqual([
+                { field: 'text_orientation', label: 'Text Alignment', old_value: 'left', new_value: 'center' },
+                { field: 'use_icon', label: 'Use Icon', old_value: 'off', new_value: 'on' },
+            ]);
+        });
+
+        test('writes breakpoint and hover variants', () => {
+            const changes = buildLocalChanges([
+                {
+                    action: 'change',
+                    fields: [{ fieldName: 'text_orientation', label: 'Text Alignment', default: 'left', responsive: true }],
+                    value: 'center',
+                    breakpoint: 'phone',
+                },
+                {
+                    action: 'change',
+                    fields: [{ fieldName: 'text_color', label: 'Text Color', hover: true }],
+                    value: '#ff0000',
+                    state: 'hover',
+                },
+            ], { text_orientation_tablet: 'right', text_color: '#333333' });
+
+            expect(changes).toEqual([
+                { field: 'text_orientation_phone', label: 'Text Alignment (Phone)', old_value: 'right', new_value: 'center' },
+                { field: 'text_color__hover', label: 'Text Color (Hover)', old_value: '#333333', new_value: '#ff0000' },
+            ]);
+        });
+
+        test('applies a relative change to the breakpoint value', () => {
+            const changes = buildLocalChanges([{
+                action: 'change',
+                fields: [{ fieldName: 'size', label: 'Size', type: 'text', responsive: true }],
+                value: null,
+                breakpoint: 'tablet',
+                relative: { kind: 'size', direction: 1, amount: 2, unit: 'px', magnitude: 'normal' },
+            }], { size: '20px', size_tablet: '16px' });
+
+            expect(changes[0]).toMatchObject({ field: 'size_tablet', old_value: '16px', new_value: '18px' });
+        });
+
+        test('handles missing module data', () => {
+            const changes = buildLocalChanges([
+                { action: 'change', fields: [{ fieldName: 'a', label: 'A' }], value: 'x' },
+            ], null);
+            expect(changes[0].old_value).toBe('');
+        });
+
+        test('switches on the toggle a field depends on', () => {
+            const requires = [{ fieldName: 'custom_button', label: 'Use Custom Styles For Button', type: 'yes_no', default: 'off', value: 'on', accepted: ['on'] }];
+            const intents = [{
+                action: 'change',
+                fields: [{ fieldName: 'button_bg_color', label: 'Button Background Color', type: 'color', requires }],
+                value: '#ff0000',
+            }];
+
+            expect(buildLocalChanges(intents, {}).map((c) => [c.field, c.new_value])).toEqual([
+                ['custom_button', 'on'],
+                ['button_bg_color', '#ff0000'],
+            ]);
+            expect(buildLocalChanges(intents, { custom_button: 'on' })).toHaveLength(1);
+        });
+
+        test('names the parts of a compound field it changes', () => {
+            const field = { fieldName: 'custom_padding', label: 'Padding', type: 'custom_padding', responsive: true };
+            const changes = buildLocalChanges([
+                { action: 'change', fields: [field], value: '20px', parts: ['top'], breakpoint: 'phone' },
+                { action: 'change', fields: [{ ...field, fieldName: 'custom_margin', label: 'Margin', type: 'custom_margin' }], value: '0px', parts: ['top', 'right', 'bottom', 'left'] },
+            ], { custom_padding: '10px|10px|10px|10px|false|false' });
+
+            expect(changes).toEqual([
+                {
+                    field: 'custom_padding_phone',
+                    label: 'Padding (Phone, Top)',
+                    old_value: '10px|10px|10px|10px|false|false',
+                    new_value: '20px|10px|10px|10px|false|false',
+                    type: 'custom_padding',
+                },
+                expect.objectContaining({ label: 'Margin', new_value: '0px|0px|0px|0px|false|false' }),
+            ]);
+        });
+    });
+
+    // --- findScopeTargets / buildBatchGroups ---
+
+    describe('page-wide batches', () => {
+        const button = (id, settings = {}) => createNode({ id, type: 'et_pb_button', settings });
+        const column = (id, children) => createNode({ id, type: 'et_pb_column', children });
+        const section = (id, children) => createNode({
+            id,
+            type: 'et_pb_section',
+            children: [createNode({ id: `${id}-row`, type: 'et_pb_row', children })],
+        });
+
+        const structure = [
+            section('s1', [column('c1', [button('b1', { button_bg_color: '#000' }), createNode({ id: 't1', type: 'et_pb_text' })])]),
+            section('s2', [column('c2', [button('b2', { button_bg_color: '#0000ff' })]), column('c3', [button('b3')])]),
+        ];
+
+        const blueIntent = {
+            action: 'change',
+            confidence: 'high',
+            fields: [{ fieldName: 'button_bg_color', label: 'Button Background', type: 'color', default: '' }],
+            value: '#0000ff',
+            valueResolved: true,
+        };
+
+        test('finds every module of the type on the page', () => {
+            const targets = findScopeTargets(structure, { moduleType: 'et_pb_button', within: 'page' });
+            expect(targets.map((node) => node.id)).toEqual(['b1', 'b2', 'b3']);
+        });
+
+        test('matches Divi 5 type names', () => {
+            const targets = findScopeTargets(structure, { moduleType: 'divi/button', within: 'page' });
+            expect(targets).toHaveLength(3);
+        });
+
+        test('limits targets to the selected module\'s container', () => {
+            const scope = { moduleType: 'et_pb_button', within: 'section' };
+            expect(findScopeTargets(structure, scope, 'b3').map((node) => node.id)).toEqual(['b2', 'b3']);
+            expect(findScopeTargets(structure, { ...scope, within: 'column' }, 'b3').map((node) => node.id)).toEqual(['b3']);
+        });
+
+        test('returns no targets when the container is unknown', () => {
+            expect(findScopeTargets(structure, { moduleType: 'et_pb_button', within: 'row' }, null)).toEqual([]);
+            expect(findScopeTargets(structure, { moduleType: 'et_pb_button', within: 'row' }, 'nope')).toEqual([]);
+        });
+
+        test('builds one group per module that would change', () => {
+            const targets = findScopeTargets(structure, { moduleType: 'et_pb_button', within: 'page' });
+            const groups = buildBatchGroups([blueIntent], targets);
+
+            expect(groups.map((group) => group.moduleId)).toEqual(['b1', 'b3']);
+            expect(groups[0]).toMatchObject({
+                moduleType: 'et_pb_button',
+                label: 'Button',
+                moduleData: { button_bg_color: '#000' },
+                changes: [{ field: 'button_bg_color', old_value: '#000', new_value: '#0000ff', type: 'color' }],
+            });
+        });
+    });
+
     // --- changesetToMap ---
 
+    describe('resolveMoveTarget', () => {
+        test('moves one step or to either end', () => {
+            expect(resolveMoveTarget('up', 2, 4)).toBe(1);
+            expect(resolveMoveTarget('down', 2, 4)).toBe(3);
+            expect(resolveMoveTarget('top', 2, 4)).toBe(0);
+            expect(resolveMoveTarget('bottom', 1, 4)).toBe(3);
+        });
+
+        test('returns null when the module is already there', () => {
+            expect(resolveMoveTarget('up', 0, 4)).toBeNull();
+            expect(resolveMoveTarget('down', 3, 4)).toBeNull();
+            expect(resolveMoveTarget('top', 0, 4)).toBeNull();
+            expect(resolveMoveTarget('sideways', 1, 4)).toBeNull();
+        });
+    });
+
     describe('changesetToMap', () => {
         test('converts changes array to map', () => {
             const changes = [
@@ -197,25 +574,124 @@ describe('helpers', () => {
         });
     });
 
+    // --- findConflicts / resolveConflicts ---
+
+    describe('findConflicts / resolveConflicts', () => {
+        const changes = [
+            { field: 'title', label: 'Title', old_value: 'Hello', new_value: 'Welcome' },
+            { field: 'text_color', label: 'Text Color', old_value: '', new_value: '#ff0000' },
+            { field: 'use_icon', label: 'Use Icon', old_value: 'off', new_value: 'on' },
+        ];
+        const base = { title: 'Hello', use_icon: 'off' };
+
+        test('finds fields edited since the changeset was built', () => {
+            const conflicts = findConflicts(changes, base, { title: 'Hi there', text_color: '', use_icon: 'on' });
+            expect(conflicts).toEqual([
+                { ...changes[0], original: 'Hello', current: 'Hi there' },
+            ]);
+        });
+
+        test('finds nothing when the module is unchanged', () => {
+            expect(findConflicts(changes, base, { ...base })).toEqual([]);
+            expect(findConflicts(changes, null, null)).toEqual([]);
+        });
+
+        test('applies each choice', () => {
+            const conflicts = findConflicts(changes, base, { title: 'Hi there', text_color: '#000000', use_icon: 'off' });
+            expect(conflicts.map((c) => c.field)).toEqual(['title', 'text_color']);
+
+            const resolved = resolveConflicts(changes, conflicts, { title: 'original', text_color: 'proposed' });
+            expect(resolved).toEqual([
+                { ...changes[0], old_value: 'Hi there', new_value: 'Hello' },
+                { ...changes[1], old_value: '#000000', new_value: '#ff0000' },
+                changes[2],
+            ]);
+        });
+
+        test('keeps the current value by default', () => {
+            const conflicts = findConflicts(changes, base, { title: 'Hi there', use_icon: 'off' });
+            expect(resolveConflicts(changes, conflicts, {}).map((c) => c.field)).toEqual(['text_color', 'use_icon']);
+        });
+    });
+
+    // --- formatBlockedChanges ---
+
+    describe('formatBlockedChanges', () => {
+        test('names each blocked change and why', () => {
+            expect(formatBlockedChanges([
+                { field: 'a', label: 'Text Alignment', issue: { level: 'error', message: '"diagonal" is not an option (Left, Right).' } },
+                { field: 'b_phone', issue: { level: 'error', message: 'This setting has no phone value.' } },
+            ])).toBe('Skipped 2 invalid changes: **Text Alignment** ("diagonal" is not an option (Left, Right)); **b_phone** (This setting has no phone value).');
+        });
+    });
+
+    // --- describeAIError ---
+
+    describe('describeAIError', () => {
+        const kindOf = (error) => {
+            const { kind, recovery } = describeAIError('analysis', error);
+            return [kind, recovery];
+        };
+
+        test('sends configuration problems to the settings', () => {
+            expect(kindOf(new ConfigError('x', { code: 'no_api_key' }))).toEqual(['config', 'settings']);
+            expect(describeAIError('analysis', new ConfigError('x', { code: 'invalid_provider' })).message).toContain('provider setting');
+        });
+
+        test('offers a retry for passing failures', () => {
+            expect(kindOf(new RateLimitError('x', { status: 429 }))).toEqual(['rate-limit', 'retry']);
+            expect(kindOf(new ProviderError('Overloaded', { code: 'anthropic_error', status: 529 }))).toEqual(['provider', 'retry']);
+            expect(kindOf(new TimeoutError('x'))).toEqual(['timeout', 'retry']);
+            expect(kindOf(new NetworkError('x'))).toEqual(['network', 'retry']);
+            expect(kindOf(new NonceError('x'))).toEqual(['nonce', 'retry']);
+            expect(kindOf(new AuthError('x'))).toEqual(['auth', 'retry']);
+            expect(kindOf(new RequestError('x', { status: 500 }))).toEqual(['unknown', 'retry']);
+        });
+
+        test('asks to rephrase what the AI could not handle', () => {
+            expect(kindOf(new ParseError('x', { code: 'parse_error' }))).toEqual(['parse', 'rephrase']);
+            expect(kindOf(new ValidationError('x', { code: 'unknown_module', status: 400 }))).toEqual(['validation', 'rephrase']);
+        });
+
+        test('retries unreadable responses from the site', () => {
+            expect(kindOf(new ParseError('x', { code: 'invalid_json' }))).toEqual(['parse', 'retry']);
+        });
+
+        test('offers nothing for other errors', () => {
+            expect(kindOf(new TypeError('x'))).toEqual(['unknown', null]);
+        });
+    });
+
     // --- formatAIError ---
 
     describe('formatAIError', () => {
         test('handles feature_disabled error', () => {
-            const msg = formatAIError('analysis', new Error('feature_disabled'));
+            const msg = formatAIError('analysis', new ConfigError('Module analysis is disabled', { code: 'feature_disabled', status: 403 }));
             expect(msg).toContain('not enabled');
             expect(msg).toContain('Settings');
         });
 
         test('handles no_api_key error', () => {
-            const msg = formatAIError('generation', new Error('no_api_key'));
+            const msg = formatAIError('generation', new ConfigError('No API key configured for provider: openai', { code: 'no_api_key' }));
             expect(msg).toContain('API key');
         });
 
         test('handles parse_error', () => {
-            const msg = formatAIError('analysis', new Error('parse_error'));
+            const msg = formatAIError('analysis', new ParseError('Failed to parse AI intent response', { code: 'parse_error' }));
             expect(msg).toContain('unexpected response');
         });
 
+        test('handles timed-out requests', () => {
+            const error = new TimeoutError('The request took longer than 75 seconds.', { code: 'timeout' });
+            expect(formatAIError('analysis', error)).toBe(
+                'AI analysis timed out. The request took longer than 75 seconds. Try again, or make the request smaller.'
+            );
+        });
+
+        test('reads the kind from the error type, not the message', () => {
+            expect(formatAIError('analysis', new Error('parse_error'))).toBe('AI analysis failed: parse_error');
+        });
+
         test('handles generic error', () => {
             const msg = formatAIError('generation', new Error('timeout'));
             expect(msg).toContain('generation failed');
@@ -0,0 +1,138 @@
+/**
+ * Tests for the entry point's request routing, driven through the AI tab.
+ */
+
+import { createNode } from '../adapter/PageStructure';
+
+const SCHEMAS = {
+    et_pb_slider: {
+        module_type: 'et_pb_slider',
+        label: 'Slider',
+        natural_language_aliases: ['slider'],
+        has_children: true,
+        child_type: 'et_pb_slide',
+        tabs: {},
+    },
+    et_pb_slide: {
+        module_type: 'et_pb_slide',
+        label: 'Slide',
+        natural_language_aliases: ['slide'],
+        tabs: {
+            design: {
+                label: 'Design',
+                toggles: {
+                    button: {
+                        label: 'Button',
+                        fields: {
+                            button_text_color: { type: 'color', label: 'Button Text Color', default: '' },
+                            button_bg_color: { type: 'color', label: 'Button Background Color', default: '' },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+describe('index', () => {
+    let adapter;
+    let container;
+    let slides;
+
+    /** Let pending promises and handlers run. */
+    async function flush() {
+        for (let i = 0; i < 10; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+    }
+
+    /** Type a message into the AI tab and send it. */
+    async function send(text) {
+        container.querySelector('.da-tab-input').value = text;
+        container.querySelector('.da-tab-send-btn').click();
+        await flush();
+    }
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        document.body.innerHTML = '<div id="et-fb-app"></div>';
+        window.diviAnchorConfig = { restUrl: '/wp-json/divi-anchor/v1/', nonce: 'n', diviVersion: '4', postId: 1 };
+        global.fetch = jest.fn((url, options) => {
+            const data = url.endsWith('module-types')
+                ? Object.keys(SCHEMAS).map((type) => ({ type }))
+                : SCHEMAS[JSON.parse(options.body).module_type];
+            return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) });
+        });
+
+        jest.isolateModules(() => {
+            require('../index');
+        });
+        await flush();
+
+        slides = [
+            createNode({ id: 'slide1', type: 'et_pb_slide', settings: { heading: 'First' } }),
+            createNode({ id: 'slide2', type: 'et_pb_slide', settings: { heading: 'Second' } }),
+        ];
+        adapter = window.diviAnchorAdapter;
+        jest.spyOn(adapter, 'getSelectedModule').mockReturnValue({ moduleId: 'slider', moduleType: 'et_pb_slider', moduleData: {} });
+        jest.spyOn(adapter, 'getChildren').mockImplementation((id) => (id === 'slider' ? slides : null));
+        jest.spyOn(adapter, 'applyChanges').mockReturnValue(true);
+        jest.spyOn(adapter, 'saveSnapshot').mockResolvedValue({ snapshot_id: 's1' });
+
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        window.diviAnchorGuidance.tabInjector.onModalOpen(container, { moduleId: 'slider', moduleType: 'et_pb_slider' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.fetch;
+        delete window.diviAnchorConfig;
+        delete window.diviAnchorAdapter;
+        delete window.diviAnchorGuidance;
+    });
+
+    describe('child item edits', () => {
+        test('applies the field picked in a clarification to the child', async () => {
+            await send("make the second slide's button color red");
+
+            const chips = Array.from(container.querySelectorAll('.da-choice-chip'));
+            expect(chips.length).toBeGreaterThan(1);
+
+            // Edited by hand while the question was open.
+            slides[1] = createNode({ id: 'slide2', type: 'et_pb_slide', settings: { heading: 'Edited' } });
+            chips.find((chip) => chip.textContent.includes('Button Background Color')).click();
+            await flush();
+
+            expect(container.textContent).not.toContain('The selected module changed');
+            expect(adapter.applyChanges).toHaveBeenCalledWith('slide2', expect.objectContaining({ button_bg_color: '#ff0000' }));
+            expect(adapter.saveSnapshot.mock.calls[0].slice(0, 3)).toEqual(['slide2', 'et_pb_slide', { heading: 'Edited' }]);
+        });
+
+        test('drops the clarification once the parent is deselected', async () => {
+            await send("make the second slide's button color red");
+
+            adapter.getSelectedModule.mockReturnValue({ moduleId: 'other', moduleType: 'et_pb_text', moduleData: {} });
+            container.querySelector('.da-choice-chip').click();
+            await flush();
+
+            expect(container.textContent).toContain('The selected module changed');
+            expect(adapter.applyChanges).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('unmapped fields', () => {
+        test('blocks changes the builder has nowhere to store', async () => {
+            jest.spyOn(adapter, 'getUnmappedKeys').mockReturnValue(['button_bg_color']);
+            await send("make the second slide's button color red");
+            Array.from(container.querySelectorAll('.da-choice-chip'))
+                .find((chip) => chip.textContent.includes('Button Background Color'))
+                .click();
+            await flush();
+
+            expect(adapter.getUnmappedKeys).toHaveBeenCalledWith('slide2', expect.objectContaining({ button_bg_color: '#ff0000' }));
+            expect(adapter.applyChanges).not.toHaveBeenCalled();
+            expect(container.textContent).toContain('can\'t be changed in Divi 5 yet');
+        });
+    });
+});
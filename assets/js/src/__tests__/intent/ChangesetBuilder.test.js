@@ -80,6 +80,128 @@ describe('ChangesetBuilder', () => {
         });
     });
 
+    // --- buildCompoundGuidancePlan ---
+
+    describe('buildCompoundGuidancePlan', () => {
+        const alignField = {
+            fieldName: 'text_orientation',
+            label: 'Text Alignment',
+            tab: 'design',
+            toggleName: 'text',
+            toggleLabel: 'Text',
+            type: 'select',
+            responsive: false,
+        };
+        const levelField = {
+            fieldName: 'header_level',
+            label: 'Title Heading Level',
+            tab: 'design',
+            toggleName: 'header',
+            toggleLabel: 'Title Text',
+            type: 'select',
+            responsive: false,
+        };
+
+        test('chains steps for every sub-intent and opens settings once', () => {
+            const result = builder.buildCompoundGuidancePlan([
+                { module: 'et_pb_text', fields: [alignField], confidence: 'high', action: 'find' },
+                { module: 'et_pb_text', fields: [levelField], confidence: 'high', action: 'find' },
+            ]);
+            expect(result.success).toBe(true);
+            expect(result.steps.filter((s) => s.action === 'open-settings')).toHaveLength(1);
+            const highlighted = result.steps
+                .filter((s) => s.action === 'highlight-field')
+                .map((s) => s.fieldName);
+            expect(highlighted).toEqual(['text_orientation', 'header_level']);
+        });
+
+        test('numbers the message for each clause', () => {
+            const result = builder.buildCompoundGuidancePlan([
+                { module: 'et_pb_text', fields: [alignField], confidence: 'high', action: 'find' },
+                { module: 'et_pb_text', fields: [], confidence: 'low', action: 'find' },
+            ]);
+            expect(result.message).toContain('1. Found **Text Alignment**');
+            expect(result.message).toContain('2. I couldn\'t find');
+        });
+
+        test('fails when no clause matched a field', () => {
+            const result = builder.buildCompoundGuidancePlan([
+                { module: 'et_pb_text', fields: [], confidence: 'low', action: 'find' },
+            ]);
+            expect(result.success).toBe(false);
+        });
+    });
+
+    // --- needsClarification / buildClarification ---
+
+    describe('clarification', () => {
+        const classField = {
+            fieldName: 'module_class',
+            label: 'CSS Class',
+            tab: 'advanced',
+            toggleName: 'css',
+            toggleLabel: 'Custom CSS',
+            score: 35,
+        };
+        const idField = { ...classField, fieldName: 'module_id', label: 'CSS ID', score: 35 };
+        const alignField = {
+            fieldName: 'text_orientation',
+            label: 'Text Alignment',
+            tab: 'design',
+            toggleName: 'text',
+            toggleLabel: 'Text',
+            score: 70,
+        };
+
+        test('asks when several fields match with medium confidence', () => {
+            expect(builder.needsClarification({
+                action: 'find', confidence: 'medium', fields: [classField, idField],
+            })).toBe(true);
+        });
+
+        test('asks when the runner-up scores close to the top field', () => {
+            expect(builder.needsClarification({
+                action: 'change', confidence: 'high', fields: [{ ...alignField }, { ...classField, score: 65 }],
+            })).toBe(true);
+        });
+
+        test('does not ask for a clear high-confidence match', () => {
+            expect(builder.needsClarification({
+                action: 'change', confidence: 'high', fields: [alignField, classField],
+            })).toBe(false);
+        });
+
+        test('asks to confirm a lone medium-confidence change but not a lookup', () => {
+            expect(builder.needsClarification({ action: 'change', confidence: 'medium', fields: [classField] })).toBe(true);
+            expect(builder.needsClarification({ action: 'find', confidence: 'medium', fields: [classField] })).toBe(false);
+        });
+
+        test('does not ask when nothing matched', () => {
+            expect(builder.needsClarification({ action: 'find', confidence: 'low', fields: [] })).toBe(false);
+        });
+
+        test('builds one choice per candidate with tab and toggle', () => {
+            const result = builder.buildClarification({
+                raw: 'change the css', fields: [classField, idField],
+            });
+            expect(result.message).toContain('"change the css"');
+            expect(result.choices).toEqual([
+                { fieldName: 'module_class', label: 'CSS Class', detail: 'Advanced › Custom CSS' },
+                { fieldName: 'module_id', label: 'CSS ID', detail: 'Advanced › Custom CSS' },
+            ]);
+        });
+
+        test('caps the number of choices', () => {
+            const fields = [1, 2, 3, 4, 5, 6].map((n) => ({ ...classField, fieldName: `f${n}` }));
+            expect(builder.buildClarification({ raw: 'x', fields }).choices).toHaveLength(4);
+        });
+
+        test('phrases a single candidate as a confirmation', () => {
+            const result = builder.buildClarification({ raw: 'css', fields: [classField] });
+            expect(result.message).toBe('Did you mean **CSS Class** (Advanced › Custom CSS)?');
+        });
+    });
+
     // --- buildStepsForField ---
 
     describe('buildStepsForField', () => {
@@ -113,6 +235,68 @@ describe('ChangesetBuilder', () => {
         });
     });
 
+    // --- prerequisites ---
+
+    describe('prerequisites', () => {
+        const prerequisite = {
+            fieldName: 'custom_button',
+            label: 'Use Custom Styles For Button',
+            type: 'yes_no',
+            tab: 'design',
+            toggleName: 'button',
+            toggleLabel: 'Button',
+            default: 'off',
+            value: 'on',
+            accepted: ['on'],
+        };
+        const intent = {
+            module: 'et_pb_button',
+            fields: [{
+                fieldName: 'button_bg_color',
+                label: 'Button Background Color',
+                tab: 'design',
+                toggleName: 'button',
+                toggleLabel: 'Button',
+                type: 'color',
+                requires: [prerequisite],
+            }],
+            confidence: 'high',
+            action: 'find',
+        };
+
+        test('turns the toggle on before highlighting the hidden field', () => {
+            const { steps } = builder.buildGuidancePlan(intent, {});
+            expect(steps.map((step) => step.action)).toEqual([
+                'open-settings',
+                'switch-tab', 'expand-toggle', 'highlight-field', 'wait-for-field',
+                'switch-tab', 'expand-toggle', 'highlight-field',
+            ]);
+            expect(steps[3]).toMatchObject({ fieldName: 'custom_button', tooltip: { title: 'Use Custom Styles For Button' } });
+            expect(steps[3].tooltip.body).toContain('"Yes"');
+            expect(steps[4].fieldName).toBe('button_bg_color');
+        });
+
+        test('mentions the toggle in the message', () => {
+            const { message } = builder.buildGuidancePlan(intent, {});
+            expect(message).toContain('**Use Custom Styles For Button** (Design › Button) is set to "Yes"');
+        });
+
+        test('skips toggles that are already set', () => {
+            const plan = builder.buildGuidancePlan(intent, { custom_button: 'on' });
+            expect(plan.steps).toHaveLength(4);
+            expect(plan.message).not.toContain('Use Custom Styles');
+        });
+
+        test('does not wait for a field on another tab', () => {
+            const steps = builder.buildStepsForField(intent.fields[0], intent, [{ ...prerequisite, tab: 'general' }]);
+            expect(steps.map((step) => step.action)).not.toContain('wait-for-field');
+        });
+
+        test('names option labels for select prerequisites', () => {
+            expect(builder.valueLabel({ type: 'select', value: 'off', options: { off: 'Grid' } })).toBe('Grid');
+        });
+    });
+
     // --- buildTooltip ---
 
     describe('buildTooltip', () => {
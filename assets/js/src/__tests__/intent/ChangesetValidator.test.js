@@ -0,0 +1,88 @@
+/**
+ * Tests for ChangesetValidator.
+ */
+
+import { validateChangeset, validateChange, isBlocked } from '../../intent/ChangesetValidator';
+
+const fields = {
+    text_orientation: { fieldName: 'text_orientation', type: 'select', responsive: true, hover: false, options: { left: 'Left', center: 'Center', right: 'Right' } },
+    use_icon: { fieldName: 'use_icon', type: 'yes_no', responsive: false, hover: false },
+    text_color: { fieldName: 'text_color', type: 'color', responsive: false, hover: true },
+    max_width: { fieldName: 'max_width', type: 'text', responsive: true, hover: false },
+    title: { fieldName: 'title', type: 'text', responsive: false, hover: false },
+    custom_padding: { fieldName: 'custom_padding', type: 'custom_padding', responsive: true, hover: false },
+    header_font: { fieldName: 'header_font', type: 'font', responsive: false, hover: false },
+};
+
+const lookup = (name) => fields[name] || null;
+const check = (field, value) => validateChangeset([{ field, label: field, old_value: '', new_value: value }], lookup)[0];
+
+describe('ChangesetValidator', () => {
+    describe('fields', () => {
+        test('blocks fields the module does not have', () => {
+            const result = check('nope', 'x');
+            expect(isBlocked(result)).toBe(true);
+            expect(result.issue.message).toBe('This module has no such setting.');
+        });
+
+        test('checks breakpoint and hover values against the field', () => {
+            expect(check('text_orientation_phone', 'center').issue).toBeUndefined();
+            expect(check('use_icon_tablet', 'on').issue.message).toBe('This setting has no tablet value.');
+            expect(check('text_color__hover', '#ff0000').issue).toBeUndefined();
+            expect(check('text_orientation__hover', 'center').issue.message).toBe('This setting has no hover value.');
+        });
+
+        test('drops an earlier issue when checked again', () => {
+            const change = { field: 'use_icon', new_value: 'on', issue: { level: 'error', message: 'old' } };
+            expect(validateChange(change, fields.use_icon)).toEqual({ field: 'use_icon', new_value: 'on' });
+        });
+    });
+
+    describe('values', () => {
+        test('accepts option keys and corrects option labels', () => {
+            expect(check('text_orientation', 'center').issue).toBeUndefined();
+            expect(check('text_orientation', 'Center')).toMatchObject({
+                new_value: 'center',
+                issue: { level: 'fixed', message: 'Corrected from "Center".' },
+            });
+            expect(check('text_orientation', 'diagonal').issue).toEqual({
+                level: 'error',
+                message: '"diagonal" is not an option (Left, Center, Right).',
+            });
+        });
+
+        test('keeps toggles to on/off', () => {
+            expect(check('use_icon', 'yes').new_value).toBe('on');
+            expect(check('use_icon', true).new_value).toBe('on');
+            expect(isBlocked(check('use_icon', 'maybe'))).toBe(true);
+        });
+
+        test('stores colors as hex or rgba', () => {
+            expect(check('text_color', 'rgba(0,0,0,0.5)').issue).toBeUndefined();
+            expect(check('text_color', '').issue).toBeUndefined();
+            expect(check('text_color', 'red')).toMatchObject({ new_value: '#ff0000', issue: { level: 'fixed' } });
+            expect(check('text_color', 'ff0000').new_value).toBe('#ff0000');
+            expect(check('text_color', 'blurple').issue.message).toBe('"blurple" is not a color.');
+        });
+
+        test('requires a CSS unit on lengths', () => {
+            expect(check('max_width', '80%').issue).toBeUndefined();
+            expect(check('max_width', 'auto').issue).toBeUndefined();
+            expect(check('max_width', '20').new_value).toBe('20px');
+            expect(check('max_width', '2 ems').new_value).toBe('2em');
+            expect(check('max_width', '300ms').issue.message).toBe('"300ms" is not a valid size; use px, em, rem, %, vh, vw, pt.');
+        });
+
+        test('leaves free text alone', () => {
+            expect(check('title', 'Hello | World')).toEqual({ field: 'title', label: 'title', old_value: '', new_value: 'Hello | World' });
+        });
+
+        test('checks each part of a compound value', () => {
+            expect(check('custom_padding', '10px|20px|10px|20px|false|false').issue).toBeUndefined();
+            expect(check('custom_padding', '10|20px||').new_value).toBe('10px|20px|||false|false');
+            expect(check('custom_padding', '10px|big||').issue.message).toBe('Right: "big" is not a valid size; use px, em, rem, %, vh, vw, pt.');
+            expect(check('header_font', 'Lato|Bold|||||||').new_value).toBe('Lato|700|||||||');
+            expect(check('header_font', 'a|b|c|d|e|f|g|h|i|j').issue.message).toBe('Has more than 9 "|"-separated parts.');
+        });
+    });
+});
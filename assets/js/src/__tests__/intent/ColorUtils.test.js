@@ -0,0 +1,58 @@
+/**
+ * Tests for ColorUtils.
+ */
+
+import { parseColor, formatColor, rgbToHsl, hslToRgb } from '../../intent/ColorUtils';
+
+describe('ColorUtils', () => {
+
+    // --- parseColor ---
+
+    describe('parseColor', () => {
+        test('parses 6-digit hex', () => {
+            expect(parseColor('#336699')).toEqual({ r: 51, g: 102, b: 153, a: 1 });
+        });
+
+        test('parses 8-digit hex with alpha', () => {
+            expect(parseColor('#00000080').a).toBe(0.5);
+        });
+
+        test('parses rgba()', () => {
+            expect(parseColor('rgba(10, 20, 30, 0.25)')).toEqual({ r: 10, g: 20, b: 30, a: 0.25 });
+        });
+
+        test('parses named colors', () => {
+            expect(parseColor('white')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+        });
+
+        test('returns null for invalid input', () => {
+            expect(parseColor('not a color')).toBeNull();
+            expect(parseColor(null)).toBeNull();
+        });
+    });
+
+    // --- formatColor ---
+
+    describe('formatColor', () => {
+        test('formats opaque colors as hex', () => {
+            expect(formatColor({ r: 255, g: 0, b: 0, a: 1 })).toBe('#ff0000');
+        });
+
+        test('formats translucent colors as rgba()', () => {
+            expect(formatColor({ r: 0, g: 0, b: 0, a: 0.5 })).toBe('rgba(0,0,0,0.5)');
+        });
+    });
+
+    // --- HSL round trip ---
+
+    describe('rgbToHsl / hslToRgb', () => {
+        test('round-trips a color', () => {
+            const color = { r: 51, g: 102, b: 153, a: 1 };
+            expect(hslToRgb(rgbToHsl(color))).toEqual(color);
+        });
+
+        test('handles grays', () => {
+            expect(rgbToHsl({ r: 128, g: 128, b: 128 }).s).toBe(0);
+        });
+    });
+});
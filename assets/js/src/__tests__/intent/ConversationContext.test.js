@@ -0,0 +1,176 @@
+/**
+ * Tests for ConversationContext.
+ */
+
+import { IntentClassifier } from '../../intent/IntentClassifier';
+import { ConversationContext } from '../../intent/ConversationContext';
+
+describe('ConversationContext', () => {
+    let classifier;
+    let context;
+
+    const schemas = {
+        et_pb_text: {
+            module_type: 'et_pb_text',
+            label: 'Text',
+            tabs: {
+                design: {
+                    toggles: {
+                        text: {
+                            label: 'Text',
+                            fields: {
+                                text_orientation: {
+                                    type: 'select',
+                                    label: 'Text Alignment',
+                                    default: 'left',
+                                    responsive: true,
+                                    options: { left: 'Left', center: 'Center', right: 'Right' },
+                                },
+                                text_color: {
+                                    type: 'color',
+                                    label: 'Text Color',
+                                    default: '#333333',
+                                    responsive: false,
+                                },
+                                text_font_size: {
+                                    type: 'text',
+                                    label: 'Text Font Size',
+                                    default: '14px',
+                                    responsive: true,
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+
+    /** Classify, resolve follow-ups and remember, like the dispatcher does. */
+    function say(text) {
+        const intents = context.resolveFollowUps('m1', classifier.classifyCompound(text, 'et_pb_text'));
+        context.remember('m1', intents);
+        return intents;
+    }
+
+    beforeEach(() => {
+        classifier = new IntentClassifier();
+        classifier.buildIndex(schemas);
+        context = new ConversationContext(classifier);
+    });
+
+    // --- history ---
+
+    describe('recordExchange / getHistory', () => {
+        test('records user and assistant turns in order', () => {
+            context.recordExchange('m1', 'center the text', 'Done!');
+            expect(context.getHistory('m1')).toEqual([
+                { role: 'user', content: 'center the text' },
+                { role: 'assistant', content: 'Done!' },
+            ]);
+        });
+
+        test('skips an empty reply', () => {
+            context.recordExchange('m1', 'hello', null);
+            expect(context.getHistory('m1')).toHaveLength(1);
+        });
+
+        test('keeps only the most recent turns', () => {
+            for (let i = 0; i < 8; i++) {
+                context.recordExchange('m1', `message ${i}`, `reply ${i}`);
+            }
+            const history = context.getHistory('m1');
+            expect(history).toHaveLength(10);
+            expect(history[history.length - 1].content).toBe('reply 7');
+        });
+
+        test('keeps modules separate', () => {
+            context.recordExchange('m1', 'a', 'b');
+            expect(context.getHistory('m2')).toEqual([]);
+        });
+
+        test('clear forgets a module', () => {
+            context.recordExchange('m1', 'a', 'b');
+            context.clear('m1');
+            expect(context.getHistory('m1')).toEqual([]);
+        });
+    });
+
+    // --- resolveFollowUps ---
+
+    describe('resolveFollowUps', () => {
+        test('leaves intents alone without memory', () => {
+            const intents = classifier.classifyCompound('a bit more', 'et_pb_text');
+            expect(context.resolveFollowUps('m1', intents)).toBe(intents);
+        });
+
+        test('leaves intents that matched a field alone', () => {
+            say('center the text');
+            const [intent] = say('change the text color to red');
+            expect(intent.fields[0].fieldName).toBe('text_color');
+            expect(intent.followUp).toBeUndefined();
+        });
+
+        test('applies a relative follow-up to the last field', () => {
+            say('make the text font size bigger');
+            const [intent] = say('even bigger');
+            expect(intent.followUp).toBe(true);
+            expect(intent.fields).toHaveLength(1);
+            expect(intent.fields[0].fieldName).toBe('text_font_size');
+            expect(intent.relative).toMatchObject({ kind: 'size', direction: 1 });
+        });
+
+        test('bare "more" repeats the last color adjustment', () => {
+            say('make the text color darker');
+            const [intent] = say('a bit more');
+            expect(intent.fields[0].fieldName).toBe('text_color');
+            expect(intent.relative).toMatchObject({ kind: 'lightness', direction: -1, magnitude: 'small' });
+        });
+
+        test('bare "less" reverses the last color adjustment', () => {
+            say('make the text color darker');
+            const [intent] = say('less');
+            expect(intent.relative).toMatchObject({ kind: 'lightness', direction: 1 });
+        });
+
+        test('repeats the last change for a new breakpoint', () => {
+            say('center the text');
+            const [intent] = say('now do the same on tablet');
+            expect(intent.followUp).toBe(true);
+            expect(intent.fields[0].fieldName).toBe('text_orientation');
+            expect(intent.value).toBe('center');
+            expect(intent.breakpoint).toBe('tablet');
+        });
+
+        test('repeats the last change for hover', () => {
+            say('change the text color to red');
+            const [intent] = say('same on hover');
+            expect(intent.followUp).toBe(true);
+            expect(intent.fields[0].fieldName).toBe('text_color');
+            expect(intent.state).toBe('hover');
+        });
+
+        test('applies a value with a pronoun to the last field', () => {
+            say('change the text color to blue');
+            const [intent] = say('make it red');
+            expect(intent.followUp).toBe(true);
+            expect(intent.fields[0].fieldName).toBe('text_color');
+            expect(intent.value).toBe('#ff0000');
+            expect(intent.confidence).toBe('high');
+        });
+
+        test('ignores a value that does not fit the last field', () => {
+            say('center the text');
+            const [intent] = say('make it red');
+            expect(intent.followUp).toBeUndefined();
+            expect(intent.fields).toHaveLength(0);
+        });
+
+        test('a request that matched nothing keeps the previous memory', () => {
+            say('change the text color to blue');
+            say('hello there');
+            const [intent] = say('make it red');
+            expect(intent.fields[0].fieldName).toBe('text_color');
+        });
+    });
+});
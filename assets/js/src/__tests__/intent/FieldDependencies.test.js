@@ -0,0 +1,94 @@
+/**
+ * Tests for FieldDependencies.
+ */
+
+import {
+    getPrerequisites,
+    isSatisfied,
+    pendingPrerequisites,
+    withPrerequisites,
+} from '../../intent/FieldDependencies';
+
+const fields = [
+    { fieldName: 'custom_button', label: 'Use Custom Styles For Button', type: 'yes_no', tab: 'design', toggleName: 'button', toggleLabel: 'Button', default: 'off', showIf: null },
+    { fieldName: 'button_icon', label: 'Button Icon', type: 'text', tab: 'design', toggleName: 'button', toggleLabel: 'Button', default: '', showIf: { custom_button: 'on' } },
+    { fieldName: 'icon_color', label: 'Icon Color', type: 'color', tab: 'design', toggleName: 'button', toggleLabel: 'Button', default: '', showIf: { button_icon: ['star', 'heart'] } },
+    { fieldName: 'button_bg_color', label: 'Button Background Color', type: 'color', tab: 'design', toggleName: 'button', toggleLabel: 'Button', default: '', showIf: { custom_button: 'on', missing: 'on' } },
+    { fieldName: 'loop_a', label: 'A', type: 'yes_no', default: 'off', showIf: { loop_b: 'on' } },
+    { fieldName: 'loop_b', label: 'B', type: 'yes_no', default: 'off', showIf: { loop_a: 'on' } },
+];
+fields.forEach((field) => {
+    field.requires = getPrerequisites(field, fields);
+});
+
+const byName = (name) => fields.find((field) => field.fieldName === name) || null;
+
+describe('FieldDependencies', () => {
+    describe('getPrerequisites', () => {
+        test('lists the toggle a field depends on', () => {
+            expect(byName('button_bg_color').requires).toEqual([
+                expect.objectContaining({ fieldName: 'custom_button', label: 'Use Custom Styles For Button', value: 'on', accepted: ['on'] }),
+            ]);
+        });
+
+        test('follows chains, parents first', () => {
+            expect(byName('icon_color').requires.map((p) => [p.fieldName, p.value])).toEqual([
+                ['custom_button', 'on'],
+                ['button_icon', 'star'],
+            ]);
+        });
+
+        test('is empty without show_if and survives cycles', () => {
+            expect(byName('custom_button').requires).toEqual([]);
+            expect(byName('loop_a').requires.map((p) => p.fieldName)).toEqual(['loop_b']);
+        });
+    });
+
+    describe('isSatisfied / pendingPrerequisites', () => {
+        const [prerequisite] = byName('button_bg_color').requires;
+
+        test('compares with the current value, else the default', () => {
+            expect(isSatisfied(prerequisite, { custom_button: 'on' })).toBe(true);
+            expect(isSatisfied(prerequisite, {})).toBe(false);
+        });
+
+        test('accepts any listed value', () => {
+            const [, icon] = byName('icon_color').requires;
+            expect(isSatisfied(icon, { button_icon: 'heart' })).toBe(true);
+        });
+
+        test('treats every prerequisite as pending without module data', () => {
+            expect(pendingPrerequisites(byName('icon_color'))).toHaveLength(2);
+            expect(pendingPrerequisites(byName('icon_color'), { custom_button: 'on' })).toHaveLength(1);
+            expect(pendingPrerequisites(null, {})).toEqual([]);
+        });
+    });
+
+    describe('withPrerequisites', () => {
+        const change = { field: 'button_bg_color', label: 'Button Background Color', old_value: '', new_value: '#ff0000', type: 'color' };
+
+        test('adds the toggle before the change that needs it', () => {
+            expect(withPrerequisites([change], byName, {})).toEqual([
+                { field: 'custom_button', label: 'Use Custom Styles For Button', old_value: 'off', new_value: 'on', type: 'yes_no', options: undefined },
+                change,
+            ]);
+        });
+
+        test('adds nothing when the toggle is already on', () => {
+            expect(withPrerequisites([change], byName, { custom_button: 'on' })).toEqual([change]);
+        });
+
+        test('resolves hover and breakpoint keys to their base field', () => {
+            const hover = { ...change, field: 'button_bg_color__hover' };
+            expect(withPrerequisites([hover], byName, {}).map((c) => c.field)).toEqual(['custom_button', 'button_bg_color__hover']);
+        });
+
+        test('adds each toggle once and keeps explicit values', () => {
+            const icon = { field: 'button_icon', new_value: 'star' };
+            expect(withPrerequisites([change, icon], byName, {}).map((c) => c.field)).toEqual(['custom_button', 'button_bg_color', 'button_icon']);
+
+            const off = { field: 'custom_button', new_value: 'off' };
+            expect(withPrerequisites([off, change], byName, {})).toEqual([off, change]);
+        });
+    });
+});
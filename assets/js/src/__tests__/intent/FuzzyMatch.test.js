@@ -0,0 +1,100 @@
+/**
+ * Tests for FuzzyMatch.
+ */
+
+import {
+    stem,
+    editDistance,
+    allowedDistance,
+    matchWord,
+    bestMatch,
+    MATCH_EXACT,
+    MATCH_STEM,
+    MATCH_FUZZY,
+} from '../../intent/FuzzyMatch';
+
+describe('FuzzyMatch', () => {
+    describe('stem', () => {
+        test.each([
+            ['paddings', 'padding'],
+            ['colors', 'color'],
+            ['dates', 'date'],
+            ['entries', 'entry'],
+            ['boxes', 'box'],
+            ['showing', 'show'],
+            ['centered', 'center'],
+            ['class', 'class'],
+            ['url', 'url'],
+        ])('%s → %s', (word, expected) => {
+            expect(stem(word)).toBe(expected);
+        });
+    });
+
+    describe('editDistance', () => {
+        test('is zero for identical words', () => {
+            expect(editDistance('color', 'color')).toBe(0);
+        });
+
+        test('counts insertions and deletions', () => {
+            expect(editDistance('colr', 'color')).toBe(1);
+            expect(editDistance('backgroud', 'background')).toBe(1);
+        });
+
+        test('counts an adjacent transposition as one edit', () => {
+            expect(editDistance('widht', 'width')).toBe(1);
+        });
+
+        test('handles empty strings', () => {
+            expect(editDistance('', 'abc')).toBe(3);
+            expect(editDistance('abc', '')).toBe(3);
+        });
+    });
+
+    describe('allowedDistance', () => {
+        test('scales with word length', () => {
+            expect(allowedDistance(3)).toBe(0);
+            expect(allowedDistance(5)).toBe(1);
+            expect(allowedDistance(10)).toBe(2);
+        });
+    });
+
+    describe('matchWord', () => {
+        test('exact match', () => {
+            expect(matchWord('color', 'color')).toBe(MATCH_EXACT);
+        });
+
+        test('stem match', () => {
+            expect(matchWord('paddings', 'padding')).toBe(MATCH_STEM);
+        });
+
+        test('fuzzy match on a typo', () => {
+            expect(matchWord('aligment', 'alignment')).toBe(MATCH_FUZZY);
+            expect(matchWord('colour', 'color')).toBe(MATCH_FUZZY);
+        });
+
+        test('no fuzzy match on short words', () => {
+            expect(matchWord('bg', 'by')).toBeNull();
+            expect(matchWord('url', 'uri')).toBeNull();
+        });
+
+        test('requires the same first letter for fuzzy matches', () => {
+            expect(matchWord('next', 'text')).toBeNull();
+        });
+
+        test('ignores stopwords except for exact matches', () => {
+            expect(matchWord('the', 'the')).toBe(MATCH_EXACT);
+            expect(matchWord('make', 'male')).toBeNull();
+        });
+    });
+
+    describe('bestMatch', () => {
+        test('prefers the strongest tier', () => {
+            expect(bestMatch('colors', ['colr', 'color'])).toBe(MATCH_STEM);
+            expect(bestMatch('color', ['colour', 'color'])).toBe(MATCH_EXACT);
+        });
+
+        test('returns null when nothing matches', () => {
+            expect(bestMatch('padding', ['text', 'color'])).toBeNull();
+        });
+    });
+});
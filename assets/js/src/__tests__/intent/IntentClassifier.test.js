@@ -190,6 +190,21 @@ describe('IntentClassifier', () => {
 
     // --- detectValue ---
 
+    describe('detectState', () => {
+        test('detects hover', () => {
+            expect(classifier.detectState(['red', 'on', 'hover'])).toBe('hover');
+            expect(classifier.detectState(['when', 'hovered'])).toBe('hover');
+        });
+
+        test('returns null without a state', () => {
+            expect(classifier.detectState(['center', 'text'])).toBeNull();
+        });
+
+        test('is part of the classified intent', () => {
+            expect(classifier.classify('make the text color red on hover', 'et_pb_text').state).toBe('hover');
+        });
+    });
+
     describe('detectValue', () => {
         test('detects "to <value>" pattern', () => {
             expect(classifier.detectValue('change alignment to center', ['change', 'alignment', 'to', 'center'])).toBe('center');
@@ -203,11 +218,61 @@ describe('IntentClassifier', () => {
             expect(classifier.detectValue('alignment: right', ['alignment', 'right'])).toBe('right');
         });
 
+        test('captures multi-word values with their casing', () => {
+            expect(classifier.detectValue('change the button text to Buy Now', [])).toBe('Buy Now');
+        });
+
+        test('keeps parenthesized values whole', () => {
+            expect(classifier.detectValue('set color to rgba(0,0,0,.5)', [])).toBe('rgba(0,0,0,.5)');
+        });
+
+        test('stops before a trailing breakpoint qualifier', () => {
+            expect(classifier.detectValue('change alignment to center on phone', [])).toBe('center');
+        });
+
         test('returns null when no value pattern', () => {
             expect(classifier.detectValue('where is alignment', ['where', 'is', 'alignment'])).toBeNull();
         });
     });
 
+    // --- detectRelative ---
+
+    describe('detectRelative', () => {
+        test('detects bigger as a size increase', () => {
+            expect(classifier.detectRelative('make the text bigger')).toEqual({
+                kind: 'size', direction: 1, amount: null, unit: null, magnitude: 'normal',
+            });
+        });
+
+        test('detects an explicit amount', () => {
+            const relative = classifier.detectRelative('increase padding by 10px');
+            expect(relative.direction).toBe(1);
+            expect(relative.amount).toBe(10);
+            expect(relative.unit).toBe('px');
+        });
+
+        test('detects a leading percentage', () => {
+            const relative = classifier.detectRelative('make it 20% smaller');
+            expect(relative.direction).toBe(-1);
+            expect(relative.amount).toBe(20);
+            expect(relative.unit).toBe('%');
+        });
+
+        test('detects magnitude words', () => {
+            expect(classifier.detectRelative('a bit bigger').magnitude).toBe('small');
+            expect(classifier.detectRelative('much bigger').magnitude).toBe('large');
+        });
+
+        test('detects color adjustments', () => {
+            expect(classifier.detectRelative('make it darker').kind).toBe('lightness');
+            expect(classifier.detectRelative('make it more saturated')).toMatchObject({ kind: 'saturation', direction: 1 });
+        });
+
+        test('returns null for absolute requests', () => {
+            expect(classifier.detectRelative('set alignment to center')).toBeNull();
+        });
+    });
+
     // --- scoreFields ---
 
     describe('scoreFields', () => {
@@ -281,5 +346,451 @@ describe('IntentClassifier', () => {
             const result = classifier.classify('change alignment', 'et_pb_text');
             expect(result.module).toBe('et_pb_text');
         });
+
+        test('infers value and change action from a mentioned option', () => {
+            const result = classifier.classify('center the text', 'et_pb_text');
+            expect(result.action).toBe('change');
+            expect(result.value).toBe('center');
+            expect(result.fields[0].fieldName).toBe('text_orientation');
+        });
+
+        test('maps an option label to its key', () => {
+            const result = classifier.classify('set text alignment to Justified', 'et_pb_text');
+            expect(result.value).toBe('justified');
+            expect(result.valueResolved).toBe(true);
+        });
+
+        test('flags values that are not valid for the field', () => {
+            const result = classifier.classify('set text alignment to diagonal', 'et_pb_text');
+            expect(result.value).toBe('diagonal');
+            expect(result.valueResolved).toBe(false);
+        });
+
+        test('attaches a relative adjustment when no absolute value is given', () => {
+            const result = classifier.classify('text alignment a bit bigger', 'et_pb_text');
+            expect(result.action).toBe('change');
+            expect(result.relative).toMatchObject({ kind: 'size', magnitude: 'small' });
+            expect(result.value).toBeNull();
+        });
+
+        test('ignores relative words when an absolute value is given', () => {
+            const result = classifier.classify('change alignment to more left', 'et_pb_text');
+            expect(result.relative).toBeNull();
+        });
+
+        test('keeps explicit find action when an option is mentioned', () => {
+            const result = classifier.classify('where is center alignment', 'et_pb_text');
+            expect(result.action).toBe('find');
+        });
+
+        test('has no parts for plain fields', () => {
+            expect(classifier.classify('change text alignment to center', 'et_pb_text').parts).toBeNull();
+        });
+    });
+
+    // --- compound fields ---
+
+    describe('compound fields', () => {
+        beforeEach(() => {
+            const schema = JSON.parse(JSON.stringify(textSchema));
+            schema.et_pb_text.tabs.design.toggles.header.fields.header_font = {
+                type: 'font', label: 'Title Font', default: '', responsive: false,
+            };
+            schema.et_pb_text.tabs.design.toggles.spacing = {
+                label: 'Spacing',
+                fields: { custom_padding: { type: 'custom_padding', label: 'Padding', default: '', responsive: true } },
+            };
+            classifier.buildIndex(schema);
+        });
+
+        test('targets one side of the padding', () => {
+            const result = classifier.classify('set the top padding to 20px', 'et_pb_text');
+            expect(result.fields[0].fieldName).toBe('custom_padding');
+            expect(result.parts).toEqual(['top']);
+            expect(result.value).toBe('20px');
+        });
+
+        test('uses every side when none is named', () => {
+            const result = classifier.classify('padding 30px', 'et_pb_text');
+            expect(result.parts).toEqual(['top', 'right', 'bottom', 'left']);
+            expect(result.value).toBe('30px');
+        });
+
+        test('parses the value for the part', () => {
+            const result = classifier.classify('set the title font weight to bold', 'et_pb_text');
+            expect(result.fields[0].fieldName).toBe('header_font');
+            expect(result.parts).toEqual(['weight']);
+            expect(result.value).toBe('700');
+        });
+
+        test('switches a named style on', () => {
+            const result = classifier.classify('make the title font italic', 'et_pb_text');
+            expect(result.parts).toEqual(['italic']);
+            expect(result.action).toBe('change');
+            expect(result.value).toBe('on');
+        });
+
+        test('reads "top and bottom padding" as one clause', () => {
+            const intents = classifier.classifyCompound('set top and bottom padding to 10px', 'et_pb_text');
+            expect(intents).toHaveLength(1);
+            expect(intents[0].fields[0].fieldName).toBe('custom_padding');
+            expect(intents[0].parts).toEqual(['top', 'bottom']);
+            expect(intents[0].value).toBe('10px');
+        });
+
+        test('still splits clauses that each name a part and a value', () => {
+            const intents = classifier.classifyCompound('set the top padding to 10px and the bottom padding to 20px', 'et_pb_text');
+            expect(intents).toHaveLength(2);
+            expect(intents[0].parts).toEqual(['top']);
+            expect(intents[1].parts).toEqual(['bottom']);
+            expect(intents[1].value).toBe('20px');
+        });
+
+        test('accepts relative size changes for spacing', () => {
+            const result = classifier.classify('a bit more padding', 'et_pb_text');
+            expect(result.fields[0].fieldName).toBe('custom_padding');
+            expect(result.relative).toMatchObject({ kind: 'size' });
+        });
+    });
+
+    // --- detectExplicitAction ---
+
+    describe('detectExplicitAction', () => {
+        test('returns the action for a keyword', () => {
+            expect(classifier.detectExplicitAction('hide it on phone')).toBe('disable');
+        });
+
+        test('returns null without a keyword', () => {
+            expect(classifier.detectExplicitAction('center the text')).toBeNull();
+        });
+    });
+
+    // --- splitClauses ---
+
+    describe('splitClauses', () => {
+        test('splits on commas and "and"', () => {
+            expect(classifier.splitClauses('center the text, make the title an H1 and hide it on phone')).toEqual([
+                'center the text',
+                'make the title an H1',
+                'hide it on phone',
+            ]);
+        });
+
+        test('splits on "then" and semicolons', () => {
+            expect(classifier.splitClauses('set alignment to left; then make the title h3')).toEqual([
+                'set alignment to left',
+                'make the title h3',
+            ]);
+        });
+
+        test('returns a single clause for simple input', () => {
+            expect(classifier.splitClauses('change alignment to center')).toEqual(['change alignment to center']);
+        });
+    });
+
+    // --- classifyCompound ---
+
+    describe('classifyCompound', () => {
+        test('returns a single intent for a simple request', () => {
+            const intents = classifier.classifyCompound('change text alignment to center', 'et_pb_text');
+            expect(intents).toHaveLength(1);
+            expect(intents[0].fields[0].fieldName).toBe('text_orientation');
+        });
+
+        test('splits a compound request into sub-intents', () => {
+            const intents = classifier.classifyCompound(
+                'center the text, make the title an H1 and hide it on phone',
+                'et_pb_text'
+            );
+            expect(intents).toHaveLength(3);
+
+            expect(intents[0].action).toBe('change');
+            expect(intents[0].fields[0].fieldName).toBe('text_orientation');
+            expect(intents[0].value).toBe('center');
+
+            expect(intents[1].action).toBe('change');
+            expect(intents[1].fields[0].fieldName).toBe('header_level');
+            expect(intents[1].value).toBe('h1');
+
+            expect(intents[2].action).toBe('disable');
+            expect(intents[2].breakpoint).toBe('phone');
+        });
+
+        test('clauses without an action inherit the previous action', () => {
+            const intents = classifier.classifyCompound(
+                'set the title heading level to h3 and text alignment to right',
+                'et_pb_text'
+            );
+            expect(intents).toHaveLength(2);
+            expect(intents[1].action).toBe('change');
+            expect(intents[1].fields[0].fieldName).toBe('text_orientation');
+            expect(intents[1].value).toBe('right');
+        });
+
+        test('merges clauses that match no field into the previous clause', () => {
+            const intents = classifier.classifyCompound('change text alignment, please', 'et_pb_text');
+            expect(intents).toHaveLength(1);
+            expect(intents[0].raw).toBe('change text alignment, please');
+        });
+
+        test('keeps "black and white" in one clause as written', () => {
+            const intents = classifier.classifyCompound('make the title black and white', 'et_pb_text');
+            expect(intents).toHaveLength(1);
+            expect(intents[0].raw).toBe('make the title black and white');
+        });
+    });
+
+    // --- lockField ---
+
+    describe('lockField', () => {
+        test('narrows the intent to the chosen field with high confidence', () => {
+            const intent = classifier.classify('change the css to main-id', 'et_pb_text');
+            const locked = classifier.lockField(intent, 'module_id');
+            expect(locked.fields).toHaveLength(1);
+            expect(locked.fields[0].fieldName).toBe('module_id');
+            expect(locked.confidence).toBe('high');
+            expect(locked.locked).toBe(true);
+            expect(locked.value).toBe('main-id');
+            expect(locked.valueResolved).toBe(true);
+        });
+
+        test('re-resolves the value against the chosen field', () => {
+            const intent = classifier.classify('title center', 'et_pb_text');
+            const locked = classifier.lockField(intent, 'text_orientation');
+            expect(locked.action).toBe('change');
+            expect(locked.value).toBe('center');
+        });
+
+        test('keeps a value that is invalid for the chosen field unresolved', () => {
+            const intent = classifier.classify('set the title to h1', 'et_pb_text');
+            const locked = classifier.lockField(intent, 'text_orientation');
+            expect(locked.value).toBe('h1');
+            expect(locked.valueResolved).toBe(false);
+        });
+
+        test('returns the intent unchanged for an unknown field', () => {
+            const intent = classifier.classify('change the css', 'et_pb_text');
+            expect(classifier.lockField(intent, 'nope')).toBe(intent);
+        });
+    });
+
+    // --- getField ---
+
+    describe('hasModule', () => {
+        test('reports whether a module type is indexed', () => {
+            expect(classifier.hasModule('et_pb_text')).toBe(true);
+            expect(classifier.hasModule('et_pb_fake')).toBe(false);
+            expect(classifier.hasModule(null)).toBe(false);
+        });
+    });
+
+    describe('getField', () => {
+        test('returns the schema field with its type and options', () => {
+            const field = classifier.getField('et_pb_text', 'text_orientation');
+            expect(field.fieldName).toBe('text_orientation');
+            expect(field.type).toBe('select');
+            expect(field.options).toHaveProperty('center');
+        });
+
+        test('returns null for unknown fields and modules', () => {
+            expect(classifier.getField('et_pb_text', 'nope')).toBeNull();
+            expect(classifier.getField('et_pb_nope', 'text_orientation')).toBeNull();
+        });
+
+        test('carries the toggles a field depends on', () => {
+            classifier.buildIndex({
+                et_pb_button: {
+                    label: 'Button',
+                    tabs: {
+                        design: {
+                            toggles: {
+                                button: {
+                                    label: 'Button',
+                                    fields: {
+                                        custom_button: { type: 'yes_no', label: 'Use Custom Styles For Button', default: 'off' },
+                                        button_bg_color: { type: 'color', label: 'Button Background Color', show_if: { custom_button: 'on' } },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            });
+
+            expect(classifier.getField('et_pb_button', 'button_bg_color').requires).toEqual([
+                expect.objectContaining({ fieldName: 'custom_button', tab: 'design', toggleLabel: 'Button', value: 'on' }),
+            ]);
+            expect(classifier.getField('et_pb_button', 'custom_button').requires).toEqual([]);
+        });
+    });
+
+    // --- detectScope ---
+
+    describe('detectScope', () => {
+        beforeEach(() => {
+            classifier.buildIndex({
+                ...textSchema,
+                et_pb_button: { label: 'Button', natural_language_aliases: ['button', 'link button'], tabs: {} },
+                et_pb_blurb: { label: 'Blurb', natural_language_aliases: ['blurb', 'icon box'], tabs: {} },
+                et_pb_heading: { label: 'Heading', natural_language_aliases: ['heading', 'title'], tabs: {} },
+            });
+        });
+
+        test('detects plural targets after "all"', () => {
+            expect(classifier.detectScope('make all buttons blue')).toEqual({ moduleType: 'et_pb_button', within: 'page' });
+            expect(classifier.detectScope('set all of the icon boxes to center')).toEqual({ moduleType: 'et_pb_blurb', within: 'page' });
+        });
+
+        test('accepts singular targets after "every" and "each"', () => {
+            expect(classifier.detectScope('every heading should be H2').moduleType).toBe('et_pb_heading');
+            expect(classifier.detectScope('center each blurb').moduleType).toBe('et_pb_blurb');
+        });
+
+        test('limits the scope to the selected container', () => {
+            expect(classifier.detectScope('all blurbs in this section should be centered').within).toBe('section');
+            expect(classifier.detectScope('every button in the current row').within).toBe('row');
+        });
+
+        test('ignores "all" without a plural module name', () => {
+            expect(classifier.detectScope('make all text bold')).toBeNull();
+        });
+
+        test('returns null without a quantifier or module name', () => {
+            expect(classifier.detectScope('make the button blue')).toBeNull();
+            expect(classifier.detectScope('make all corners round')).toBeNull();
+        });
+    });
+
+    // --- detectStructural ---
+
+    describe('detectStructural', () => {
+        beforeEach(() => {
+            classifier.buildIndex({
+                ...textSchema,
+                et_pb_button: { label: 'Button', natural_language_aliases: ['button'], tabs: {} },
+                et_pb_blurb: { label: 'Blurb', natural_language_aliases: ['blurb', 'icon box'], tabs: {} },
+            });
+        });
+
+        test('detects inserts with count and position', () => {
+            expect(classifier.detectStructural('add a button below this')).toMatchObject({
+                action: 'insert', moduleType: 'et_pb_button', count: 1, position: 'after',
+            });
+            expect(classifier.detectStructural('insert two blurbs above')).toMatchObject({
+                action: 'insert', moduleType: 'et_pb_blurb', count: 2, position: 'before',
+            });
+        });
+
+        test('leaves field edits that start with "add" alone', () => {
+            expect(classifier.detectStructural('add more padding')).toBeNull();
+            expect(classifier.detectStructural('add a button link to google')).toBeNull();
+        });
+
+        test('detects duplicates with a count', () => {
+            expect(classifier.detectStructural('duplicate this', 'et_pb_text')).toMatchObject({ action: 'duplicate', count: 1 });
+            expect(classifier.detectStructural('duplicate this three times', 'et_pb_text').count).toBe(3);
+            expect(classifier.detectStructural('copy it twice', 'et_pb_text').count).toBe(2);
+        });
+
+        test('detects deletes of the module itself only', () => {
+            expect(classifier.detectStructural('delete this', 'et_pb_text')).toMatchObject({ action: 'remove' });
+            expect(classifier.detectStructural('remove this module', 'et_pb_text')).toMatchObject({ action: 'remove' });
+            expect(classifier.detectStructural('delete this blurb', 'et_pb_blurb')).toMatchObject({ action: 'remove' });
+            expect(classifier.detectStructural('remove the border', 'et_pb_text')).toBeNull();
+            expect(classifier.detectStructural('remove it', 'et_pb_text')).toBeNull();
+            expect(classifier.detectStructural('delete this button', 'et_pb_blurb')).toBeNull();
+        });
+
+        test('leaves deletes that may name a field to field classification', () => {
+            expect(classifier.detectStructural('delete the text', 'et_pb_text')).toBeNull();
+            expect(classifier.detectStructural('remove the title', 'et_pb_text')).toBeNull();
+            expect(classifier.detectStructural('delete the text module', 'et_pb_text')).toMatchObject({ action: 'remove' });
+            expect(classifier.detectStructural('delete it', 'et_pb_text')).toMatchObject({ action: 'remove' });
+        });
+
+        test('detects moves with a direction', () => {
+            expect(classifier.detectStructural('move this up', 'et_pb_text').direction).toBe('up');
+            expect(classifier.detectStructural('move it to the bottom', 'et_pb_text').direction).toBe('bottom');
+            expect(classifier.detectStructural('move the text to the top of the column', 'et_pb_text').direction).toBe('top');
+            expect(classifier.detectStructural('move the text closer to the image', 'et_pb_text')).toBeNull();
+        });
+
+        test('returns null without a structural verb', () => {
+            expect(classifier.detectStructural('make the text bigger', 'et_pb_text')).toBeNull();
+        });
+    });
+
+    // --- isLayoutRequest ---
+
+    describe('isLayoutRequest', () => {
+        test('detects described or newly created layout parts', () => {
+            expect(classifier.isLayoutRequest('hero section with headline, subtext and two CTA buttons, then a three-column feature row')).toBe(true);
+            expect(classifier.isLayoutRequest('add a three column row')).toBe(true);
+            expect(classifier.isLayoutRequest('create a pricing section')).toBe(true);
+        });
+
+        test('ignores references to existing layout parts', () => {
+            expect(classifier.isLayoutRequest('make this section blue')).toBe(false);
+            expect(classifier.isLayoutRequest('add padding to the row')).toBe(false);
+            expect(classifier.isLayoutRequest('center all blurbs in this section')).toBe(false);
+        });
+
+        test('ignores requests without a layout noun or description', () => {
+            expect(classifier.isLayoutRequest('add a button below this')).toBe(false);
+            expect(classifier.isLayoutRequest('text in two columns')).toBe(false);
+        });
+    });
+
+    // --- detectChildCommand ---
+
+    describe('detectChildCommand', () => {
+        beforeEach(() => {
+            classifier.buildIndex({
+                ...textSchema,
+                et_pb_accordion: { label: 'Accordion', natural_language_aliases: ['accordion', 'FAQ'], has_children: true, child_type: 'et_pb_accordion_item', tabs: {} },
+                et_pb_accordion_item: { label: 'Accordion Item', natural_language_aliases: ['FAQ item', 'question'], tabs: {} },
+                et_pb_toggle: { label: 'Toggle', natural_language_aliases: ['FAQ item'], tabs: {} },
+                et_pb_slider: { label: 'Slider', natural_language_aliases: ['slider'], has_children: true, child_type: 'et_pb_slide', tabs: {} },
+                et_pb_slide: { label: 'Slide', natural_language_aliases: ['slide'], tabs: {} },
+            });
+        });
+
+        test('only applies to modules with children', () => {
+            expect(classifier.detectChildCommand('delete the second item', 'et_pb_text')).toBeNull();
+            expect(classifier.detectChildCommand('make the text red', 'et_pb_slider')).toBeNull();
+        });
+
+        test('detects inserts with an ordinal and a description', () => {
+            expect(classifier.detectChildCommand('add a fourth FAQ item about shipping', 'et_pb_accordion')).toMatchObject({
+                action: 'insert', childType: 'et_pb_accordion_item', index: 3, describes: true,
+            });
+            expect(classifier.detectChildCommand('add a slide', 'et_pb_slider')).toMatchObject({
+                action: 'insert', index: null, describes: false,
+            });
+            expect(classifier.detectChildCommand('add a slide at the end', 'et_pb_slider').describes).toBe(false);
+        });
+
+        test('detects deletes and moves of a numbered item', () => {
+            expect(classifier.detectChildCommand('delete the second slide', 'et_pb_slider')).toMatchObject({ action: 'remove', index: 1 });
+            expect(classifier.detectChildCommand('remove the last question', 'et_pb_accordion')).toMatchObject({ action: 'remove', index: -1 });
+            expect(classifier.detectChildCommand('move slide 3 up', 'et_pb_slider')).toMatchObject({ action: 'move', index: 2, direction: 'up' });
+            expect(classifier.detectChildCommand('move the 2nd item to the top', 'et_pb_slider')).toMatchObject({ index: 1, direction: 'top' });
+        });
+
+        test('lists items', () => {
+            expect(classifier.detectChildCommand('list the slides', 'et_pb_slider').action).toBe('list');
+            expect(classifier.detectChildCommand('how many items are there', 'et_pb_accordion').action).toBe('list');
+        });
+
+        test('strips the item reference from edits', () => {
+            expect(classifier.detectChildCommand("make the second slide's button red", 'et_pb_slider')).toMatchObject({
+                action: 'edit', index: 1, rest: 'make button red',
+            });
+            expect(classifier.detectChildCommand('change slide 2 title to Welcome', 'et_pb_slider').rest).toBe('change title to Welcome');
+        });
+
+        test('leaves edits without an item number to the parent', () => {
+            expect(classifier.detectChildCommand('make the slides taller', 'et_pb_slider')).toBeNull();
+        });
     });
 });
@@ -0,0 +1,82 @@
+/**
+ * Tests for RelativeResolver.
+ */
+
+import { resolveRelativeValue } from '../../intent/RelativeResolver';
+
+describe('RelativeResolver', () => {
+    const size = (overrides = {}) => ({
+        kind: 'size', direction: 1, amount: null, unit: null, magnitude: 'normal', ...overrides,
+    });
+
+    // --- lengths ---
+
+    describe('lengths', () => {
+        test('adds an explicit amount in the same unit', () => {
+            expect(resolveRelativeValue(size({ amount: 10, unit: 'px' }), '20px')).toBe('30px');
+        });
+
+        test('subtracts an explicit amount', () => {
+            expect(resolveRelativeValue(size({ direction: -1, amount: 0.5, unit: 'em' }), '2em')).toBe('1.5em');
+        });
+
+        test('treats a unitless amount as the current unit', () => {
+            expect(resolveRelativeValue(size({ amount: 2 }), '1px')).toBe('3px');
+        });
+
+        test('scales by a percentage', () => {
+            expect(resolveRelativeValue(size({ amount: 50, unit: '%' }), '20px')).toBe('30px');
+        });
+
+        test('adds to percentage values', () => {
+            expect(resolveRelativeValue(size({ amount: 10, unit: '%' }), '50%')).toBe('60%');
+        });
+
+        test('uses a proportional step without an amount', () => {
+            expect(resolveRelativeValue(size(), '20px')).toBe('24px');
+            expect(resolveRelativeValue(size({ magnitude: 'small' }), '20px')).toBe('22px');
+        });
+
+        test('never goes below zero', () => {
+            expect(resolveRelativeValue(size({ direction: -1, amount: 50, unit: 'px' }), '20px')).toBe('0px');
+        });
+
+        test('refuses mixed units', () => {
+            expect(resolveRelativeValue(size({ amount: 10, unit: 'px' }), '2em')).toBeNull();
+        });
+
+        test('refuses non-numeric values', () => {
+            expect(resolveRelativeValue(size(), 'auto')).toBeNull();
+        });
+    });
+
+    // --- colors ---
+
+    describe('colors', () => {
+        test('darkens a color', () => {
+            expect(resolveRelativeValue({ kind: 'lightness', direction: -1, amount: null, magnitude: 'normal' }, '#808080'))
+                .toBe('#676767');
+        });
+
+        test('lightens a color by an explicit amount', () => {
+            expect(resolveRelativeValue({ kind: 'lightness', direction: 1, amount: 20, unit: '%' }, '#000000'))
+                .toBe('#333333');
+        });
+
+        test('increases saturation', () => {
+            const result = resolveRelativeValue({ kind: 'saturation', direction: 1, amount: null, magnitude: 'large' }, '#996666');
+            expect(result).not.toBe('#996666');
+            expect(result).toMatch(/^#[0-9a-f]{6}$/);
+        });
+
+        test('keeps alpha on rgba colors', () => {
+            expect(resolveRelativeValue({ kind: 'lightness', direction: 1, amount: null, magnitude: 'normal' }, 'rgba(0,0,0,0.5)'))
+                .toBe('rgba(26,26,26,0.5)');
+        });
+    });
+
+    test('returns null without a current value', () => {
+        expect(resolveRelativeValue(size(), '')).toBeNull();
+        expect(resolveRelativeValue(size(), null)).toBeNull();
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for ValueParser.
+ */
+
+import { ValueParser } from '../../intent/ValueParser';
+
+describe('ValueParser', () => {
+    let parser;
+
+    const alignField = {
+        fieldName: 'text_orientation',
+        type: 'select',
+        options: { left: 'Left', center: 'Center', right: 'Right', justified: 'Justified' },
+    };
+    const colorField = { fieldName: 'button_bg_color', type: 'color' };
+    const toggleField = { fieldName: 'use_icon', type: 'yes_no' };
+    const weightField = { fieldName: 'divider_weight', type: 'text' };
+    const textField = { fieldName: 'button_text', type: 'text' };
+    const uploadField = { fieldName: 'src', type: 'upload' };
+
+    beforeEach(() => {
+        parser = new ValueParser();
+    });
+
+    // --- parse: select ---
+
+    describe('parse (select)', () => {
+        test('maps a label back to its key', () => {
+            expect(parser.parse('Justified', alignField)).toBe('justified');
+        });
+
+        test('accepts the key itself', () => {
+            expect(parser.parse('center', alignField)).toBe('center');
+        });
+
+        test('maps spelling variants', () => {
+            expect(parser.parse('centre', alignField)).toBe('center');
+        });
+
+        test('accepts an unambiguous prefix', () => {
+            expect(parser.parse('justif', alignField)).toBe('justified');
+        });
+
+        test('returns null for an unknown option', () => {
+            expect(parser.parse('diagonal', alignField)).toBeNull();
+        });
+    });
+
+    // --- parse: color ---
+
+    describe('parse (color)', () => {
+        test('normalizes hex to lowercase', () => {
+            expect(parser.parse('#FF0000', colorField)).toBe('#ff0000');
+        });
+
+        test('expands short hex', () => {
+            expect(parser.parse('#f00', colorField)).toBe('#ff0000');
+        });
+
+        test('keeps rgba with alpha', () => {
+            expect(parser.parse('rgba(0, 0, 0, .5)', colorField)).toBe('rgba(0,0,0,0.5)');
+        });
+
+        test('converts opaque rgb to hex', () => {
+            expect(parser.parse('rgb(255,255,255)', colorField)).toBe('#ffffff');
+        });
+
+        test('maps named colors to hex', () => {
+            expect(parser.parse('red', colorField)).toBe('#ff0000');
+        });
+
+        test('applies dark/light modifiers', () => {
+            expect(parser.parse('dark blue', colorField)).toBe('#000099');
+            expect(parser.parse('light gray', colorField)).toBe('#b3b3b3');
+        });
+
+        test('joins two-word color names', () => {
+            expect(parser.parse('sky blue', colorField)).toBe('#87ceeb');
+        });
+
+        test('returns null for non-colors', () => {
+            expect(parser.parse('bigger', colorField)).toBeNull();
+        });
+    });
+
+    // --- parse: yes_no ---
+
+    describe('parse (yes_no)', () => {
+        test('maps yes words to on', () => {
+            expect(parser.parse('Yes', toggleField)).toBe('on');
+            expect(parser.parse('enabled', toggleField)).toBe('on');
+        });
+
+        test('maps no words to off', () => {
+            expect(parser.parse('no', toggleField)).toBe('off');
+            expect(parser.parse('hidden', toggleField)).toBe('off');
+        });
+
+        test('returns null for anything else', () => {
+            expect(parser.parse('maybe', toggleField)).toBeNull();
+        });
+    });
+
+    // --- parse: text ---
+
+    describe('parse (text)', () => {
+        test('keeps units intact', () => {
+            expect(parser.parse('24px', weightField)).toBe('24px');
+            expect(parser.parse('1.5em', weightField)).toBe('1.5em');
+            expect(parser.parse('50%', weightField)).toBe('50%');
+        });
+
+        test('normalizes spelled-out units and spacing', () => {
+            expect(parser.parse('24 pixels', weightField)).toBe('24px');
+            expect(parser.parse('.5 em', weightField)).toBe('0.5em');
+        });
+
+        test('defaults bare numbers to px on length fields', () => {
+            expect(parser.parse('3', weightField)).toBe('3px');
+        });
+
+        test('rejects non-lengths on length fields', () => {
+            expect(parser.parse('thick', weightField)).toBeNull();
+        });
+
+        test('passes plain text through with its casing', () => {
+            expect(parser.parse('Buy Now', textField)).toBe('Buy Now');
+        });
+
+        test('strips surrounding quotes', () => {
+            expect(parser.parse('"Learn more"', textField)).toBe('Learn more');
+        });
+    });
+
+    // --- parse: upload ---
+
+    describe('parse (upload)', () => {
+        test('accepts URLs', () => {
+            expect(parser.parse('https://example.com/a.jpg', uploadField)).toBe('https://example.com/a.jpg');
+        });
+
+        test('rejects non-URLs', () => {
+            expect(parser.parse('a nice picture', uploadField)).toBeNull();
+        });
+    });
+
+    // --- extract ---
+
+    describe('extract', () => {
+        test('finds an option mentioned in the sentence', () => {
+            expect(parser.extract('center the text', alignField)).toBe('center');
+        });
+
+        test('finds a named color with its modifier', () => {
+            expect(parser.extract('make the button dark blue', colorField)).toBe('#000099');
+        });
+
+        test('finds a hex color', () => {
+            expect(parser.extract('use #00FF00 for the button', colorField)).toBe('#00ff00');
+        });
+
+        test('finds a length on length fields', () => {
+            expect(parser.extract('make the divider 4 px thick', weightField)).toBe('4px');
+        });
+
+        test('returns null when nothing matches', () => {
+            expect(parser.extract('change the button text', textField)).toBeNull();
+        });
+    });
+});
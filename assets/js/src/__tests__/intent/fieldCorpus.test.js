@@ -0,0 +1,75 @@
+/**
+ * Field matching regression corpus.
+ *
+ * Real phrasings — typos, plurals, synonyms — classified against the shipped
+ * core schemas. Each entry pins the field the classifier must rank first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { IntentClassifier } from '../../intent/IntentClassifier';
+
+const SCHEMA_DIR = path.resolve(__dirname, '../../../../../schemas/core');
+
+function loadSchemas() {
+    const schemas = {};
+    for (const file of fs.readdirSync(SCHEMA_DIR)) {
+        if (!file.endsWith('.json')) continue;
+        const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+        schemas[schema.module_type] = schema;
+    }
+    return schemas;
+}
+
+describe('field matching corpus', () => {
+    const classifier = new IntentClassifier();
+    classifier.buildIndex(loadSchemas());
+
+    test.each([
+        // Typos.
+        ['et_pb_button', 'change the backgroud colr to red', 'button_bg_color'],
+        ['et_pb_button', 'make the buton text colour white', 'button_text_color'],
+        ['et_pb_button', 'set button aligment to center', 'button_alignment'],
+        ['et_pb_text', 'change the aligment to center', 'text_orientation'],
+        ['et_pb_text', 'text allignment right', 'text_orientation'],
+        ['et_pb_divider', 'change divider colr', 'color'],
+        ['et_pb_divider', 'line weigth 3px', 'divider_weight'],
+        ['et_pb_cta', 'change backround color', 'background_color'],
+        ['et_pb_testimonial', 'portrait widht', 'portrait_width'],
+        ['et_pb_gallery', 'gallery colums', 'gallery_columns'],
+        ['et_pb_team_member', 'twiter url', 'twitter_url'],
+        ['et_pb_menu', 'dropdown menu backgrond color', 'dropdown_menu_bg_color'],
+
+        // Plurals and inflections.
+        ['et_pb_text', 'heading levels', 'header_level'],
+        ['et_pb_divider', 'divider styles', 'divider_style'],
+        ['et_pb_blurb', 'change icon colors', 'icon_color'],
+        ['et_pb_blog', 'show thumbnails', 'show_thumbnail'],
+        ['et_pb_blog', 'hide the dates', 'show_date'],
+        ['et_pb_button', 'use custom styles', 'custom_button'],
+
+        // Synonyms and plain phrasings.
+        ['et_pb_button', 'button bg color', 'button_bg_color'],
+        ['et_pb_button', 'open link in new window', 'url_new_window'],
+        ['et_pb_button', 'change the button url', 'button_url'],
+        ['et_pb_text', 'make the title an h1', 'header_level'],
+        ['et_pb_text', 'add a css class', 'module_class'],
+        ['et_pb_divider', 'make the line thicker', 'divider_weight'],
+        ['et_pb_blurb', 'use an icon', 'use_icon'],
+        ['et_pb_image', 'change the alt text', 'alt'],
+        ['et_pb_image', 'force fullwidth', 'force_fullwidth'],
+        ['et_pb_slider', 'hide arrows', 'show_arrows'],
+        ['et_pb_blog', 'number of posts', 'posts_number'],
+        ['et_pb_toggle', 'icon colour', 'icon_color'],
+        ['et_pb_search', 'placeholder text', 'placeholder'],
+    ])('%s: "%s" → %s', (moduleType, text, expected) => {
+        const result = classifier.classify(text, moduleType);
+        expect(result.fields[0].fieldName).toBe(expected);
+    });
+
+    test('does not invent a match for a field the module lacks', () => {
+        const result = classifier.classify('paddings', 'et_pb_divider');
+        expect(result.fields).toHaveLength(0);
+        expect(result.confidence).toBe('low');
+    });
+});
@@ -3,6 +3,7 @@
  */
 
 import { AITabContent } from '../../tab/AITabContent';
+import { ChatHistoryStore } from '../../chat/ChatHistoryStore';
 
 describe('AITabContent', () => {
     let tabContent;
@@ -159,6 +160,17 @@ describe('AITabContent', () => {
             expect(msgEl.querySelector('.da-undo-btn')).not.toBeNull();
         });
 
+        test('records the undo kind and snapshot ID', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('test', 'guidance');
+            tabContent.appendUndoButton(msgEl, jest.fn(), { snapshotId: 's1' });
+            tabContent.appendUndoButton(msgEl, jest.fn(), { kind: 'child' });
+            const [snapshot, child] = msgEl.querySelectorAll('.da-undo-btn');
+            expect(snapshot.dataset).toMatchObject({ undoKind: 'snapshot', snapshotId: 's1' });
+            expect(child.dataset.undoKind).toBe('child');
+            expect(child.dataset.snapshotId).toBeUndefined();
+        });
+
         test('undo button text is "Undo"', () => {
             tabContent.render(container);
             const msgEl = tabContent.addMessage('test', 'guidance');
@@ -180,6 +192,338 @@ describe('AITabContent', () => {
         });
     });
 
+    // --- appendStopButton ---
+
+    describe('appendStopButton', () => {
+        test('keeps the status text in a content span next to the button', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('Analyzing your request...', 'assistant');
+            const btn = tabContent.appendStopButton(msgEl, jest.fn());
+            expect(msgEl.querySelector('.da-msg-content').textContent).toBe('Analyzing your request...');
+            expect(btn.className).toBe('da-stop-btn');
+            expect(btn.textContent).toBe('Stop');
+            expect(btn.parentNode).toBe(msgEl);
+        });
+
+        test('calls onStop once', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('Analyzing your request...', 'assistant');
+            const onStop = jest.fn();
+            const btn = tabContent.appendStopButton(msgEl, onStop);
+            btn.click();
+            btn.click();
+            expect(onStop).toHaveBeenCalledTimes(1);
+            expect(btn.disabled).toBe(true);
+        });
+    });
+
+    // --- appendRecovery ---
+
+    describe('appendRecovery', () => {
+        test('links to the settings', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('No API key.', 'error');
+            const link = tabContent.appendRecovery(msgEl, 'settings', { settingsUrl: '/wp-admin/admin.php?page=divi-anchor-ai' });
+            expect(link.tagName).toBe('A');
+            expect(link.getAttribute('href')).toBe('/wp-admin/admin.php?page=divi-anchor-ai');
+            expect(link.textContent).toBe('Open Settings');
+        });
+
+        test('retries once', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('Timed out.', 'error');
+            const onRetry = jest.fn();
+            const btn = tabContent.appendRecovery(msgEl, 'retry', { onRetry });
+            btn.click();
+            btn.click();
+            expect(onRetry).toHaveBeenCalledTimes(1);
+            expect(btn.className).toBe('da-recovery-btn da-recovery-retry');
+        });
+
+        test('puts the request back in the input to rephrase', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('Unexpected response.', 'error');
+            tabContent.appendRecovery(msgEl, 'rephrase', { text: 'make it pop' }).click();
+            expect(container.querySelector('.da-tab-input').value).toBe('make it pop');
+        });
+
+        test('adds nothing without a recovery', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('Oops.', 'error');
+            expect(tabContent.appendRecovery(msgEl, null)).toBeNull();
+            expect(tabContent.appendRecovery(msgEl, 'settings', {})).toBeNull();
+            expect(msgEl.querySelector('.da-recovery-btn')).toBeNull();
+        });
+    });
+
+    // --- appendChoices ---
+
+    describe('appendChoices', () => {
+        const choices = [
+            { fieldName: 'module_class', label: 'CSS Class', detail: 'Advanced › Custom CSS' },
+            { fieldName: 'module_id', label: 'CSS ID', detail: 'Advanced › Custom CSS' },
+        ];
+
+        test('renders one chip per choice', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('Which one?', 'assistant');
+            tabContent.appendChoices(msgEl, choices, jest.fn());
+            const chips = msgEl.querySelectorAll('.da-choice-chip');
+            expect(chips).toHaveLength(2);
+            expect(chips[0].querySelector('.da-choice-label').textContent).toBe('CSS Class');
+            expect(chips[0].querySelector('.da-choice-detail').textContent).toBe('Advanced › Custom CSS');
+        });
+
+        test('clicking a chip calls back once and disables the group', () => {
+            tabContent.render(container);
+            const msgEl = tabContent.addMessage('Which one?', 'assistant');
+            const onPick = jest.fn();
+            tabContent.appendChoices(msgEl, choices, onPick);
+            const chips = msgEl.querySelectorAll('.da-choice-chip');
+            chips[1].click();
+            chips[0].click();
+            expect(onPick).toHaveBeenCalledTimes(1);
+            expect(onPick).toHaveBeenCalledWith(choices[1]);
+            expect(chips[0].disabled).toBe(true);
+            expect(chips[1].classList.contains('da-choice-chip-picked')).toBe(true);
+        });
+    });
+
+    // --- save / restore ---
+
+    describe('save / restore', () => {
+        const moduleInfo = { moduleId: 'm1', moduleType: 'et_pb_text' };
+        let store;
+
+        beforeEach(() => {
+            store = new ChatHistoryStore();
+        });
+
+        test('restores the stored transcript instead of the welcome message', () => {
+            const first = new AITabContent({ onSend, store });
+            first.render(container, moduleInfo);
+            first.addMessage('Done! Updated **Text Alignment**.', 'guidance');
+            first.save();
+
+            const reopened = new AITabContent({ onSend, store });
+            reopened.render(container, moduleInfo);
+            const messages = container.querySelectorAll('.da-message');
+            expect(messages).toHaveLength(2);
+            expect(messages[1].textContent).toContain('Updated Text Alignment');
+        });
+
+        test('shows the welcome message for a module without a transcript', () => {
+            const tab = new AITabContent({ onSend, store });
+            tab.render(container, { moduleId: 'other' });
+            const messages = container.querySelectorAll('.da-message');
+            expect(messages).toHaveLength(1);
+            expect(messages[0].textContent).toContain('Hi!');
+        });
+
+        test('does not store the typing indicator', () => {
+            const tab = new AITabContent({ onSend, store });
+            tab.render(container, moduleInfo);
+            tab.showTyping();
+            tab.save();
+            expect(store.get('m1')).not.toContain('da-typing-indicator');
+        });
+
+        test('keeps only the most recent messages', () => {
+            const tab = new AITabContent({ onSend, store });
+            tab.render(container, moduleInfo);
+            for (let i = 0; i < 60; i++) {
+                tab.addMessage(`message ${i}`, 'assistant');
+            }
+            tab.save();
+
+            const holder = document.createElement('div');
+            holder.innerHTML = store.get('m1');
+            expect(holder.children).toHaveLength(50);
+            expect(holder.lastElementChild.textContent).toBe('message 59');
+        });
+
+        test('disables stale Apply buttons and choice chips', () => {
+            const first = new AITabContent({ onSend, store });
+            first.render(container, moduleInfo);
+            const msgEl = first.addMessage('Proposing 1 change', 'guidance');
+            msgEl.insertAdjacentHTML(
+                'beforeend',
+                '<div class="da-changeset-actions"><button class="da-changeset-btn-apply">Apply</button></div>'
+            );
+            first.appendChoices(msgEl, [{ fieldName: 'a', label: 'A' }], jest.fn());
+            first.save();
+
+            const reopened = new AITabContent({ onSend, store });
+            reopened.render(container, moduleInfo);
+            expect(container.querySelector('.da-changeset-btn-apply').disabled).toBe(true);
+            expect(container.querySelector('.da-choice-chip').disabled).toBe(true);
+        });
+
+        test('disables restored recovery buttons and inline editors', () => {
+            const first = new AITabContent({ onSend, store });
+            first.render(container, moduleInfo);
+            const errorEl = first.addMessage('The AI provider is busy.', 'error');
+            first.appendRecovery(errorEl, 'retry', { onRetry: jest.fn() });
+            first.appendRecovery(first.addMessage('Not understood.', 'error'), 'rephrase', { text: 'make it pop' });
+            first.appendRecovery(first.addMessage('No API key.', 'error'), 'settings', { settingsUrl: '/wp-admin/settings' });
+            first.addMessage('Proposing 1 change', 'guidance').insertAdjacentHTML(
+                'beforeend',
+                '<div class="da-changeset-preview"><input class="da-changeset-check" type="checkbox">'
+                + '<input class="da-changeset-editor"><select class="da-changeset-editor"></select></div>'
+            );
+            first.save();
+
+            const reopened = new AITabContent({ onSend, store });
+            reopened.render(container, moduleInfo);
+
+            const controls = container.querySelectorAll('button.da-recovery-btn, .da-changeset-preview input, .da-changeset-preview select');
+            expect(controls).toHaveLength(5);
+            controls.forEach((control) => {
+                expect(control.disabled).toBe(true);
+                expect(control.title).toMatch(/expired/);
+            });
+            expect(container.querySelector('a.da-recovery-btn').getAttribute('href')).toBe('/wp-admin/settings');
+        });
+
+        test('rewires the latest snapshot Undo to the module undo', async () => {
+            const first = new AITabContent({ onSend, store });
+            first.render(container, moduleInfo);
+            first.appendUndoButton(first.addMessage('Done!', 'guidance'), jest.fn(), { snapshotId: 's1' });
+            first.save();
+
+            const onUndo = jest.fn().mockResolvedValue();
+            const reopened = new AITabContent({ onSend, store, onUndo });
+            reopened.render(container, moduleInfo);
+
+            const btn = container.querySelector('.da-undo-btn');
+            expect(btn.disabled).toBe(false);
+            btn.click();
+            await new Promise((r) => setTimeout(r, 10));
+            expect(onUndo).toHaveBeenCalledWith('s1');
+            expect(btn.textContent).toBe('Undone');
+        });
+
+        test('disables older and non-snapshot Undo buttons', () => {
+            const first = new AITabContent({ onSend, store });
+            first.render(container, moduleInfo);
+            first.appendUndoButton(first.addMessage('Done!', 'guidance'), jest.fn(), { snapshotId: 's1' });
+            first.appendUndoButton(first.addMessage('Done!', 'guidance'), jest.fn(), { snapshotId: 's2' });
+            first.appendUndoButton(first.addMessage('Moved.', 'guidance'), jest.fn(), { kind: 'structure' });
+            first.appendUndoButton(first.addMessage('Added.', 'guidance'), jest.fn(), { kind: 'layout' });
+            first.save();
+
+            const reopened = new AITabContent({ onSend, store, onUndo: jest.fn() });
+            reopened.render(container, moduleInfo);
+
+            const buttons = Array.from(container.querySelectorAll('.da-undo-btn'));
+            expect(buttons.map((btn) => btn.disabled)).toEqual([true, false, true, true]);
+            expect(buttons[1].dataset.snapshotId).toBe('s2');
+            expect(buttons[2].title).toMatch(/History/);
+        });
+
+        test('keeps finished Undo buttons disabled', () => {
+            const first = new AITabContent({ onSend, store });
+            first.render(container, moduleInfo);
+            first.appendUndoButton(first.addMessage('Done!', 'guidance'), jest.fn());
+            container.querySelector('.da-undo-btn').textContent = 'Undone';
+            first.save();
+
+            const reopened = new AITabContent({ onSend, store, onUndo: jest.fn() });
+            reopened.render(container, moduleInfo);
+            expect(container.querySelector('.da-undo-btn').disabled).toBe(true);
+        });
+
+        test('save without a store is a no-op', () => {
+            tabContent.render(container, moduleInfo);
+            expect(() => tabContent.save()).not.toThrow();
+        });
+    });
+
+    // --- history ---
+
+    describe('history', () => {
+        const snapshot = { id: 's1', label: 'Before AI change', time_ago: '2 mins', data: { text_orientation: 'left' } };
+
+        function renderWithHistory(history) {
+            tabContent = new AITabContent({ onSend, history });
+            tabContent.render(container, { moduleId: 'm1', moduleType: 'et_pb_text' });
+            return tabContent;
+        }
+
+        function flush() {
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        test('hides the History button without history callbacks', () => {
+            tabContent.render(container);
+            expect(container.querySelector('.da-tab-history-btn').hidden).toBe(true);
+        });
+
+        test('shows the snapshot list in place of the messages', async () => {
+            const load = jest.fn().mockResolvedValue({
+                snapshots: [snapshot], redo: [], current: { text_orientation: 'center' }, moduleType: 'et_pb_text',
+            });
+            renderWithHistory({ load, restore: jest.fn(), redo: jest.fn() });
+
+            container.querySelector('.da-tab-history-btn').click();
+            await flush();
+
+            expect(load).toHaveBeenCalled();
+            expect(container.querySelector('.da-tab-messages').hidden).toBe(true);
+            expect(container.querySelector('.da-history-label').textContent).toBe('Before AI change');
+            expect(container.querySelector('.da-tab-history-btn').textContent).toBe('Back to chat');
+        });
+
+        test('the History button toggles back to the chat', async () => {
+            const load = jest.fn().mockResolvedValue({ snapshots: [], redo: [], current: {} });
+            renderWithHistory({ load, restore: jest.fn(), redo: jest.fn() });
+            const btn = container.querySelector('.da-tab-history-btn');
+
+            btn.click();
+            await flush();
+            btn.click();
+
+            expect(container.querySelector('.da-tab-history').hidden).toBe(true);
+            expect(container.querySelector('.da-tab-messages').hidden).toBe(false);
+            expect(btn.textContent).toBe('History');
+        });
+
+        test('restores a snapshot and reloads the list', async () => {
+            const load = jest.fn().mockResolvedValue({
+                snapshots: [snapshot], redo: [], current: { text_orientation: 'center' },
+            });
+            const restore = jest.fn().mockResolvedValue();
+            renderWithHistory({ load, restore, redo: jest.fn() });
+
+            await tabContent.showHistory();
+            container.querySelector('.da-history-restore-btn').click();
+            await flush();
+
+            expect(restore).toHaveBeenCalledWith(snapshot);
+            expect(load).toHaveBeenCalledTimes(2);
+        });
+
+        test('shows an error when history fails to load', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            renderWithHistory({ load: jest.fn().mockRejectedValue(new Error('offline')), restore: jest.fn(), redo: jest.fn() });
+
+            await tabContent.showHistory();
+
+            expect(container.querySelector('.da-history-error').textContent).toContain('offline');
+            warn.mockRestore();
+        });
+
+        test('switching modules closes the History view', async () => {
+            const load = jest.fn().mockResolvedValue({ snapshots: [], redo: [], current: {} });
+            renderWithHistory({ load, restore: jest.fn(), redo: jest.fn() });
+
+            await tabContent.showHistory();
+            tabContent.setModuleContext({ moduleId: 'm2', moduleType: 'et_pb_text' });
+
+            expect(tabContent.isHistoryOpen()).toBe(false);
+        });
+    });
+
     // --- setModuleContext ---
 
     describe('setModuleContext', () => {
@@ -0,0 +1,129 @@
+/**
+ * Tests for SnapshotHistory.
+ */
+
+import { SnapshotHistory } from '../../tab/SnapshotHistory';
+
+describe('SnapshotHistory', () => {
+    let onRestore;
+    let onRedo;
+    let history;
+
+    const snapshots = [
+        { id: 's2', label: 'Before AI change', time_ago: '1 min', data: { text_orientation: 'left', text_color: '#333333' } },
+        { id: 's1', label: 'Before local change', time_ago: '5 mins', data: { text_orientation: 'center' } },
+    ];
+    const current = { text_orientation: 'center', text_color: '#333333' };
+
+    function flush() {
+        return new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    beforeEach(() => {
+        onRestore = jest.fn().mockResolvedValue();
+        onRedo = jest.fn().mockResolvedValue();
+        history = new SnapshotHistory({
+            onRestore,
+            onRedo,
+            describeField: (moduleType, fieldName) => (fieldName === 'text_orientation'
+                ? { label: 'Text Alignment', type: 'select' }
+                : null),
+        });
+    });
+
+    // --- diff ---
+
+    describe('diff', () => {
+        test('lists fields a restore would change', () => {
+            expect(history.diff(snapshots[0].data, current, 'et_pb_text')).toEqual([
+                { field: 'text_orientation', label: 'Text Alignment', old_value: 'center', new_value: 'left', type: 'select' },
+            ]);
+        });
+
+        test('skips internal keys', () => {
+            expect(history.diff({ _builder_version: '4.1' }, {}, 'et_pb_text')).toEqual([]);
+        });
+
+        test('treats missing current values as empty', () => {
+            const changes = history.diff({ text_color: '#ffffff' }, {}, 'et_pb_text');
+            expect(changes[0]).toMatchObject({ field: 'text_color', label: 'text_color', old_value: '' });
+        });
+    });
+
+    // --- render ---
+
+    describe('render', () => {
+        test('renders one item per snapshot with label and age', () => {
+            const el = history.render({ snapshots, redo: [], current, moduleType: 'et_pb_text' });
+            const items = el.querySelectorAll('.da-history-item');
+            expect(items.length).toBe(2);
+            expect(items[0].querySelector('.da-history-label').textContent).toBe('Before AI change');
+            expect(items[0].querySelector('.da-history-time').textContent).toBe('1 min ago');
+        });
+
+        test('shows the diff against the current settings', () => {
+            const el = history.render({ snapshots, redo: [], current, moduleType: 'et_pb_text' });
+            const item = el.querySelector('.da-history-item');
+            expect(item.querySelector('summary').textContent).toBe('1 setting differs');
+            expect(item.querySelector('.da-changeset-preview-title').textContent).toBe('Restoring would change');
+            expect(item.querySelector('.da-changeset-new').textContent).toBe('left');
+        });
+
+        test('disables Restore when a snapshot matches the current settings', () => {
+            const el = history.render({ snapshots, redo: [], current, moduleType: 'et_pb_text' });
+            const item = el.querySelectorAll('.da-history-item')[1];
+            expect(item.querySelector('.da-history-same')).not.toBeNull();
+            expect(item.querySelector('.da-history-restore-btn').disabled).toBe(true);
+        });
+
+        test('shows an empty state', () => {
+            const el = history.render({ snapshots: [], redo: [], current });
+            expect(el.querySelector('.da-history-empty')).not.toBeNull();
+        });
+
+        test('offers redo only when something was undone', () => {
+            expect(history.render({ snapshots, redo: [], current }).querySelector('.da-history-redo-btn')).toBeNull();
+            const el = history.render({ snapshots, redo: [{ id: 'r1', time_ago: '1 min', data: {} }], current });
+            expect(el.querySelector('.da-history-redo').textContent).toContain('1 min ago');
+        });
+    });
+
+    // --- actions ---
+
+    describe('actions', () => {
+        test('Restore calls onRestore with the snapshot', async () => {
+            const el = history.render({ snapshots, redo: [], current });
+            el.querySelector('.da-history-restore-btn').click();
+            await flush();
+            expect(onRestore).toHaveBeenCalledWith(snapshots[0]);
+        });
+
+        test('Redo calls onRedo', async () => {
+            const el = history.render({ snapshots, redo: [{ id: 'r1', data: {} }], current });
+            el.querySelector('.da-history-redo-btn').click();
+            await flush();
+            expect(onRedo).toHaveBeenCalled();
+        });
+
+        test('disables every button while an action runs', () => {
+            onRestore.mockReturnValue(new Promise(() => {}));
+            const el = history.render({ snapshots, redo: [{ id: 'r1', data: {} }], current });
+            el.querySelector('.da-history-restore-btn').click();
+            expect(el.querySelector('.da-history-redo-btn').disabled).toBe(true);
+            expect(el.querySelector('.da-history-restore-btn').textContent).toBe('Restoring...');
+        });
+
+        test('re-enables the buttons when an action fails', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            onRestore.mockRejectedValue(new Error('Select the module again.'));
+            const el = history.render({ snapshots, redo: [], current });
+            const btn = el.querySelector('.da-history-restore-btn');
+            btn.click();
+            await flush();
+            expect(btn.textContent).toBe('Restore failed');
+            expect(btn.title).toBe('Select the module again.');
+            expect(btn.disabled).toBe(false);
+            warn.mockRestore();
+        });
+    });
+});
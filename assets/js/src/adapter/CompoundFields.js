@@ -0,0 +1,290 @@
+/**
+ * Compound Fields — Codec for Divi's pipe-delimited field values.
+ *
+ * Divi 4 packs several settings into one string per field:
+ *
+ *     font            Open Sans|700|on||||||      family|weight|italic|uppercase|underline|small caps|strikethrough|line color|line style
+ *     custom_margin   10px|20px|10px|20px|false|false   top|right|bottom|left|link top & bottom|link left & right
+ *     custom_padding  (same as custom_margin)
+ *     border_radii    on|5px|5px|5px|5px          linked|top left|top right|bottom right|bottom left
+ *
+ * parseCompound() turns a value into { part: value }; flags come back as
+ * 'on' / 'off' whatever the format stores. serializeCompound() does the
+ * reverse, and updateCompound() changes some parts while keeping the rest.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+/** Font weights with the labels Divi's weight dropdown uses. */
+const FONT_WEIGHTS = {
+    100: 'Thin',
+    200: 'Ultra Light',
+    300: 'Light',
+    400: 'Regular',
+    500: 'Medium',
+    600: 'Semi Bold',
+    700: 'Bold',
+    800: 'Ultra Bold',
+    900: 'Heavy',
+};
+
+/** Underline/strikethrough line styles. */
+const LINE_STYLES = {
+    solid: 'Solid',
+    double: 'Double',
+    dotted: 'Dotted',
+    dashed: 'Dashed',
+    wavy: 'Wavy',
+};
+
+/** How flags are stored: [on, off]. */
+const FONT_FLAG = ['on', ''];
+const LINK_FLAG = ['true', 'false'];
+const RADII_FLAG = ['on', 'off'];
+
+/** Spacing sides, in stored order. */
+const SPACING = {
+    parts: [
+        { key: 'top', label: 'Top', type: 'text', unit: true, aliases: ['top'] },
+        { key: 'right', label: 'Right', type: 'text', unit: true, aliases: ['right'] },
+        { key: 'bottom', label: 'Bottom', type: 'text', unit: true, aliases: ['bottom'] },
+        { key: 'left', label: 'Left', type: 'text', unit: true, aliases: ['left'] },
+        { key: 'link_vertical', label: 'Link Top & Bottom', type: 'yes_no', flag: LINK_FLAG, aliases: [] },
+        { key: 'link_horizontal', label: 'Link Left & Right', type: 'yes_no', flag: LINK_FLAG, aliases: [] },
+    ],
+    groups: {
+        vertical: ['top', 'bottom'],
+        horizontal: ['left', 'right'],
+        sides: ['left', 'right'],
+    },
+    links: [
+        { flag: 'link_vertical', parts: ['top', 'bottom'] },
+        { flag: 'link_horizontal', parts: ['right', 'left'] },
+    ],
+    defaultParts: ['top', 'right', 'bottom', 'left'],
+};
+
+/** Formats by schema field type. */
+const FORMATS = {
+    font: {
+        parts: [
+            { key: 'family', label: 'Font', type: 'text', aliases: ['family', 'typeface', 'font face'] },
+            { key: 'weight', label: 'Weight', type: 'select', options: FONT_WEIGHTS, aliases: ['weight', 'bold', 'bolder', 'boldness', 'thin', 'heavy'] },
+            { key: 'italic', label: 'Italic', type: 'yes_no', flag: FONT_FLAG, aliases: ['italic', 'italics', 'italicize', 'italicized'] },
+            { key: 'uppercase', label: 'Uppercase', type: 'yes_no', flag: FONT_FLAG, aliases: ['uppercase', 'all caps', 'capitals', 'caps'] },
+            { key: 'underline', label: 'Underline', type: 'yes_no', flag: FONT_FLAG, aliases: ['underline', 'underlined'] },
+            { key: 'small_caps', label: 'Small Caps', type: 'yes_no', flag: FONT_FLAG, aliases: ['small caps', 'smallcaps'] },
+            { key: 'strikethrough', label: 'Strikethrough', type: 'yes_no', flag: FONT_FLAG, aliases: ['strikethrough', 'strike through', 'strikeout', 'crossed out'] },
+            { key: 'line_color', label: 'Line Color', type: 'color', aliases: ['line color', 'underline color', 'strikethrough color'] },
+            { key: 'line_style', label: 'Line Style', type: 'select', options: LINE_STYLES, aliases: ['line style', 'underline style', 'strikethrough style'] },
+        ],
+        groups: {},
+        links: [],
+        defaultParts: ['family'],
+    },
+    custom_margin: SPACING,
+    custom_padding: SPACING,
+    border_radii: {
+        parts: [
+            { key: 'linked', label: 'Linked', type: 'yes_no', flag: RADII_FLAG, aliases: [] },
+            { key: 'top_left', label: 'Top Left', type: 'text', unit: true, aliases: ['top left', 'upper left'] },
+            { key: 'top_right', label: 'Top Right', type: 'text', unit: true, aliases: ['top right', 'upper right'] },
+            { key: 'bottom_right', label: 'Bottom Right', type: 'text', unit: true, aliases: ['bottom right', 'lower right'] },
+            { key: 'bottom_left', label: 'Bottom Left', type: 'text', unit: true, aliases: ['bottom left', 'lower left'] },
+        ],
+        groups: {
+            top: ['top_left', 'top_right'],
+            bottom: ['bottom_left', 'bottom_right'],
+            left: ['top_left', 'bottom_left'],
+            right: ['top_right', 'bottom_right'],
+        },
+        links: [
+            { flag: 'linked', parts: ['top_left', 'top_right', 'bottom_right', 'bottom_left'] },
+        ],
+        defaultParts: ['top_left', 'top_right', 'bottom_right', 'bottom_left'],
+    },
+};
+
+/**
+ * Whether a field type stores a compound value.
+ *
+ * @param {string} [type] - Schema field type.
+ * @returns {boolean}
+ */
+export function isCompoundType(type) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, type || '');
+}
+
+/**
+ * The parts of a compound type, in stored order.
+ *
+ * @param {string} type
+ * @returns {Object[]} { key, label, type, options?, unit?, flag? }; empty for other types.
+ */
+export function getCompoundParts(type) {
+    return isCompoundType(type) ? FORMATS[type].parts : [];
+}
+
+/**
+ * Parts a value without a named part applies to ("padding 20px" → every side).
+ *
+ * @param {string} type
+ * @returns {string[]}
+ */
+export function getDefaultParts(type) {
+    return isCompoundType(type) ? FORMATS[type].defaultParts : [];
+}
+
+/**
+ * Split a compound value into its parts.
+ *
+ * Missing parts are '' (flags 'off'), so short or empty values parse too.
+ *
+ * @param {string} type
+ * @param {string} value - e.g. '10px|20px|10px|20px|false|false'.
+ * @returns {Object} { part: value }.
+ */
+export function parseCompound(type, value) {
+    const pieces = value === undefined || value === null ? [] : String(value).split('|');
+    const result = {};
+
+    getCompoundParts(type).forEach((part, i) => {
+        const piece = pieces[i] === undefined ? '' : pieces[i].trim();
+        result[part.key] = part.flag ? (piece === part.flag[0] ? 'on' : 'off') : piece;
+    });
+
+    return result;
+}
+
+/**
+ * Join parts back into the stored string.
+ *
+ * @param {string} type
+ * @param {Object} parts - { part: value }; missing parts are stored empty (flags off).
+ * @returns {string}
+ */
+export function serializeCompound(type, parts) {
+    return getCompoundParts(type)
+        .map((part) => {
+            const value = parts[part.key] === undefined || parts[part.key] === null ? '' : String(parts[part.key]);
+            if (part.flag) {
+                return value === 'on' ? part.flag[0] : part.flag[1];
+            }
+            return value;
+        })
+        .join('|');
+}
+
+/**
+ * Change some parts of a compound value and keep the others.
+ *
+ * Linked sides follow each other the way the builder's controls do:
+ * with "link top & bottom" on, setting the top sets the bottom too.
+ *
+ * @param {string} type
+ * @param {string} value   - Current stored value.
+ * @param {Object} updates - { part: newValue }.
+ * @returns {string}
+ */
+export function updateCompound(type, value, updates) {
+    if (!isCompoundType(type)) {
+        return value;
+    }
+
+    const parts = { ...parseCompound(type, value), ...updates };
+
+    FORMATS[type].links.forEach((link) => {
+        if (parts[link.flag] !== 'on') return;
+        const changed = link.parts.find((key) => key in updates);
+        if (changed) {
+            link.parts.forEach((key) => {
+                if (!(key in updates)) parts[key] = updates[changed];
+            });
+        }
+    });
+
+    return serializeCompound(type, parts);
+}
+
+/**
+ * The parts that differ between two compound values.
+ *
+ * @param {string} type
+ * @param {string} oldValue
+ * @param {string} newValue
+ * @returns {Object[]} { key, label, type, old_value, new_value }, in stored order.
+ */
+export function diffCompound(type, oldValue, newValue) {
+    const before = parseCompound(type, oldValue);
+    const after = parseCompound(type, newValue);
+
+    return getCompoundParts(type)
+        .filter((part) => before[part.key] !== after[part.key])
+        .map((part) => ({
+            key: part.key,
+            label: part.label,
+            type: part.type,
+            old_value: before[part.key],
+            new_value: after[part.key],
+        }));
+}
+
+/**
+ * Find the parts of a compound field a request names ("top padding",
+ * "font weight", "bottom corners", "top and bottom padding").
+ *
+ * Longer phrases win, so "top left" is not read as "top". Parts come back
+ * in the order they are named.
+ *
+ * @param {string} type
+ * @param {string} text - Normalized request.
+ * @returns {string[]|null} Part keys, or null if no part is named.
+ */
+export function findCompoundParts(type, text) {
+    if (!isCompoundType(type)) {
+        return null;
+    }
+
+    const format = FORMATS[type];
+    const phrases = [];
+    format.parts.forEach((part) => part.aliases.forEach((alias) => phrases.push([alias, [part.key]])));
+    Object.entries(format.groups).forEach(([alias, keys]) => phrases.push([alias, keys]));
+    phrases.sort((a, b) => b[0].length - a[0].length);
+
+    let padded = ` ${String(text).toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter(Boolean).join(' ')} `;
+    const found = [];
+    phrases.forEach(([alias, keys]) => {
+        const index = padded.indexOf(` ${alias} `);
+        if (index !== -1) {
+            found.push({ index, keys });
+            // Blank the phrase out so its words don't match a shorter alias.
+            padded = padded.slice(0, index + 1) + alias.replace(/\S/g, '_') + padded.slice(index + alias.length + 1);
+        }
+    });
+    if (found.length === 0) {
+        return null;
+    }
+
+    const parts = [];
+    found.sort((a, b) => a.index - b.index).forEach(({ keys }) => keys.forEach((key) => {
+        if (!parts.includes(key)) {
+            parts.push(key);
+        }
+    }));
+    return parts;
+}
+
+/**
+ * A field-like description of one part, for value parsing.
+ *
+ * @param {string} type
+ * @param {string} key
+ * @returns {Object|null} { fieldName, type, options, unit }.
+ */
+export function getPartField(type, key) {
+    const part = getCompoundParts(type).find((p) => p.key === key);
+    if (!part) {
+        return null;
+    }
+    return { fieldName: key, type: part.type, options: part.options || null, unit: part.unit === true };
+}
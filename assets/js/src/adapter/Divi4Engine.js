@@ -7,6 +7,9 @@
  * @package Divi_Anchor_AI
  */
 
+import { parseVariantKey } from './FieldVariants';
+import { createNode } from './PageStructure';
+
 export class Divi4Engine {
     constructor() {
         this.observer = null;
@@ -73,9 +76,39 @@ export class Divi4Engine {
         };
     }
 
+    /**
+     * Build the page's section/row/column/module tree from the Backbone
+     * collection. Models point at their parent by CID; siblings are
+     * ordered by their `_i` index, else by collection order.
+     *
+     * @returns {Array|null} Section nodes (see PageStructure), or null outside the builder.
+     */
+    getPageStructure() {
+        if (typeof window.ET_Builder === 'undefined' || !window.ET_Builder.Modules) {
+            return null;
+        }
+
+        const build = (parentId) => this.getChildren(parentId).map((model) => {
+            const attrs = model.attributes || {};
+            const id = this.getId(model);
+            return createNode({
+                id,
+                type: attrs.type || attrs.module_type || '',
+                settings: this.extractModuleData(attrs),
+                children: build(id),
+            });
+        });
+
+        return build(null);
+    }
+
     /**
      * Apply field changes to a module's Backbone model.
      *
+     * Breakpoint and hover keys (`field_tablet`, `field_phone`,
+     * `field__hover`) also switch on the field's responsive or hover mode,
+     * which Divi needs before it uses those values.
+     *
      * @param {string} moduleId - Module CID.
      * @param {Object} changes  - Key-value pairs to set.
      * @returns {boolean}
@@ -85,27 +118,276 @@ export class Divi4Engine {
             return false;
         }
 
-        const model = window.ET_Builder.Modules.find(
-            (m) => m.cid === moduleId || (m.attributes && m.attributes.cid === moduleId)
-        );
+        const model = this.findModel(moduleId);
 
         if (!model) {
             return false;
         }
 
         // Set attributes and trigger re-render.
-        Object.entries(changes).forEach(([key, value]) => {
+        Object.entries(this.withVariantFlags(changes)).forEach(([key, value]) => {
             model.set(key, value);
         });
 
-        // Trigger the builder's content change event.
-        if (typeof window.ET_Builder.Events !== 'undefined') {
-            window.ET_Builder.Events.trigger('et-modal-view-changed');
+        this.notifyChange();
+
+        return true;
+    }
+
+    /**
+     * Every attribute applyChanges() would write for a set of changes,
+     * variant mode flags included.
+     *
+     * @param {Object} changes - Key-value pairs to set.
+     * @returns {string[]}
+     */
+    getAffectedKeys(changes) {
+        return Object.keys(this.withVariantFlags(changes));
+    }
+
+    /**
+     * Remove attributes from a module's Backbone model, e.g. ones an
+     * undone change added. No mode flags are touched.
+     *
+     * @param {string} moduleId - Module CID.
+     * @param {string[]} keys   - Attribute names to remove.
+     * @returns {boolean}
+     */
+    unsetAttributes(moduleId, keys) {
+        if (typeof window.ET_Builder === 'undefined' || !window.ET_Builder.Modules) {
+            return false;
+        }
+
+        const model = this.findModel(moduleId);
+
+        if (!model) {
+            return false;
+        }
+
+        keys.forEach((key) => {
+            model.unset(key);
+        });
+
+        this.notifyChange();
+
+        return true;
+    }
+
+    /**
+     * Insert a new module into a parent (column, row or section).
+     *
+     * @param {string|null} parentId - Parent CID; null for a top-level section.
+     * @param {string} moduleType - e.g. 'et_pb_button'.
+     * @param {number} index      - Position among the parent's children.
+     * @param {Object} [settings] - Initial field values.
+     * @returns {string|null} The new module's CID, or null on failure.
+     */
+    insertModule(parentId, moduleType, index, settings = {}) {
+        if (typeof window.ET_Builder === 'undefined' || !window.ET_Builder.Modules) {
+            return null;
+        }
+        if (parentId !== null && !this.findModel(parentId)) {
+            return null;
+        }
+
+        const siblings = this.getChildren(parentId);
+        const position = Math.max(0, Math.min(index, siblings.length));
+        const model = window.ET_Builder.Modules.add({
+            ...settings,
+            type: moduleType,
+            ...(parentId === null ? {} : { parent_cid: parentId }),
+        });
+        if (!model) {
+            return null;
+        }
+
+        siblings.splice(position, 0, model);
+        this.reindex(siblings);
+        this.notifyChange();
+
+        return this.getId(model);
+    }
+
+    /**
+     * Copy a module, with its children, right after the original.
+     *
+     * @param {string} moduleId - Module CID.
+     * @returns {string|null} The copy's CID, or null on failure.
+     */
+    duplicateModule(moduleId) {
+        const model = this.findModel(moduleId);
+        if (!model) {
+            return null;
+        }
+
+        const parentId = model.attributes.parent_cid || null;
+        const siblings = this.getChildren(parentId);
+        const copy = this.copyTree(model, parentId);
+
+        siblings.splice(siblings.indexOf(model) + 1, 0, copy);
+        this.reindex(siblings);
+        this.notifyChange();
+
+        return this.getId(copy);
+    }
+
+    /**
+     * Delete a module and everything inside it.
+     *
+     * @param {string} moduleId - Module CID.
+     * @returns {boolean}
+     */
+    removeModule(moduleId) {
+        const model = this.findModel(moduleId);
+        if (!model) {
+            return false;
         }
 
+        const parentId = model.attributes.parent_cid || null;
+        const removeTree = (node) => {
+            this.getChildren(this.getId(node)).forEach(removeTree);
+            window.ET_Builder.Modules.remove(node);
+        };
+        removeTree(model);
+
+        this.reindex(this.getChildren(parentId));
+        this.notifyChange();
+
         return true;
     }
 
+    /**
+     * Move a module to a position in a parent (the same one or another).
+     *
+     * @param {string} moduleId - Module CID.
+     * @param {string} parentId - Target parent CID.
+     * @param {number} index    - Position among the target's children.
+     * @returns {boolean}
+     */
+    moveModule(moduleId, parentId, index) {
+        const model = this.findModel(moduleId);
+        if (!model || !this.findModel(parentId)) {
+            return false;
+        }
+
+        const oldParentId = model.attributes.parent_cid || null;
+        const siblings = this.getChildren(parentId).filter((m) => m !== model);
+        siblings.splice(Math.max(0, Math.min(index, siblings.length)), 0, model);
+
+        model.set('parent_cid', parentId);
+        this.reindex(siblings);
+        if (oldParentId !== parentId) {
+            this.reindex(this.getChildren(oldParentId));
+        }
+        this.notifyChange();
+
+        return true;
+    }
+
+    /**
+     * Add the responsive/hover mode flags that variant keys depend on.
+     *
+     * @param {Object} changes - Key-value pairs to set.
+     * @returns {Object} Changes plus `field_last_edited` / `field__hover_enabled` flags.
+     */
+    withVariantFlags(changes) {
+        const result = { ...changes };
+
+        Object.keys(changes).forEach((key) => {
+            const { fieldName, breakpoint, state } = parseVariantKey(key);
+            if (breakpoint && !(`${fieldName}_last_edited` in changes)) {
+                result[`${fieldName}_last_edited`] = `on|${breakpoint}`;
+            }
+            if (state === 'hover' && !(`${fieldName}__hover_enabled` in changes)) {
+                result[`${fieldName}__hover_enabled`] = 'on|hover';
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Find a module's Backbone model by CID.
+     *
+     * @param {string} moduleId
+     * @returns {Object|null}
+     */
+    findModel(moduleId) {
+        if (typeof window.ET_Builder === 'undefined' || !window.ET_Builder.Modules || !moduleId) {
+            return null;
+        }
+        return window.ET_Builder.Modules.find(
+            (m) => m.cid === moduleId || (m.attributes && m.attributes.cid === moduleId)
+        ) || null;
+    }
+
+    /**
+     * The ID a model is known by elsewhere (its `cid` attribute, else its Backbone CID).
+     *
+     * @param {Object} model
+     * @returns {string}
+     */
+    getId(model) {
+        return (model.attributes && model.attributes.cid) || model.cid;
+    }
+
+    /**
+     * A parent's child models in order.
+     *
+     * @param {string|null} parentId - Parent CID; null for the top-level sections.
+     * @returns {Array}
+     */
+    getChildren(parentId) {
+        const collection = window.ET_Builder.Modules;
+        const models = Array.isArray(collection) ? collection : collection.models || [];
+
+        return models
+            .map((model, position) => ({ model, position }))
+            .filter(({ model }) => ((model.attributes || {}).parent_cid || null) === parentId)
+            .sort((a, b) => order(a) - order(b))
+            .map(({ model }) => model);
+    }
+
+    /**
+     * Number siblings 0..n in the given order.
+     *
+     * @param {Array} siblings - Models of one parent.
+     */
+    reindex(siblings) {
+        siblings.forEach((model, i) => {
+            if ((model.attributes || {})._i !== i) {
+                model.set('_i', i);
+            }
+        });
+    }
+
+    /**
+     * Add a copy of a model and its children to the collection.
+     *
+     * @param {Object} model    - Model to copy.
+     * @param {string} parentId - Parent CID for the copy.
+     * @returns {Object} The copied model.
+     */
+    copyTree(model, parentId) {
+        const { cid, ...attrs } = model.attributes || {};
+        const copy = window.ET_Builder.Modules.add({ ...attrs, parent_cid: parentId });
+
+        this.getChildren(this.getId(model)).forEach((child) => {
+            this.copyTree(child, this.getId(copy));
+        });
+
+        return copy;
+    }
+
+    /**
+     * Tell the builder that module content changed so it re-renders.
+     */
+    notifyChange() {
+        if (typeof window.ET_Builder.Events !== 'undefined') {
+            window.ET_Builder.Events.trigger('et-modal-view-changed');
+        }
+    }
+
     /**
      * Get the active module's Backbone view.
      *
@@ -163,3 +445,14 @@ export class Divi4Engine {
         }
     }
 }
+
+/**
+ * Sort position of a model among its siblings.
+ *
+ * @param {Object} entry - { model, position }.
+ * @returns {number}
+ */
+function order({ model, position }) {
+    const index = Number((model.attributes || {})._i);
+    return Number.isFinite(index) ? index : position;
+}
@@ -0,0 +1,344 @@
+/**
+ * Divi 5 Attribute Map — Translates schema field names to Divi 5 attribute paths.
+ *
+ * The schemas use Divi 4's flat field names (`text_orientation`), while
+ * Divi 5 stores settings in nested attribute groups, one value per
+ * breakpoint and state:
+ *
+ *     module.advanced.text.text.desktop.value.orientation
+ *     └──── attribute ────────┘ └device┘ └state┘ └subkey┘
+ *
+ * A path is written with `*` in place of `<device>.<state>`, e.g.
+ * `module.advanced.text.text.*.orientation`. Fields without a mapping are
+ * treated as top-level attributes of the same name with no subkey, but
+ * only written when the module already stores such an attribute (see
+ * findUnmapped) — anything else would be ignored by Divi 5.
+ *
+ * Reads flatten a module's attributes to the shared variant keys
+ * (`field`, `field_tablet`, `field_phone`, `field__hover`); writes take
+ * those keys and return the updated attribute groups.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { parseVariantKey } from './FieldVariants';
+
+/** Breakpoint keys of an attribute group. */
+export const DEVICES = ['desktop', 'tablet', 'phone'];
+
+/** Paths shared by every module type. */
+const COMMON_PATHS = {
+    admin_label: 'module.meta.adminLabel.*',
+    module_id: 'module.advanced.htmlAttributes.*.id',
+    module_class: 'module.advanced.htmlAttributes.*.class',
+    text_orientation: 'module.advanced.text.text.*.orientation',
+    background_color: 'module.decoration.background.*.color',
+    title: 'title.innerContent.*',
+    content: 'content.innerContent.*',
+    header_level: 'title.decoration.font.font.*.headingLevel',
+    header_text_color: 'title.decoration.font.font.*.color',
+    body_text_color: 'content.decoration.bodyFont.body.font.*.color',
+    url: 'module.advanced.link.*.url',
+    url_new_window: 'module.advanced.link.*.target',
+    button_text: 'button.innerContent.*.text',
+    button_url: 'button.innerContent.*.linkUrl',
+    src: 'image.innerContent.*.src',
+    alt: 'image.innerContent.*.alt',
+};
+
+/** Per-module paths; these take precedence over COMMON_PATHS. */
+const MODULE_PATHS = {
+    et_pb_button: {
+        url_new_window: 'button.innerContent.*.linkTarget',
+        button_alignment: 'button.decoration.button.*.alignment',
+        custom_button: 'button.decoration.button.*.enable',
+        button_text_color: 'button.decoration.font.font.*.color',
+        button_bg_color: 'button.decoration.background.*.color',
+    },
+    et_pb_cta: {
+        url_new_window: 'button.innerContent.*.linkTarget',
+    },
+    et_pb_blurb: {
+        use_icon: 'imageIcon.innerContent.*.useIcon',
+        font_icon: 'imageIcon.innerContent.*.icon',
+        image: 'imageIcon.innerContent.*.src',
+        icon_color: 'imageIcon.advanced.color.*',
+    },
+    et_pb_image: {
+        url: 'image.innerContent.*.linkUrl',
+        url_new_window: 'image.innerContent.*.linkTarget',
+        align: 'module.advanced.align.*',
+        force_fullwidth: 'image.advanced.forceFullwidth.*',
+    },
+    et_pb_divider: {
+        show_divider: 'module.advanced.line.*.show',
+        color: 'module.advanced.line.*.color',
+        divider_style: 'module.advanced.line.*.style',
+        divider_weight: 'module.advanced.line.*.weight',
+        divider_position: 'module.advanced.line.*.position',
+        height: 'module.decoration.sizing.*.height',
+    },
+};
+
+export class Divi5AttributeMap {
+    constructor() {
+        this.modulePaths = {};
+        Object.entries(MODULE_PATHS).forEach(([moduleType, paths]) => {
+            this.register(moduleType, paths);
+        });
+    }
+
+    /**
+     * Add or override field paths for a module type (e.g. third-party modules).
+     *
+     * @param {string} moduleType
+     * @param {Object} paths - { fieldName: 'attr.path.*.subkey' }.
+     */
+    register(moduleType, paths) {
+        this.modulePaths[moduleType] = { ...this.modulePaths[moduleType], ...paths };
+    }
+
+    /**
+     * All field paths that apply to a module type.
+     *
+     * @param {string} moduleType
+     * @returns {Object} { fieldName: path }.
+     */
+    getPaths(moduleType) {
+        return { ...COMMON_PATHS, ...this.modulePaths[moduleType] };
+    }
+
+    /**
+     * Where a schema field lives in the module's attributes.
+     *
+     * @param {string} moduleType
+     * @param {string} fieldName - Schema field name (no variant suffix).
+     * @returns {Object} { attrName, subkey: string|null, mapped: boolean }.
+     */
+    locate(moduleType, fieldName) {
+        const path = this.getPaths(moduleType)[fieldName];
+        if (!path) {
+            return { attrName: fieldName, subkey: null, mapped: false };
+        }
+
+        const [attrName, subkey] = path.split('.*');
+        return { attrName, subkey: subkey ? subkey.replace(/^\./, '') : null, mapped: true };
+    }
+
+    /**
+     * Keys that have no Divi 5 attribute to write to: the field has no
+     * path and the module stores no top-level attribute of that name.
+     *
+     * @param {string} moduleType
+     * @param {Object} attrs - Current raw module attributes.
+     * @param {string[]} keys - Field or variant keys.
+     * @returns {string[]} The keys that can't be written.
+     */
+    findUnmapped(moduleType, attrs, keys) {
+        const source = attrs || {};
+        return keys.filter((key) => {
+            const { fieldName } = parseVariantKey(key);
+            return !this.locate(moduleType, fieldName).mapped
+                && !Object.prototype.hasOwnProperty.call(source, fieldName);
+        });
+    }
+
+    /**
+     * Full Divi 5 path of a field variant.
+     *
+     * @param {string} moduleType
+     * @param {string} key - Field or variant key, e.g. 'text_orientation_phone'.
+     * @returns {string} e.g. 'module.advanced.text.text.phone.value.orientation'.
+     */
+    toPath(moduleType, key) {
+        const { fieldName, breakpoint, state } = parseVariantKey(key);
+        const { attrName, subkey } = this.locate(moduleType, fieldName);
+        const parts = [attrName, breakpoint || 'desktop', state || 'value'];
+        if (subkey) parts.push(subkey);
+        return parts.join('.');
+    }
+
+    /**
+     * Schema field (as a variant key) stored at a full Divi 5 path.
+     *
+     * @param {string} moduleType
+     * @param {string} path - e.g. 'module.advanced.text.text.phone.value.orientation'.
+     * @returns {string|null} e.g. 'text_orientation_phone', or null if unmapped.
+     */
+    toKey(moduleType, path) {
+        const match = /^(.+?)\.(desktop|tablet|phone)\.(value|hover)(?:\.(.+))?$/.exec(path);
+        if (!match) return null;
+
+        const [, attrName, device, state, subkey = null] = match;
+        const entry = Object.keys(this.getPaths(moduleType)).find((fieldName) => {
+            const located = this.locate(moduleType, fieldName);
+            return located.attrName === attrName && located.subkey === subkey;
+        });
+        if (!entry) return null;
+
+        if (state === 'hover') return `${entry}__hover`;
+        return device === 'desktop' ? entry : `${entry}_${device}`;
+    }
+
+    /**
+     * Flatten a module's attributes to schema field names and variant keys.
+     *
+     * Mapped fields are read from their paths. Unmapped top-level
+     * attributes are kept: scalars as-is, breakpoint groups flattened.
+     *
+     * @param {string} moduleType
+     * @param {Object} attrs - Raw module attributes from the store.
+     * @returns {Object} Flat module data.
+     */
+    read(moduleType, attrs) {
+        const data = {};
+        const source = attrs || {};
+
+        Object.entries(source).forEach(([name, attr]) => {
+            if (isGroup(attr)) {
+                Object.assign(data, flattenGroup(name, attr, null));
+            } else if (attr === null || typeof attr !== 'object') {
+                data[name] = attr;
+            }
+        });
+
+        Object.keys(this.getPaths(moduleType)).forEach((fieldName) => {
+            const { attrName, subkey } = this.locate(moduleType, fieldName);
+            const group = getAt(source, attrName);
+            if (isGroup(group)) {
+                Object.assign(data, flattenGroup(fieldName, group, subkey));
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Turn flat changes into updated attribute groups.
+     *
+     * Other breakpoints, states and subkeys in a group are kept; keys that
+     * share a group are merged into one update. An `undefined` value
+     * removes the key. The stored attributes are not modified.
+     *
+     * @param {string} moduleType
+     * @param {Object} attrs   - Current raw module attributes.
+     * @param {Object} changes - { fieldOrVariantKey: value|undefined }.
+     * @returns {Object} { attrName: groupValue } to dispatch.
+     */
+    write(moduleType, attrs, changes) {
+        const updates = {};
+
+        Object.entries(changes).forEach(([key, value]) => {
+            const { fieldName, breakpoint, state } = parseVariantKey(key);
+            const { attrName, subkey } = this.locate(moduleType, fieldName);
+            const device = breakpoint || 'desktop';
+            const slot = state || 'value';
+
+            if (!updates[attrName]) {
+                updates[attrName] = toGroup(getAt(attrs || {}, attrName));
+            }
+            const group = updates[attrName];
+            group[device] = { ...group[device] };
+
+            if (subkey) {
+                const current = group[device][slot];
+                group[device][slot] = {
+                    ...(current && typeof current === 'object' ? current : {}),
+                    [subkey]: value,
+                };
+                if (value === undefined) {
+                    delete group[device][slot][subkey];
+                    if (Object.keys(group[device][slot]).length === 0) {
+                        delete group[device][slot];
+                    }
+                }
+            } else if (value === undefined) {
+                delete group[device][slot];
+            } else {
+                group[device][slot] = value;
+            }
+
+            if (Object.keys(group[device]).length === 0) {
+                delete group[device];
+            }
+        });
+
+        return updates;
+    }
+}
+
+/**
+ * Read a dotted path from an object.
+ *
+ * @param {Object} obj
+ * @param {string} path
+ * @returns {*}
+ */
+function getAt(obj, path) {
+    return path.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), obj);
+}
+
+/**
+ * Whether a value is an attribute group keyed by breakpoint.
+ *
+ * @param {*} attr
+ * @returns {boolean}
+ */
+function isGroup(attr) {
+    if (!attr || typeof attr !== 'object' || Array.isArray(attr)) {
+        return false;
+    }
+    const keys = Object.keys(attr);
+    return keys.length > 0 && keys.every((key) => DEVICES.includes(key));
+}
+
+/**
+ * Copy an attribute group for writing; a bare value becomes its desktop value.
+ *
+ * @param {*} attr
+ * @returns {Object}
+ */
+function toGroup(attr) {
+    if (isGroup(attr)) {
+        const copy = {};
+        Object.entries(attr).forEach(([device, values]) => {
+            copy[device] = { ...values };
+        });
+        return copy;
+    }
+    return attr === undefined || attr === null ? {} : { desktop: { value: attr } };
+}
+
+/**
+ * Flatten one attribute group to variant keys of a field.
+ *
+ * @param {string}      fieldName
+ * @param {Object}      group
+ * @param {string|null} subkey
+ * @returns {Object}
+ */
+function flattenGroup(fieldName, group, subkey) {
+    const data = {};
+    const pick = (slot) => {
+        if (!subkey) return slot;
+        return slot && typeof slot === 'object' ? slot[subkey] : undefined;
+    };
+
+    DEVICES.forEach((device) => {
+        const values = group[device];
+        if (!values || typeof values !== 'object') return;
+
+        const value = pick(values.value);
+        if (value !== undefined) {
+            data[device === 'desktop' ? fieldName : `${fieldName}_${device}`] = value;
+        }
+        if (device === 'desktop') {
+            const hover = pick(values.hover);
+            if (hover !== undefined) {
+                data[`${fieldName}__hover`] = hover;
+            }
+        }
+    });
+
+    return data;
+}
@@ -8,9 +8,19 @@
  *
  * Falls back to DOM observation when store selectors are unavailable.
  *
+ * Attributes are stored in nested groups per breakpoint and state. The
+ * Divi5AttributeMap translates them to and from the schemas' flat field
+ * names and variant keys (`field_tablet`, `field__hover`, ...).
+ *
  * @package Divi_Anchor_AI
  */
 
+import { Divi5AttributeMap } from './Divi5AttributeMap';
+import { createNode } from './PageStructure';
+
+/** ID of the store's top-level content node. */
+const ROOT_ID = 'root';
+
 export class Divi5Engine {
     constructor() {
         this.store = null;
@@ -18,6 +28,7 @@ export class Divi5Engine {
         this.unsubscribe = null;
         this.selectedModuleId = null;
         this.domObserver = null;
+        this.attributeMap = new Divi5AttributeMap();
     }
 
     /**
@@ -109,10 +120,10 @@ export class Divi5Engine {
         try {
             const id = this.selectedModuleId;
             const moduleType = this.store.getModuleType(id);
-            const moduleData = this.store.getModuleAttrs(id) || {};
-
             if (!moduleType) return null;
 
+            const moduleData = this.attributeMap.read(moduleType, this.store.getModuleAttrs(id));
+
             return {
                 moduleId: id,
                 moduleType,
@@ -124,6 +135,53 @@ export class Divi5Engine {
         }
     }
 
+    /**
+     * Build the page's section/row/column/module tree from the store.
+     *
+     * `getContent()` returns every module keyed by ID, each listing its
+     * children in order, under a `root` node.
+     *
+     * @returns {Array|null} Section nodes (see PageStructure), or null if unavailable.
+     */
+    getPageStructure() {
+        if (!this.store || typeof this.store.getContent !== 'function') {
+            return null;
+        }
+
+        try {
+            const content = this.store.getContent() || {};
+            const seen = new Set();
+
+            const build = (ids) => (ids || [])
+                .filter((id) => content[id] && !seen.has(id))
+                .map((id) => {
+                    seen.add(id);
+                    const entry = content[id];
+                    const type = (typeof this.store.getModuleType === 'function' && this.store.getModuleType(id))
+                        || entry.name || '';
+                    const attrs = typeof this.store.getModuleAttrs === 'function'
+                        ? this.store.getModuleAttrs(id)
+                        : (entry.props || {}).attrs;
+
+                    return createNode({
+                        id,
+                        type,
+                        settings: this.attributeMap.read(type, attrs),
+                        children: build(entry.children),
+                    });
+                });
+
+            const rootIds = content[ROOT_ID]
+                ? content[ROOT_ID].children
+                : Object.keys(content).filter((id) => !content[id].parent || content[id].parent === ROOT_ID);
+
+            return build(rootIds);
+        } catch (e) {
+            console.warn('[Divi Anchor AI] Error reading page structure from store:', e);
+            return null;
+        }
+    }
+
     /**
      * Attempt to detect the selected module ID from the DOM.
      *
@@ -141,16 +199,35 @@ export class Divi5Engine {
     /**
      * Apply changes to a module via the Divi 5 store.
      *
+     * Each change is written at its mapped attribute path, keeping the
+     * other breakpoints, states and subkeys of the group intact. Keys that
+     * share an attribute group are merged into one dispatch. Keys with no
+     * Divi 5 attribute (see getUnmappedKeys) are skipped with a warning.
+     *
      * @param {string} moduleId - Module identifier.
-     * @param {Object} changes  - Map of field name → new value.
-     * @returns {boolean} True if changes were dispatched.
+     * @param {Object} changes  - Map of field or variant key → new value.
+     * @returns {boolean} True if changes were dispatched; false if nothing
+     *                    could be written.
      */
     applyChanges(moduleId, changes) {
         if (!this.dispatch) return false;
 
         try {
-            for (const [field, value] of Object.entries(changes)) {
-                this.dispatch.editModuleAttribute(moduleId, field, value);
+            const { moduleType, attrs } = this._readModule(moduleId);
+            const unmapped = this.attributeMap.findUnmapped(moduleType, attrs, Object.keys(changes));
+            const writable = {};
+            Object.keys(changes).forEach((key) => {
+                if (!unmapped.includes(key)) writable[key] = changes[key];
+            });
+
+            if (unmapped.length > 0) {
+                console.warn('[Divi Anchor AI] No Divi 5 attribute for these settings; not applied:', unmapped);
+                if (Object.keys(writable).length === 0) return false;
+            }
+
+            const updates = this.attributeMap.write(moduleType, attrs, writable);
+            for (const [attrName, value] of Object.entries(updates)) {
+                this.dispatch.editModuleAttribute(moduleId, attrName, value);
             }
             return true;
         } catch (e) {
@@ -159,6 +236,186 @@ export class Divi5Engine {
         }
     }
 
+    /**
+     * Keys of a changeset that applyChanges can't write for a module: the
+     * field has no Divi 5 attribute path and the module doesn't already
+     * store an attribute of that name.
+     *
+     * @param {string} moduleId - Module identifier.
+     * @param {Object} changes  - Map of field or variant key → new value.
+     * @returns {string[]}
+     */
+    getUnmappedKeys(moduleId, changes) {
+        const { moduleType, attrs } = this._readModule(moduleId);
+        return this.attributeMap.findUnmapped(moduleType, attrs, Object.keys(changes));
+    }
+
+    /**
+     * A module's type and raw attributes, as far as the store exposes them.
+     *
+     * @param {string} moduleId - Module identifier.
+     * @returns {Object} { moduleType: string|null, attrs: Object|null }.
+     */
+    _readModule(moduleId) {
+        const canRead = this.store && typeof this.store.getModuleAttrs === 'function';
+        const moduleType = canRead && typeof this.store.getModuleType === 'function'
+            ? this.store.getModuleType(moduleId)
+            : null;
+        return { moduleType, attrs: canRead ? this.store.getModuleAttrs(moduleId) : null };
+    }
+
+    /**
+     * Remove field or variant keys from a module, e.g. ones an undone
+     * change added.
+     *
+     * @param {string} moduleId - Module identifier.
+     * @param {string[]} keys   - Field or variant keys to remove.
+     * @returns {boolean} True if the removal was dispatched.
+     */
+    unsetAttributes(moduleId, keys) {
+        if (!this.dispatch) return false;
+
+        const changes = {};
+        keys.forEach((key) => {
+            changes[key] = undefined;
+        });
+
+        // Keys with no attribute are already absent.
+        const unmapped = this.getUnmappedKeys(moduleId, changes);
+        unmapped.forEach((key) => {
+            delete changes[key];
+        });
+        return Object.keys(changes).length === 0 ? true : this.applyChanges(moduleId, changes);
+    }
+
+    /**
+     * Insert a new module into a parent (column, row or section).
+     *
+     * Schema type names (`et_pb_button`) are converted to Divi 5 module
+     * names (`divi/button`).
+     *
+     * @param {string|null} parentId - Parent module ID; null for a top-level section.
+     * @param {string} moduleType - Module type.
+     * @param {number} index      - Position among the parent's children.
+     * @param {Object} [settings] - Initial field values.
+     * @returns {string|null} The new module's ID, or null on failure.
+     */
+    insertModule(parentId, moduleType, index, settings = {}) {
+        const parent = parentId === null ? ROOT_ID : parentId;
+        const before = this._childIds(parent);
+        if (!this._dispatchAction('insertModule', parent, toModuleName(moduleType), index)) {
+            return null;
+        }
+
+        const id = this._newChildId(parent, before);
+        if (id && Object.keys(settings).length > 0) {
+            this.applyChanges(id, settings);
+        }
+        return id;
+    }
+
+    /**
+     * Copy a module, with its children, right after the original.
+     *
+     * @param {string} moduleId - Module ID.
+     * @returns {string|null} The copy's ID, or null on failure.
+     */
+    duplicateModule(moduleId) {
+        const parentId = this._parentId(moduleId);
+        const before = this._childIds(parentId);
+        if (!parentId || !this._dispatchAction('duplicateModule', moduleId)) {
+            return null;
+        }
+        return this._newChildId(parentId, before);
+    }
+
+    /**
+     * Delete a module and everything inside it.
+     *
+     * @param {string} moduleId - Module ID.
+     * @returns {boolean}
+     */
+    removeModule(moduleId) {
+        return this._dispatchAction('removeModule', moduleId);
+    }
+
+    /**
+     * Move a module to a position in a parent (the same one or another).
+     *
+     * @param {string} moduleId - Module ID.
+     * @param {string|null} parentId - Target parent ID; null for the top level.
+     * @param {number} index    - Position among the target's children.
+     * @returns {boolean}
+     */
+    moveModule(moduleId, parentId, index) {
+        return this._dispatchAction('moveModule', moduleId, parentId === null ? ROOT_ID : parentId, index);
+    }
+
+    /**
+     * Call a store action if this version of Divi 5 provides it.
+     *
+     * @private
+     * @param {string} name - Action name.
+     * @param {...*}   args
+     * @returns {boolean} True if the action was dispatched.
+     */
+    _dispatchAction(name, ...args) {
+        if (!this.dispatch || typeof this.dispatch[name] !== 'function') {
+            console.warn(`[Divi Anchor AI] Divi 5 store action "${name}" not available`);
+            return false;
+        }
+
+        try {
+            this.dispatch[name](...args);
+            return true;
+        } catch (e) {
+            console.warn(`[Divi Anchor AI] Error dispatching ${name}:`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Child IDs of a module, in order, from the store content.
+     *
+     * @private
+     * @param {string} parentId
+     * @returns {string[]}
+     */
+    _childIds(parentId) {
+        if (!this.store || typeof this.store.getContent !== 'function') {
+            return [];
+        }
+        const entry = (this.store.getContent() || {})[parentId];
+        return entry && entry.children ? entry.children.slice() : [];
+    }
+
+    /**
+     * Parent ID of a module, from the store content.
+     *
+     * @private
+     * @param {string} moduleId
+     * @returns {string|null}
+     */
+    _parentId(moduleId) {
+        if (!this.store || typeof this.store.getContent !== 'function') {
+            return null;
+        }
+        const entry = (this.store.getContent() || {})[moduleId];
+        return entry && entry.parent ? entry.parent : null;
+    }
+
+    /**
+     * The child a dispatch added to a parent.
+     *
+     * @private
+     * @param {string}   parentId
+     * @param {string[]} before - Child IDs before the dispatch.
+     * @returns {string|null}
+     */
+    _newChildId(parentId, before) {
+        return this._childIds(parentId).find((id) => !before.includes(id)) || null;
+    }
+
     /**
      * Tear down the engine and release resources.
      */
@@ -178,3 +435,16 @@ export class Divi5Engine {
         this.selectedModuleId = null;
     }
 }
+
+/**
+ * Divi 5 module name of a type.
+ *
+ * @param {string} type - e.g. 'et_pb_row_inner' or 'divi/row-inner'.
+ * @returns {string} e.g. 'divi/row-inner'.
+ */
+function toModuleName(type) {
+    if (type.includes('/')) {
+        return type;
+    }
+    return `divi/${type.replace(/^et_pb_/, '').replace(/_/g, '-')}`;
+}
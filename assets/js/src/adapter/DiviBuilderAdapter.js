@@ -5,6 +5,90 @@
  * @package Divi_Anchor_AI
  */
 
+import { locateNode } from './PageStructure';
+import { AbortError, TimeoutError, NetworkError, ParseError, createRequestError } from './RequestErrors';
+
+/**
+ * Time limits per endpoint in ms; `default` covers the rest. The AI
+ * endpoints wait on the provider (60s on the server) and get longer.
+ * Overridden by `timeouts` in the config; 0 means no limit.
+ */
+const DEFAULT_TIMEOUTS = {
+    default: 30000,
+    'analyze-module': 75000,
+    'generate-changes': 75000,
+    'generate-layout': 75000,
+};
+
+/** Statuses worth retrying: rate limits and server errors. */
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * POST endpoints that only read or generate, so sending them again changes
+ * nothing on the site. Other POSTs (snapshots, rollback, redo) aren't retried.
+ */
+const RETRYABLE_POSTS = ['module-schema', 'analyze-module', 'generate-changes', 'generate-layout', 'validate-changes'];
+
+/** Retries after the first attempt. */
+const MAX_RETRIES = 3;
+
+/** Backoff before the first retry in ms; doubles with each retry. */
+const RETRY_BASE_DELAY = 1000;
+
+/** Longest wait before a retry in ms; a longer Retry-After gives up instead. */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * How long to wait before a retry.
+ *
+ * @param {number}      retry      - 1 for the first retry.
+ * @param {string|null} retryAfter - Retry-After value: seconds or an HTTP date.
+ * @returns {number|null} Milliseconds, or null when the wait is too long.
+ */
+function getRetryDelay(retry, retryAfter) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) {
+            return delay > MAX_RETRY_DELAY ? null : Math.max(0, delay);
+        }
+    }
+
+    // Half fixed, half random, so parallel requests don't retry in step.
+    const backoff = Math.min(MAX_RETRY_DELAY, RETRY_BASE_DELAY * 2 ** (retry - 1));
+    return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+/**
+ * Wait before a retry; rejects with an AbortError when the signal aborts.
+ *
+ * @param {number}           ms
+ * @param {AbortSignal|null} signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(new AbortError('The request was cancelled.', { code: 'cancelled' }));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            if (signal.aborted) {
+                abort();
+                return;
+            }
+            signal.addEventListener('abort', abort);
+        }
+    });
+}
+
 export class DiviBuilderAdapter {
     /**
      * @param {Object} config - diviAnchorConfig from wp_localize_script.
@@ -15,37 +99,205 @@ export class DiviBuilderAdapter {
         this.engine = engine;
         this.restUrl = config.restUrl;
         this.nonce = config.nonce;
+        this.timeouts = { ...DEFAULT_TIMEOUTS, ...(config.timeouts || {}) };
+        this.nonceRefresh = null;
     }
 
     /**
      * Make an authenticated REST request.
      *
-     * @param {string} endpoint - Endpoint path (e.g., 'module-types').
-     * @param {string} method   - HTTP method.
-     * @param {Object} body     - Request body (for POST).
+     * An expired nonce is refreshed and the request replayed once. Rate
+     * limits and server errors of GETs and read-only POSTs are retried with
+     * exponential backoff and jitter, waiting as long as a Retry-After asks;
+     * `options.onRetry` is told before each retry.
+     *
+     * Each attempt is aborted when `options.signal` aborts (AbortError) or
+     * when the endpoint's time limit passes (TimeoutError). Failures are
+     * thrown as the RequestError type for their kind, see RequestErrors.
+     *
+     * @param {string}      endpoint          - Endpoint path (e.g., 'module-types').
+     * @param {string}      method            - HTTP method.
+     * @param {Object}      body              - Request body (for POST).
+     * @param {Object}      [options]
+     * @param {AbortSignal} [options.signal]  - Cancels the request.
+     * @param {Function}    [options.onRetry] - (retry, maxRetries) before each retry.
+     * @param {boolean}     [options.retry]   - Whether failures may be retried; by
+     *                                          default only GETs and RETRYABLE_POSTS.
      * @returns {Promise<Object>}
+     * @throws {RequestError}
      */
-    async request(endpoint, method = 'GET', body = null) {
+    async request(endpoint, method = 'GET', body = null, { signal = null, onRetry = null, retry = null } = {}) {
+        const canRetry = retry === null ? method === 'GET' || RETRYABLE_POSTS.includes(endpoint) : retry;
+        let retries = 0;
+        let nonceRefreshed = false;
+
+        while (true) {
+            const result = await this.send(endpoint, method, body, signal);
+            if (result.ok) {
+                return result.data;
+            }
+
+            if (result.data && result.data.code === 'rest_cookie_invalid_nonce' && !nonceRefreshed) {
+                nonceRefreshed = true;
+                if (await this.refreshNonce()) {
+                    continue;
+                }
+            }
+
+            const delay = canRetry && retries < MAX_RETRIES && RETRY_STATUSES.includes(result.status)
+                ? getRetryDelay(retries + 1, result.retryAfter)
+                : null;
+            if (delay === null) {
+                throw createRequestError(result.status, result.data);
+            }
+
+            retries++;
+            if (onRetry) {
+                onRetry(retries, MAX_RETRIES);
+            }
+            await wait(delay, signal);
+        }
+    }
+
+    /**
+     * Send one attempt of a REST request.
+     *
+     * @param {string}           endpoint
+     * @param {string}           method
+     * @param {Object|null}      body
+     * @param {AbortSignal|null} signal
+     * @returns {Promise<Object>} { ok, status, data, retryAfter } — data is the
+     *                            parsed body, `{}` for unreadable error bodies.
+     */
+    async send(endpoint, method, body, signal) {
+        const controller = new AbortController();
         const options = {
             method,
             headers: {
                 'Content-Type': 'application/json',
                 'X-WP-Nonce': this.nonce,
             },
+            signal: controller.signal,
         };
 
         if (body && method !== 'GET') {
             options.body = JSON.stringify(body);
         }
 
-        const response = await fetch(`${this.restUrl}${endpoint}`, options);
+        const timeout = this.getTimeout(endpoint);
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
+        const cancel = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            }
+            signal.addEventListener('abort', cancel);
+        }
+
+        try {
+            let response;
+            try {
+                response = await fetch(`${this.restUrl}${endpoint}`, options);
+            } catch (e) {
+                if (controller.signal.aborted) {
+                    throw e;
+                }
+                throw new NetworkError('The site could not be reached. Check your connection.', { code: 'network_error' });
+            }
+
+            if (response.ok) {
+                let data;
+                try {
+                    data = await response.json();
+                } catch (e) {
+                    if (controller.signal.aborted) {
+                        throw e;
+                    }
+                    throw new ParseError('The site sent a response that is not JSON.', { code: 'invalid_json', status: response.status });
+                }
+                return { ok: true, status: response.status, data, retryAfter: null };
+            }
+
+            const data = await response.json().catch(() => ({}));
+            // The AI proxy passes the provider's Retry-After along in the error data.
+            const header = response.headers ? response.headers.get('Retry-After') : null;
+            return {
+                ok: false,
+                status: response.status,
+                data,
+                retryAfter: header || (data && data.data && data.data.retry_after) || null,
+            };
+        } catch (e) {
+            if (!controller.signal.aborted) {
+                throw e;
+            }
+            throw timedOut
+                ? new TimeoutError(`The request took longer than ${Math.round(timeout / 1000)} seconds.`, { code: 'timeout' })
+                : new AbortError('The request was cancelled.', { code: 'cancelled' });
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+        }
+    }
+
+    /**
+     * Get a fresh REST nonce from the admin-ajax action, for builder
+     * sessions that outlive the one the page was loaded with. Concurrent
+     * calls share one request.
+     *
+     * @returns {Promise<boolean>} Whether a new nonce is in use.
+     */
+    async refreshNonce() {
+        if (!this.config.ajaxUrl) {
+            return false;
+        }
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.message || `Request failed: ${response.status}`);
+        if (!this.nonceRefresh) {
+            this.nonceRefresh = fetch(this.config.ajaxUrl, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: 'action=divi_anchor_refresh_nonce',
+            })
+                .then((response) => response.json())
+                .then((result) => {
+                    if (!result || !result.success || !result.data || !result.data.nonce) {
+                        return false;
+                    }
+                    this.nonce = result.data.nonce;
+                    return true;
+                })
+                .catch((e) => {
+                    console.warn('[Divi Anchor AI] Nonce refresh failed:', e);
+                    return false;
+                })
+                .finally(() => {
+                    this.nonceRefresh = null;
+                });
         }
 
-        return response.json();
+        return this.nonceRefresh;
+    }
+
+    /**
+     * Time limit for an endpoint.
+     *
+     * @param {string} endpoint - Endpoint path, query string allowed.
+     * @returns {number} Milliseconds; 0 for no limit.
+     */
+    getTimeout(endpoint) {
+        const name = endpoint.split('?')[0];
+        const timeout = name in this.timeouts ? this.timeouts[name] : this.timeouts.default;
+        return Math.max(0, Number(timeout) || 0);
     }
 
     /**
@@ -73,14 +325,20 @@ export class DiviBuilderAdapter {
      * @param {string} prompt     - User's instruction.
      * @param {string} moduleType - Module type.
      * @param {Object} moduleData - Current module settings.
+     * @param {Array}  [history]  - Recent turns: [{ role: 'user'|'assistant', content }].
+     * @param {Object} [options]  - { signal } to cancel the request.
      * @returns {Promise<Object>}
      */
-    async analyzeModule(prompt, moduleType, moduleData) {
-        return this.request('analyze-module', 'POST', {
+    async analyzeModule(prompt, moduleType, moduleData, history = [], options = {}) {
+        const body = {
             prompt,
             module_type: moduleType,
             module_data: moduleData,
-        });
+        };
+        if (history.length > 0) {
+            body.history = history;
+        }
+        return this.request('analyze-module', 'POST', body, options);
     }
 
     /**
@@ -89,24 +347,37 @@ export class DiviBuilderAdapter {
      * @param {Object} intent     - Analyzed intent from stage 1.
      * @param {string} moduleType - Module type.
      * @param {Object} moduleData - Current module settings.
+     * @param {Object} [options]   - { signal } to cancel the request.
      * @returns {Promise<Object>}
      */
-    async generateChanges(intent, moduleType, moduleData) {
+    async generateChanges(intent, moduleType, moduleData, options = {}) {
         return this.request('generate-changes', 'POST', {
             intent,
             module_type: moduleType,
             module_data: moduleData,
-        });
+        }, options);
+    }
+
+    /**
+     * Generate a page layout from a description.
+     *
+     * @param {string} prompt    - e.g. 'hero section with a headline and two buttons'.
+     * @param {Object} [options] - { signal } to cancel the request.
+     * @returns {Promise<Object>} { sections, summary }.
+     */
+    async generateLayout(prompt, options = {}) {
+        return this.request('generate-layout', 'POST', { prompt }, options);
     }
 
     /**
      * Validate a changeset.
      *
      * @param {Object} changeset - Changeset to validate.
+     * @param {Object} [options] - { signal } to cancel the request.
      * @returns {Promise<Object>}
      */
-    async validateChanges(changeset) {
-        return this.request('validate-changes', 'POST', { changeset });
+    async validateChanges(changeset, options = {}) {
+        return this.request('validate-changes', 'POST', { changeset }, options);
     }
 
     /**
@@ -116,27 +387,60 @@ export class DiviBuilderAdapter {
      * @param {string} moduleType - Module type.
      * @param {Object} moduleData - Module data to save.
      * @param {string} label      - Optional label.
+     * @param {string[]} affectedKeys - Attributes the change about to be
+     *                                  applied writes, so undo can clear
+     *                                  the ones it adds.
      * @returns {Promise<Object>}
      */
-    async saveSnapshot(moduleId, moduleType, moduleData, label = '') {
+    async saveSnapshot(moduleId, moduleType, moduleData, label = '', affectedKeys = []) {
         return this.request('save-snapshot', 'POST', {
             module_id: moduleId,
             module_type: moduleType,
             module_data: moduleData,
             label,
+            affected_keys: affectedKeys,
         });
     }
 
     /**
      * Rollback to a snapshot.
      *
-     * @param {Object} params - { snapshot_id } or { module_id }.
-     * @returns {Promise<Object>}
+     * `{ module_id }` undoes the latest change; adding `module_data` (the
+     * current state) makes the undo redoable.
+     *
+     * @param {Object} params - { snapshot_id } or { module_id, module_data? }.
+     * @returns {Promise<Object>} { snapshot, message }.
      */
     async rollback(params) {
         return this.request('rollback', 'POST', params);
     }
 
+    /**
+     * Re-apply the most recently undone change.
+     *
+     * @param {string} moduleId   - Module identifier.
+     * @param {Object} moduleData - Current module data, kept so the redo can be undone.
+     * @returns {Promise<Object>} { snapshot, message }.
+     */
+    async redo(moduleId, moduleData) {
+        return this.request('redo', 'POST', {
+            module_id: moduleId,
+            module_data: moduleData,
+        });
+    }
+
+    /**
+     * List a module's snapshots, newest first.
+     *
+     * @param {string} moduleId - Module identifier.
+     * @returns {Promise<Object>} { snapshots: Array, redo: Array }.
+     */
+    async getSnapshots(moduleId) {
+        // Plain permalinks put the route itself in the query string.
+        const separator = String(this.restUrl || '').includes('?') ? '&' : '?';
+        return this.request(`snapshots${separator}module_id=${encodeURIComponent(moduleId)}`);
+    }
+
     /**
      * Get the currently selected module from the builder.
      * Delegates to the engine (Divi 4/5 specific).
@@ -150,6 +454,19 @@ export class DiviBuilderAdapter {
         return null;
     }
 
+    /**
+     * Get the page's section/row/column/module tree from the builder.
+     * Delegates to the engine (Divi 4/5 specific).
+     *
+     * @returns {Array|null} Section nodes: { id, type, kind, label, excerpt, settings, children }.
+     */
+    getPageStructure() {
+        if (this.engine && typeof this.engine.getPageStructure === 'function') {
+            return this.engine.getPageStructure();
+        }
+        return null;
+    }
+
     /**
      * Apply changes to the currently selected module in the builder.
      * Delegates to the engine.
@@ -164,4 +481,219 @@ export class DiviBuilderAdapter {
         }
         return false;
     }
+
+    /**
+     * Keys of a changeset the engine has nowhere to write (Divi 5 fields
+     * without an attribute mapping). Delegates to the engine.
+     *
+     * @param {string} moduleId - Module ID.
+     * @param {Object} changes  - Key-value pairs of field changes.
+     * @returns {string[]}
+     */
+    getUnmappedKeys(moduleId, changes) {
+        if (this.engine && typeof this.engine.getUnmappedKeys === 'function') {
+            return this.engine.getUnmappedKeys(moduleId, changes);
+        }
+        return [];
+    }
+
+    /**
+     * Remove attributes from a module. Delegates to the engine.
+     *
+     * @param {string} moduleId - Module ID.
+     * @param {string[]} keys   - Field or variant keys to remove.
+     * @returns {boolean}
+     */
+    unsetAttributes(moduleId, keys) {
+        if (this.engine && typeof this.engine.unsetAttributes === 'function') {
+            return this.engine.unsetAttributes(moduleId, keys);
+        }
+        return false;
+    }
+
+    /**
+     * Put a module back to a snapshot's data.
+     *
+     * Applying the data only resets the keys it holds; attributes the
+     * undone changes wrote that weren't there before (a new `field_phone`,
+     * its `_last_edited` flag) are removed.
+     *
+     * @param {string}   moduleId
+     * @param {Object}   data        - Snapshot data.
+     * @param {string[]} writtenKeys - Attributes written since the snapshot.
+     * @returns {boolean}
+     */
+    restoreState(moduleId, data, writtenKeys = []) {
+        if (!this.applyChanges(moduleId, data)) {
+            return false;
+        }
+
+        const added = writtenKeys.filter((key, i) => !(key in data) && writtenKeys.indexOf(key) === i);
+        if (added.length > 0) {
+            this.unsetAttributes(moduleId, added);
+        }
+        return true;
+    }
+
+    /**
+     * The module attributes applyChanges() writes for a set of changes,
+     * including any the engine adds (e.g. Divi 4's responsive mode flags).
+     *
+     * @param {Object} changes - Key-value pairs of field changes.
+     * @returns {string[]}
+     */
+    getAffectedKeys(changes) {
+        if (this.engine && typeof this.engine.getAffectedKeys === 'function') {
+            return this.engine.getAffectedKeys(changes);
+        }
+        return Object.keys(changes);
+    }
+
+    /**
+     * Where a module sits in the page.
+     *
+     * @param {string} moduleId
+     * @returns {Object|null} { parentId, index, count } — parentId is null for
+     *                       sections; count is the number of siblings, itself included.
+     */
+    getPosition(moduleId) {
+        const located = locateNode(this.getPageStructure(), moduleId);
+        if (!located) {
+            return null;
+        }
+        return {
+            parentId: located.parent ? located.parent.id : null,
+            index: located.index,
+            count: located.siblings.length,
+        };
+    }
+
+    /**
+     * A module's child items (accordion items, tabs, slides, ...), in order.
+     *
+     * @param {string} moduleId
+     * @returns {Array|null} Child nodes, or null if the module is not in the page.
+     */
+    getChildren(moduleId) {
+        const located = locateNode(this.getPageStructure(), moduleId);
+        return located ? located.node.children : null;
+    }
+
+    /**
+     * Insert a new module. Delegates to the engine.
+     *
+     * @param {string|null} parentId - Parent module ID; null for a section.
+     * @param {string} moduleType - e.g. 'et_pb_button'.
+     * @param {number} index      - Position among the parent's children.
+     * @param {Object} [settings] - Initial field values.
+     * @returns {string|null} The new module's ID.
+     */
+    insertModule(parentId, moduleType, index, settings = {}) {
+        if (this.engine && typeof this.engine.insertModule === 'function') {
+            return this.engine.insertModule(parentId, moduleType, index, settings);
+        }
+        return null;
+    }
+
+    /**
+     * Copy a module right after itself. Delegates to the engine.
+     *
+     * @param {string} moduleId
+     * @returns {string|null} The copy's ID.
+     */
+    duplicateModule(moduleId) {
+        if (this.engine && typeof this.engine.duplicateModule === 'function') {
+            return this.engine.duplicateModule(moduleId);
+        }
+        return null;
+    }
+
+    /**
+     * Delete a module, keeping what is needed to put it back.
+     *
+     * @param {string} moduleId
+     * @returns {Object|null} Record for restoreModule(): { moduleType, parentId, index, settings, children }.
+     */
+    removeModule(moduleId) {
+        if (!this.engine || typeof this.engine.removeModule !== 'function') {
+            return null;
+        }
+
+        const located = locateNode(this.getPageStructure(), moduleId);
+        if (!located) {
+            return null;
+        }
+
+        const record = toRecord(located.node, located.parent ? located.parent.id : null, located.index);
+        return this.engine.removeModule(moduleId) ? record : null;
+    }
+
+    /**
+     * Put a deleted module back where it was, children included.
+     *
+     * @param {Object} record - From removeModule().
+     * @returns {string|null} The restored module's (new) ID.
+     */
+    restoreModule(record) {
+        const id = this.insertModule(record.parentId, record.moduleType, record.index, record.settings);
+        if (!id) {
+            return null;
+        }
+
+        record.children.forEach((child) => {
+            this.restoreModule({ ...child, parentId: id });
+        });
+        return id;
+    }
+
+    /**
+     * Insert generated sections into the page, with everything inside them.
+     *
+     * @param {Array}  sections - Section nodes (see LayoutPlan.parseLayout()).
+     * @param {number} index    - Position among the page's sections.
+     * @returns {string[]} IDs of the inserted sections; empty if none could be inserted.
+     */
+    insertLayout(sections, index) {
+        const ids = [];
+        sections.forEach((section) => {
+            const id = this.restoreModule(toRecord(section, null, index + ids.length));
+            if (id) {
+                ids.push(id);
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * Move a module. Delegates to the engine.
+     *
+     * @param {string} moduleId
+     * @param {string} parentId - Target parent ID.
+     * @param {number} index    - Position among the target's children.
+     * @returns {boolean}
+     */
+    moveModule(moduleId, parentId, index) {
+        if (this.engine && typeof this.engine.moveModule === 'function') {
+            return this.engine.moveModule(moduleId, parentId, index);
+        }
+        return false;
+    }
+}
+
+/**
+ * Capture a page node as a record that can be re-inserted.
+ *
+ * @param {Object} node     - Page structure node.
+ * @param {string|null} parentId
+ * @param {number} index
+ * @returns {Object} { moduleType, parentId, index, settings, children }.
+ */
+function toRecord(node, parentId, index) {
+    return {
+        moduleType: node.type,
+        parentId,
+        index,
+        settings: { ...node.settings },
+        children: node.children.map((child, i) => toRecord(child, node.id, i)),
+    };
 }
@@ -0,0 +1,121 @@
+/**
+ * Field Variants — Breakpoint and hover keys for module settings.
+ *
+ * Changesets and module data use Divi 4's flat naming for variants:
+ * `field` (desktop), `field_tablet`, `field_phone` and `field__hover`.
+ * Divi4Engine writes these keys as-is; Divi5AttributeMap maps them to and
+ * from Divi 5's nested `{ desktop: { value, hover }, tablet: { value }, ... }`
+ * attribute groups.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+/** Breakpoints with their own stored value, besides desktop. */
+export const BREAKPOINTS = ['tablet', 'phone'];
+
+/** Lookup order when a variant has no value of its own (Divi's inheritance). */
+const FALLBACKS = {
+    phone: ['_phone', '_tablet', ''],
+    tablet: ['_tablet', ''],
+    hover: ['__hover', ''],
+};
+
+/**
+ * Work out which variant of a field an intent targets.
+ *
+ * Only variants the field supports are returned, so a breakpoint or hover
+ * request on a field without them comes back as desktop.
+ *
+ * @param {Object} field  - Intent field ({ responsive, hover }).
+ * @param {Object} intent - { breakpoint, state }.
+ * @returns {Object} { breakpoint: 'tablet'|'phone'|null, state: 'hover'|null }.
+ */
+export function getTarget(field, intent) {
+    const state = intent.state === 'hover' && field.hover ? 'hover' : null;
+    const breakpoint = !state && field.responsive && BREAKPOINTS.includes(intent.breakpoint)
+        ? intent.breakpoint
+        : null;
+    return { breakpoint, state };
+}
+
+/**
+ * Whether an intent asks for a variant its top field does not have.
+ *
+ * @param {Object} intent - { fields, breakpoint, state }.
+ * @returns {boolean}
+ */
+export function isUnsupportedTarget(intent) {
+    const field = intent.fields && intent.fields[0];
+    if (!field) return false;
+    if (intent.state === 'hover' && !field.hover) return true;
+    return BREAKPOINTS.includes(intent.breakpoint) && intent.state !== 'hover' && !field.responsive;
+}
+
+/**
+ * Build the stored key for a field variant.
+ *
+ * Divi has no per-device hover values, so hover ignores the breakpoint.
+ *
+ * @param {string} fieldName
+ * @param {Object} [target] - { breakpoint, state }.
+ * @returns {string} e.g. 'text_orientation_phone', 'text_color__hover'.
+ */
+export function variantKey(fieldName, target = {}) {
+    if (target.state === 'hover') return `${fieldName}__hover`;
+    if (BREAKPOINTS.includes(target.breakpoint)) return `${fieldName}_${target.breakpoint}`;
+    return fieldName;
+}
+
+/**
+ * Split a stored key into the field and its variant.
+ *
+ * @param {string} key
+ * @returns {Object} { fieldName, breakpoint: string|null, state: string|null }.
+ */
+export function parseVariantKey(key) {
+    const hover = /^(.+)__hover$/.exec(key);
+    if (hover) {
+        return { fieldName: hover[1], breakpoint: null, state: 'hover' };
+    }
+    const device = /^(.+)_(tablet|phone)$/.exec(key);
+    if (device) {
+        return { fieldName: device[1], breakpoint: device[2], state: null };
+    }
+    return { fieldName: key, breakpoint: null, state: null };
+}
+
+/**
+ * Read the effective value of a field variant, following Divi's
+ * inheritance: phone falls back to tablet then desktop, tablet and hover
+ * fall back to desktop.
+ *
+ * @param {Object} moduleData
+ * @param {string} fieldName
+ * @param {Object} [target] - { breakpoint, state }.
+ * @returns {*} The value, or undefined if none is stored.
+ */
+export function readVariant(moduleData, fieldName, target = {}) {
+    const data = moduleData || {};
+    const suffixes = FALLBACKS[target.state === 'hover' ? 'hover' : target.breakpoint] || [''];
+
+    for (const suffix of suffixes) {
+        const value = data[fieldName + suffix];
+        if (value !== undefined && value !== null && value !== '') {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Human-readable name of a variant, for labels.
+ *
+ * @param {Object} target - { breakpoint, state }.
+ * @returns {string} 'Tablet', 'Phone', 'Hover' or ''.
+ */
+export function describeTarget(target) {
+    if (target.state === 'hover') return 'Hover';
+    if (target.breakpoint === 'tablet') return 'Tablet';
+    if (target.breakpoint === 'phone') return 'Phone';
+    return '';
+}
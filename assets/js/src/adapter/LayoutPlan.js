@@ -0,0 +1,130 @@
+/**
+ * Layout Plan — Generated layouts as page structure trees.
+ *
+ * The layout endpoint returns sections → rows → columns → modules:
+ *
+ *     { sections: [{ label, rows: [{ columns: [{ width, modules: [{ module_type, settings }] }] }] }] }
+ *
+ * parseLayout() turns that into PageStructure nodes (with placeholder IDs)
+ * that the preview can draw and the adapter can insert.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { createNode, findContainer, locateNode, listModules } from './PageStructure';
+
+/** Column widths a row can be built from. */
+export const COLUMN_WIDTHS = ['4_4', '1_2', '1_3', '2_3', '1_4', '3_4'];
+
+/** Type names of the layout levels (Divi 4 naming, like the schemas). */
+const LAYOUT_TYPES = {
+    section: 'et_pb_section',
+    row: 'et_pb_row',
+    column: 'et_pb_column',
+};
+
+/**
+ * Turn a generated layout into section nodes.
+ *
+ * Rows without columns and modules without a type are dropped. A row's
+ * column widths become its `column_structure` setting when all of them
+ * are known widths.
+ *
+ * @param {Object} layout - { sections: [...] } from the layout endpoint.
+ * @returns {Array} Section nodes; empty when nothing usable was generated.
+ */
+export function parseLayout(layout) {
+    let next = 0;
+    const nextId = () => `layout-${++next}`;
+    const list = (value) => (Array.isArray(value) ? value : []).filter((item) => item && typeof item === 'object');
+
+    const sections = list(layout && layout.sections).map((section) => {
+        const rows = list(section.rows).map((row) => {
+            const columns = list(row.columns).map((column) => createNode({
+                id: nextId(),
+                type: LAYOUT_TYPES.column,
+                children: list(column.modules)
+                    .filter((module) => typeof module.module_type === 'string' && module.module_type)
+                    .map((module) => createNode({
+                        id: nextId(),
+                        type: module.module_type,
+                        settings: { ...(module.settings || {}) },
+                    })),
+            }));
+            const widths = list(row.columns).map((column) => (COLUMN_WIDTHS.includes(column.width) ? column.width : null));
+            if (columns.length === 0) {
+                return null;
+            }
+            const settings = widths.every(Boolean) ? { column_structure: widths.join(',') } : {};
+            return createNode({ id: nextId(), type: LAYOUT_TYPES.row, settings, children: columns });
+        }).filter(Boolean);
+
+        const settings = typeof section.label === 'string' && section.label.trim()
+            ? { admin_label: section.label.trim() }
+            : {};
+        return createNode({ id: nextId(), type: LAYOUT_TYPES.section, settings, children: rows });
+    });
+
+    return sections.filter((section) => listModules([section]).length > 0);
+}
+
+/**
+ * Check every module's settings against its schema and drop what fails.
+ *
+ * Invalid settings are removed from their module; a module whose type is
+ * unknown is removed from its column. The nodes are changed in place.
+ *
+ * @param {Array}    sections - Section nodes from parseLayout().
+ * @param {Function} validate - Called with a changeset; resolves to { valid, errors, invalid_fields }.
+ * @returns {Promise<Array>} Notes for the user, one per problem.
+ */
+export async function validateLayout(sections, validate) {
+    const notes = [];
+
+    for (const module of listModules(sections)) {
+        let result;
+        try {
+            result = await validate({
+                module_type: module.type,
+                changes: Object.entries(module.settings).map(([field, value]) => ({ field, new_value: value })),
+            });
+        } catch (e) {
+            // Validation endpoint failure is non-fatal, as for single-module changes.
+            console.warn('[Divi Anchor AI] Validation request failed (non-fatal):', e);
+            continue;
+        }
+        if (!result || result.valid !== false) {
+            continue;
+        }
+
+        const invalid = result.invalid_fields || [];
+        if (invalid.length === 0) {
+            const located = locateNode(sections, module.id);
+            located.siblings.splice(located.index, 1);
+            notes.push(`Skipped a ${module.label} module: ${(result.errors || []).join(', ')}`);
+            continue;
+        }
+
+        invalid.forEach((field) => delete module.settings[field]);
+        notes.push(`${module.label}: ${(result.errors || []).join(', ')}`);
+    }
+
+    return notes;
+}
+
+/**
+ * Where a generated layout goes: after the section holding the selected
+ * module, else at the end of the page.
+ *
+ * @param {Array|null}  structure  - Page structure.
+ * @param {string|null} selectedId - Selected module ID.
+ * @returns {number} Index among the page's sections.
+ */
+export function getLayoutIndex(structure, selectedId) {
+    const sections = structure || [];
+    const section = selectedId ? findContainer(sections, selectedId, 'section') : null;
+    if (!section) {
+        return sections.length;
+    }
+    return locateNode(sections, section.id).index + 1;
+}
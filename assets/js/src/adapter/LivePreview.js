@@ -0,0 +1,101 @@
+/**
+ * Live Preview — Shows proposed changes on the canvas before they are
+ * confirmed, and takes them back exactly.
+ *
+ * Values are applied through the adapter like a real change, but nothing
+ * is written to the snapshot stack; the value each attribute had before
+ * the preview is kept and put back on revert(), and attributes the module
+ * didn't have are removed again. Showing a different set of changes
+ * restores the attributes that are no longer previewed.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+export class LivePreview {
+    /**
+     * @param {DiviBuilderAdapter} adapter
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.moduleId = null;
+        this.original = {};
+        this.absent = [];
+    }
+
+    /**
+     * Whether changes are being previewed.
+     *
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.moduleId !== null;
+    }
+
+    /**
+     * Preview changes on a module, replacing any earlier preview.
+     *
+     * @param {string} moduleId
+     * @param {Object} values     - { field: value } to show.
+     * @param {Object} moduleData - The module's settings now; the first preview
+     *                              of an attribute keeps its value from here.
+     * @returns {boolean} Whether the builder accepted the values.
+     */
+    show(moduleId, values, moduleData) {
+        if (this.moduleId !== null && this.moduleId !== moduleId) {
+            this.revert();
+        }
+
+        const data = moduleData || {};
+        const keys = this.adapter.getAffectedKeys(values);
+
+        // Attributes previewed before but not now go back first.
+        const restore = {};
+        Object.keys(this.original).forEach((key) => {
+            if (!keys.includes(key)) {
+                restore[key] = this.original[key];
+                delete this.original[key];
+            }
+        });
+        const unset = this.absent.filter((key) => !keys.includes(key));
+        this.absent = this.absent.filter((key) => keys.includes(key));
+
+        keys.forEach((key) => {
+            if (key in this.original || this.absent.includes(key)) {
+                return;
+            }
+            if (key in data) {
+                this.original[key] = data[key];
+            } else {
+                this.absent.push(key);
+            }
+        });
+
+        this.moduleId = moduleId;
+        if (unset.length > 0) {
+            this.adapter.unsetAttributes(moduleId, unset);
+        }
+        return this.adapter.applyChanges(moduleId, { ...restore, ...values });
+    }
+
+    /**
+     * Put back every previewed attribute as it was.
+     *
+     * @returns {boolean} False if nothing was previewed or the builder refused.
+     */
+    revert() {
+        if (this.moduleId === null) {
+            return false;
+        }
+
+        const moduleId = this.moduleId;
+        const original = this.original;
+        const absent = this.absent;
+        this.moduleId = null;
+        this.original = {};
+        this.absent = [];
+
+        const restored = Object.keys(original).length === 0 || this.adapter.applyChanges(moduleId, original);
+        const removed = absent.length === 0 || this.adapter.unsetAttributes(moduleId, absent);
+        return restored && removed;
+    }
+}
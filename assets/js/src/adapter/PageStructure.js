@@ -0,0 +1,192 @@
+/**
+ * Page Structure — Normalized section/row/column/module tree.
+ *
+ * Both engines build the same node shape from their builder's data, so
+ * page-wide features never need to know which builder is running:
+ *
+ *     { id, type, kind, label, excerpt, settings, children }
+ *
+ * `kind` is 'section', 'row', 'column' or 'module'; `settings` is the same
+ * flat field data `getSelectedModule()` returns as moduleData.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { htmlToText } from '../chat/TextDiff';
+
+/** Longest content excerpt, in characters. */
+export const EXCERPT_LENGTH = 80;
+
+/** Fields whose text best describes a module, in order of preference. */
+const EXCERPT_FIELDS = ['title', 'button_text', 'content', 'alt', 'name', 'author'];
+
+/** Layout kinds by type name, without the `et_pb_` / `divi/` prefix. */
+const LAYOUT_KINDS = {
+    section: 'section',
+    fullwidth_section: 'section',
+    specialty_section: 'section',
+    row: 'row',
+    row_inner: 'row',
+    column: 'column',
+    column_inner: 'column',
+};
+
+/**
+ * Strip the builder prefix from a type name.
+ *
+ * @param {string} type - e.g. 'et_pb_row_inner' or 'divi/row-inner'.
+ * @returns {string} e.g. 'row_inner'.
+ */
+function baseType(type) {
+    return String(type || '')
+        .replace(/^et_pb_/, '')
+        .replace(/^divi\//, '')
+        .replace(/-/g, '_');
+}
+
+/**
+ * Which level of the layout a type belongs to.
+ *
+ * @param {string} type
+ * @returns {string} 'section', 'row', 'column' or 'module'.
+ */
+export function getKind(type) {
+    return LAYOUT_KINDS[baseType(type)] || 'module';
+}
+
+/**
+ * Whether two type names are the same module in either builder's naming.
+ *
+ * @param {string} a - e.g. 'et_pb_button'.
+ * @param {string} b - e.g. 'divi/button'.
+ * @returns {boolean}
+ */
+export function isSameType(a, b) {
+    return baseType(a) === baseType(b);
+}
+
+/**
+ * Readable name of a node: its admin label, else its type.
+ *
+ * @param {string} type
+ * @param {Object} settings
+ * @returns {string} e.g. 'Hero' or 'Fullwidth Header'.
+ */
+export function getLabel(type, settings) {
+    if (settings && typeof settings.admin_label === 'string' && settings.admin_label.trim()) {
+        return settings.admin_label.trim();
+    }
+    return baseType(type)
+        .replace(/_/g, ' ')
+        .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Short plain-text excerpt of a module's content.
+ *
+ * @param {Object} settings
+ * @param {number} [length]
+ * @returns {string} '' when the module has no text.
+ */
+export function getExcerpt(settings, length = EXCERPT_LENGTH) {
+    const data = settings || {};
+    for (const field of EXCERPT_FIELDS) {
+        if (typeof data[field] !== 'string') continue;
+
+        const text = htmlToText(data[field]).replace(/\s+/g, ' ');
+        if (text) {
+            return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+        }
+    }
+    return '';
+}
+
+/**
+ * Build a normalized node.
+ *
+ * @param {Object} source - { id, type, settings, children }.
+ * @returns {Object} { id, type, kind, label, excerpt, settings, children }.
+ */
+export function createNode({ id, type, settings = {}, children = [] }) {
+    const kind = getKind(type);
+    return {
+        id,
+        type,
+        kind,
+        label: getLabel(type, settings),
+        excerpt: kind === 'module' ? getExcerpt(settings) : '',
+        settings,
+        children,
+    };
+}
+
+/**
+ * Visit every node of a tree, depth first, parents before children.
+ *
+ * @param {Array}    nodes    - Top-level nodes (usually sections).
+ * @param {Function} callback - Called with (node, parent, depth).
+ */
+export function walkStructure(nodes, callback) {
+    const visit = (node, parent, depth) => {
+        callback(node, parent, depth);
+        node.children.forEach((child) => visit(child, node, depth + 1));
+    };
+    (nodes || []).forEach((node) => visit(node, null, 0));
+}
+
+/**
+ * All modules in page order.
+ *
+ * @param {Array} nodes - Top-level nodes.
+ * @returns {Array} Module nodes.
+ */
+export function listModules(nodes) {
+    const modules = [];
+    walkStructure(nodes, (node) => {
+        if (node.kind === 'module') modules.push(node);
+    });
+    return modules;
+}
+
+/**
+ * Find a node with its parent and its position among its siblings.
+ *
+ * @param {Array}  nodes - Top-level nodes.
+ * @param {string} id
+ * @returns {Object|null} { node, parent: Object|null, index, siblings }.
+ */
+export function locateNode(nodes, id) {
+    const search = (list, parent) => {
+        for (let index = 0; index < list.length; index++) {
+            const node = list[index];
+            if (node.id === id) {
+                return { node, parent, index, siblings: list };
+            }
+            const found = search(node.children, node);
+            if (found) return found;
+        }
+        return null;
+    };
+    return search(nodes || [], null);
+}
+
+/**
+ * Nearest node of a kind that contains a node (or is that node).
+ *
+ * @param {Array}  nodes - Top-level nodes.
+ * @param {string} id    - ID of the node to start from.
+ * @param {string} kind  - 'section', 'row' or 'column'.
+ * @returns {Object|null}
+ */
+export function findContainer(nodes, id, kind) {
+    const pathTo = (list) => {
+        for (const node of list) {
+            if (node.id === id) return [node];
+            const path = pathTo(node.children);
+            if (path) return [node, ...path];
+        }
+        return null;
+    };
+    const path = pathTo(nodes || []) || [];
+    return path.reverse().find((node) => node.kind === kind) || null;
+}
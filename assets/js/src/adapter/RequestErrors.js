@@ -0,0 +1,154 @@
+/**
+ * Request Errors — What went wrong with a REST request, as error types.
+ *
+ * Every error thrown by DiviBuilderAdapter.request() is a RequestError
+ * carrying the WP error `code`, the HTTP `status` (0 when there was no
+ * response) and the error `data` from the response body. Subclasses name
+ * the kind of failure so callers can pick a way to recover without
+ * reading the message:
+ *
+ *     NetworkError    no response at all
+ *     TimeoutError    the time limit passed
+ *     AbortError      cancelled by the caller
+ *     NonceError      the REST nonce expired and could not be refreshed
+ *     AuthError       logged out or not allowed
+ *     ConfigError     feature disabled or no API key in the plugin settings
+ *     RateLimitError  the site or the AI provider asked to slow down
+ *     ProviderError   the AI provider failed
+ *     ValidationError the request was rejected as invalid
+ *     ParseError      a response could not be read
+ *
+ * @package Divi_Anchor_AI
+ */
+
+/** WP error codes fixed in the plugin settings. */
+const CONFIG_CODES = ['feature_disabled', 'no_api_key', 'invalid_provider'];
+
+/** WP error codes of failed AI provider calls. */
+const PROVIDER_CODES = ['anthropic_error', 'openai_error', 'gemini_error', 'http_request_failed'];
+
+/** WP error codes of requests rejected as invalid. */
+const VALIDATION_CODES = ['rest_invalid_param', 'rest_missing_callback_param', 'missing_param', 'unknown_module', 'not_found'];
+
+export class RequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {string} [details.code]   - WP error code, e.g. 'no_api_key'.
+     * @param {number} [details.status] - HTTP status; 0 without a response.
+     * @param {Object} [details.data]   - Error data from the response.
+     */
+    constructor(message, { code = '', status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+    }
+}
+
+export class NetworkError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+}
+
+export class TimeoutError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'TimeoutError';
+    }
+}
+
+export class AbortError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AbortError';
+    }
+}
+
+export class NonceError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NonceError';
+    }
+}
+
+export class AuthError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AuthError';
+    }
+}
+
+export class ConfigError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ConfigError';
+    }
+}
+
+export class RateLimitError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'RateLimitError';
+    }
+}
+
+export class ProviderError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ProviderError';
+    }
+}
+
+export class ValidationError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ValidationError';
+    }
+}
+
+export class ParseError extends RequestError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ParseError';
+    }
+}
+
+/**
+ * Build the error for a failed response.
+ *
+ * @param {number} status - HTTP status.
+ * @param {Object} body   - Parsed WP error body: { code, message, data }.
+ * @returns {RequestError}
+ */
+export function createRequestError(status, body) {
+    const code = (body && body.code) || '';
+    const message = (body && body.message) || `Request failed: ${status}`;
+    const details = { code, status, data: (body && body.data) || null };
+
+    if (code === 'rest_cookie_invalid_nonce') {
+        return new NonceError(message, details);
+    }
+    if (CONFIG_CODES.includes(code)) {
+        return new ConfigError(message, details);
+    }
+    if (code === 'parse_error') {
+        return new ParseError(message, details);
+    }
+    if (status === 429) {
+        return new RateLimitError(message, details);
+    }
+    if (PROVIDER_CODES.includes(code)) {
+        return new ProviderError(message, details);
+    }
+    if (status === 401 || status === 403) {
+        return new AuthError(message, details);
+    }
+    if (VALIDATION_CODES.includes(code) || status === 400 || status === 404 || status === 422) {
+        return new ValidationError(message, details);
+    }
+    return new RequestError(message, details);
+}
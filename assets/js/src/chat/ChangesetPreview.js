@@ -1,23 +1,59 @@
 /**
  * Changeset Preview — Diff view for proposed field changes.
  *
+ * Values are drawn according to the schema field type when a change
+ * carries one: swatches for colors, thumbnails for uploads, Yes/No pills
+ * for toggles, inline word or line diffs for rich text and code, and one
+ * line per changed part for compound values (fonts, spacing, corners).
+ *
+ * Changes checked by the ChangesetValidator show their `issue` under the
+ * row; blocked changes start unchecked.
+ *
  * @package Divi_Anchor_AI
  */
 
+import { diffWords, diffLines, htmlToText } from './TextDiff';
+import { isCompoundType, diffCompound } from '../adapter/CompoundFields';
+
+/** Field types shown as an inline word diff. */
+const WORD_DIFF_TYPES = ['tiny_mce', 'textarea'];
+
+/** Field types shown as a line diff. */
+const LINE_DIFF_TYPES = ['codemirror', 'custom_css'];
+
+/** Field types whose proposed value is shown but not edited inline. */
+const READ_ONLY_TYPES = [...WORD_DIFF_TYPES, ...LINE_DIFF_TYPES];
+
+/** The three values of a conflicting field, in display order. */
+const CONFLICT_CHOICES = [
+    { key: 'original', label: 'Original' },
+    { key: 'current', label: 'Current' },
+    { key: 'proposed', label: 'Proposed' },
+];
+
+/** Keeps radio groups of separate conflict views apart. */
+let conflictViews = 0;
+
 export class ChangesetPreview {
+    constructor() {
+        /** Ends the live preview currently shown in the builder, if any. */
+        this.activePreview = null;
+    }
+
     /**
      * Render a changeset preview element.
      *
-     * @param {Array} changes - Array of { field, label, old_value, new_value }.
+     * @param {Array}  changes - Array of { field, label, old_value, new_value, type? }.
+     * @param {string} [heading] - Title shown above the rows.
      * @returns {HTMLElement}
      */
-    render(changes) {
+    render(changes, heading = 'Proposed Changes') {
         const wrapper = document.createElement('div');
         wrapper.className = 'da-changeset-preview';
 
         const title = document.createElement('div');
         title.className = 'da-changeset-preview-title';
-        title.textContent = 'Proposed Changes';
+        title.textContent = heading;
         wrapper.appendChild(title);
 
         changes.forEach((change) => {
@@ -30,7 +66,7 @@ export class ChangesetPreview {
     /**
      * Render a single change item.
      *
-     * @param {Object} change - { field, label, old_value, new_value }.
+     * @param {Object} change - { field, label, old_value, new_value, type? }.
      * @returns {HTMLElement}
      */
     renderItem(change) {
@@ -42,40 +78,332 @@ export class ChangesetPreview {
         fieldEl.textContent = change.label || change.field;
         row.appendChild(fieldEl);
 
-        if (change.old_value) {
-            const oldEl = document.createElement('span');
-            oldEl.className = 'da-changeset-old';
-            oldEl.textContent = this.formatValue(change.old_value);
-            row.appendChild(oldEl);
-
-            const arrow = document.createElement('span');
-            arrow.className = 'da-changeset-arrow';
-            arrow.textContent = ' \u2192 ';
-            row.appendChild(arrow);
+        if (this.hasDiffView(change.type)) {
+            row.classList.add('da-changeset-item-diff');
+            row.appendChild(this.renderDiff(change));
+        } else {
+            this.appendOldValue(row, change);
+            row.appendChild(this.renderValue(change.new_value, change.type, 'da-changeset-new'));
         }
 
-        const newEl = document.createElement('span');
-        newEl.className = 'da-changeset-new';
-        newEl.textContent = this.formatValue(change.new_value);
-        row.appendChild(newEl);
-
+        this.appendIssue(row, change);
         return row;
     }
 
     /**
      * Render a changeset preview with Apply / Cancel action buttons.
      *
-     * @param {Array}    changes            - Array of { field, label, old_value, new_value }.
+     * Every row has a checkbox and, where the field type allows, an inline
+     * editor for the new value, so a proposal can be applied in part or
+     * corrected first. Changes may carry the field's `type` and `options`
+     * to pick the editor.
+     *
+     * With `onPreview`, a Preview button shows the checked changes live in
+     * the builder; toggling or editing rows updates what is shown. The
+     * preview ends (`onEndPreview`) before Apply or Cancel is handled, when
+     * Preview is clicked again, when another changeset is previewed, or on
+     * endPreview().
+     *
+     * @param {Array}    changes                  - Array of { field, label, old_value, new_value, type?, options? }.
+     * @param {Object}   callbacks                - { onApply, onCancel, onPreview?, onEndPreview? }.
+     * @param {Function} callbacks.onApply        - Called with the checked changes (edited values included).
+     * @param {Function} callbacks.onCancel       - Called when Cancel is clicked.
+     * @param {Function} [callbacks.onPreview]    - Called with the checked changes to show them live.
+     * @param {Function} [callbacks.onEndPreview] - Called to take the live preview back.
+     * @returns {HTMLElement}
+     */
+    renderWithActions(changes, { onApply, onCancel, onPreview = null, onEndPreview = null }) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'da-changeset-preview';
+
+        const title = document.createElement('div');
+        title.className = 'da-changeset-preview-title';
+        title.textContent = 'Proposed Changes';
+        wrapper.appendChild(title);
+
+        const checkedChanges = () => rows.filter((row) => row.isChecked()).map((row) => row.getChange());
+
+        let previewing = false;
+        const endPreview = () => {
+            if (!previewing) return;
+            previewing = false;
+            if (this.activePreview === endPreview) {
+                this.activePreview = null;
+            }
+            actions.setPreviewing(false);
+            if (onEndPreview) onEndPreview();
+        };
+
+        const rows = changes.map((change) => this.renderEditableItem(change, () => {
+            actions.update();
+            if (previewing) onPreview(checkedChanges());
+        }));
+        rows.forEach((row) => wrapper.appendChild(row.el));
+
+        const actions = this.renderActions(rows, {
+            onApply: () => {
+                endPreview();
+                onApply(checkedChanges());
+            },
+            onCancel: () => {
+                endPreview();
+                onCancel();
+            },
+            onPreview: onPreview ? () => {
+                if (previewing) {
+                    endPreview();
+                    return;
+                }
+                this.endPreview();
+                previewing = true;
+                this.activePreview = endPreview;
+                actions.setPreviewing(true);
+                onPreview(checkedChanges());
+            } : null,
+        });
+        actions.update();
+        wrapper.appendChild(actions.el);
+
+        return wrapper;
+    }
+
+    /**
+     * End the live preview shown in the builder, if any (e.g. when the
+     * modal closes or another module is selected).
+     *
+     * @returns {boolean} Whether a preview was ended.
+     */
+    endPreview() {
+        if (!this.activePreview) {
+            return false;
+        }
+        this.activePreview();
+        return true;
+    }
+
+    /**
+     * Render a changeset spanning several modules, grouped by module, with
+     * Apply / Cancel action buttons.
+     *
+     * Rows work as in renderWithActions(); the Apply count covers every group.
+     *
+     * @param {Array}    groups             - Array of { moduleId, label, excerpt?, changes }.
+     * @param {Object}   callbacks          - { onApply: Function, onCancel: Function }.
+     * @param {Function} callbacks.onApply  - Called with the groups that keep at least one
+     *                                        checked change, each holding only those changes.
+     * @param {Function} callbacks.onCancel - Called when Cancel is clicked.
+     * @returns {HTMLElement}
+     */
+    renderGroupsWithActions(groups, { onApply, onCancel }) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'da-changeset-preview da-changeset-preview-grouped';
+
+        const title = document.createElement('div');
+        title.className = 'da-changeset-preview-title';
+        title.textContent = `Proposed Changes (${groups.length} module${groups.length === 1 ? '' : 's'})`;
+        wrapper.appendChild(title);
+
+        const entries = groups.map((group) => {
+            const section = document.createElement('div');
+            section.className = 'da-changeset-group';
+            section.dataset.moduleId = group.moduleId;
+
+            const heading = document.createElement('div');
+            heading.className = 'da-changeset-group-title';
+            heading.textContent = group.label || group.moduleId;
+            if (group.excerpt) {
+                const excerpt = document.createElement('span');
+                excerpt.className = 'da-changeset-group-excerpt';
+                excerpt.textContent = `\u201c${group.excerpt}\u201d`;
+                heading.appendChild(excerpt);
+            }
+            section.appendChild(heading);
+
+            const rows = group.changes.map((change) => this.renderEditableItem(change, () => actions.update()));
+            rows.forEach((row) => section.appendChild(row.el));
+            wrapper.appendChild(section);
+
+            return { group, rows };
+        });
+
+        const actions = this.renderActions(entries.flatMap((entry) => entry.rows), {
+            onApply: () => onApply(entries
+                .map(({ group, rows }) => ({
+                    ...group,
+                    changes: rows.filter((row) => row.isChecked()).map((row) => row.getChange()),
+                }))
+                .filter((group) => group.changes.length > 0)),
+            onCancel,
+        });
+        actions.update();
+        wrapper.appendChild(actions.el);
+
+        return wrapper;
+    }
+
+    /**
+     * Render a generated layout as a section → row → column → module
+     * outline, with Apply / Cancel action buttons.
+     *
+     * @param {Array}    sections           - Section nodes (see LayoutPlan.parseLayout()).
+     * @param {Object}   callbacks          - { onApply: Function, onCancel: Function }, called without arguments.
+     * @param {string[]} [notes]            - Problems found while validating, listed under the outline.
+     * @returns {HTMLElement}
+     */
+    renderLayoutWithActions(sections, { onApply, onCancel }, notes = []) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'da-changeset-preview da-layout-preview';
+
+        const title = document.createElement('div');
+        title.className = 'da-changeset-preview-title';
+        title.textContent = `Proposed Layout (${sections.length} section${sections.length === 1 ? '' : 's'})`;
+        wrapper.appendChild(title);
+
+        const renderNode = (node) => {
+            const el = document.createElement('div');
+            el.className = `da-layout-node da-layout-${node.kind}`;
+
+            const label = document.createElement('div');
+            label.className = 'da-layout-label';
+            label.textContent = node.kind === 'row' && node.settings.column_structure
+                ? `Row (${node.settings.column_structure.split(',').map((width) => width.replace('_', '/')).join(' + ')})`
+                : node.label;
+            if (node.excerpt) {
+                const excerpt = document.createElement('span');
+                excerpt.className = 'da-changeset-group-excerpt';
+                excerpt.textContent = `\u201c${node.excerpt}\u201d`;
+                label.appendChild(excerpt);
+            }
+            el.appendChild(label);
+
+            // Columns are implied by the row label.
+            node.children.forEach((child) => {
+                if (child.kind === 'column') {
+                    const column = document.createElement('div');
+                    column.className = 'da-layout-node da-layout-column';
+                    child.children.forEach((module) => column.appendChild(renderNode(module)));
+                    el.appendChild(column);
+                } else {
+                    el.appendChild(renderNode(child));
+                }
+            });
+
+            return el;
+        };
+        sections.forEach((section) => wrapper.appendChild(renderNode(section)));
+
+        if (notes.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'da-layout-notes';
+            notes.forEach((note) => {
+                const item = document.createElement('li');
+                item.textContent = note;
+                list.appendChild(item);
+            });
+            wrapper.appendChild(list);
+        }
+
+        wrapper.appendChild(this.renderActions([], { onApply, onCancel }).el);
+
+        return wrapper;
+    }
+
+    /**
+     * Render fields that changed between a proposal and its apply as a
+     * three-way choice, with Apply / Cancel action buttons.
+     *
+     * Each field shows the value the proposal was based on, the value it
+     * has now and the proposed value; the current value is picked by
+     * default so edits made in the meantime are kept unless overridden.
+     *
+     * @param {Array}    conflicts          - From findConflicts(): { field, label, type?, original, current, new_value }.
      * @param {Object}   callbacks          - { onApply: Function, onCancel: Function }.
-     * @param {Function} callbacks.onApply  - Called when Apply is clicked.
+     * @param {Function} callbacks.onApply  - Called with { field: 'original'|'current'|'proposed' }.
      * @param {Function} callbacks.onCancel - Called when Cancel is clicked.
      * @returns {HTMLElement}
      */
-    renderWithActions(changes, { onApply, onCancel }) {
-        const wrapper = this.render(changes);
+    renderConflictsWithActions(conflicts, { onApply, onCancel }) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'da-changeset-preview da-conflict-preview';
+
+        const title = document.createElement('div');
+        title.className = 'da-changeset-preview-title';
+        title.textContent = `Changed Since Proposed (${conflicts.length} setting${conflicts.length === 1 ? '' : 's'})`;
+        wrapper.appendChild(title);
+
+        const view = ++conflictViews;
+        const rows = conflicts.map((conflict) => {
+            const row = document.createElement('div');
+            row.className = 'da-changeset-item da-conflict-item';
+            row.dataset.field = conflict.field;
+
+            const fieldEl = document.createElement('span');
+            fieldEl.className = 'da-changeset-field';
+            fieldEl.textContent = conflict.label || conflict.field;
+            row.appendChild(fieldEl);
+
+            const values = { original: conflict.original, current: conflict.current, proposed: conflict.new_value };
+            const inputs = CONFLICT_CHOICES.map((choice) => {
+                const option = document.createElement('label');
+                option.className = 'da-conflict-choice';
+
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = `da-conflict-${view}-${conflict.field}`;
+                input.value = choice.key;
+                input.checked = choice.key === 'current';
+                option.appendChild(input);
+
+                const caption = document.createElement('span');
+                caption.className = 'da-conflict-caption';
+                caption.textContent = choice.label;
+                option.appendChild(caption);
+
+                option.appendChild(this.renderValue(values[choice.key], conflict.type, 'da-conflict-value'));
+                row.appendChild(option);
+                return input;
+            });
+
+            wrapper.appendChild(row);
+            return {
+                field: conflict.field,
+                getChoice: () => inputs.find((input) => input.checked).value,
+                isChecked: () => true,
+                disable: () => inputs.forEach((input) => {
+                    input.disabled = true;
+                }),
+            };
+        });
 
-        const actions = document.createElement('div');
-        actions.className = 'da-changeset-actions';
+        const actions = this.renderActions(rows, {
+            onApply: () => {
+                const choices = {};
+                rows.forEach((row) => {
+                    choices[row.field] = row.getChoice();
+                });
+                onApply(choices);
+            },
+            onCancel,
+        });
+        wrapper.appendChild(actions.el);
+
+        return wrapper;
+    }
+
+    /**
+     * Render the Apply / Cancel buttons for a set of editable rows.
+     *
+     * Both buttons lock the rows once clicked. With `onPreview`, a Preview
+     * toggle button is added between them.
+     *
+     * @param {Array}  rows      - Rows from renderEditableItem().
+     * @param {Object} callbacks - { onApply, onCancel, onPreview? }, called without arguments.
+     * @returns {Object} { el, update(), setPreviewing(on) } — update() refreshes the
+     *                   Apply count, setPreviewing() the Preview button state.
+     */
+    renderActions(rows, { onApply, onCancel, onPreview = null }) {
+        const el = document.createElement('div');
+        el.className = 'da-changeset-actions';
 
         const applyBtn = document.createElement('button');
         applyBtn.className = 'da-changeset-btn da-changeset-btn-apply';
@@ -85,23 +413,426 @@ export class ChangesetPreview {
         cancelBtn.className = 'da-changeset-btn da-changeset-btn-cancel';
         cancelBtn.textContent = 'Cancel';
 
-        applyBtn.addEventListener('click', () => {
+        let previewBtn = null;
+        if (onPreview) {
+            previewBtn = document.createElement('button');
+            previewBtn.className = 'da-changeset-btn da-changeset-btn-preview';
+            previewBtn.textContent = 'Preview';
+            previewBtn.setAttribute('aria-pressed', 'false');
+            previewBtn.addEventListener('click', () => onPreview());
+        }
+
+        const lock = () => {
             applyBtn.disabled = true;
             cancelBtn.disabled = true;
+            if (previewBtn) previewBtn.disabled = true;
+            rows.forEach((row) => row.disable());
+        };
+
+        applyBtn.addEventListener('click', () => {
+            lock();
             onApply();
         });
 
         cancelBtn.addEventListener('click', () => {
-            applyBtn.disabled = true;
-            cancelBtn.disabled = true;
+            lock();
             onCancel();
         });
 
-        actions.appendChild(applyBtn);
-        actions.appendChild(cancelBtn);
-        wrapper.appendChild(actions);
+        el.appendChild(applyBtn);
+        if (previewBtn) el.appendChild(previewBtn);
+        el.appendChild(cancelBtn);
 
-        return wrapper;
+        return {
+            el,
+            update: () => {
+                const count = rows.filter((row) => row.isChecked()).length;
+                applyBtn.disabled = count === 0;
+                applyBtn.textContent = count === rows.length ? 'Apply' : `Apply ${count} of ${rows.length}`;
+            },
+            setPreviewing: (on) => {
+                if (!previewBtn) return;
+                previewBtn.textContent = on ? 'Stop Preview' : 'Preview';
+                previewBtn.setAttribute('aria-pressed', on ? 'true' : 'false');
+                previewBtn.classList.toggle('da-changeset-btn-active', on);
+            },
+        };
+    }
+
+    /**
+     * Render a change row with a checkbox and an inline value editor.
+     *
+     * A blocked change (see ChangesetValidator) starts unchecked; editing
+     * its value checks it again.
+     *
+     * @param {Object}   change   - { field, label, old_value, new_value, type?, options?, issue? }.
+     * @param {Function} onChange - Called when the row is toggled or edited.
+     * @returns {Object} { el, isChecked(), getChange(), disable() }.
+     */
+    renderEditableItem(change, onChange) {
+        const row = document.createElement('div');
+        row.className = 'da-changeset-item da-changeset-item-editable';
+        row.dataset.field = change.field;
+
+        const blocked = Boolean(change.issue && change.issue.level === 'error');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'da-changeset-check';
+        checkbox.checked = !blocked;
+        row.classList.toggle('da-changeset-item-skipped', blocked);
+        checkbox.setAttribute('aria-label', `Apply ${change.label || change.field}`);
+        row.appendChild(checkbox);
+
+        const fieldEl = document.createElement('span');
+        fieldEl.className = 'da-changeset-field';
+        fieldEl.textContent = change.label || change.field;
+        row.appendChild(fieldEl);
+
+        const editor = this.createEditor(change);
+        if (this.hasDiffView(change.type)) {
+            row.classList.add('da-changeset-item-diff');
+            row.appendChild(editor.el);
+        } else {
+            this.appendOldValue(row, change);
+            const newEl = document.createElement('span');
+            newEl.className = 'da-changeset-new';
+            newEl.appendChild(editor.el);
+            row.appendChild(newEl);
+        }
+        this.appendIssue(row, change);
+
+        const sync = () => {
+            row.classList.toggle('da-changeset-item-skipped', !checkbox.checked);
+            onChange();
+        };
+
+        // Unedited values are passed through verbatim.
+        let edited = false;
+
+        checkbox.addEventListener('change', sync);
+        editor.onEdit(() => {
+            // Editing a value implies the user wants it applied.
+            edited = true;
+            checkbox.checked = true;
+            sync();
+        });
+
+        return {
+            el: row,
+            isChecked: () => checkbox.checked,
+            getChange: () => ({ ...change, new_value: edited ? editor.getValue() : change.new_value }),
+            disable: () => {
+                checkbox.disabled = true;
+                editor.disable();
+            },
+        };
+    }
+
+    /**
+     * Create an editor for a proposed value, matched to the field type.
+     *
+     * select → dropdown, color → color picker (hex values only), yes_no →
+     * toggle, upload → URL input with a thumbnail, rich text, code and
+     * compound values → read-only diff, anything else → text input.
+     *
+     * @param {Object} change - { new_value, type?, options? }.
+     * @returns {Object} { el, getValue(), onEdit(fn), disable() }.
+     */
+    createEditor(change) {
+        const value = change.new_value === undefined || change.new_value === null ? '' : String(change.new_value);
+
+        if (this.hasDiffView(change.type)) {
+            const el = this.renderDiff(change);
+            return { el, getValue: () => change.new_value, onEdit: () => {}, disable: () => {} };
+        }
+
+        if (change.type === 'yes_no') {
+            const el = document.createElement('label');
+            el.className = 'da-changeset-editor da-changeset-toggle';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === 'on';
+            let pill = this.renderPill(value);
+            input.addEventListener('change', () => {
+                const next = this.renderPill(input.checked ? 'on' : 'off');
+                pill.replaceWith(next);
+                pill = next;
+            });
+            el.appendChild(input);
+            el.appendChild(pill);
+            return this.wrapInput(el, input, () => (input.checked ? 'on' : 'off'));
+        }
+
+        if (change.type === 'select' && change.options) {
+            const select = document.createElement('select');
+            select.className = 'da-changeset-editor';
+            const options = { ...change.options };
+            if (value && !(value in options)) {
+                options[value] = value;
+            }
+            Object.entries(options).forEach(([key, label]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = value;
+            return this.wrapInput(select, select, () => select.value);
+        }
+
+        if (change.type === 'upload') {
+            const el = document.createElement('span');
+            el.className = 'da-changeset-upload';
+            const thumb = this.renderThumbnail(value);
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'da-changeset-editor';
+            input.value = value;
+            input.addEventListener('change', () => {
+                thumb.src = input.value;
+                thumb.hidden = !input.value;
+            });
+            el.appendChild(thumb);
+            el.appendChild(input);
+            return this.wrapInput(el, input, () => input.value);
+        }
+
+        const input = document.createElement('input');
+        input.className = 'da-changeset-editor';
+        const hex = change.type === 'color' ? this.toHexColor(value) : null;
+        if (hex) {
+            input.type = 'color';
+            input.value = hex;
+        } else {
+            input.type = 'text';
+            input.value = value;
+        }
+        return this.wrapInput(input, input, () => input.value);
+    }
+
+    /**
+     * Append a validation note under a row, if the change has one.
+     *
+     * @param {HTMLElement} row
+     * @param {Object}      change - { issue?: { level: 'fixed'|'error', message } }.
+     */
+    appendIssue(row, change) {
+        if (!change.issue) return;
+
+        row.classList.add(`da-changeset-item-${change.issue.level === 'error' ? 'invalid' : 'fixed'}`);
+        const note = document.createElement('div');
+        note.className = 'da-changeset-issue';
+        note.textContent = change.issue.message;
+        row.appendChild(note);
+    }
+
+    /**
+     * Append the old value and an arrow to a row, if there is an old value.
+     *
+     * @param {HTMLElement} row
+     * @param {Object}      change - { old_value, type? }.
+     */
+    appendOldValue(row, change) {
+        if (!change.old_value) return;
+
+        row.appendChild(this.renderValue(change.old_value, change.type, 'da-changeset-old'));
+
+        const arrow = document.createElement('span');
+        arrow.className = 'da-changeset-arrow';
+        arrow.textContent = ' \u2192 ';
+        row.appendChild(arrow);
+    }
+
+    /**
+     * Render one value for its field type.
+     *
+     * @param {*}      value
+     * @param {string} [type]     - Schema field type.
+     * @param {string} className  - Class for the value element.
+     * @returns {HTMLElement}
+     */
+    renderValue(value, type, className) {
+        const el = document.createElement('span');
+        el.className = className;
+
+        if (type === 'yes_no' && (value === 'on' || value === 'off')) {
+            el.appendChild(this.renderPill(value));
+            return el;
+        }
+
+        if (type === 'color' && value) {
+            const swatch = document.createElement('span');
+            swatch.className = 'da-changeset-swatch';
+            swatch.style.background = value;
+            el.appendChild(swatch);
+            el.appendChild(document.createTextNode(this.formatValue(value)));
+            return el;
+        }
+
+        if (type === 'upload' && value) {
+            el.appendChild(this.renderThumbnail(value));
+            const name = document.createElement('span');
+            name.className = 'da-changeset-filename';
+            name.textContent = this.formatValue(String(value).split('/').pop());
+            name.title = value;
+            el.appendChild(name);
+            return el;
+        }
+
+        el.textContent = this.formatValue(value);
+        return el;
+    }
+
+    /**
+     * Render a Yes/No pill for a toggle value.
+     *
+     * @param {string} value - 'on' or 'off'.
+     * @returns {HTMLElement}
+     */
+    renderPill(value) {
+        const pill = document.createElement('span');
+        pill.className = `da-changeset-pill da-changeset-pill-${value === 'on' ? 'on' : 'off'}`;
+        pill.textContent = this.formatValue(value === 'on' ? 'on' : 'off');
+        return pill;
+    }
+
+    /**
+     * Render an image thumbnail for an upload value.
+     *
+     * @param {string} url
+     * @returns {HTMLImageElement}
+     */
+    renderThumbnail(url) {
+        const img = document.createElement('img');
+        img.className = 'da-changeset-thumb';
+        img.alt = '';
+        img.hidden = !url;
+        if (url) {
+            img.src = url;
+        }
+        return img;
+    }
+
+    /**
+     * Whether a field type is previewed as a text diff.
+     *
+     * @param {string} [type]
+     * @returns {boolean}
+     */
+    hasDiffView(type) {
+        return READ_ONLY_TYPES.includes(type) || isCompoundType(type);
+    }
+
+    /**
+     * Render a word diff (rich text), line diff (code) or part diff
+     * (compound values) of a change.
+     *
+     * Rich text is compared as readable text; when only the markup
+     * differs, that is said instead of showing an empty diff.
+     *
+     * @param {Object} change - { old_value, new_value, type }.
+     * @returns {HTMLElement}
+     */
+    renderDiff(change) {
+        const oldValue = change.old_value === undefined || change.old_value === null ? '' : String(change.old_value);
+        const newValue = change.new_value === undefined || change.new_value === null ? '' : String(change.new_value);
+
+        const el = document.createElement('div');
+        el.className = 'da-changeset-diff';
+
+        if (isCompoundType(change.type)) {
+            el.classList.add('da-changeset-diff-parts');
+            const parts = diffCompound(change.type, oldValue, newValue);
+            if (parts.length === 0) {
+                const note = document.createElement('span');
+                note.className = 'da-changeset-diff-note';
+                note.textContent = 'No changes';
+                el.appendChild(note);
+            }
+            parts.forEach((part) => {
+                const line = document.createElement('div');
+                line.className = 'da-changeset-part';
+                line.dataset.part = part.key;
+                const label = document.createElement('span');
+                label.className = 'da-changeset-part-label';
+                label.textContent = part.label;
+                line.appendChild(label);
+                this.appendOldValue(line, part);
+                line.appendChild(this.renderValue(part.new_value, part.type, 'da-changeset-new'));
+                el.appendChild(line);
+            });
+            return el;
+        }
+
+        if (LINE_DIFF_TYPES.includes(change.type)) {
+            el.classList.add('da-changeset-diff-lines');
+            diffLines(oldValue, newValue).forEach((part) => {
+                const line = document.createElement('div');
+                line.className = `da-changeset-diff-line da-changeset-diff-${part.op}`;
+                const marker = { insert: '+ ', delete: '- ', equal: '  ' }[part.op];
+                line.textContent = marker + part.text.replace(/\n$/, '');
+                el.appendChild(line);
+            });
+            return el;
+        }
+
+        const oldText = change.type === 'tiny_mce' ? htmlToText(oldValue) : oldValue;
+        const newText = change.type === 'tiny_mce' ? htmlToText(newValue) : newValue;
+
+        if (oldText === newText && oldValue !== newValue) {
+            const note = document.createElement('span');
+            note.className = 'da-changeset-diff-note';
+            note.textContent = 'Formatting changes only';
+            el.appendChild(note);
+            return el;
+        }
+
+        diffWords(oldText, newText).forEach((part) => {
+            const tag = { insert: 'ins', delete: 'del', equal: 'span' }[part.op];
+            const span = document.createElement(tag);
+            span.className = `da-changeset-diff-${part.op}`;
+            span.textContent = part.text;
+            el.appendChild(span);
+        });
+        return el;
+    }
+
+    /**
+     * Build the editor interface around a form control.
+     *
+     * @param {HTMLElement} el       - Element to insert in the row.
+     * @param {HTMLElement} input    - The form control inside it.
+     * @param {Function}    getValue - Reads the stored value.
+     * @returns {Object} { el, getValue(), onEdit(fn), disable() }.
+     */
+    wrapInput(el, input, getValue) {
+        return {
+            el,
+            getValue,
+            onEdit: (fn) => {
+                input.addEventListener('input', fn);
+                input.addEventListener('change', fn);
+            },
+            disable: () => {
+                input.disabled = true;
+            },
+        };
+    }
+
+    /**
+     * Normalize a color to the #rrggbb form a color input accepts.
+     *
+     * @param {string} value
+     * @returns {string|null} Hex color, or null for rgba() and other formats.
+     */
+    toHexColor(value) {
+        if (/^#[0-9a-f]{6}$/i.test(value)) {
+            return value.toLowerCase();
+        }
+        if (/^#[0-9a-f]{3}$/i.test(value)) {
+            return ('#' + value.slice(1).split('').map((d) => d + d).join('')).toLowerCase();
+        }
+        return null;
     }
 
     /**
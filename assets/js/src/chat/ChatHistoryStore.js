@@ -0,0 +1,111 @@
+/**
+ * Chat History Store — Keeps AI tab transcripts per module.
+ *
+ * Transcripts live in memory for the whole builder session, so closing and
+ * reopening the settings modal keeps the chat. When persistence is enabled
+ * they are also written to localStorage under the current post, so they
+ * survive a reload.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+export class ChatHistoryStore {
+    /**
+     * @param {Object}  options
+     * @param {number}  [options.postId]  - Post being edited; required for persistence.
+     * @param {boolean} [options.persist] - Also write transcripts to localStorage.
+     * @param {Storage} [options.storage] - Storage backend (defaults to localStorage).
+     */
+    constructor(options = {}) {
+        this.postId = options.postId || null;
+        this.persist = Boolean(options.persist && this.postId);
+        this.storage = options.storage || null;
+        this.transcripts = {};
+
+        if (this.persist) {
+            this.load();
+        }
+    }
+
+    /**
+     * localStorage key for the current post.
+     *
+     * @returns {string}
+     */
+    get storageKey() {
+        return `diviAnchorChat:${this.postId}`;
+    }
+
+    /**
+     * Get the stored transcript for a module.
+     *
+     * @param {string} moduleId
+     * @returns {string|null} Transcript HTML.
+     */
+    get(moduleId) {
+        return (moduleId && this.transcripts[moduleId]) || null;
+    }
+
+    /**
+     * Store a module's transcript.
+     *
+     * @param {string} moduleId
+     * @param {string} html - Transcript HTML; empty removes the entry.
+     */
+    save(moduleId, html) {
+        if (!moduleId) return;
+
+        if (html) {
+            this.transcripts[moduleId] = html;
+        } else {
+            delete this.transcripts[moduleId];
+        }
+        this.write();
+    }
+
+    /**
+     * Forget a module's transcript.
+     *
+     * @param {string} moduleId
+     */
+    clear(moduleId) {
+        this.save(moduleId, '');
+    }
+
+    /**
+     * Read persisted transcripts for the current post.
+     */
+    load() {
+        try {
+            const saved = this.getStorage().getItem(this.storageKey);
+            if (saved) {
+                this.transcripts = JSON.parse(saved) || {};
+            }
+        } catch (e) {
+            console.warn('[Divi Anchor AI] Could not read saved chat history:', e);
+        }
+    }
+
+    /**
+     * Write transcripts for the current post, if persistence is enabled.
+     */
+    write() {
+        if (!this.persist) return;
+
+        try {
+            this.getStorage().setItem(this.storageKey, JSON.stringify(this.transcripts));
+        } catch (e) {
+            console.warn('[Divi Anchor AI] Could not save chat history:', e);
+        }
+    }
+
+    /**
+     * Storage backend; resolved lazily since localStorage access can throw
+     * in sandboxed frames.
+     *
+     * @returns {Storage}
+     */
+    getStorage() {
+        return this.storage || window.localStorage;
+    }
+}
@@ -157,13 +157,22 @@ export class ChatPanel {
     /**
      * Append an undo button to a message element.
      *
+     * The kind and snapshot ID are kept on the button, as in AITabContent.
+     *
      * @param {HTMLElement} msgEl  - The message element to append to.
      * @param {Function}    onUndo - Async callback when undo is clicked.
+     * @param {Object}      [options]
+     * @param {string}      [options.kind='snapshot'] - What the undo reverses.
+     * @param {string}      [options.snapshotId]      - Snapshot saved before a 'snapshot' change.
      */
-    appendUndoButton(msgEl, onUndo) {
+    appendUndoButton(msgEl, onUndo, { kind = 'snapshot', snapshotId = '' } = {}) {
         const btn = document.createElement('button');
         btn.className = 'da-undo-btn';
         btn.textContent = 'Undo';
+        btn.dataset.undoKind = kind;
+        if (snapshotId) {
+            btn.dataset.snapshotId = snapshotId;
+        }
 
         btn.addEventListener('click', async () => {
             btn.disabled = true;
@@ -181,6 +190,132 @@ export class ChatPanel {
         this.messageList.scrollToBottom();
     }
 
+    /**
+     * Append a Stop button to a status message for a request in progress.
+     *
+     * The message text is wrapped in a `.da-msg-content` span first, so the
+     * status can be updated in place without dropping the button.
+     *
+     * @param {HTMLElement} msgEl  - The status message element.
+     * @param {Function}    onStop - Callback when Stop is clicked.
+     * @returns {HTMLButtonElement} The button; remove it when the request ends.
+     */
+    appendStopButton(msgEl, onStop) {
+        if (!msgEl.querySelector('.da-msg-content')) {
+            const content = document.createElement('span');
+            content.className = 'da-msg-content';
+            content.innerHTML = msgEl.innerHTML;
+            msgEl.innerHTML = '';
+            msgEl.appendChild(content);
+        }
+
+        const btn = document.createElement('button');
+        btn.className = 'da-stop-btn';
+        btn.textContent = 'Stop';
+        btn.addEventListener('click', () => {
+            btn.disabled = true;
+            onStop();
+        });
+
+        msgEl.appendChild(btn);
+        this.messageList.scrollToBottom();
+        return btn;
+    }
+
+    /**
+     * Append the way out of a failed request to its message: a link to the
+     * plugin settings, a Retry button (usable once), or a Rephrase button
+     * that puts the request back in the input.
+     *
+     * @param {HTMLElement} msgEl                 - The error message element.
+     * @param {string|null} recovery              - 'settings', 'retry' or 'rephrase'; null adds nothing.
+     * @param {Object}      handlers
+     * @param {string}      [handlers.settingsUrl] - Plugin settings page.
+     * @param {Function}    [handlers.onRetry]     - Runs the request again.
+     * @param {string}      [handlers.text]        - The request, for rephrasing.
+     * @returns {HTMLElement|null} The link or button added.
+     */
+    appendRecovery(msgEl, recovery, { settingsUrl = '', onRetry = null, text = '' } = {}) {
+        let el = null;
+
+        if (recovery === 'settings' && settingsUrl) {
+            el = document.createElement('a');
+            el.href = settingsUrl;
+            el.target = '_blank';
+            el.rel = 'noopener';
+            el.textContent = 'Open Settings';
+        } else if (recovery === 'retry' && onRetry) {
+            el = document.createElement('button');
+            el.textContent = 'Retry';
+            el.addEventListener('click', () => {
+                el.disabled = true;
+                onRetry();
+            });
+        } else if (recovery === 'rephrase') {
+            el = document.createElement('button');
+            el.textContent = 'Rephrase';
+            el.addEventListener('click', () => {
+                this.inputEl.value = text;
+                this.inputEl.dispatchEvent(new Event('input'));
+                this.inputEl.focus();
+            });
+        }
+
+        if (!el) {
+            return null;
+        }
+
+        el.className = `da-recovery-btn da-recovery-${recovery}`;
+        msgEl.appendChild(el);
+        this.messageList.scrollToBottom();
+        return el;
+    }
+
+    /**
+     * Append clickable choice chips to a message element.
+     *
+     * Picking a chip disables the whole group so a question is answered once.
+     *
+     * @param {HTMLElement} msgEl   - The message element to append to.
+     * @param {Array}       choices - [{ fieldName, label, detail }].
+     * @param {Function}    onPick  - Callback with the picked choice.
+     */
+    appendChoices(msgEl, choices, onPick) {
+        const group = document.createElement('div');
+        group.className = 'da-choice-chips';
+
+        choices.forEach((choice) => {
+            const chip = document.createElement('button');
+            chip.className = 'da-choice-chip';
+            chip.dataset.field = choice.fieldName;
+
+            const label = document.createElement('span');
+            label.className = 'da-choice-label';
+            label.textContent = choice.label;
+            chip.appendChild(label);
+
+            if (choice.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'da-choice-detail';
+                detail.textContent = choice.detail;
+                chip.appendChild(detail);
+            }
+
+            chip.addEventListener('click', () => {
+                group.querySelectorAll('.da-choice-chip').forEach((btn) => {
+                    btn.disabled = true;
+                });
+                chip.classList.add('da-choice-chip-picked');
+                onPick(choice);
+            });
+
+            group.appendChild(chip);
+        });
+
+        msgEl.appendChild(group);
+        this.messageList.scrollToBottom();
+    }
+
     /**
      * Show the typing indicator.
      */
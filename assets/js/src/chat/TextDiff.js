@@ -0,0 +1,174 @@
+/**
+ * Text Diff — Word and line diffs for changeset previews.
+ *
+ * A plain longest-common-subsequence diff over tokens. Rich text and code
+ * values are short enough in practice; inputs past MAX_CELLS skip the
+ * table and are shown as a full replacement.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+/** Largest LCS table (old tokens × new tokens) computed before giving up. */
+const MAX_CELLS = 250000;
+
+/**
+ * Diff two token arrays.
+ *
+ * @param {string[]} a - Old tokens.
+ * @param {string[]} b - New tokens.
+ * @returns {Array} [{ op: 'equal'|'delete'|'insert', text }], adjacent ops merged.
+ */
+export function diffTokens(a, b) {
+    // Trim the common prefix and suffix so the table only covers the edit.
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    a.slice(0, start).forEach((text) => ops.push({ op: 'equal', text }));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > MAX_CELLS) {
+        midA.forEach((text) => ops.push({ op: 'delete', text }));
+        midB.forEach((text) => ops.push({ op: 'insert', text }));
+    } else {
+        ops.push(...lcsOps(midA, midB));
+    }
+
+    a.slice(endA).forEach((text) => ops.push({ op: 'equal', text }));
+
+    return mergeOps(ops);
+}
+
+/**
+ * Word-level diff; whitespace is kept so the result reads as the text.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array} [{ op, text }].
+ */
+export function diffWords(oldText, newText) {
+    return diffTokens(splitWords(oldText), splitWords(newText));
+}
+
+/**
+ * Line-level diff. Each op's text keeps its trailing newline.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array} [{ op, text }].
+ */
+export function diffLines(oldText, newText) {
+    return diffTokens(splitLines(oldText), splitLines(newText))
+        .flatMap((part) => splitLines(part.text).map((text) => ({ op: part.op, text })));
+}
+
+/**
+ * Reduce rich text HTML to readable text for a word diff.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+    return String(html || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|blockquote)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+/**
+ * Split text into words and the whitespace runs between them.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitWords(text) {
+    return String(text || '').split(/(\s+)/).filter((token) => token !== '');
+}
+
+/**
+ * Split text into lines, each keeping its trailing newline.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+    return String(text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Diff two token arrays with a full LCS table.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array} [{ op, text }], one per token.
+ */
+function lcsOps(a, b) {
+    // lengths[i][j] = LCS length of a[i:] and b[j:].
+    const lengths = [];
+    for (let i = a.length; i >= 0; i--) {
+        lengths[i] = new Array(b.length + 1).fill(0);
+        if (i === a.length) continue;
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ op: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ops.push({ op: 'delete', text: a[i++] });
+        } else {
+            ops.push({ op: 'insert', text: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ op: 'delete', text: a[i++] });
+    while (j < b.length) ops.push({ op: 'insert', text: b[j++] });
+
+    return ops;
+}
+
+/**
+ * Join adjacent ops of the same kind.
+ *
+ * @param {Array} ops
+ * @returns {Array}
+ */
+function mergeOps(ops) {
+    const merged = [];
+    ops.forEach((part) => {
+        const last = merged[merged.length - 1];
+        if (last && last.op === part.op) {
+            last.text += part.text;
+        } else {
+            merged.push({ ...part });
+        }
+    });
+    return merged;
+}
@@ -68,6 +68,8 @@ export class VisualFeedback {
                 return this.showResponsive(step);
             case 'show-tooltip':
                 return this.showTooltip(step);
+            case 'wait-for-field':
+                return this.waitForField(step);
             default:
                 return false;
         }
@@ -216,6 +218,25 @@ export class VisualFeedback {
         return true;
     }
 
+    /**
+     * Wait for a field to appear, e.g. once the user switches on the
+     * toggle it depends on. Stops early when guidance is cancelled.
+     *
+     * @param {Object} step - { action: 'wait-for-field', fieldName, timeout }.
+     * @returns {Promise<boolean>} False if the field did not appear in time.
+     */
+    async waitForField(step) {
+        const deadline = Date.now() + (step.timeout || 10000);
+
+        while (this.executing && Date.now() < deadline) {
+            if (this.highlighter.findFieldElement(step.fieldName)) {
+                return true;
+            }
+            await this.delay(250);
+        }
+        return false;
+    }
+
     /**
      * Show responsive mode indicator.
      *
@@ -6,16 +6,35 @@
  * @package Divi_Anchor_AI
  */
 
+import { resolveRelativeValue } from './intent/RelativeResolver';
+import { getTarget, isUnsupportedTarget, variantKey, parseVariantKey, readVariant, describeTarget } from './adapter/FieldVariants';
+import { listModules, isSameType, findContainer } from './adapter/PageStructure';
+import { withPrerequisites } from './intent/FieldDependencies';
+import { isCompoundType, parseCompound, updateCompound, getCompoundParts, getDefaultParts } from './adapter/CompoundFields';
+import {
+    RequestError,
+    NetworkError,
+    TimeoutError,
+    NonceError,
+    AuthError,
+    ConfigError,
+    RateLimitError,
+    ProviderError,
+    ValidationError,
+    ParseError,
+} from './adapter/RequestErrors';
+
 /** Complex field types that should not be applied locally. */
 export const COMPLEX_FIELD_TYPES = ['tiny_mce', 'codemirror', 'custom_css'];
 
 /**
  * Check if an intent represents a simple local change (no AI needed).
  *
- * @param {Object} intent - Classified intent.
+ * @param {Object} intent       - Classified intent.
+ * @param {Object} [moduleData] - Current module settings (needed for relative edits).
  * @returns {boolean}
  */
-export function isSimpleLocalChange(intent) {
+export function isSimpleLocalChange(intent, moduleData = null) {
     if (intent.action !== 'change' && intent.action !== 'enable' && intent.action !== 'disable') {
         return false;
     }
@@ -25,36 +44,354 @@ export function isSimpleLocalChange(intent) {
     if (intent.fields.length !== 1) {
         return false;
     }
-    if (!resolveLocalValue(intent)) {
+    if (!resolveLocalValue(intent, moduleData)) {
+        return false;
+    }
+    // The value phrase could not be turned into a valid stored value.
+    if (intent.action === 'change' && intent.valueResolved === false && !intent.relative) {
         return false;
     }
     if (COMPLEX_FIELD_TYPES.includes(intent.fields[0].type)) {
         return false;
     }
+    // "on phone" for a field without responsive values must not silently change desktop.
+    if (isUnsupportedTarget(intent)) {
+        return false;
+    }
     return true;
 }
 
 /**
- * Resolve the value for a local change (enable → 'on', disable → 'off', or intent.value).
+ * Resolve the value for a local change (enable → 'on', disable → 'off',
+ * a relative adjustment of the current value, or intent.value).
+ *
+ * For compound fields (fonts, spacing, corners) the named parts get that
+ * value and the rest of the stored string is kept.
  *
- * @param {Object} intent - Classified intent.
+ * @param {Object} intent       - Classified intent.
+ * @param {Object} [moduleData] - Current module settings (needed for relative edits).
  * @returns {string|null}
  */
-export function resolveLocalValue(intent) {
+export function resolveLocalValue(intent, moduleData = null) {
+    const compound = intent.fields && intent.fields[0];
+    if (compound && intent.parts && isCompoundType(compound.type)) {
+        return resolveCompoundValue(intent, compound, moduleData);
+    }
+
     if (intent.action === 'enable') return 'on';
     if (intent.action === 'disable') return 'off';
+    if (intent.relative && !intent.value) {
+        const field = intent.fields && intent.fields[0];
+        if (!field) return null;
+        return resolveRelativeValue(intent.relative, getCurrentValue(field, moduleData, getTarget(field, intent)));
+    }
     return intent.value || null;
 }
 
+/**
+ * Resolve a change to some parts of a compound field into its new stored value.
+ *
+ * @param {Object} intent       - Intent with `parts`.
+ * @param {Object} field        - The compound field.
+ * @param {Object} [moduleData] - Current module settings.
+ * @returns {string|null} Null if any part has no value to set.
+ */
+function resolveCompoundValue(intent, field, moduleData) {
+    const current = getCurrentValue(field, moduleData, getTarget(field, intent));
+    const currentParts = parseCompound(field.type, current);
+    const updates = {};
+
+    for (const key of intent.parts) {
+        let value;
+        if (intent.action === 'enable') {
+            value = 'on';
+        } else if (intent.action === 'disable') {
+            value = 'off';
+        } else if (intent.relative && !intent.value) {
+            value = resolveRelativeValue(intent.relative, currentParts[key]);
+        } else {
+            value = intent.value;
+        }
+        if (!value) {
+            return null;
+        }
+        updates[key] = value;
+    }
+
+    return updateCompound(field.type, current, updates);
+}
+
+/**
+ * Read a field's current value, falling back to the schema default.
+ *
+ * With a target, the value in effect for that breakpoint or hover state
+ * is returned (see readVariant()).
+ *
+ * @param {Object} field        - Field from the intent ({ fieldName, default }).
+ * @param {Object} [moduleData] - Current module settings.
+ * @param {Object} [target]     - { breakpoint, state } from getTarget().
+ * @returns {string}
+ */
+export function getCurrentValue(field, moduleData, target = {}) {
+    const current = readVariant(moduleData, field.fieldName, target);
+    if (current !== undefined) {
+        return current;
+    }
+    return field.default || '';
+}
+
+/**
+ * Read the value a proposed change replaces, for the change's own key.
+ *
+ * A breakpoint or hover key (`text_orientation_phone`) that isn't set yet
+ * shows the value it inherits, as getCurrentValue() does for local changes.
+ *
+ * @param {string}      key          - Field or variant key of the change.
+ * @param {Object|null} field        - Schema field the key belongs to, if known.
+ * @param {Object}      [moduleData] - Current module settings.
+ * @returns {string}
+ */
+export function getOldValue(key, field, moduleData) {
+    const data = moduleData || {};
+    const value = field && field.fieldName !== key
+        ? readVariant(data, field.fieldName, parseVariantKey(key))
+        : data[key];
+    return value === undefined || value === null ? '' : value;
+}
+
 /**
  * Check if the intent needs the AI pipeline.
  *
- * @param {Object} intent - Classified intent.
+ * @param {Object} intent       - Classified intent.
+ * @param {Object} [moduleData] - Current module settings.
  * @returns {boolean}
  */
-export function needsAI(intent) {
+export function needsAI(intent, moduleData = null) {
     const changeActions = ['change', 'enable', 'disable'];
-    return changeActions.includes(intent.action) && !isSimpleLocalChange(intent);
+    return changeActions.includes(intent.action) && !isSimpleLocalChange(intent, moduleData);
+}
+
+/**
+ * Check if every actionable sub-intent of a compound request can be applied locally.
+ *
+ * 'find' clauses are ignored; at least one clause must carry a change.
+ *
+ * @param {Object[]} intents      - Sub-intents from IntentClassifier.classifyCompound().
+ * @param {Object}   [moduleData] - Current module settings.
+ * @returns {boolean}
+ */
+export function isCompoundLocalChange(intents, moduleData = null) {
+    const actionable = intents.filter((intent) => intent.action !== 'find');
+    return actionable.length > 0 && actionable.every((intent) => isSimpleLocalChange(intent, moduleData));
+}
+
+/**
+ * Append the fields the user picked in a clarifying question to the request
+ * text, so the AI pipeline works on the same setting the user confirmed.
+ *
+ * @param {string}   text    - Original request.
+ * @param {Object[]} intents - Sub-intents; locked ones carry a single chosen field.
+ * @returns {string}
+ */
+export function withFieldHints(text, intents) {
+    const hints = intents
+        .filter((intent) => intent.locked && intent.fields.length > 0)
+        .map((intent) => `${intent.fields[0].label} (${intent.fields[0].fieldName})`);
+
+    if (hints.length === 0) {
+        return text;
+    }
+    return `${text}\n\n[Setting${hints.length > 1 ? 's' : ''} confirmed by the user: ${hints.join(', ')}]`;
+}
+
+/**
+ * Build a changeset from locally resolvable intents.
+ *
+ * Breakpoint and hover requests write the matching variant key
+ * (e.g. `text_orientation_phone`) and are labelled with it. Toggles a
+ * field depends on (its `show_if` rules) are switched on as well.
+ *
+ * @param {Object[]} intents    - Intents that passed isSimpleLocalChange().
+ * @param {Object}   moduleData - Current module settings.
+ * @returns {Array} Array of { field, label, old_value, new_value, type }.
+ */
+export function buildLocalChanges(intents, moduleData) {
+    const data = moduleData || {};
+    const actionable = intents.filter((intent) => intent.action !== 'find');
+
+    const changes = actionable
+        .map((intent) => {
+            const field = intent.fields[0];
+            const target = getTarget(field, intent);
+            const details = [describeTarget(target), describeParts(field, intent.parts)].filter(Boolean);
+            return {
+                field: variantKey(field.fieldName, target),
+                label: details.length > 0 ? `${field.label} (${details.join(', ')})` : field.label,
+                old_value: getCurrentValue(field, data, target),
+                new_value: resolveLocalValue(intent, data),
+                type: field.type,
+            };
+        });
+
+    const fields = actionable.map((intent) => intent.fields[0]);
+    return withPrerequisites(changes, (name) => fields.find((field) => field.fieldName === name) || null, data);
+}
+
+/**
+ * Name the parts of a compound field a change sets, e.g. 'Top' or 'Italic'.
+ *
+ * @param {Object}        field
+ * @param {string[]|null} parts - Part keys from the intent.
+ * @returns {string} '' for the field's default parts (e.g. every side of the padding).
+ */
+function describeParts(field, parts) {
+    const defaults = getDefaultParts(field.type);
+    if (!parts || (parts.length === defaults.length && parts.every((key) => defaults.includes(key)))) {
+        return '';
+    }
+    return getCompoundParts(field.type)
+        .filter((part) => parts.includes(part.key))
+        .map((part) => part.label)
+        .join(' & ');
+}
+
+/**
+ * Pick the modules a page-wide request targets.
+ *
+ * @param {Array}  structure    - Page tree from DiviBuilderAdapter.getPageStructure().
+ * @param {Object} scope        - { moduleType, within } from IntentClassifier.detectScope().
+ * @param {string} [selectedId] - Selected module, for "in this section/row/column".
+ * @returns {Array} Module nodes in page order (empty if the container is not found).
+ */
+export function findScopeTargets(structure, scope, selectedId = null) {
+    let nodes = structure || [];
+    if (scope.within && scope.within !== 'page') {
+        const container = selectedId ? findContainer(nodes, selectedId, scope.within) : null;
+        if (!container) {
+            return [];
+        }
+        nodes = [container];
+    }
+    return listModules(nodes).filter((node) => isSameType(node.type, scope.moduleType));
+}
+
+/**
+ * Build one changeset per target module from locally resolvable intents.
+ *
+ * Relative edits resolve against each module's own value. Changes that
+ * would leave a value as it is are dropped, and so are modules left with
+ * nothing to change.
+ *
+ * @param {Object[]} intents - Intents classified against the targets' module type.
+ * @param {Array}    targets - Module nodes from findScopeTargets().
+ * @returns {Array} [{ moduleId, moduleType, label, excerpt, moduleData, changes }].
+ */
+export function buildBatchGroups(intents, targets) {
+    return targets
+        .map((node) => ({
+            moduleId: node.id,
+            moduleType: node.type,
+            label: node.label,
+            excerpt: node.excerpt,
+            moduleData: node.settings,
+            changes: buildLocalChanges(intents, node.settings)
+                .filter((change) => String(change.old_value) !== String(change.new_value)),
+        }))
+        .filter((group) => group.changes.length > 0);
+}
+
+/**
+ * Position a module moves to among its siblings.
+ *
+ * @param {string} direction - 'up', 'down', 'top' or 'bottom'.
+ * @param {number} index     - Current position.
+ * @param {number} count     - Number of siblings, the module included.
+ * @returns {number|null} New position, or null if the module can't move that way.
+ */
+export function resolveMoveTarget(direction, index, count) {
+    const target = {
+        up: index - 1,
+        down: index + 1,
+        top: 0,
+        bottom: count - 1,
+    }[direction];
+    if (target === undefined || target < 0 || target > count - 1 || target === index) {
+        return null;
+    }
+    return target;
+}
+
+/**
+ * Find the changes whose field was edited after the changeset was built.
+ *
+ * A field conflicts when its value now differs from the one the changeset
+ * was based on, unless it already holds the proposed value.
+ *
+ * @param {Array}  changes     - [{ field, label, old_value, new_value, type? }].
+ * @param {Object} baseData    - Module settings the changeset was built from.
+ * @param {Object} currentData - Module settings now.
+ * @returns {Array} The conflicting changes with `original` and `current` values.
+ */
+export function findConflicts(changes, baseData, currentData) {
+    const base = baseData || {};
+    const current = currentData || {};
+    const text = (value) => (value === undefined || value === null ? '' : String(value));
+
+    return changes
+        .filter((change) => {
+            const now = text(current[change.field]);
+            return text(base[change.field]) !== now && now !== text(change.new_value);
+        })
+        .map((change) => ({
+            ...change,
+            original: text(change.old_value),
+            current: text(current[change.field]),
+        }));
+}
+
+/**
+ * Apply the user's choice for each conflicting field to a changeset.
+ *
+ * 'current' keeps the field as it is now (the change is dropped),
+ * 'original' puts back the value the changeset was based on and
+ * 'proposed' applies the change as proposed.
+ *
+ * @param {Array}  changes   - The changeset.
+ * @param {Array}  conflicts - From findConflicts().
+ * @param {Object} choices   - { field: 'original'|'current'|'proposed' }; missing means 'current'.
+ * @returns {Array} Changes to apply, with old values as they are now.
+ */
+export function resolveConflicts(changes, conflicts, choices) {
+    return changes
+        .map((change) => {
+            const conflict = conflicts.find((c) => c.field === change.field);
+            if (!conflict) {
+                return change;
+            }
+            const choice = choices[change.field] || 'current';
+            if (choice === 'current') {
+                return null;
+            }
+            return {
+                ...change,
+                old_value: conflict.current,
+                new_value: choice === 'original' ? conflict.original : change.new_value,
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Explain which changes were held back by validation.
+ *
+ * @param {Array} blocked - Changes with an error `issue` (see ChangesetValidator).
+ * @returns {string} e.g. 'Skipped 1 invalid change: **Size** ("big" is not a valid size; use px, ...).'
+ */
+export function formatBlockedChanges(blocked) {
+    const details = blocked
+        .map((change) => `**${change.label || change.field}** (${change.issue.message.replace(/\.$/, '')})`)
+        .join('; ');
+    return `Skipped ${blocked.length} invalid change${blocked.length === 1 ? '' : 's'}: ${details}.`;
 }
 
 /**
@@ -92,23 +429,67 @@ export function formatMarkdown(text) {
 }
 
 /**
- * Parse an AI-stage error into a user-friendly message.
+ * Describe a failed AI request for the chat: what happened, what kind of
+ * failure it was, and the way out — a link to the settings, a retry, or
+ * rephrasing the request.
  *
- * @param {string} stage - 'analysis' or 'generation'.
- * @param {Error}  error - The caught error.
- * @returns {string}
+ * @param {string} stage - 'analysis', 'generation' or 'layout generation'.
+ * @param {Error}  error - The caught error, a RequestError from the adapter.
+ * @returns {Object} { message, kind, recovery } — recovery is 'settings', 'retry',
+ *                   'rephrase', or null when there is nothing to offer.
  */
-export function formatAIError(stage, error) {
+export function describeAIError(stage, error) {
     const msg = (error && error.message) || String(error);
+    const describe = (kind, recovery, message) => ({ message, kind, recovery });
 
-    if (msg.includes('feature_disabled') || msg.includes('not enabled')) {
-        return `AI ${stage} is not enabled. Please enable it in Settings \u2192 Divi Anchor AI.`;
+    if (error instanceof ConfigError) {
+        if (error.code === 'feature_disabled') {
+            return describe('config', 'settings', `AI ${stage} is not enabled. Please enable it in Settings \u2192 Divi Anchor AI.`);
+        }
+        if (error.code === 'invalid_provider') {
+            return describe('config', 'settings', 'The AI provider setting is not valid. Please choose one in Settings \u2192 Divi Anchor AI.');
+        }
+        return describe('config', 'settings', 'No AI provider API key is configured. Please add one in Settings \u2192 Divi Anchor AI.');
+    }
+    if (error instanceof ParseError) {
+        return error.code === 'parse_error'
+            ? describe('parse', 'rephrase', 'The AI returned an unexpected response. Try rephrasing your request.')
+            : describe('parse', 'retry', `AI ${stage} failed: ${msg}`);
+    }
+    if (error instanceof ValidationError) {
+        return describe('validation', 'rephrase', `AI ${stage} could not use this request: ${msg} Try rephrasing it.`);
+    }
+    if (error instanceof RateLimitError) {
+        return describe('rate-limit', 'retry', 'The AI provider is receiving too many requests. Wait a moment, then retry.');
     }
-    if (msg.includes('no_api_key') || msg.includes('API key')) {
-        return 'No AI provider API key is configured. Please add one in Settings \u2192 Divi Anchor AI.';
+    if (error instanceof ProviderError) {
+        return describe('provider', 'retry', `The AI provider failed during ${stage}: ${msg}`);
     }
-    if (msg.includes('parse_error') || msg.includes('unexpected response')) {
-        return 'The AI returned an unexpected response. Try rephrasing your request.';
+    if (error instanceof TimeoutError) {
+        return describe('timeout', 'retry', `AI ${stage} timed out. ${msg} Try again, or make the request smaller.`);
     }
-    return `AI ${stage} failed: ${msg}`;
+    if (error instanceof NetworkError) {
+        return describe('network', 'retry', `AI ${stage} failed: ${msg}`);
+    }
+    if (error instanceof NonceError) {
+        return describe('nonce', 'retry', 'Your session has expired. Retry, or save your work and reload the builder.');
+    }
+    if (error instanceof AuthError) {
+        return describe('auth', 'retry', 'You are logged out or not allowed to use Divi Anchor AI. Log in again in another tab, then retry.');
+    }
+    if (error instanceof RequestError) {
+        return describe('unknown', 'retry', `AI ${stage} failed: ${msg}`);
+    }
+    return describe('unknown', null, `AI ${stage} failed: ${msg}`);
+}
+
+/**
+ * Parse an AI-stage error into a user-friendly message.
+ *
+ * @param {string} stage - 'analysis' or 'generation'.
+ * @param {Error}  error - The caught error.
+ * @returns {string}
+ */
+export function formatAIError(stage, error) {
+    return describeAIError(stage, error).message;
 }
@@ -12,11 +12,19 @@
 import { DiviBuilderAdapter } from './adapter/DiviBuilderAdapter';
 import { Divi4Engine } from './adapter/Divi4Engine';
 import { Divi5Engine } from './adapter/Divi5Engine';
+import { getTarget, parseVariantKey, describeTarget } from './adapter/FieldVariants';
+import { parseLayout, validateLayout, getLayoutIndex } from './adapter/LayoutPlan';
+import { isCompoundType } from './adapter/CompoundFields';
+import { LivePreview } from './adapter/LivePreview';
 
 // Phase 2: Guidance Mode.
 import { IntentClassifier } from './intent/IntentClassifier';
 import { ChangesetBuilder } from './intent/ChangesetBuilder';
+import { ConversationContext } from './intent/ConversationContext';
+import { withPrerequisites } from './intent/FieldDependencies';
+import { validateChangeset, isBlocked } from './intent/ChangesetValidator';
 import { ChangesetPreview } from './chat/ChangesetPreview';
+import { ChatHistoryStore } from './chat/ChatHistoryStore';
 import { VisualFeedback } from './feedback/VisualFeedback';
 
 // Tab injection.
@@ -27,11 +35,21 @@ import { AITabContent } from './tab/AITabContent';
 import {
     COMPLEX_FIELD_TYPES,
     isSimpleLocalChange,
-    resolveLocalValue,
+    isCompoundLocalChange,
+    buildLocalChanges,
+    getCurrentValue,
+    getOldValue,
     needsAI,
+    withFieldHints,
     changesetToMap,
+    findScopeTargets,
+    buildBatchGroups,
+    resolveMoveTarget,
     formatMarkdown,
-    formatAIError,
+    describeAIError,
+    formatBlockedChanges,
+    findConflicts,
+    resolveConflicts,
 } from './helpers';
 
 (function () {
@@ -43,6 +61,12 @@ import {
         return;
     }
 
+    /** Reply shown when the user stops an AI request. */
+    const STOPPED_MESSAGE = 'Stopped. Nothing was changed.';
+
+    /** AI requests in progress, from startRequest(). */
+    const pendingRequests = new Set();
+
     /**
      * Detect whether we're running inside the Divi builder frame.
      * The VB iframe has #et-fb-app or window.ET_Builder; the parent BFB frame does not.
@@ -100,9 +124,14 @@ import {
      */
     async function initAITab(adapter) {
         const classifier = new IntentClassifier();
+        const conversation = new ConversationContext(classifier);
         const changesetBuilder = new ChangesetBuilder();
         const changesetPreview = new ChangesetPreview();
         const visualFeedback = new VisualFeedback();
+        const historyStore = new ChatHistoryStore({
+            postId: config.postId,
+            persist: config.persistChat,
+        });
 
         // Build schema index from all module schemas.
         const schemaIndex = await buildSchemaIndex(adapter);
@@ -114,11 +143,26 @@ import {
         // Create the tab injector.
         const tabInjector = new ModalTabInjector({
             onModalOpen(container, moduleInfo) {
-                // Create or re-render AITabContent.
-                aiTab = new AITabContent({
-                    onSend: (text) => handleUserMessage(text, adapter, classifier, changesetBuilder, changesetPreview, visualFeedback, aiTab),
+                // Create or re-render AITabContent, restoring the module's chat.
+                const tab = new AITabContent({
+                    onSend: (text) => handleUserMessage(text, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, tab),
+                    store: historyStore,
+                    onUndo: (snapshotId) => undoLastChange(adapter, tab.moduleId, snapshotId),
+                    history: {
+                        load: () => loadSnapshotHistory(adapter, tab.moduleId),
+                        restore: async (snapshot) => {
+                            await restoreSnapshot(adapter, tab.moduleId, snapshot);
+                            tab.addMessage(`Restored **${snapshot.label || 'snapshot'}**.`, 'guidance');
+                        },
+                        redo: async () => {
+                            await redoLastChange(adapter, tab.moduleId);
+                            tab.addMessage('Redid the last undone change.', 'guidance');
+                        },
+                        describeField: (moduleType, fieldName) => classifier.getField(moduleType, fieldName),
+                    },
                 });
-                aiTab.render(container);
+                aiTab = tab;
+                aiTab.render(container, moduleInfo);
 
                 // Set module context if available.
                 if (moduleInfo) {
@@ -127,29 +171,51 @@ import {
             },
 
             onModalClose() {
-                // Nothing to persist yet — tab content is destroyed with the modal.
+                // A change being previewed was never confirmed; take it back.
+                changesetPreview.endPreview();
+                stopPendingRequests();
+
+                // Tab content is destroyed with the modal; keep its transcript.
+                if (aiTab) {
+                    aiTab.save();
+                }
                 aiTab = null;
             },
 
             onModuleChange(moduleInfo) {
+                changesetPreview.endPreview();
+                stopPendingRequests();
+
                 if (aiTab) {
+                    aiTab.save();
                     aiTab.clear();
                     aiTab.setModuleContext(moduleInfo);
-                    aiTab.addMessage(
-                        'Module changed. Tell me what you\'d like to change on this module.',
-                        'assistant'
-                    );
+                    if (!aiTab.restore()) {
+                        aiTab.addMessage(
+                            'Module changed. Tell me what you\'d like to change on this module.',
+                            'assistant'
+                        );
+                    }
                 }
             },
         });
 
         tabInjector.init();
 
+        // Keep the open chat when the builder reloads or navigates away.
+        window.addEventListener('pagehide', () => {
+            if (aiTab) {
+                aiTab.save();
+            }
+        });
+
         // Expose for debugging.
         window.diviAnchorGuidance = {
             classifier,
+            conversation,
             changesetBuilder,
             visualFeedback,
+            historyStore,
             tabInjector,
             schemaIndex,
         };
@@ -222,45 +288,311 @@ import {
         }
     }
 
+    /**
+     * Start a cancellable AI request on a status message.
+     *
+     * Adds a Stop button to the message. Stopping aborts the request and
+     * shows STOPPED_MESSAGE right away; the handler then finds the signal
+     * aborted and returns without touching the message. Retries show on
+     * the status as "retrying (2/3)…".
+     *
+     * @param {HTMLElement}  statusEl
+     * @param {AITabContent} chatUI
+     * @returns {Object} { signal, options, setStatus(text), stop(), finish() } — options go
+     *                   to the adapter call; finish() removes the Stop button.
+     */
+    function startRequest(statusEl, chatUI) {
+        const controller = new AbortController();
+        let status = statusEl.textContent;
+        const request = {
+            signal: controller.signal,
+            options: {
+                signal: controller.signal,
+                onRetry: (retry, maxRetries) => {
+                    replaceMessageContent(statusEl, `${status.replace(/\.+$/, '')}, retrying (${retry}/${maxRetries})\u2026`);
+                },
+            },
+            setStatus(text) {
+                status = text;
+                replaceMessageContent(statusEl, text);
+            },
+            stop() {
+                if (controller.signal.aborted) return;
+                controller.abort();
+                request.finish();
+                replaceMessageContent(statusEl, STOPPED_MESSAGE);
+                statusEl.className = 'da-message da-message-assistant';
+            },
+            finish() {
+                pendingRequests.delete(request);
+                button.remove();
+            },
+        };
+
+        const button = chatUI.appendStopButton(statusEl, () => request.stop());
+        pendingRequests.add(request);
+        return request;
+    }
+
+    /**
+     * Show a failed AI request on its status message, marked with the kind
+     * of failure and offering its way out: a settings link, a retry, or
+     * rephrasing the request.
+     *
+     * @param {HTMLElement}  statusEl
+     * @param {string}       stage   - e.g. 'analysis'.
+     * @param {Error}        error   - A RequestError from the adapter.
+     * @param {Object}       source  - { text, retry } — the request and how to run it again.
+     * @param {AITabContent} chatUI
+     * @returns {string} The message shown.
+     */
+    function showAIError(statusEl, stage, error, { text, retry }, chatUI) {
+        const { message, kind, recovery } = describeAIError(stage, error);
+        replaceMessageContent(statusEl, message);
+        statusEl.className = `da-message da-message-error da-error-${kind}`;
+        chatUI.appendRecovery(statusEl, recovery, { settingsUrl: config.settingsUrl, onRetry: retry, text });
+        return message;
+    }
+
+    /**
+     * Stop every AI request in progress (the module or modal they were
+     * started for is gone).
+     */
+    function stopPendingRequests() {
+        Array.from(pendingRequests).forEach((request) => request.stop());
+    }
+
+    /**
+     * Get the builder state of a module if it is still the selected one.
+     *
+     * @param {DiviBuilderAdapter} adapter
+     * @param {string}             moduleId
+     * @returns {Object|null} { moduleId, moduleType, moduleData }.
+     */
+    function getModuleState(adapter, moduleId) {
+        const selected = adapter.getSelectedModule();
+        return selected && selected.moduleId === moduleId ? selected : null;
+    }
+
+    /**
+     * Get the builder state of a request's target if it can still be edited.
+     *
+     * Child items (a slide edited through its slider) are never selected
+     * themselves; they are re-read from the page while their parent is.
+     *
+     * @param {DiviBuilderAdapter} adapter
+     * @param {Object}             target - { moduleId, moduleType, parentId? }.
+     * @returns {Object|null} { moduleId, moduleType, moduleData, parentId? }.
+     */
+    function getTargetState(adapter, target) {
+        if (!target.parentId) {
+            return getModuleState(adapter, target.moduleId);
+        }
+        if (!getModuleState(adapter, target.parentId)) {
+            return null;
+        }
+
+        const child = (adapter.getChildren(target.parentId) || []).find((node) => node.id === target.moduleId);
+        return child
+            ? { moduleId: child.id, moduleType: target.moduleType, moduleData: child.settings || {}, parentId: target.parentId }
+            : null;
+    }
+
+    /**
+     * Roll the module back to its latest snapshot.
+     *
+     * The current state is sent along when the module is still selected,
+     * so the undo can be redone from the History view. Given a snapshot ID,
+     * the undo only goes ahead while that snapshot is still the latest.
+     *
+     * @param {DiviBuilderAdapter} adapter
+     * @param {string}             moduleId
+     * @param {string}             [snapshotId]
+     */
+    async function undoLastChange(adapter, moduleId, snapshotId = '') {
+        if (snapshotId) {
+            const history = await adapter.getSnapshots(moduleId);
+            const latest = history && history.snapshots && history.snapshots[0];
+            if (!latest || latest.id !== snapshotId) {
+                throw new Error('This change was already undone or replaced. Use History to restore an earlier state.');
+            }
+        }
+
+        const current = getModuleState(adapter, moduleId);
+        const params = { module_id: moduleId };
+        if (current) {
+            params.module_data = current.moduleData;
+        }
+
+        try {
+            const result = await adapter.rollback(params);
+            const snapshot = result && result.snapshot;
+            if (snapshot && snapshot.data) {
+                adapter.restoreState(moduleId, snapshot.data, snapshot.affected_keys || []);
+            }
+        } catch (e) {
+            const errMsg = (e && e.message) || 'Undo failed';
+            throw new Error(errMsg);
+        }
+    }
+
+    /**
+     * Create one undo action for a change applied to several modules.
+     *
+     * Each module rolls back to its own latest snapshot. Modules that fail
+     * stay pending, so clicking Undo again retries only those.
+     *
+     * @param {DiviBuilderAdapter} adapter
+     * @param {string[]}           moduleIds
+     * @returns {Function} Async undo callback.
+     */
+    function createBatchUndo(adapter, moduleIds) {
+        let pending = moduleIds.slice();
+
+        return async () => {
+            const failed = [];
+            for (const moduleId of pending) {
+                try {
+                    await undoLastChange(adapter, moduleId);
+                } catch (e) {
+                    console.warn(`[Divi Anchor AI] Undo failed for module ${moduleId}:`, e);
+                    failed.push(moduleId);
+                }
+            }
+
+            pending = failed;
+            if (failed.length > 0) {
+                throw new Error(`Undo failed for ${failed.length} of ${moduleIds.length} modules.`);
+            }
+        };
+    }
+
+    /**
+     * Re-apply the module's most recently undone change.
+     *
+     * @param {DiviBuilderAdapter} adapter
+     * @param {string}             moduleId
+     */
+    async function redoLastChange(adapter, moduleId) {
+        const current = getModuleState(adapter, moduleId);
+        if (!current) {
+            throw new Error('Select the module again to redo.');
+        }
+
+        const result = await adapter.redo(moduleId, current.moduleData);
+        const snapshot = result && result.snapshot;
+        if (!snapshot || !adapter.applyChanges(moduleId, snapshot.data || {})) {
+            throw new Error('Redo failed. The module may have been deselected.');
+        }
+    }
+
+    /**
+     * Restore the module to any snapshot in its history.
+     *
+     * The current state is saved first, so the restore itself can be undone.
+     * Attributes added by the snapshot's change or any later one are removed.
+     *
+     * @param {DiviBuilderAdapter} adapter
+     * @param {string}             moduleId
+     * @param {Object}             snapshot - { id, label, affected_keys? }.
+     */
+    async function restoreSnapshot(adapter, moduleId, snapshot) {
+        const current = getModuleState(adapter, moduleId);
+        if (!current) {
+            throw new Error('Select the module again to restore a snapshot.');
+        }
+
+        let written = snapshot.affected_keys || [];
+        let target = null;
+        try {
+            const history = await adapter.getSnapshots(moduleId);
+            const snapshots = (history && history.snapshots) || [];
+            const index = snapshots.findIndex((item) => item.id === snapshot.id);
+            if (index !== -1) {
+                target = snapshots[index];
+                written = [].concat(...snapshots.slice(0, index + 1).map((item) => item.affected_keys || []));
+            }
+        } catch (e) {
+            console.warn('[Divi Anchor AI] Snapshot history unavailable (non-fatal):', e);
+        }
+
+        try {
+            const restoring = Object.keys((target && target.data) || {}).concat(written);
+            await adapter.saveSnapshot(moduleId, current.moduleType, current.moduleData, `Before restoring "${snapshot.label || 'snapshot'}"`, restoring);
+        } catch (e) {
+            console.warn('[Divi Anchor AI] Snapshot save failed (non-fatal):', e);
+        }
+
+        const result = await adapter.rollback({ snapshot_id: snapshot.id });
+        const restored = result && result.snapshot;
+        if (!restored || !adapter.restoreState(moduleId, restored.data || {}, written)) {
+            throw new Error('Restore failed. The module may have been deselected.');
+        }
+    }
+
+    /**
+     * Load a module's snapshot history along with its current state.
+     *
+     * @param {DiviBuilderAdapter} adapter
+     * @param {string}             moduleId
+     * @returns {Promise<Object>} { snapshots, redo, current, moduleType }.
+     */
+    async function loadSnapshotHistory(adapter, moduleId) {
+        const result = await adapter.getSnapshots(moduleId);
+        const current = getModuleState(adapter, moduleId);
+        const snapshots = (result && result.snapshots) || [];
+
+        return {
+            snapshots,
+            redo: (result && result.redo) || [],
+            current: current ? current.moduleData : {},
+            moduleType: current ? current.moduleType : (snapshots[0] && snapshots[0].module_type) || '',
+        };
+    }
+
     /* ─── Message Handlers ─── */
 
     /**
      * Handle guidance-only flow (Phase 2 behavior — navigate to field).
      *
-     * @param {Object}           intent
+     * @param {Object[]}         intents - One intent, or every sub-intent of a compound request.
      * @param {Object}           selected
      * @param {ChangesetBuilder} changesetBuilder
      * @param {ChangesetPreview} changesetPreview
      * @param {VisualFeedback}   visualFeedback
      * @param {AITabContent}     chatUI
+     * @returns {Promise<string>} The reply shown to the user.
      */
-    async function handleGuidanceFlow(intent, selected, changesetBuilder, changesetPreview, visualFeedback, chatUI) {
-        const plan = changesetBuilder.buildGuidancePlan(intent);
+    async function handleGuidanceFlow(intents, selected, changesetBuilder, changesetPreview, visualFeedback, chatUI) {
+        const plan = intents.length > 1
+            ? changesetBuilder.buildCompoundGuidancePlan(intents, selected.moduleData)
+            : changesetBuilder.buildGuidancePlan(intents[0], selected.moduleData);
 
         if (!plan.success) {
             chatUI.addMessage(plan.message, 'error');
-            return;
+            return plan.message;
         }
 
         // Show guidance message in chat.
-        chatUI.addMessage(plan.message, 'guidance');
-
-        // If the intent includes a value and the action is 'change', show a changeset preview.
-        if (intent.action === 'change' && intent.value && intent.fields.length > 0) {
-            const field = intent.fields[0];
-            const currentData = selected.moduleData || {};
-            const preview = changesetPreview.render([
-                {
+        const msgEl = chatUI.addMessage(plan.message, 'guidance');
+
+        // For intents that carry a value and a 'change' action, show a changeset preview.
+        const currentData = selected.moduleData || {};
+        const changes = intents
+            .filter((intent) => intent.action === 'change' && intent.value && intent.fields.length > 0)
+            .map((intent) => {
+                const field = intent.fields[0];
+                return {
                     field: field.fieldName,
                     label: field.label,
-                    old_value: currentData[field.fieldName] || field.default || '',
+                    old_value: getCurrentValue(field, currentData, getTarget(field, intent)),
                     new_value: intent.value,
-                },
-            ]);
-            const messages = chatUI.el.querySelectorAll('.da-message');
-            if (messages.length > 0) {
-                messages[messages.length - 1].appendChild(preview);
-            }
+                    type: field.type,
+                };
+            });
+
+        if (changes.length > 0) {
+            msgEl.appendChild(changesetPreview.render(changes));
         }
 
         // Execute the visual guidance plan.
@@ -269,187 +601,726 @@ import {
         } catch (e) {
             console.warn('[Divi Anchor AI] Guidance execution error:', e);
         }
+
+        return plan.message;
+    }
+
+    /**
+     * Check changes against a module's schema before they are previewed or
+     * applied (see ChangesetValidator). Module types without a loaded schema
+     * are passed through unchecked. Fields the builder has nowhere to store
+     * (Divi 5 settings without an attribute mapping) are blocked.
+     *
+     * @param {IntentClassifier}   classifier
+     * @param {DiviBuilderAdapter} adapter
+     * @param {Object}             target  - { moduleId, moduleType }.
+     * @param {Array}              changes
+     * @returns {Array} The changes, corrected where possible and with `issue` set.
+     */
+    function checkChanges(classifier, adapter, target, changes) {
+        const { moduleId, moduleType } = target;
+        const checked = classifier.hasModule(moduleType)
+            ? validateChangeset(changes, (name) => classifier.getField(moduleType, name))
+            : changes;
+
+        const unmapped = adapter.getUnmappedKeys(moduleId, changesetToMap(checked));
+        if (unmapped.length === 0) {
+            return checked;
+        }
+        return checked.map((change) => (unmapped.includes(change.field)
+            ? { ...change, issue: { level: 'error', message: 'This setting can\'t be changed in Divi 5 yet.' } }
+            : change));
     }
 
     /**
      * Handle a simple local change (no AI needed — instant apply).
      *
-     * @param {Object}             intent
+     * Accepts every sub-intent of a compound request so they land as one
+     * changeset with a single snapshot, preview and undo.
+     *
+     * @param {Object[]}           intents  - Locally resolvable intents.
      * @param {Object}             selected - { moduleId, moduleType, moduleData }.
      * @param {DiviBuilderAdapter} adapter
+     * @param {IntentClassifier}   classifier
      * @param {ChangesetPreview}   changesetPreview
      * @param {AITabContent}       chatUI
+     * @returns {Promise<string>} The reply shown to the user.
      */
-    async function handleLocalChange(intent, selected, adapter, changesetPreview, chatUI) {
-        const field = intent.fields[0];
-        const value = resolveLocalValue(intent);
-        const oldValue = (selected.moduleData || {})[field.fieldName] || field.default || '';
+    async function handleLocalChange(intents, selected, adapter, classifier, changesetPreview, chatUI) {
+        const changes = checkChanges(classifier, adapter, selected, buildLocalChanges(intents, selected.moduleData));
+        const valid = changes.filter((change) => !isBlocked(change));
+        const blocked = changes.filter(isBlocked);
+
+        if (valid.length === 0) {
+            const failure = formatBlockedChanges(blocked);
+            chatUI.addMessage(failure, 'error');
+            return failure;
+        }
 
         // Save snapshot (best-effort).
+        let snapshotId = '';
         try {
-            await adapter.saveSnapshot(selected.moduleId, selected.moduleType, selected.moduleData, 'Before local change');
+            const saved = await adapter.saveSnapshot(
+                selected.moduleId,
+                selected.moduleType,
+                selected.moduleData,
+                'Before local change',
+                adapter.getAffectedKeys(changesetToMap(valid))
+            );
+            snapshotId = (saved && saved.snapshot_id) || '';
         } catch (e) {
             console.warn('[Divi Anchor AI] Snapshot save failed (non-fatal):', e);
         }
 
         // Apply the change.
-        const applied = adapter.applyChanges(selected.moduleId, { [field.fieldName]: value });
+        const applied = adapter.applyChanges(selected.moduleId, changesetToMap(valid));
 
         if (!applied) {
-            chatUI.addMessage('Failed to apply changes. The module may have been deselected.', 'error');
-            return;
+            const failure = 'Failed to apply changes. The module may have been deselected.';
+            chatUI.addMessage(failure, 'error');
+            return failure;
         }
 
-        // Build changeset for preview.
-        const changes = [{
-            field: field.fieldName,
-            label: field.label,
-            old_value: oldValue,
-            new_value: value,
-        }];
-
-        // Show success message with preview.
-        const msgEl = chatUI.addMessage(
-            `Done! Updated **${field.label}** to \`${value}\`.`,
-            'guidance'
-        );
+        // Show success message with preview (compound values are shown part by part there).
+        let summary = `Done! Updated ${valid.length} settings.`;
+        if (valid.length === 1) {
+            summary = isCompoundType(valid[0].type)
+                ? `Done! Updated **${valid[0].label}**.`
+                : `Done! Updated **${valid[0].label}** to \`${valid[0].new_value}\`.`;
+        }
+        if (blocked.length > 0) {
+            summary += ` ${formatBlockedChanges(blocked)}`;
+        }
+        const msgEl = chatUI.addMessage(summary, 'guidance');
 
         const preview = changesetPreview.render(changes);
         msgEl.appendChild(preview);
 
         // Append undo button.
-        chatUI.appendUndoButton(msgEl, async () => {
-            try {
-                const result = await adapter.rollback({ module_id: selected.moduleId });
-                if (result && result.data) {
-                    adapter.applyChanges(selected.moduleId, result.data);
-                }
-            } catch (e) {
-                const errMsg = (e && e.message) || 'Undo failed';
-                throw new Error(errMsg);
-            }
-        });
+        chatUI.appendUndoButton(msgEl, () => undoLastChange(adapter, selected.moduleId), { snapshotId });
+
+        return summary;
     }
 
     /**
      * Handle an AI-powered change (two-stage pipeline with confirm/apply/undo).
      *
+     * The AI requests can be stopped from the status message. The proposal
+     * can be previewed live on the module before Apply; the snapshot for
+     * Undo is only saved once changes are applied.
+     *
      * @param {string}             text
      * @param {Object}             intent
-     * @param {Object}             selected - { moduleId, moduleType, moduleData }.
+     * @param {Object}             selected - { moduleId, moduleType, moduleData, parentId? } — parentId for a child item.
+     * @param {Array}              history  - Recent turns for this module.
      * @param {DiviBuilderAdapter} adapter
+     * @param {IntentClassifier}   classifier
      * @param {ChangesetPreview}   changesetPreview
      * @param {AITabContent}       chatUI
+     * @returns {Promise<string>} The reply shown to the user.
      */
-    async function handleAIChange(text, intent, selected, adapter, changesetPreview, chatUI) {
+    async function handleAIChange(text, intent, selected, history, adapter, classifier, changesetPreview, chatUI) {
         // Show status message (will be updated in-place).
         const statusEl = chatUI.addMessage('Analyzing your request...', 'assistant');
-
-        // Save snapshot (best-effort).
-        try {
-            await adapter.saveSnapshot(selected.moduleId, selected.moduleType, selected.moduleData, 'Before AI change');
-        } catch (e) {
-            console.warn('[Divi Anchor AI] Snapshot save failed (non-fatal):', e);
-        }
+        const request = startRequest(statusEl, chatUI);
+        const fail = (message) => {
+            request.finish();
+            replaceMessageContent(statusEl, message);
+            statusEl.className = 'da-message da-message-error';
+            return message;
+        };
+        const failRequest = (stage, error) => {
+            request.finish();
+            return showAIError(statusEl, stage, error, {
+                text,
+                retry: () => handleAIChange(text, intent, selected, history, adapter, classifier, changesetPreview, chatUI),
+            }, chatUI);
+        };
 
         // Stage 1: Analyze module.
         let analysis;
         try {
-            analysis = await adapter.analyzeModule(text, selected.moduleType, selected.moduleData);
+            analysis = await adapter.analyzeModule(text, selected.moduleType, selected.moduleData, history, request.options);
         } catch (e) {
-            replaceMessageContent(statusEl, formatAIError('analysis', e));
-            statusEl.className = 'da-message da-message-error';
-            return;
+            return request.signal.aborted ? STOPPED_MESSAGE : failRequest('analysis', e);
         }
 
         // Stage 2: Generate changes.
-        replaceMessageContent(statusEl, 'Generating changes...');
+        request.setStatus('Generating changes...');
 
         let generated;
         try {
-            generated = await adapter.generateChanges(analysis, selected.moduleType, selected.moduleData);
+            generated = await adapter.generateChanges(analysis, selected.moduleType, selected.moduleData, request.options);
         } catch (e) {
-            replaceMessageContent(statusEl, formatAIError('generation', e));
-            statusEl.className = 'da-message da-message-error';
-            return;
+            return request.signal.aborted ? STOPPED_MESSAGE : failRequest('generation', e);
         }
 
         // Extract changes array from response.
         const changes = generated.changes || generated.changeset || [];
         if (!changes.length) {
-            replaceMessageContent(statusEl, 'The AI did not suggest any changes. Try rephrasing your request.');
-            statusEl.className = 'da-message da-message-error';
-            return;
+            return fail('The AI did not suggest any changes. Try rephrasing your request.');
+        }
+
+        // Build display changes with old values and the field type for inline editing.
+        const proposed = changes.map((c) => {
+            // Breakpoint/hover keys ("text_orientation_phone") describe their base field.
+            const variant = parseVariantKey(c.field);
+            const field = classifier.getField(selected.moduleType, c.field) ||
+                classifier.getField(selected.moduleType, variant.fieldName);
+            const suffix = field && field.fieldName !== c.field ? describeTarget(variant) : '';
+            const baseLabel = c.label || (field && field.label) || c.field;
+            return {
+                field: c.field,
+                label: suffix ? `${baseLabel} (${suffix})` : baseLabel,
+                old_value: getOldValue(c.field, field, selected.moduleData),
+                new_value: c.new_value,
+                type: field ? field.type : null,
+                options: field ? field.options : null,
+            };
+        });
+
+        // Switch on the toggles the proposed fields only show under, then
+        // check every value against the schema (invalid rows start unchecked).
+        const displayChanges = checkChanges(classifier, adapter, selected, withPrerequisites(
+            proposed,
+            (name) => classifier.getField(selected.moduleType, name),
+            selected.moduleData
+        ));
+        const usable = displayChanges.filter((change) => !isBlocked(change));
+        if (usable.length === 0) {
+            return fail(`The AI generated invalid changes. ${formatBlockedChanges(displayChanges)}`);
         }
 
-        // Validate changeset.
+        // The server check is a second opinion; the schema check above already ran.
         try {
             const validation = await adapter.validateChanges({
                 module_type: selected.moduleType,
-                changes,
-            });
+                changes: usable,
+            }, request.options);
             if (validation && validation.valid === false) {
                 const errors = (validation.errors || []).join(', ');
-                replaceMessageContent(statusEl, `The AI generated invalid changes: ${errors}`);
-                statusEl.className = 'da-message da-message-error';
-                return;
+                return fail(`The AI generated invalid changes: ${errors}`);
             }
         } catch (e) {
-            // Validation endpoint failure is non-fatal — proceed with apply.
+            if (request.signal.aborted) {
+                return STOPPED_MESSAGE;
+            }
             console.warn('[Divi Anchor AI] Validation request failed (non-fatal):', e);
         }
-
-        // Build display changes with old values.
-        const displayChanges = changes.map((c) => ({
-            field: c.field,
-            label: c.label || c.field,
-            old_value: (selected.moduleData || {})[c.field] || '',
-            new_value: c.new_value,
-        }));
+        request.finish();
 
         // Update status with summary.
         const summary = generated.summary || `Proposing ${changes.length} change${changes.length > 1 ? 's' : ''}`;
         replaceMessageContent(statusEl, summary);
         statusEl.className = 'da-message da-message-guidance';
 
-        // Show diff preview with Apply / Cancel buttons.
+        // Apply checked changes and report the outcome.
+        const commit = async (toApply, blocked) => {
+            if (toApply.length === 0) {
+                chatUI.addMessage('Kept the current settings; nothing was changed.', 'assistant');
+                return;
+            }
+
+            // Save snapshot (best-effort) of the module as it is now.
+            const current = getTargetState(adapter, selected);
+            let snapshotId = '';
+            try {
+                const saved = await adapter.saveSnapshot(
+                    selected.moduleId,
+                    selected.moduleType,
+                    current ? current.moduleData : selected.moduleData,
+                    'Before AI change',
+                    adapter.getAffectedKeys(changesetToMap(toApply))
+                );
+                snapshotId = (saved && saved.snapshot_id) || '';
+            } catch (e) {
+                console.warn('[Divi Anchor AI] Snapshot save failed (non-fatal):', e);
+            }
+
+            const applied = adapter.applyChanges(selected.moduleId, changesetToMap(toApply));
+
+            if (!applied) {
+                chatUI.addMessage(
+                    'Failed to apply changes. The module may have been deselected.',
+                    'error'
+                );
+                return;
+            }
+
+            let doneText = toApply.length === displayChanges.length
+                ? 'Changes applied successfully!'
+                : `Applied ${toApply.length} of ${displayChanges.length} changes.`;
+            if (blocked.length > 0) {
+                doneText += ` ${formatBlockedChanges(blocked)}`;
+            }
+            const doneEl = chatUI.addMessage(doneText, 'guidance');
+
+            // Append undo button.
+            chatUI.appendUndoButton(doneEl, () => undoLastChange(adapter, selected.moduleId), { snapshotId });
+        };
+
+        // Show diff preview with per-row checkboxes, inline editors and Apply / Preview / Cancel.
+        const livePreview = new LivePreview(adapter);
         const preview = changesetPreview.renderWithActions(displayChanges, {
-            onApply: () => {
-                // Apply changes to the builder.
-                const changeMap = changesetToMap(changes);
-                const applied = adapter.applyChanges(selected.moduleId, changeMap);
+            onApply: (accepted) => {
+                // Apply only the checked (and possibly edited) changes; edits are checked again.
+                const checked = checkChanges(classifier, adapter, selected, accepted);
+                const valid = checked.filter((change) => !isBlocked(change));
+                const blocked = checked.filter(isBlocked);
 
                 removeActionButtons(preview);
 
-                if (!applied) {
-                    chatUI.addMessage(
-                        'Failed to apply changes. The module may have been deselected.',
-                        'error'
-                    );
+                if (valid.length === 0) {
+                    chatUI.addMessage(formatBlockedChanges(blocked), 'error');
                     return;
                 }
 
-                const doneEl = chatUI.addMessage('Changes applied successfully!', 'guidance');
+                // The module may have been edited by hand since the proposal;
+                // let the user pick per field instead of overwriting silently.
+                const fresh = getTargetState(adapter, selected);
+                const conflicts = fresh ? findConflicts(valid, selected.moduleData, fresh.moduleData) : [];
+                if (conflicts.length === 0) {
+                    commit(valid, blocked);
+                    return;
+                }
 
-                // Append undo button.
-                chatUI.appendUndoButton(doneEl, async () => {
+                const conflictEl = chatUI.addMessage(
+                    `${conflicts.length === 1 ? 'This setting was' : 'These settings were'} changed after I proposed this. Choose which value to keep:`,
+                    'assistant'
+                );
+                const conflictView = changesetPreview.renderConflictsWithActions(conflicts, {
+                    onApply: (choices) => {
+                        removeActionButtons(conflictView);
+                        commit(resolveConflicts(valid, conflicts, choices), blocked);
+                    },
+                    onCancel: () => {
+                        removeActionButtons(conflictView);
+                        chatUI.addMessage('Changes cancelled.', 'assistant');
+                    },
+                });
+                conflictEl.appendChild(conflictView);
+            },
+            onCancel: () => {
+                removeActionButtons(preview);
+                chatUI.addMessage('Changes cancelled.', 'assistant');
+            },
+            onPreview: (shown) => {
+                // Blocked values are never shown, even while previewing.
+                const valid = checkChanges(classifier, adapter, selected, shown).filter((change) => !isBlocked(change));
+                const current = getTargetState(adapter, selected);
+                livePreview.show(
+                    selected.moduleId,
+                    changesetToMap(valid),
+                    current ? current.moduleData : selected.moduleData
+                );
+            },
+            onEndPreview: () => livePreview.revert(),
+        });
+        statusEl.appendChild(preview);
+
+        return summary;
+    }
+
+    /**
+     * Handle a page-wide change ("make every button blue").
+     *
+     * Every matching module gets its own changeset, previewed together
+     * grouped by module. Applying saves a snapshot per module; one Undo
+     * rolls them all back.
+     *
+     * @param {string}             text
+     * @param {Object}             scope    - { moduleType, within } from detectScope().
+     * @param {Object|null}        selected - { moduleId, moduleType, moduleData }.
+     * @param {DiviBuilderAdapter} adapter
+     * @param {IntentClassifier}   classifier
+     * @param {ChangesetPreview}   changesetPreview
+     * @param {AITabContent}       chatUI
+     * @returns {Promise<string>} The reply shown to the user.
+     */
+    async function handleBatchChange(text, scope, selected, adapter, classifier, changesetPreview, chatUI) {
+        const fail = (message) => {
+            chatUI.addMessage(message, 'error');
+            return message;
+        };
+
+        const structure = adapter.getPageStructure();
+        if (!structure) {
+            return fail('I can\'t read the page layout here, so page-wide changes are not available.');
+        }
+
+        const typeLabel = classifier.getModuleLabel(scope.moduleType);
+        const where = scope.within === 'page' ? 'on this page' : `in this ${scope.within}`;
+
+        const targets = findScopeTargets(structure, scope, selected ? selected.moduleId : null);
+        if (targets.length === 0) {
+            return fail(`I couldn't find any ${typeLabel} modules ${where}.`);
+        }
+
+        const intents = classifier.classifyCompound(text, scope.moduleType);
+        const resolvable = targets.filter((node) => isCompoundLocalChange(intents, node.settings));
+        if (resolvable.length === 0) {
+            return fail(`Page-wide changes need a specific setting and value, e.g. "make every ${typeLabel.toLowerCase()} blue".`);
+        }
+
+        const groups = buildBatchGroups(intents, resolvable)
+            .map((group) => ({ ...group, changes: checkChanges(classifier, adapter, group, group.changes) }));
+        if (groups.length === 0) {
+            const reply = `All ${targets.length} ${typeLabel} modules ${where} already have that setting.`;
+            chatUI.addMessage(reply, 'guidance');
+            return reply;
+        }
+
+        const reply = `Found ${targets.length} ${typeLabel} module${targets.length === 1 ? '' : 's'} ${where}; ${groups.length} would change.`;
+        const msgEl = chatUI.addMessage(reply, 'guidance');
+
+        const preview = changesetPreview.renderGroupsWithActions(groups, {
+            onApply: async (checked) => {
+                removeActionButtons(preview);
+
+                // Edited values are checked again; groups left without a valid change are dropped.
+                const rechecked = checked.map((group) => ({ ...group, changes: checkChanges(classifier, adapter, group, group.changes) }));
+                const blocked = rechecked.flatMap((group) => group.changes.filter(isBlocked));
+                const accepted = rechecked
+                    .map((group) => ({ ...group, changes: group.changes.filter((change) => !isBlocked(change)) }))
+                    .filter((group) => group.changes.length > 0);
+                if (accepted.length === 0) {
+                    chatUI.addMessage(formatBlockedChanges(blocked), 'error');
+                    return;
+                }
+
+                for (const group of accepted) {
                     try {
-                        const result = await adapter.rollback({ module_id: selected.moduleId });
-                        if (result && result.data) {
-                            adapter.applyChanges(selected.moduleId, result.data);
-                        }
+                        await adapter.saveSnapshot(
+                            group.moduleId,
+                            group.moduleType,
+                            group.moduleData,
+                            'Before page-wide change',
+                            adapter.getAffectedKeys(changesetToMap(group.changes))
+                        );
                     } catch (e) {
-                        const errMsg = (e && e.message) || 'Undo failed';
-                        throw new Error(errMsg);
+                        console.warn('[Divi Anchor AI] Snapshot save failed (non-fatal):', e);
                     }
-                });
+                }
+
+                const applied = accepted.filter((group) => adapter.applyChanges(group.moduleId, changesetToMap(group.changes)));
+                if (applied.length === 0) {
+                    chatUI.addMessage('Failed to apply changes. The modules may have been removed.', 'error');
+                    return;
+                }
+
+                const skipped = accepted.length - applied.length;
+                const doneText = `Updated ${applied.length} ${typeLabel} module${applied.length === 1 ? '' : 's'}.`
+                    + (skipped > 0 ? ` ${skipped} could not be changed.` : '')
+                    + (blocked.length > 0 ? ` ${formatBlockedChanges(blocked)}` : '');
+                const doneEl = chatUI.addMessage(doneText, 'guidance');
+                chatUI.appendUndoButton(doneEl, createBatchUndo(adapter, applied.map((group) => group.moduleId)), { kind: 'batch' });
             },
             onCancel: () => {
                 removeActionButtons(preview);
                 chatUI.addMessage('Changes cancelled.', 'assistant');
             },
         });
+        msgEl.appendChild(preview);
+
+        return reply;
+    }
+
+    /**
+     * Handle a structural command on the selected module: insert a module
+     * next to it, duplicate, delete or move it.
+     *
+     * Each command is applied right away with an Undo that reverses it:
+     * inserted modules and copies are deleted, a deleted module is put
+     * back with its children and settings, a moved one goes back.
+     *
+     * @param {Object}             command  - From IntentClassifier.detectStructural().
+     * @param {Object}             selected - { moduleId, moduleType, moduleData }.
+     * @param {DiviBuilderAdapter} adapter
+     * @param {IntentClassifier}   classifier
+     * @param {AITabContent}       chatUI
+     * @returns {Promise<string>} The reply shown to the user.
+     */
+    async function handleStructuralChange(command, selected, adapter, classifier, chatUI) {
+        const fail = (message) => {
+            chatUI.addMessage(message, 'error');
+            return message;
+        };
+
+        const moduleLabel = classifier.getModuleLabel(selected.moduleType);
+        const position = adapter.getPosition(selected.moduleId);
+        if (!position) {
+            return fail('I can\'t find this module in the page layout, so I can\'t change the structure around it.');
+        }
+
+        let reply;
+        let undo;
+
+        if (command.action === 'insert' || command.action === 'duplicate') {
+            const ids = [];
+            for (let i = 0; i < command.count; i++) {
+                const id = command.action === 'insert'
+                    ? adapter.insertModule(
+                        position.parentId,
+                        command.moduleType,
+                        command.position === 'before' ? position.index + i : position.index + 1 + i
+                    )
+                    : adapter.duplicateModule(selected.moduleId);
+                if (!id) break;
+                ids.push(id);
+            }
+            if (ids.length === 0) {
+                return fail(command.action === 'insert' ? 'Failed to add the module.' : 'Failed to duplicate the module.');
+            }
+
+            const times = ids.length === 1 ? '' : ` ${ids.length} times`;
+            reply = command.action === 'insert'
+                ? `Added ${ids.length === 1 ? 'a' : ids.length} ${classifier.getModuleLabel(command.moduleType)} module${ids.length === 1 ? '' : 's'} ${command.position === 'before' ? 'above' : 'below'} this ${moduleLabel}.`
+                : `Duplicated this ${moduleLabel}${times}.`;
+            undo = async () => {
+                const failed = ids.slice().reverse().filter((id) => !adapter.removeModule(id));
+                if (failed.length > 0) {
+                    throw new Error('Some modules could not be removed.');
+                }
+            };
+        } else if (command.action === 'remove') {
+            const record = adapter.removeModule(selected.moduleId);
+            if (!record) {
+                return fail('Failed to delete the module.');
+            }
+            reply = `Deleted this ${moduleLabel}.`;
+            undo = async () => {
+                if (!adapter.restoreModule(record)) {
+                    throw new Error('The module could not be restored.');
+                }
+            };
+        } else {
+            const target = resolveMoveTarget(command.direction, position.index, position.count);
+            if (target === null) {
+                const message = `This ${moduleLabel} is already ${position.index === 0 ? 'first' : 'last'} in its column.`;
+                chatUI.addMessage(message, 'guidance');
+                return message;
+            }
+            if (!adapter.moveModule(selected.moduleId, position.parentId, target)) {
+                return fail('Failed to move the module.');
+            }
+            reply = `Moved this ${moduleLabel} ${command.direction === 'up' || command.direction === 'down' ? command.direction : `to the ${command.direction}`}.`;
+            undo = async () => {
+                if (!adapter.moveModule(selected.moduleId, position.parentId, position.index)) {
+                    throw new Error('The module could not be moved back.');
+                }
+            };
+        }
+
+        const msgEl = chatUI.addMessage(reply, 'guidance');
+        chatUI.appendUndoButton(msgEl, undo, { kind: 'structure' });
+        return reply;
+    }
+
+    /**
+     * Handle a command about the selected module's child items: list them,
+     * add, delete or move one, or edit one ("make the second slide's
+     * button red").
+     *
+     * Edits are routed like any request, with the child as the target;
+     * "add ... about shipping" adds the item, then lets the AI fill it in.
+     *
+     * @param {Object}             command  - From IntentClassifier.detectChildCommand().
+     * @param {Object}             selected - The parent: { moduleId, moduleType, moduleData }.
+     * @param {DiviBuilderAdapter} adapter
+     * @param {IntentClassifier}   classifier
+     * @param {ConversationContext} conversation
+     * @param {ChangesetBuilder}   changesetBuilder
+     * @param {ChangesetPreview}   changesetPreview
+     * @param {VisualFeedback}     visualFeedback
+     * @param {AITabContent}       chatUI
+     * @returns {Promise<string|null>} The reply shown to the user; null when an edit was routed on
+     *                                 (routeIntents() records it under the child).
+     */
+    async function handleChildCommand(command, selected, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI) {
+        const fail = (message) => {
+            chatUI.addMessage(message, 'error');
+            return message;
+        };
+
+        const children = adapter.getChildren(selected.moduleId);
+        if (!children) {
+            return fail('I can\'t find this module in the page layout, so I can\'t change its items.');
+        }
+
+        const parentLabel = classifier.getModuleLabel(selected.moduleType);
+        const childLabel = classifier.getModuleLabel(command.childType);
+        const plural = `${childLabel.toLowerCase()}s`;
+        const index = command.index === -1 ? children.length - 1 : command.index;
+
+        if (command.action === 'list') {
+            const reply = children.length === 0
+                ? `This ${parentLabel} has no ${plural} yet.`
+                : `This ${parentLabel} has ${children.length} ${children.length === 1 ? childLabel.toLowerCase() : plural}:\n`
+                    + children.map((child, i) => `${i + 1}. **${child.label}**${child.excerpt ? ` — ${child.excerpt}` : ''}`).join('\n');
+            chatUI.addMessage(reply, 'guidance');
+            return reply;
+        }
+
+        if (command.action === 'insert') {
+            const position = index === null ? children.length : Math.min(index, children.length);
+            const id = adapter.insertModule(selected.moduleId, command.childType, position);
+            if (!id) {
+                return fail(`Failed to add the ${childLabel.toLowerCase()}.`);
+            }
+
+            const reply = `Added a new ${childLabel} as item ${position + 1}.`;
+            const msgEl = chatUI.addMessage(reply, 'guidance');
+            chatUI.appendUndoButton(msgEl, async () => {
+                if (!adapter.removeModule(id)) {
+                    throw new Error('The item could not be removed.');
+                }
+            }, { kind: 'child' });
+
+            // "add an item about shipping": let the AI write the new item.
+            if (command.describes) {
+                const child = { moduleId: id, moduleType: command.childType, moduleData: {}, parentId: selected.moduleId };
+                await handleAIChange(command.raw, classifier.classify(command.raw, command.childType), child, [], adapter, classifier, changesetPreview, chatUI);
+            }
+            return reply;
+        }
+
+        if (index === null || index < 0 || index >= children.length) {
+            const reply = children.length === 0
+                ? `This ${parentLabel} has no ${plural} yet.`
+                : `Which ${childLabel.toLowerCase()}? This ${parentLabel} has ${children.length} (e.g. "the second ${childLabel.toLowerCase()}").`;
+            chatUI.addMessage(reply, 'guidance');
+            return reply;
+        }
+        const child = children[index];
+
+        if (command.action === 'remove') {
+            const record = adapter.removeModule(child.id);
+            if (!record) {
+                return fail(`Failed to delete the ${childLabel.toLowerCase()}.`);
+            }
+            const reply = `Deleted ${childLabel} ${index + 1}${child.excerpt ? ` (“${child.excerpt}”)` : ''}.`;
+            const msgEl = chatUI.addMessage(reply, 'guidance');
+            chatUI.appendUndoButton(msgEl, async () => {
+                if (!adapter.restoreModule(record)) {
+                    throw new Error('The item could not be restored.');
+                }
+            }, { kind: 'child' });
+            return reply;
+        }
+
+        if (command.action === 'move') {
+            const target = resolveMoveTarget(command.direction, index, children.length);
+            if (target === null) {
+                const reply = `${childLabel} ${index + 1} is already ${index === 0 ? 'first' : 'last'}.`;
+                chatUI.addMessage(reply, 'guidance');
+                return reply;
+            }
+            if (!adapter.moveModule(child.id, selected.moduleId, target)) {
+                return fail(`Failed to move the ${childLabel.toLowerCase()}.`);
+            }
+            const reply = `Moved ${childLabel} ${index + 1} to position ${target + 1}.`;
+            const msgEl = chatUI.addMessage(reply, 'guidance');
+            chatUI.appendUndoButton(msgEl, async () => {
+                if (!adapter.moveModule(child.id, selected.moduleId, index)) {
+                    throw new Error('The item could not be moved back.');
+                }
+            }, { kind: 'child' });
+            return reply;
+        }
+
+        // Edit: route the rest of the request with the child as the target.
+        const target = { moduleId: child.id, moduleType: command.childType, moduleData: child.settings, parentId: selected.moduleId };
+        const intents = classifier.classifyCompound(command.rest, command.childType);
+        await routeIntents(command.rest, intents, target, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+        return null;
+    }
+
+    /**
+     * Handle a request for new page content ("hero section with a headline,
+     * subtext and two buttons").
+     *
+     * The AI returns a layout; each module's settings are validated and
+     * invalid ones dropped, then the layout is previewed as an outline. On
+     * Apply it is inserted after the selected module's section (or at the
+     * end of the page), with an Undo that removes it again.
+     *
+     * @param {string}             text
+     * @param {Object|null}        selected - { moduleId, moduleType, moduleData }.
+     * @param {DiviBuilderAdapter} adapter
+     * @param {ChangesetPreview}   changesetPreview
+     * @param {AITabContent}       chatUI
+     * @returns {Promise<string>} The reply shown to the user.
+     */
+    async function handleLayoutRequest(text, selected, adapter, changesetPreview, chatUI) {
+        const statusEl = chatUI.addMessage('Designing your layout...', 'assistant');
+        const request = startRequest(statusEl, chatUI);
+        const fail = (message) => {
+            request.finish();
+            replaceMessageContent(statusEl, message);
+            statusEl.className = 'da-message da-message-error';
+            return message;
+        };
+        const failRequest = (stage, error) => {
+            request.finish();
+            return showAIError(statusEl, stage, error, {
+                text,
+                retry: () => handleLayoutRequest(text, selected, adapter, changesetPreview, chatUI),
+            }, chatUI);
+        };
+
+        let generated;
+        try {
+            generated = await adapter.generateLayout(text, request.options);
+        } catch (e) {
+            return request.signal.aborted ? STOPPED_MESSAGE : failRequest('layout generation', e);
+        }
+
+        const sections = parseLayout(generated);
+        if (sections.length === 0) {
+            return fail('The AI did not return a usable layout. Try describing the sections and modules you want.');
+        }
+
+        request.setStatus('Checking module settings...');
+        const notes = await validateLayout(sections, (changeset) => adapter.validateChanges(changeset, request.options));
+        if (request.signal.aborted) {
+            return STOPPED_MESSAGE;
+        }
+        request.finish();
+
+        const summary = generated.summary || `Proposing ${sections.length} new section${sections.length === 1 ? '' : 's'}.`;
+        replaceMessageContent(statusEl, summary);
+        statusEl.className = 'da-message da-message-guidance';
+
+        const preview = changesetPreview.renderLayoutWithActions(sections, {
+            onApply: () => {
+                removeActionButtons(preview);
+
+                const index = getLayoutIndex(adapter.getPageStructure(), selected ? selected.moduleId : null);
+                const ids = adapter.insertLayout(sections, index);
+                if (ids.length === 0) {
+                    chatUI.addMessage('Failed to insert the layout into the page.', 'error');
+                    return;
+                }
+
+                const doneText = ids.length === sections.length
+                    ? `Added ${ids.length} section${ids.length === 1 ? '' : 's'} to the page.`
+                    : `Added ${ids.length} of ${sections.length} sections; the rest could not be inserted.`;
+                const doneEl = chatUI.addMessage(doneText, 'guidance');
+                chatUI.appendUndoButton(doneEl, async () => {
+                    const failed = ids.slice().reverse().filter((id) => !adapter.removeModule(id));
+                    if (failed.length > 0) {
+                        throw new Error('Some sections could not be removed.');
+                    }
+                }, { kind: 'layout' });
+            },
+            onCancel: () => {
+                removeActionButtons(preview);
+                chatUI.addMessage('Layout cancelled.', 'assistant');
+            },
+        }, notes);
         statusEl.appendChild(preview);
+
+        return summary;
     }
 
     /* ─── Main Message Dispatcher ─── */
@@ -457,24 +1328,52 @@ import {
     /**
      * Handle a user message from the AI tab.
      *
-     * Routes to one of three handlers:
+     * Routes (after any clarifying question) to one of three handlers:
      *  1. Guidance flow (find action or fallback)
-     *  2. Local fast-path (simple, high-confidence single-field change)
+     *  2. Local fast-path (simple, high-confidence field changes)
      *  3. AI pipeline (complex changes requiring AI generation)
      *
+     * Compound requests go to the local fast-path only when every clause
+     * resolves locally; otherwise the whole text goes to the AI pipeline.
+     * Requests aimed at every module of a type ("all buttons") go to the
+     * page-wide handler, requests for new content ("hero section with ...")
+     * to the layout handler, commands about child items ("delete the second
+     * tab") to the child handler, and structural commands ("duplicate this",
+     * "add a button below") to the structural handler.
+     *
      * @param {string}             text
      * @param {DiviBuilderAdapter} adapter
      * @param {IntentClassifier}   classifier
+     * @param {ConversationContext} conversation
      * @param {ChangesetBuilder}   changesetBuilder
      * @param {ChangesetPreview}   changesetPreview
      * @param {VisualFeedback}     visualFeedback
      * @param {AITabContent}       chatUI
      */
-    async function handleUserMessage(text, adapter, classifier, changesetBuilder, changesetPreview, visualFeedback, chatUI) {
+    async function handleUserMessage(text, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI) {
         // Get the currently selected module.
         const selected = adapter.getSelectedModule();
         const moduleType = selected ? selected.moduleType : null;
 
+        if (classifier.isLayoutRequest(text)) {
+            visualFeedback.cleanup();
+            const reply = await handleLayoutRequest(text, selected, adapter, changesetPreview, chatUI);
+            if (selected) {
+                conversation.recordExchange(selected.moduleId, text, reply);
+            }
+            return;
+        }
+
+        const scope = classifier.detectScope(text);
+        if (scope) {
+            visualFeedback.cleanup();
+            const reply = await handleBatchChange(text, scope, selected, adapter, classifier, changesetPreview, chatUI);
+            if (selected) {
+                conversation.recordExchange(selected.moduleId, text, reply);
+            }
+            return;
+        }
+
         if (!moduleType) {
             chatUI.addMessage(
                 'Please select a module in the Divi Builder first, then tell me what you\'d like to change.',
@@ -483,29 +1382,137 @@ import {
             return;
         }
 
+        const childCommand = classifier.detectChildCommand(text, moduleType);
+        if (childCommand) {
+            visualFeedback.cleanup();
+            const reply = await handleChildCommand(childCommand, selected, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+            if (reply !== null) {
+                conversation.recordExchange(selected.moduleId, text, reply);
+            }
+            return;
+        }
+
+        const command = classifier.detectStructural(text, moduleType);
+        if (command) {
+            visualFeedback.cleanup();
+            const reply = await handleStructuralChange(command, selected, adapter, classifier, chatUI);
+            conversation.recordExchange(selected.moduleId, text, reply);
+            return;
+        }
+
         // Show typing indicator.
         chatUI.showTyping();
 
         // Clean up previous feedback.
         visualFeedback.cleanup();
 
-        // Classify intent locally.
-        const intent = classifier.classify(text, moduleType);
+        // Classify intent locally (one sub-intent per clause), then resolve
+        // follow-ups ("a bit more", "also on mobile") against the last request.
+        const intents = conversation.resolveFollowUps(
+            selected.moduleId,
+            classifier.classifyCompound(text, moduleType)
+        );
 
         // Remove typing indicator.
         chatUI.removeTyping();
 
-        // Route to the appropriate handler.
-        if (intent.action === 'find') {
-            await handleGuidanceFlow(intent, selected, changesetBuilder, changesetPreview, visualFeedback, chatUI);
-        } else if (isSimpleLocalChange(intent)) {
-            await handleLocalChange(intent, selected, adapter, changesetPreview, chatUI);
-        } else if (needsAI(intent)) {
-            await handleAIChange(text, intent, selected, adapter, changesetPreview, chatUI);
+        await routeIntents(text, intents, selected, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+    }
+
+    /**
+     * Route classified intents to a handler, asking a clarifying question first
+     * when a field match is ambiguous.
+     *
+     * Re-entered with the chosen field locked in after each answer, so a
+     * compound request asks about each ambiguous clause in turn. The handled
+     * exchange is recorded in the module's conversation context.
+     *
+     * @param {string}             text
+     * @param {Object[]}           intents
+     * @param {Object}             selected - { moduleId, moduleType, moduleData, parentId? } — parentId for a child item.
+     * @param {DiviBuilderAdapter} adapter
+     * @param {IntentClassifier}   classifier
+     * @param {ConversationContext} conversation
+     * @param {ChangesetBuilder}   changesetBuilder
+     * @param {ChangesetPreview}   changesetPreview
+     * @param {VisualFeedback}     visualFeedback
+     * @param {AITabContent}       chatUI
+     */
+    async function routeIntents(text, intents, selected, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI) {
+        const unclear = intents.findIndex((intent) => changesetBuilder.needsClarification(intent));
+        if (unclear !== -1) {
+            askClarification(text, intents, unclear, selected, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+            return;
+        }
+
+        const history = conversation.getHistory(selected.moduleId);
+        let reply;
+
+        // Compound requests are routed as a whole.
+        if (intents.length > 1) {
+            if (intents.every((i) => i.action === 'find')) {
+                reply = await handleGuidanceFlow(intents, selected, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+            } else if (isCompoundLocalChange(intents, selected.moduleData)) {
+                reply = await handleLocalChange(intents, selected, adapter, classifier, changesetPreview, chatUI);
+            } else {
+                reply = await handleAIChange(withFieldHints(text, intents), intents[0], selected, history, adapter, classifier, changesetPreview, chatUI);
+            }
         } else {
-            // Fallback to guidance.
-            await handleGuidanceFlow(intent, selected, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+            const intent = intents[0];
+
+            // Route to the appropriate handler.
+            if (intent.action === 'find') {
+                reply = await handleGuidanceFlow([intent], selected, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+            } else if (isSimpleLocalChange(intent, selected.moduleData)) {
+                reply = await handleLocalChange([intent], selected, adapter, classifier, changesetPreview, chatUI);
+            } else if (needsAI(intent, selected.moduleData)) {
+                reply = await handleAIChange(withFieldHints(text, intents), intent, selected, history, adapter, classifier, changesetPreview, chatUI);
+            } else {
+                // Fallback to guidance.
+                reply = await handleGuidanceFlow([intent], selected, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+            }
         }
+
+        conversation.recordExchange(selected.moduleId, text, reply);
+        conversation.remember(selected.moduleId, intents);
+    }
+
+    /**
+     * Ask which field an ambiguous intent meant, then resume routing with
+     * that field locked in.
+     *
+     * @param {string}             text
+     * @param {Object[]}           intents
+     * @param {number}             index    - Index of the ambiguous intent.
+     * @param {Object}             selected - { moduleId, moduleType, moduleData, parentId? } — parentId for a child item.
+     * @param {DiviBuilderAdapter} adapter
+     * @param {IntentClassifier}   classifier
+     * @param {ConversationContext} conversation
+     * @param {ChangesetBuilder}   changesetBuilder
+     * @param {ChangesetPreview}   changesetPreview
+     * @param {VisualFeedback}     visualFeedback
+     * @param {AITabContent}       chatUI
+     */
+    function askClarification(text, intents, index, selected, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI) {
+        const clarification = changesetBuilder.buildClarification(intents[index]);
+        const msgEl = chatUI.addMessage(clarification.message, 'assistant');
+
+        chatUI.appendChoices(msgEl, clarification.choices, async (choice) => {
+            chatUI.addMessage(choice.label, 'user');
+
+            // The answer may come after other edits; work on fresh module data.
+            const current = getTargetState(adapter, selected);
+            if (!current) {
+                chatUI.addMessage('The selected module changed. Please send your request again.', 'error');
+                return;
+            }
+
+            const resolved = intents.slice();
+            resolved[index] = classifier.lockField(intents[index], choice.fieldName);
+
+            visualFeedback.cleanup();
+            await routeIntents(text, resolved, current, adapter, classifier, conversation, changesetBuilder, changesetPreview, visualFeedback, chatUI);
+        });
     }
 
     // Wait for the builder to be ready.
@@ -7,14 +7,29 @@
  * @package Divi_Anchor_AI
  */
 
+import { pendingPrerequisites } from './FieldDependencies';
+
+/** Candidates whose score is at least this share of the top score count as close. */
+const CLOSE_SCORE_RATIO = 0.85;
+
+/** Maximum number of choice chips offered in a clarifying question. */
+const MAX_CHOICES = 4;
+
+/** How long guidance waits for a hidden field to appear once its toggle is set (ms). */
+const PREREQUISITE_WAIT = 15000;
+
 export class ChangesetBuilder {
     /**
      * Build a guidance plan from a classified intent.
      *
-     * @param {Object} intent - Intent from IntentClassifier.classify().
+     * A field hidden behind a toggle the module does not meet yet gets
+     * steps for that toggle first.
+     *
+     * @param {Object} intent       - Intent from IntentClassifier.classify().
+     * @param {Object} [moduleData] - Current module settings; without them every prerequisite is shown.
      * @returns {Object} { steps: Array, message: string, success: boolean }.
      */
-    buildGuidancePlan(intent) {
+    buildGuidancePlan(intent, moduleData = null) {
         // No module context.
         if (!intent.module) {
             return {
@@ -39,8 +54,9 @@ export class ChangesetBuilder {
 
         // Build step sequence for the top matched field.
         const topField = intent.fields[0];
-        const steps = this.buildStepsForField(topField, intent);
-        const message = this.buildMessage(intent, topField);
+        const pending = pendingPrerequisites(topField, moduleData);
+        const steps = this.buildStepsForField(topField, intent, pending);
+        const message = this.buildMessage(intent, topField, pending);
 
         return {
             steps,
@@ -49,19 +65,125 @@ export class ChangesetBuilder {
         };
     }
 
+    /**
+     * Build a single guidance plan covering every sub-intent of a compound request.
+     *
+     * Steps for each matched field are chained in clause order; the settings
+     * modal is only opened once.
+     *
+     * @param {Object[]} intents      - Sub-intents from IntentClassifier.classifyCompound().
+     * @param {Object}   [moduleData] - Current module settings.
+     * @returns {Object} { steps: Array, message: string, success: boolean }.
+     */
+    buildCompoundGuidancePlan(intents, moduleData = null) {
+        const plans = intents.map((intent) => this.buildGuidancePlan(intent, moduleData));
+        const succeeded = plans.filter((plan) => plan.success);
+
+        if (succeeded.length === 0) {
+            return plans[0] || { steps: [], message: '', success: false };
+        }
+
+        const steps = [];
+        succeeded.forEach((plan) => {
+            plan.steps.forEach((step) => {
+                if (step.action === 'open-settings' && steps.length > 0) return;
+                steps.push(step);
+            });
+        });
+
+        const message = plans
+            .map((plan, i) => `${i + 1}. ${plan.message}`)
+            .join('\n');
+
+        return {
+            steps,
+            message,
+            success: true,
+        };
+    }
+
+    /**
+     * Whether the intent is too ambiguous to act on without asking the user.
+     *
+     * True for medium confidence with several candidates, for a lone
+     * medium-confidence candidate of a change, or when the runner-up scores
+     * close to the top field.
+     *
+     * @param {Object} intent - Intent from IntentClassifier.classify().
+     * @returns {boolean}
+     */
+    needsClarification(intent) {
+        if (!intent.fields || intent.fields.length === 0) {
+            return false;
+        }
+
+        if (intent.fields.length === 1) {
+            return intent.confidence === 'medium' && intent.action !== 'find';
+        }
+
+        if (intent.confidence === 'medium') {
+            return true;
+        }
+
+        const [top, next] = intent.fields;
+        return next.score >= top.score * CLOSE_SCORE_RATIO;
+    }
+
+    /**
+     * Build a disambiguation question with one choice per candidate field.
+     *
+     * @param {Object} intent - Intent that needsClarification().
+     * @returns {Object} { message: string, choices: Array<{ fieldName, label, detail }> }.
+     */
+    buildClarification(intent) {
+        const choices = intent.fields.slice(0, MAX_CHOICES).map((field) => ({
+            fieldName: field.fieldName,
+            label: field.label,
+            detail: `${this.capitalize(field.tab)} › ${field.toggleLabel}`,
+        }));
+
+        const message = choices.length === 1
+            ? `Did you mean **${choices[0].label}** (${choices[0].detail})?`
+            : `A few settings could match "${intent.raw}". Which one did you mean?`;
+
+        return { message, choices };
+    }
+
     /**
      * Build the step sequence to guide the user to a specific field.
      *
-     * @param {Object} field  - The matched field object.
-     * @param {Object} intent - The full intent object.
+     * @param {Object}   field           - The matched field object.
+     * @param {Object}   intent          - The full intent object.
+     * @param {Object[]} [prerequisites] - Toggles to set first (see FieldDependencies).
      * @returns {Array} Step objects for VisualFeedback.
      */
-    buildStepsForField(field, intent) {
+    buildStepsForField(field, intent, prerequisites = []) {
         const steps = [];
 
         // Step 1: Open settings modal.
         steps.push({ action: 'open-settings' });
 
+        // Hidden fields: point at each toggle they depend on, then wait for
+        // the next field to appear once the user has set it.
+        prerequisites.forEach((prerequisite, i) => {
+            const next = prerequisites[i + 1] || field;
+            steps.push(
+                { action: 'switch-tab', tab: prerequisite.tab, tabIndex: this.tabNameToIndex(prerequisite.tab) },
+                { action: 'expand-toggle', toggleName: prerequisite.toggleName, toggleLabel: prerequisite.toggleLabel },
+                {
+                    action: 'highlight-field',
+                    fieldName: prerequisite.fieldName,
+                    tooltip: {
+                        title: prerequisite.label,
+                        body: `Set this to "${this.valueLabel(prerequisite)}" first — ${next.label} only shows then.`,
+                    },
+                }
+            );
+            if (next.tab === prerequisite.tab) {
+                steps.push({ action: 'wait-for-field', fieldName: next.fieldName, timeout: PREREQUISITE_WAIT });
+            }
+        });
+
         // Step 2: Switch to the correct tab.
         steps.push({
             action: 'switch-tab',
@@ -132,14 +254,28 @@ export class ChangesetBuilder {
         return { title, body };
     }
 
+    /**
+     * The value a prerequisite needs, as the settings modal shows it.
+     *
+     * @param {Object} prerequisite - From FieldDependencies.getPrerequisites().
+     * @returns {string} e.g. 'Yes', or an option label.
+     */
+    valueLabel(prerequisite) {
+        if (prerequisite.type === 'yes_no') {
+            return prerequisite.value === 'on' ? 'Yes' : 'No';
+        }
+        return (prerequisite.options || {})[prerequisite.value] || prerequisite.value;
+    }
+
     /**
      * Build the chat message describing what was found.
      *
-     * @param {Object} intent - The classified intent.
-     * @param {Object} topField - The best-matched field.
+     * @param {Object}   intent          - The classified intent.
+     * @param {Object}   topField        - The best-matched field.
+     * @param {Object[]} [prerequisites] - Toggles the field needs set first.
      * @returns {string}
      */
-    buildMessage(intent, topField) {
+    buildMessage(intent, topField, prerequisites = []) {
         const tabName = this.capitalize(topField.tab);
         let msg = `Found **${topField.label}** in the **${tabName}** tab > **${topField.toggleLabel}** section.`;
 
@@ -151,6 +287,12 @@ export class ChangesetBuilder {
             msg += ` Use the responsive toggle to set it for **${intent.breakpoint}** specifically.`;
         }
 
+        prerequisites.forEach((prerequisite) => {
+            msg += `\n\nIt only shows when **${prerequisite.label}** ` +
+                `(${this.capitalize(prerequisite.tab)} › ${prerequisite.toggleLabel}) is set to ` +
+                `"${this.valueLabel(prerequisite)}", so set that first.`;
+        });
+
         // If other fields matched, mention them.
         if (intent.fields.length > 1) {
             const others = intent.fields
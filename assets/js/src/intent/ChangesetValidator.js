@@ -0,0 +1,219 @@
+/**
+ * Changeset Validator — Checks proposed changes against the module schema
+ * before they are applied.
+ *
+ * Each change is checked for a field the module has (with the tablet,
+ * phone or hover value it names) and a value the field type accepts:
+ * option keys for selects, on/off for toggles, colors Divi can store,
+ * lengths in CSS units, and well-formed compound values. Values that are
+ * clearly meant as something valid are corrected ("Center" → "center",
+ * "red" → "#ff0000", "20" → "20px"); anything else is blocked.
+ *
+ * Checked changes carry an `issue` when something was found:
+ *
+ *     { level: 'fixed', message: 'Corrected from "Center".' }
+ *     { level: 'error', message: '"diagonal" is not an option (Left, Center, Right).' }
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { ValueParser } from './ValueParser';
+import { parseColor } from './ColorUtils';
+import { parseVariantKey } from '../adapter/FieldVariants';
+import { isCompoundType, getCompoundParts, getPartField, parseCompound, serializeCompound } from '../adapter/CompoundFields';
+
+/** CSS units a length field may use. */
+const LENGTH_UNITS = ['px', 'em', 'rem', '%', 'vh', 'vw', 'pt'];
+
+/** Keywords a length field may hold instead of a number. */
+const LENGTH_KEYWORDS = ['auto', 'none', 'inherit', 'initial'];
+
+/** Color keywords Divi stores as-is. */
+const COLOR_KEYWORDS = ['transparent', 'inherit'];
+
+const valueParser = new ValueParser();
+
+/**
+ * Check every change in a changeset.
+ *
+ * @param {Array}    changes - [{ field, label, old_value, new_value, type? }].
+ * @param {Function} lookup  - fieldName → schema field, or null if the module has none.
+ * @returns {Array} The changes, corrected where possible, with `issue` set on
+ *                  corrected and blocked ones.
+ */
+export function validateChangeset(changes, lookup) {
+    return changes.map((change) => {
+        const variant = parseVariantKey(change.field);
+        const field = lookup(change.field) || lookup(variant.fieldName);
+        return validateChange(change, field, field && field.fieldName !== change.field ? variant : {});
+    });
+}
+
+/**
+ * Check one change against its field.
+ *
+ * @param {Object}      change    - { field, new_value, ... }.
+ * @param {Object|null} field     - Schema field ({ type, options, responsive, hover, fieldName }).
+ * @param {Object}      [variant] - { breakpoint, state } named by the change key.
+ * @returns {Object} The change, with `issue` and a corrected `new_value` where needed.
+ */
+export function validateChange(change, field, variant = {}) {
+    const { issue, ...rest } = change;
+
+    if (!field) {
+        return { ...rest, issue: error('This module has no such setting.') };
+    }
+    if (variant.breakpoint && !field.responsive) {
+        return { ...rest, issue: error(`This setting has no ${variant.breakpoint} value.`) };
+    }
+    if (variant.state === 'hover' && !field.hover) {
+        return { ...rest, issue: error('This setting has no hover value.') };
+    }
+
+    const value = change.new_value === undefined || change.new_value === null ? '' : String(change.new_value);
+    const result = checkValue(value, field);
+
+    if (result.message) {
+        return { ...rest, issue: error(result.message) };
+    }
+    if (result.value !== value) {
+        return { ...rest, new_value: result.value, issue: { level: 'fixed', message: `Corrected from "${value}".` } };
+    }
+    return { ...rest, new_value: value };
+}
+
+/**
+ * Whether a checked change must not be applied.
+ *
+ * @param {Object} change - From validateChangeset().
+ * @returns {boolean}
+ */
+export function isBlocked(change) {
+    return Boolean(change.issue && change.issue.level === 'error');
+}
+
+/**
+ * Check a value for a field type.
+ *
+ * @param {string} value
+ * @param {Object} field - Schema field or compound part ({ type, options, fieldName, unit }).
+ * @returns {Object} { value } — corrected when needed — or { message } when invalid.
+ */
+function checkValue(value, field) {
+    if (isCompoundType(field.type)) {
+        return checkCompound(value, field.type);
+    }
+
+    switch (field.type) {
+        case 'select': {
+            if (!field.options || value === '' || Object.prototype.hasOwnProperty.call(field.options, value)) {
+                return { value };
+            }
+            const key = valueParser.parseSelect(value, field.options);
+            return key !== null
+                ? { value: key }
+                : { message: `"${value}" is not an option (${Object.values(field.options).join(', ')}).` };
+        }
+
+        case 'yes_no': {
+            if (value === 'on' || value === 'off') {
+                return { value };
+            }
+            const flag = valueParser.parseYesNo(value);
+            return flag !== null ? { value: flag } : { message: `Must be Yes or No, not "${value}".` };
+        }
+
+        case 'color': {
+            if (value === '' || isStoredColor(value)) {
+                return { value };
+            }
+            const color = valueParser.parseColorValue(value);
+            return color !== null ? { value: color } : { message: `"${value}" is not a color.` };
+        }
+
+        case 'text':
+            return valueParser.isUnitField(field) ? checkLength(value) : { value };
+
+        default:
+            return { value };
+    }
+}
+
+/**
+ * Check a CSS length ("20px", "1.5em", "auto").
+ *
+ * @param {string} value
+ * @returns {Object} { value } or { message }.
+ */
+function checkLength(value) {
+    const lower = value.trim().toLowerCase();
+    if (lower === '' || LENGTH_KEYWORDS.includes(lower)) {
+        return { value };
+    }
+
+    const match = lower.match(/^-?\d*\.?\d+([a-z%]*)$/);
+    if (match && LENGTH_UNITS.includes(match[1])) {
+        return { value };
+    }
+
+    const parsed = valueParser.parseUnit(lower);
+    if (parsed !== null && LENGTH_UNITS.some((unit) => parsed.endsWith(unit))) {
+        return { value: parsed };
+    }
+    return { message: `"${value}" is not a valid size; use ${LENGTH_UNITS.join(', ')}.` };
+}
+
+/**
+ * Check every part of a compound value.
+ *
+ * @param {string} value - e.g. '10px|20px|10px|20px|false|false'.
+ * @param {string} type
+ * @returns {Object} { value } or { message }.
+ */
+function checkCompound(value, type) {
+    const parts = getCompoundParts(type);
+    if (value.split('|').length > parts.length) {
+        return { message: `Has more than ${parts.length} "|"-separated parts.` };
+    }
+
+    const current = parseCompound(type, value);
+    const corrected = { ...current };
+
+    for (const part of parts) {
+        // Flags always parse to on/off.
+        if (part.flag) continue;
+        const result = checkValue(current[part.key], getPartField(type, part.key));
+        if (result.message) {
+            return { message: `${part.label}: ${result.message}` };
+        }
+        corrected[part.key] = result.value;
+    }
+
+    return parts.some((part) => corrected[part.key] !== current[part.key])
+        ? { value: serializeCompound(type, corrected) }
+        : { value };
+}
+
+/**
+ * Whether a color is in a form Divi stores: #hex, rgb()/rgba() or a keyword.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isStoredColor(value) {
+    const lower = value.trim().toLowerCase();
+    if (COLOR_KEYWORDS.includes(lower)) {
+        return true;
+    }
+    return (lower.startsWith('#') || lower.startsWith('rgb')) && parseColor(lower) !== null;
+}
+
+/**
+ * Build a blocking issue.
+ *
+ * @param {string} message
+ * @returns {Object} { level: 'error', message }.
+ */
+function error(message) {
+    return { level: 'error', message };
+}
@@ -0,0 +1,225 @@
+/**
+ * Color Utils — Parsing, formatting and HSL conversion for color field values.
+ *
+ * Colors are handled as { r, g, b, a } objects with 0–255 channels and
+ * a 0–1 alpha. Divi stores colors as hex or rgba() strings.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+/** CSS named colors users commonly type, mapped to hex. */
+export const NAMED_COLORS = {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    yellow: '#ffff00',
+    orange: '#ffa500',
+    purple: '#800080',
+    pink: '#ffc0cb',
+    brown: '#a52a2a',
+    gray: '#808080',
+    grey: '#808080',
+    silver: '#c0c0c0',
+    gold: '#ffd700',
+    navy: '#000080',
+    teal: '#008080',
+    aqua: '#00ffff',
+    cyan: '#00ffff',
+    magenta: '#ff00ff',
+    fuchsia: '#ff00ff',
+    lime: '#00ff00',
+    maroon: '#800000',
+    olive: '#808000',
+    indigo: '#4b0082',
+    violet: '#ee82ee',
+    lavender: '#e6e6fa',
+    beige: '#f5f5dc',
+    ivory: '#fffff0',
+    tan: '#d2b48c',
+    coral: '#ff7f50',
+    salmon: '#fa8072',
+    crimson: '#dc143c',
+    turquoise: '#40e0d0',
+    khaki: '#f0e68c',
+    plum: '#dda0dd',
+    orchid: '#da70d6',
+    chocolate: '#d2691e',
+    tomato: '#ff6347',
+    skyblue: '#87ceeb',
+    steelblue: '#4682b4',
+    royalblue: '#4169e1',
+    slategray: '#708090',
+    charcoal: '#36454f',
+    mint: '#98ff98',
+    peach: '#ffe5b4',
+};
+
+/** Lightness shift (in HSL percentage points) for "dark"/"light" modifiers. */
+export const COLOR_MODIFIERS = {
+    dark: -20,
+    deep: -25,
+    light: 20,
+    pale: 30,
+    bright: 10,
+};
+
+/**
+ * Parse a color string (hex, rgb(), rgba(), named) into channels.
+ *
+ * @param {string} str - Color string.
+ * @returns {Object|null} { r, g, b, a } or null.
+ */
+export function parseColor(str) {
+    if (typeof str !== 'string') return null;
+    const input = str.trim().toLowerCase();
+
+    if (input === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+
+    if (NAMED_COLORS[input.replace(/\s+/g, '')]) {
+        return parseColor(NAMED_COLORS[input.replace(/\s+/g, '')]);
+    }
+
+    const hex = input.match(/^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex && (input.startsWith('#') || hex[1].length >= 6)) {
+        let digits = hex[1];
+        if (digits.length <= 4) {
+            digits = digits.split('').map((d) => d + d).join('');
+        }
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: digits.length === 8 ? round(parseInt(digits.slice(6, 8), 16) / 255, 2) : 1,
+        };
+    }
+
+    const rgb = input.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+%?)\s*)?\)$/);
+    if (rgb) {
+        let a = 1;
+        if (rgb[4] !== undefined) {
+            a = rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+        }
+        return {
+            r: clamp(Math.round(parseFloat(rgb[1])), 0, 255),
+            g: clamp(Math.round(parseFloat(rgb[2])), 0, 255),
+            b: clamp(Math.round(parseFloat(rgb[3])), 0, 255),
+            a: clamp(a, 0, 1),
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Format channels as a Divi color value: '#rrggbb' when opaque, rgba() otherwise.
+ *
+ * @param {Object} color - { r, g, b, a }.
+ * @returns {string}
+ */
+export function formatColor(color) {
+    const a = color.a === undefined ? 1 : color.a;
+    if (a < 1) {
+        return `rgba(${color.r},${color.g},${color.b},${round(a, 2)})`;
+    }
+    const hex = [color.r, color.g, color.b]
+        .map((c) => clamp(Math.round(c), 0, 255).toString(16).padStart(2, '0'))
+        .join('');
+    return `#${hex}`;
+}
+
+/**
+ * Convert RGB channels to HSL.
+ *
+ * @param {Object} color - { r, g, b, a }.
+ * @returns {Object} { h: 0–360, s: 0–100, l: 0–100, a }.
+ */
+export function rgbToHsl({ r, g, b, a = 1 }) {
+    const rn = r / 255;
+    const gn = g / 255;
+    const bn = b / 255;
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    let h = 0;
+    let s = 0;
+
+    if (max !== min) {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        if (max === rn) {
+            h = (gn - bn) / d + (gn < bn ? 6 : 0);
+        } else if (max === gn) {
+            h = (bn - rn) / d + 2;
+        } else {
+            h = (rn - gn) / d + 4;
+        }
+        h *= 60;
+    }
+
+    return { h, s: s * 100, l: l * 100, a };
+}
+
+/**
+ * Convert HSL to RGB channels.
+ *
+ * @param {Object} hsl - { h: 0–360, s: 0–100, l: 0–100, a }.
+ * @returns {Object} { r, g, b, a }.
+ */
+export function hslToRgb({ h, s, l, a = 1 }) {
+    const sn = clamp(s, 0, 100) / 100;
+    const ln = clamp(l, 0, 100) / 100;
+
+    if (sn === 0) {
+        const v = Math.round(ln * 255);
+        return { r: v, g: v, b: v, a };
+    }
+
+    const q = ln < 0.5 ? ln * (1 + sn) : ln + sn - ln * sn;
+    const p = 2 * ln - q;
+    const hn = (((h % 360) + 360) % 360) / 360;
+
+    const channel = (t) => {
+        let tn = t;
+        if (tn < 0) tn += 1;
+        if (tn > 1) tn -= 1;
+        if (tn < 1 / 6) return p + (q - p) * 6 * tn;
+        if (tn < 1 / 2) return q;
+        if (tn < 2 / 3) return p + (q - p) * (2 / 3 - tn) * 6;
+        return p;
+    };
+
+    return {
+        r: Math.round(channel(hn + 1 / 3) * 255),
+        g: Math.round(channel(hn) * 255),
+        b: Math.round(channel(hn - 1 / 3) * 255),
+        a,
+    };
+}
+
+/**
+ * Clamp a number to a range.
+ *
+ * @param {number} n
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(n, min, max) {
+    return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Round to a number of decimal places.
+ *
+ * @param {number} n
+ * @param {number} places
+ * @returns {number}
+ */
+function round(n, places) {
+    const f = Math.pow(10, places);
+    return Math.round(n * f) / f;
+}
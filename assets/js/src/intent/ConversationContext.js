@@ -0,0 +1,210 @@
+/**
+ * Conversation Context — Per-module memory of the chat.
+ *
+ * Remembers the recent turns and the last intents that touched fields for
+ * each module, so follow-ups like "a bit more", "now do the same on tablet"
+ * or "make it red" resolve against what was just changed, and the AI
+ * pipeline can be sent the conversation rather than a single sentence.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+/** Number of turns (user + assistant) kept per module. */
+const MAX_TURNS = 10;
+
+/** Pronouns that point back at the last touched field. */
+const PRONOUN_PATTERN = /\b(it|its|that|this|them|those|these|same)\b/;
+
+/** "more"/"less" without a size word repeats the last adjustment. */
+const GENERIC_AMOUNT_PATTERN = /\b(more|less)\b/;
+const SIZE_WORD_PATTERN = /\b(bigger|larger|smaller|wider|narrower|taller|shorter|thicker|thinner|increase|decrease|reduce|shrink|grow|higher|lower)\b/;
+
+export class ConversationContext {
+    /**
+     * @param {IntentClassifier} classifier - Used to re-resolve values against remembered fields.
+     */
+    constructor(classifier) {
+        this.classifier = classifier;
+        this.modules = {};
+    }
+
+    /**
+     * Get (or create) the memory for a module.
+     *
+     * @param {string} moduleId
+     * @returns {Object} { turns: Array, lastIntents: Array }.
+     */
+    get(moduleId) {
+        if (!this.modules[moduleId]) {
+            this.modules[moduleId] = { turns: [], lastIntents: [] };
+        }
+        return this.modules[moduleId];
+    }
+
+    /**
+     * Record one user message and the assistant's reply.
+     *
+     * @param {string}      moduleId
+     * @param {string}      userText
+     * @param {string|null} reply
+     */
+    recordExchange(moduleId, userText, reply) {
+        const memory = this.get(moduleId);
+        memory.turns.push({ role: 'user', content: userText });
+        if (reply) {
+            memory.turns.push({ role: 'assistant', content: reply });
+        }
+        if (memory.turns.length > MAX_TURNS) {
+            memory.turns = memory.turns.slice(-MAX_TURNS);
+        }
+    }
+
+    /**
+     * Remember the intents of the last handled request.
+     *
+     * Only intents that matched a field are kept; a request that matched
+     * nothing leaves the previous memory in place.
+     *
+     * @param {string}   moduleId
+     * @param {Object[]} intents
+     */
+    remember(moduleId, intents) {
+        const withFields = intents.filter((intent) => intent.fields && intent.fields.length > 0);
+        if (withFields.length > 0) {
+            this.get(moduleId).lastIntents = withFields;
+        }
+    }
+
+    /**
+     * Recent turns for a module, oldest first.
+     *
+     * @param {string} moduleId
+     * @returns {Array} [{ role: 'user'|'assistant', content }].
+     */
+    getHistory(moduleId) {
+        return this.modules[moduleId] ? this.modules[moduleId].turns.slice() : [];
+    }
+
+    /**
+     * Forget everything about a module.
+     *
+     * @param {string} moduleId
+     */
+    clear(moduleId) {
+        delete this.modules[moduleId];
+    }
+
+    /**
+     * Resolve follow-up intents that matched no field against the last
+     * touched fields. Resolved follow-ups target only the top field of the
+     * remembered intent — the one that was actually changed.
+     *
+     * - A relative adjustment ("a bit more", "even bigger") applies to the
+     *   last fields; bare "more"/"less" repeats the last adjustment.
+     * - A breakpoint or hover on its own ("also on mobile", "same on hover")
+     *   repeats the last intents for that breakpoint or state.
+     * - A value or pronoun ("make it red", "change that to 24px") applies to
+     *   the last field.
+     *
+     * @param {string}   moduleId
+     * @param {Object[]} intents - From IntentClassifier.classifyCompound().
+     * @returns {Object[]} Intents, with follow-ups expanded.
+     */
+    resolveFollowUps(moduleId, intents) {
+        const last = this.modules[moduleId] ? this.modules[moduleId].lastIntents : [];
+        if (last.length === 0) {
+            return intents;
+        }
+
+        const resolved = [];
+        intents.forEach((intent) => {
+            const followUp = intent.fields.length === 0 ? this.resolveFollowUp(intent, last) : null;
+            resolved.push(...(followUp || [intent]));
+        });
+        return resolved;
+    }
+
+    /**
+     * Resolve a single field-less intent, or return null if it isn't a follow-up.
+     *
+     * @param {Object}   intent
+     * @param {Object[]} last - Remembered intents.
+     * @returns {Object[]|null}
+     */
+    resolveFollowUp(intent, last) {
+        const raw = String(intent.raw || '').toLowerCase();
+
+        if (intent.relative) {
+            const adjustable = last.filter((prev) => prev.action !== 'find');
+            const targets = adjustable.length > 0 ? adjustable : last;
+            return targets.map((prev) => ({
+                ...prev,
+                fields: prev.fields.slice(0, 1),
+                action: 'change',
+                value: null,
+                valueResolved: false,
+                relative: this.continueRelative(intent.relative, prev.relative, raw),
+                breakpoint: intent.breakpoint || prev.breakpoint,
+                state: intent.state || prev.state,
+                raw: intent.raw,
+                followUp: true,
+            }));
+        }
+
+        if ((intent.breakpoint || intent.state) && !intent.value) {
+            return last.map((prev) => ({
+                ...prev,
+                fields: prev.fields.slice(0, 1),
+                breakpoint: intent.breakpoint,
+                state: intent.state,
+                raw: intent.raw,
+                followUp: true,
+            }));
+        }
+
+        if (intent.value || PRONOUN_PATTERN.test(raw)) {
+            const field = last[0].fields[0];
+            const locked = this.classifier.lockField({ ...intent, module: last[0].module }, field.fieldName);
+            const usable = locked.valueResolved ||
+                ((locked.action === 'enable' || locked.action === 'disable') && field.type === 'yes_no');
+            if (!usable) {
+                return null;
+            }
+            return [{
+                ...locked,
+                breakpoint: intent.breakpoint || last[0].breakpoint,
+                state: intent.state || last[0].state,
+                followUp: true,
+            }];
+        }
+
+        return null;
+    }
+
+    /**
+     * Work out the adjustment for a relative follow-up.
+     *
+     * Bare "more"/"less" after a color change keeps the color adjustment
+     * ("darker" then "a bit more" is darker again); "less" reverses it.
+     *
+     * @param {Object}      relative - Adjustment detected in the follow-up.
+     * @param {Object|null} previous - Adjustment of the remembered intent.
+     * @param {string}      raw      - Lowercased follow-up text.
+     * @returns {Object}
+     */
+    continueRelative(relative, previous, raw) {
+        const generic = relative.kind === 'size' &&
+            GENERIC_AMOUNT_PATTERN.test(raw) &&
+            !SIZE_WORD_PATTERN.test(raw);
+
+        if (!generic || !previous) {
+            return relative;
+        }
+
+        return {
+            ...relative,
+            kind: previous.kind,
+            direction: previous.direction * relative.direction,
+        };
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Field Dependencies — Prerequisite toggles from schema `show_if` rules.
+ *
+ * Many Divi fields only appear (and only take effect) while another field
+ * has a given value, e.g. button colors need "Use Custom Styles For Button"
+ * on. Schemas record this Divi's way:
+ *
+ *     "button_text_color": { ..., "show_if": { "custom_button": "on" } }
+ *
+ * Several keys must all match; a list of values means any of them.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { parseVariantKey } from '../adapter/FieldVariants';
+
+/**
+ * Every field that must be set before a field shows, parents first.
+ *
+ * Chains are followed (a prerequisite may have its own `show_if`); unknown
+ * fields and cycles are ignored.
+ *
+ * @param {Object}   field  - Schema index field ({ fieldName, showIf }).
+ * @param {Object[]} fields - All fields of the module.
+ * @returns {Object[]} { fieldName, label, type, tab, toggleName, toggleLabel, options, default,
+ *                     value, accepted } — `value` is the one to set, `accepted` every value that works.
+ */
+export function getPrerequisites(field, fields) {
+    const result = [];
+    const seen = new Set([field.fieldName]);
+
+    const visit = (current) => {
+        Object.entries(current.showIf || {}).forEach(([fieldName, expected]) => {
+            const parent = fields.find((f) => f.fieldName === fieldName);
+            if (!parent || seen.has(fieldName)) {
+                return;
+            }
+            seen.add(fieldName);
+            visit(parent);
+            result.push({
+                fieldName,
+                label: parent.label,
+                type: parent.type,
+                tab: parent.tab,
+                toggleName: parent.toggleName,
+                toggleLabel: parent.toggleLabel,
+                options: parent.options,
+                default: parent.default,
+                value: Array.isArray(expected) ? expected[0] : expected,
+                accepted: Array.isArray(expected) ? expected : [expected],
+            });
+        });
+    };
+    visit(field);
+
+    return result;
+}
+
+/**
+ * Whether a module's current settings already meet a prerequisite.
+ *
+ * @param {Object} prerequisite - From getPrerequisites().
+ * @param {Object} [moduleData] - Current module settings.
+ * @returns {boolean}
+ */
+export function isSatisfied(prerequisite, moduleData) {
+    const data = moduleData || {};
+    const current = data[prerequisite.fieldName] === undefined || data[prerequisite.fieldName] === null
+        ? prerequisite.default
+        : data[prerequisite.fieldName];
+    return prerequisite.accepted.includes(String(current === undefined || current === null ? '' : current));
+}
+
+/**
+ * Prerequisites of a field that the module does not meet yet.
+ *
+ * @param {Object} field        - Intent or index field with `requires`.
+ * @param {Object} [moduleData] - Current module settings; without them every prerequisite is pending.
+ * @returns {Object[]}
+ */
+export function pendingPrerequisites(field, moduleData = null) {
+    const requires = (field && field.requires) || [];
+    if (!moduleData) {
+        return requires;
+    }
+    return requires.filter((prerequisite) => !isSatisfied(prerequisite, moduleData));
+}
+
+/**
+ * Add the changes a changeset needs for its fields to take effect.
+ *
+ * Each missing prerequisite is inserted once, before the first change
+ * that needs it. A prerequisite the changeset already sets is left alone,
+ * whatever the value: the user asked for it explicitly.
+ *
+ * @param {Array}    changes    - [{ field, label, old_value, new_value, type }].
+ * @param {Function} lookup     - fieldName → field with `requires`, or null.
+ * @param {Object}   moduleData - Current module settings.
+ * @returns {Array} The changes with prerequisite changes added.
+ */
+export function withPrerequisites(changes, lookup, moduleData) {
+    const data = moduleData || {};
+    const setFields = new Set(changes.map((change) => change.field));
+    const result = [];
+
+    changes.forEach((change) => {
+        const field = lookup(change.field) || lookup(parseVariantKey(change.field).fieldName);
+
+        pendingPrerequisites(field, data).forEach((prerequisite) => {
+            if (setFields.has(prerequisite.fieldName)) {
+                return;
+            }
+            setFields.add(prerequisite.fieldName);
+            result.push({
+                field: prerequisite.fieldName,
+                label: prerequisite.label,
+                old_value: data[prerequisite.fieldName] === undefined ? (prerequisite.default || '') : data[prerequisite.fieldName],
+                new_value: prerequisite.value,
+                type: prerequisite.type,
+                options: prerequisite.options,
+            });
+        });
+
+        result.push(change);
+    });
+
+    return result;
+}
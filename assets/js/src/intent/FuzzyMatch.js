@@ -0,0 +1,133 @@
+/**
+ * Fuzzy Match — Typo- and inflection-tolerant word comparison.
+ *
+ * Used by IntentClassifier.scoreFields() so "backgroud colr", "paddings"
+ * or "aligment" still land on the right field.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+/** Match tiers, from strongest to weakest. */
+export const MATCH_EXACT = 'exact';
+export const MATCH_STEM = 'stem';
+export const MATCH_FUZZY = 'fuzzy';
+
+/** Words too common to ever count as a fuzzy or stem match. */
+const STOPWORDS = new Set([
+    'the', 'a', 'an', 'to', 'of', 'on', 'in', 'for', 'and', 'or', 'it', 'is',
+    'this', 'that', 'my', 'make', 'set', 'change', 'with', 'be', 'by',
+]);
+
+/**
+ * Reduce a word to a crude stem: strips plurals and common verb endings.
+ *
+ * @param {string} word - Lowercase word.
+ * @returns {string}
+ */
+export function stem(word) {
+    if (word.length <= 3) return word;
+
+    if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+    if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+
+    return word;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+        d[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Maximum edit distance tolerated for a word of the given length.
+ *
+ * @param {number} length
+ * @returns {number}
+ */
+export function allowedDistance(length) {
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * Compare a user token against a schema word.
+ *
+ * Fuzzy matches require the same first letter — typos rarely hit it, and it
+ * keeps "text"/"next" or "size"/"side"-style collisions out.
+ *
+ * @param {string} token - User token.
+ * @param {string} word  - Schema word (label word, field name part, option).
+ * @returns {string|null} MATCH_EXACT | MATCH_STEM | MATCH_FUZZY | null.
+ */
+export function matchWord(token, word) {
+    if (!token || !word) return null;
+    if (token === word) return MATCH_EXACT;
+    if (STOPWORDS.has(token)) return null;
+
+    const tokenStem = stem(token);
+    const wordStem = stem(word);
+    if (tokenStem === wordStem || tokenStem === word || token === wordStem) return MATCH_STEM;
+
+    if (token[0] !== word[0]) return null;
+    const limit = Math.min(allowedDistance(token.length), allowedDistance(word.length));
+    if (limit > 0 && Math.abs(token.length - word.length) <= limit && editDistance(token, word) <= limit) {
+        return MATCH_FUZZY;
+    }
+
+    return null;
+}
+
+/**
+ * Best match tier of a token against a list of words.
+ *
+ * @param {string}   token - User token.
+ * @param {string[]} words - Candidate words.
+ * @returns {string|null}
+ */
+export function bestMatch(token, words) {
+    let best = null;
+    for (const word of words) {
+        const tier = matchWord(token, word);
+        if (tier === MATCH_EXACT) return tier;
+        if (tier === MATCH_STEM || (tier === MATCH_FUZZY && best === null)) {
+            best = tier;
+        }
+    }
+    return best;
+}
@@ -8,9 +8,15 @@
  * @package Divi_Anchor_AI
  */
 
+import { ValueParser } from './ValueParser';
+import { bestMatch } from './FuzzyMatch';
+import { getPrerequisites } from './FieldDependencies';
+import { isCompoundType, findCompoundParts, getDefaultParts, getPartField } from '../adapter/CompoundFields';
+
 export class IntentClassifier {
     constructor() {
         this.schemaIndex = {};
+        this.valueParser = new ValueParser();
         this.abbreviations = {
             bg: 'background',
             btn: 'button',
@@ -60,8 +66,25 @@ export class IntentClassifier {
             turn_off: 'disable',
             hide: 'disable',
             remove: 'disable',
+            increase: 'change',
+            decrease: 'change',
+            reduce: 'change',
+            darken: 'change',
+            lighten: 'change',
+            shrink: 'change',
         };
 
+        // Relative adjustment phrases, checked in order (saturation before size
+        // so "more saturated" isn't read as "more").
+        this.relativePatterns = [
+            { pattern: /\b(desaturate|less saturated|more muted|duller)\b/, kind: 'saturation', direction: -1 },
+            { pattern: /\b(saturate|more saturated|more vivid|more vibrant)\b/, kind: 'saturation', direction: 1 },
+            { pattern: /\b(darker|darken)\b/, kind: 'lightness', direction: -1 },
+            { pattern: /\b(lighter|lighten|brighter)\b/, kind: 'lightness', direction: 1 },
+            { pattern: /\b(smaller|decrease|reduce|less|narrower|shorter|thinner|shrink|lower)\b/, kind: 'size', direction: -1 },
+            { pattern: /\b(bigger|larger|increase|more|wider|taller|thicker|grow|higher)\b/, kind: 'size', direction: 1 },
+        ];
+
         this.breakpointKeywords = {
             phone: 'phone',
             mobile: 'phone',
@@ -71,6 +94,50 @@ export class IntentClassifier {
             laptop: 'desktop',
             responsive: null, // general responsive reference
         };
+
+        this.stateKeywords = {
+            hover: 'hover',
+            hovered: 'hover',
+            hovering: 'hover',
+            mouseover: 'hover',
+        };
+
+        // Verbs of structural commands (see detectStructural()).
+        this.structuralKeywords = {
+            add: 'insert',
+            insert: 'insert',
+            duplicate: 'duplicate',
+            clone: 'duplicate',
+            copy: 'duplicate',
+            delete: 'remove',
+            remove: 'remove',
+            move: 'move',
+        };
+
+        // Words that may follow a module name in an insert command.
+        this.positionWords = ['under', 'below', 'after', 'above', 'before', 'here', 'next', 'to', 'at', 'in', 'into', 'beneath', 'underneath'];
+
+        // Generic names for a parent's child items ("the second item").
+        this.childNouns = ['item', 'items', 'entry', 'entries', 'child', 'children'];
+
+        // Layout requests ("hero section with a headline and two buttons").
+        this.layoutNouns = ['section', 'sections', 'row', 'rows', 'column', 'columns', 'layout', 'hero', 'page'];
+        this.layoutVerbs = ['create', 'build', 'generate', 'design', 'add', 'insert', 'give'];
+
+        // Words that turn a module name into a page-wide target ("every button").
+        // "all" needs a plural so "all text" still means the selected module.
+        this.scopeQuantifiers = ['all', 'every', 'each'];
+
+        // Field-scoring weights per source, by match tier (see scoreFields()).
+        this.scoreWeights = {
+            label: { exact: 20, stem: 18, fuzzy: 12 },
+            fieldName: { exact: 15, stem: 13, fuzzy: 9 },
+            option: { exact: 30, stem: 25, fuzzy: 18 },
+            toggle: { exact: 10, stem: 9, fuzzy: 6 },
+        };
+
+        // Separators that split a compound instruction into clauses.
+        this.clauseSeparator = /\s*(?:[;,]|\band then\b|\bthen\b|\band also\b|\balso\b|\band\b)\s*/;
     }
 
     /**
@@ -86,6 +153,7 @@ export class IntentClassifier {
                 moduleType,
                 label: schema.label || '',
                 aliases: schema.natural_language_aliases || [],
+                childType: schema.has_children && schema.child_type ? schema.child_type : null,
                 fields: [],
             };
 
@@ -105,13 +173,20 @@ export class IntentClassifier {
                                 toggleLabel: toggleData.label || toggleName,
                                 options: fieldData.options || null,
                                 responsive: fieldData.responsive || false,
+                                hover: fieldData.hover || false,
                                 default: fieldData.default,
+                                showIf: fieldData.show_if || null,
                             });
                         }
                     }
                 }
             }
 
+            // Fields hidden behind a toggle carry what must be set first.
+            entry.fields.forEach((field) => {
+                field.requires = getPrerequisites(field, entry.fields);
+            });
+
             this.schemaIndex[moduleType] = entry;
         }
     }
@@ -121,7 +196,7 @@ export class IntentClassifier {
      *
      * @param {string} text          - User's natural language input.
      * @param {string} [moduleType]  - Currently selected module type.
-     * @returns {Object} Intent object: { action, module, fields[], breakpoint, value, confidence, raw }.
+     * @returns {Object} Intent object: { action, module, fields[], breakpoint, state, value, confidence, raw }.
      */
     classify(text, moduleType = null) {
         const raw = text;
@@ -129,13 +204,22 @@ export class IntentClassifier {
         const tokens = this.tokenize(normalized);
 
         // Detect action.
-        const action = this.detectAction(normalized);
+        const explicitAction = this.detectExplicitAction(normalized);
+        let action = explicitAction || 'find';
 
-        // Detect breakpoint.
+        // Detect breakpoint and hover state.
         const breakpoint = this.detectBreakpoint(tokens);
+        const state = this.detectState(tokens);
 
-        // Detect value from input.
-        const value = this.detectValue(normalized, tokens);
+        // Detect the value phrase from the raw input (keeps the user's casing).
+        const rawValue = this.detectValue(raw, tokens);
+        let value = rawValue;
+
+        // Relative adjustments ("bigger", "by 10px") apply only without an absolute value.
+        const relative = rawValue ? null : this.detectRelative(normalized);
+        if (relative && !explicitAction) {
+            action = 'change';
+        }
 
         // If no module selected, try to detect module type from text.
         if (!moduleType) {
@@ -148,7 +232,10 @@ export class IntentClassifier {
                 module: moduleType,
                 fields: [],
                 breakpoint,
+                state,
                 value,
+                valueResolved: false,
+                relative,
                 confidence: 'none',
                 raw,
             };
@@ -156,8 +243,53 @@ export class IntentClassifier {
 
         // Score fields.
         const scoredFields = this.scoreFields(tokens, this.schemaIndex[moduleType]);
+
+        // Relative edits prefer fields they can apply to ("thicker" → a length).
+        if (relative) {
+            scoredFields.forEach((f) => {
+                if (f.score > 0 && this.isRelativeCompatible(relative, f)) {
+                    f.score += 10;
+                }
+            });
+            scoredFields.sort((a, b) => b.score - a.score);
+        }
+
+        // Naming a part ("top padding", "italic") points at the compound field holding it.
+        scoredFields.forEach((f) => {
+            if (f.score > 0 && isCompoundType(f.type) && findCompoundParts(f.type, normalized)) {
+                f.score += 10;
+            }
+        });
+        scoredFields.sort((a, b) => b.score - a.score);
+
         const matchedFields = scoredFields.filter((f) => f.score >= 15);
 
+        // Compound values are changed part by part; the value is the part's.
+        const parts = matchedFields.length > 0 ? this.detectParts(matchedFields[0], normalized) : null;
+
+        // Turn the value phrase into the stored value for the top field, or
+        // find one mentioned directly ("center the text", "make it red").
+        let valueResolved = false;
+        if (matchedFields.length > 0 && !relative) {
+            const valueField = parts ? getPartField(matchedFields[0].type, parts[0]) : matchedFields[0];
+            const parsed = rawValue
+                ? this.valueParser.parse(rawValue, valueField)
+                : this.valueParser.extract(raw, valueField);
+
+            if (parsed !== null) {
+                value = parsed;
+                valueResolved = true;
+                if (!rawValue && !explicitAction) {
+                    action = 'change';
+                }
+            } else if (parts && valueField.type === 'yes_no' && (!explicitAction || explicitAction === 'change')) {
+                // "make the title italic" switches the flag on.
+                value = 'on';
+                valueResolved = true;
+                action = 'change';
+            }
+        }
+
         // Determine confidence.
         let confidence;
         if (matchedFields.length > 0 && matchedFields[0].score >= 50) {
@@ -173,24 +305,241 @@ export class IntentClassifier {
         return {
             action,
             module: moduleType,
-            fields: matchedFields.map((f) => ({
-                fieldName: f.fieldName,
-                label: f.label,
-                tab: f.tab,
-                toggleName: f.toggleName,
-                toggleLabel: f.toggleLabel,
-                type: f.type,
-                options: f.options,
-                responsive: f.responsive,
-                score: f.score,
-            })),
+            fields: matchedFields.map((f) => this.toIntentField(f)),
             breakpoint,
+            state,
             value,
+            valueResolved,
+            relative,
+            parts,
             confidence,
             raw,
         };
     }
 
+    /**
+     * The parts of a compound field a request changes.
+     *
+     * @param {Object} field      - Top matched field.
+     * @param {string} normalized - Normalized request.
+     * @returns {string[]|null} Part keys (the field's default parts when none
+     *                          is named), or null for other field types.
+     */
+    detectParts(field, normalized) {
+        if (!isCompoundType(field.type)) {
+            return null;
+        }
+        return findCompoundParts(field.type, normalized) || getDefaultParts(field.type);
+    }
+
+    /**
+     * Narrow an intent to a single field the user picked, e.g. from a
+     * clarifying question, and re-resolve its value for that field.
+     *
+     * @param {Object} intent    - Intent from classify().
+     * @param {string} fieldName - Chosen field.
+     * @returns {Object} Intent with only that field and 'high' confidence.
+     */
+    lockField(intent, fieldName) {
+        const entry = this.schemaIndex[intent.module];
+        const field = entry && entry.fields.find((f) => f.fieldName === fieldName);
+        if (!field) {
+            return intent;
+        }
+
+        const candidate = intent.fields.find((f) => f.fieldName === fieldName);
+        const normalized = this.normalize(intent.raw);
+        const rawValue = this.detectValue(intent.raw, this.tokenize(normalized));
+
+        let action = intent.action;
+        let value = rawValue;
+        let valueResolved = false;
+        const parts = this.detectParts(field, normalized);
+        const valueField = parts ? getPartField(field.type, parts[0]) : field;
+
+        if (!intent.relative) {
+            const parsed = rawValue
+                ? this.valueParser.parse(rawValue, valueField)
+                : this.valueParser.extract(intent.raw, valueField);
+
+            if (parsed !== null) {
+                value = parsed;
+                valueResolved = true;
+                if (!rawValue && action === 'find' && !this.detectExplicitAction(normalized)) {
+                    action = 'change';
+                }
+            }
+        }
+
+        return {
+            ...intent,
+            action,
+            fields: [this.toIntentField({ ...field, score: candidate ? candidate.score : 0 })],
+            value,
+            valueResolved,
+            parts,
+            confidence: 'high',
+            locked: true,
+        };
+    }
+
+    /**
+     * Look up a field of a module in the schema index.
+     *
+     * @param {string} moduleType
+     * @param {string} fieldName
+     * @returns {Object|null} Intent-style field ({ fieldName, label, type, options, ... }).
+     */
+    getField(moduleType, fieldName) {
+        const entry = this.schemaIndex[moduleType];
+        const field = entry && entry.fields.find((f) => f.fieldName === fieldName);
+        return field ? this.toIntentField({ ...field, score: 0 }) : null;
+    }
+
+    /**
+     * Copy the public properties of a scored index field onto an intent field.
+     *
+     * @param {Object} f - Scored schema index field.
+     * @returns {Object}
+     */
+    toIntentField(f) {
+        return {
+            fieldName: f.fieldName,
+            label: f.label,
+            tab: f.tab,
+            toggleName: f.toggleName,
+            toggleLabel: f.toggleLabel,
+            type: f.type,
+            options: f.options,
+            responsive: f.responsive,
+            hover: f.hover,
+            default: f.default,
+            requires: f.requires || [],
+            score: f.score,
+        };
+    }
+
+    /**
+     * Classify a possibly compound instruction into one intent per clause.
+     *
+     * "center the text, make the title an H1 and hide it on phone" yields
+     * three sub-intents, each with its own action, fields, value and breakpoint.
+     * Clauses without an action keyword inherit the previous clause's action.
+     * A clause with no field or value of its own is not split off: when it
+     * names parts of the next clause's field it joins that clause ("top and
+     * bottom padding"), otherwise it is folded back into the previous one
+     * ("text and background color", "black and white").
+     *
+     * @param {string} text          - User's natural language input.
+     * @param {string} [moduleType]  - Currently selected module type.
+     * @returns {Object[]} One intent per clause (always at least one).
+     */
+    classifyCompound(text, moduleType = null) {
+        const parts = this.splitClauseParts(text);
+
+        if (parts.length < 2) {
+            return [this.classify(text, moduleType)];
+        }
+
+        const intents = [];
+        // Text held over for the next clause, and the separator before the current one.
+        let carried = '';
+        let joiner = '';
+
+        parts.forEach(({ clause, separator }, i) => {
+            const clauseText = carried + clause;
+            carried = '';
+
+            const previous = intents[intents.length - 1];
+            const explicitAction = this.detectExplicitAction(this.normalize(clauseText));
+            let intent = this.classify(clauseText, moduleType);
+            const next = parts[i + 1];
+
+            if (next && intent.fields.length === 0 && !intent.value && this.namesPartsOf(clauseText, next.clause, moduleType)) {
+                // Only names parts of the next clause's field — read them together.
+                carried = clauseText + separator;
+                return;
+            }
+
+            if (previous && !explicitAction && intent.fields.length === 0) {
+                // Not a clause of its own — merge into the previous one.
+                intents[intents.length - 1] = this.classify(`${previous.raw}${joiner}${clauseText}`, moduleType);
+                joiner = separator;
+                return;
+            }
+
+            if (previous && !explicitAction && intent.action === 'find') {
+                intent = { ...intent, action: previous.action };
+            }
+
+            intents.push(intent);
+            joiner = separator;
+        });
+
+        return intents;
+    }
+
+    /**
+     * Whether a clause names parts of the compound field the next clause
+     * targets, as "set top" does for "bottom padding to 10px".
+     *
+     * @param {string}      clause     - Raw clause.
+     * @param {string}      next       - Raw next clause.
+     * @param {string|null} moduleType
+     * @returns {boolean}
+     */
+    namesPartsOf(clause, next, moduleType) {
+        const field = this.classify(next, moduleType).fields[0];
+        return Boolean(field && isCompoundType(field.type) && findCompoundParts(field.type, this.normalize(clause)));
+    }
+
+    /**
+     * Split raw input into clauses on commas, semicolons, "and", "then", "also".
+     * Commas inside parentheses do not split.
+     *
+     * @param {string} text - Raw input.
+     * @returns {string[]} Non-empty trimmed clauses.
+     */
+    splitClauses(text) {
+        return this.splitClauseParts(text).map((part) => part.clause);
+    }
+
+    /**
+     * Split raw input into clauses, keeping the separator after each so
+     * clauses can be joined back as written.
+     *
+     * @param {string} text - Raw input.
+     * @returns {Object[]} [{ clause, separator }] — separator is '' for the last clause.
+     */
+    splitClauseParts(text) {
+        // Mask parenthesized groups so "rgba(0,0,0,.5)" is not split on its commas.
+        const groups = [];
+        const masked = text.replace(/\([^)]*\)/g, (group) => {
+            groups.push(group);
+            return `\u0000${groups.length - 1}\u0000`;
+        });
+        const unmask = (piece) => piece.replace(/\u0000(\d+)\u0000/g, (m, i) => groups[Number(i)]);
+
+        // A capturing split alternates clauses and separators.
+        const pieces = masked.split(new RegExp(`(${this.clauseSeparator.source})`));
+        const parts = [];
+
+        for (let i = 0; i < pieces.length; i += 2) {
+            const clause = unmask(pieces[i]).trim();
+            const separator = i + 1 < pieces.length ? pieces[i + 1] : '';
+            if (clause.length > 0) {
+                parts.push({ clause, separator });
+            } else if (parts.length > 0) {
+                parts[parts.length - 1].separator += separator;
+            }
+        }
+
+        if (parts.length > 0) {
+            parts[parts.length - 1].separator = '';
+        }
+        return parts;
+    }
+
     /**
      * Normalize input: lowercase, expand abbreviations.
      *
@@ -229,12 +578,22 @@ export class IntentClassifier {
      * @returns {string} 'change' | 'find' | 'enable' | 'disable' | 'unknown'.
      */
     detectAction(normalized) {
+        return this.detectExplicitAction(normalized) || 'find';
+    }
+
+    /**
+     * Detect an action only when the input contains an action keyword.
+     *
+     * @param {string} normalized - Normalized text.
+     * @returns {string|null} 'change' | 'find' | 'enable' | 'disable' | null.
+     */
+    detectExplicitAction(normalized) {
         for (const [keyword, action] of Object.entries(this.actionKeywords)) {
             if (normalized.includes(keyword.replace(/_/g, ' '))) {
                 return action;
             }
         }
-        return 'find';
+        return null;
     }
 
     /**
@@ -253,24 +612,102 @@ export class IntentClassifier {
     }
 
     /**
-     * Detect a target value from the input (e.g., "to center", "= red").
+     * Detect an interaction state from tokens.
      *
-     * @param {string} normalized - Normalized text.
+     * @param {string[]} tokens - Tokenized input.
+     * @returns {string|null} 'hover' | null.
+     */
+    detectState(tokens) {
+        for (const token of tokens) {
+            if (this.stateKeywords[token]) {
+                return this.stateKeywords[token];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Detect a target value phrase from the input (e.g., "to center", "= red",
+     * "to dark blue", "to rgba(0,0,0,.5) on phone").
+     *
+     * The phrase ends at a clause separator or a trailing breakpoint/state
+     * qualifier; surrounding whitespace is trimmed.
+     *
+     * @param {string} text - Input text (raw or normalized).
      * @param {string[]} tokens - Tokenized input.
      * @returns {string|null}
      */
-    detectValue(normalized, tokens) {
+    detectValue(text, tokens) {
+        const qualifier = '(?=\\s+(?:on|for|in|at)\\s+(?:the\\s+)?(?:phone|mobile|tablet|ipad|desktop|laptop|hover)\\b|\\s+(?:on\\s+)?hover\\b|\\s*[;,]|\\s*$)';
+
+        // Parenthesized groups are kept whole so "rgba(0,0,0,.5)" survives.
+        const phrase = '((?:\\([^)]*\\)|[^;,(])+?)';
+
         // Pattern: "to <value>"
-        const toMatch = normalized.match(/\bto\s+(\w+)/);
-        if (toMatch) return toMatch[1];
+        const toMatch = text.match(new RegExp(`\\bto\\s+${phrase}${qualifier}`, 'i'));
+        if (toMatch) return toMatch[1].trim();
 
         // Pattern: "= <value>" or ": <value>"
-        const eqMatch = normalized.match(/[=:]\s*(\w+)/);
-        if (eqMatch) return eqMatch[1];
+        const eqMatch = text.match(new RegExp(`[=:]\\s*${phrase}${qualifier}`, 'i'));
+        if (eqMatch) return eqMatch[1].trim();
 
         return null;
     }
 
+    /**
+     * Detect a relative adjustment ("bigger", "a bit darker", "increase by 10px").
+     *
+     * @param {string} normalized - Normalized text.
+     * @returns {Object|null} { kind, direction, amount, unit, magnitude } or null.
+     */
+    detectRelative(normalized) {
+        const match = this.relativePatterns.find((p) => p.pattern.test(normalized));
+        if (!match) return null;
+
+        // Explicit amount: "by 10px", "by 20%", "10% bigger".
+        let amount = null;
+        let unit = null;
+        const amountMatch = normalized.match(/\bby\s+(\d*\.?\d+)\s*(px|em|rem|%|percent|vh|vw|pt)?/) ||
+            normalized.match(/(\d*\.?\d+)\s*(px|em|rem|%|percent|vh|vw|pt)\s+(?:bigger|larger|smaller|wider|narrower|taller|shorter|thicker|thinner|darker|lighter|more|less)\b/);
+        if (amountMatch) {
+            amount = parseFloat(amountMatch[1]);
+            unit = amountMatch[2] === 'percent' ? '%' : (amountMatch[2] || null);
+        }
+
+        let magnitude = 'normal';
+        if (/\b(a bit|a little|slightly|a touch|a tad)\b/.test(normalized)) {
+            magnitude = 'small';
+        } else if (/\b(much|a lot|way|significantly)\b/.test(normalized)) {
+            magnitude = 'large';
+        }
+
+        return {
+            kind: match.kind,
+            direction: match.direction,
+            amount,
+            unit,
+            magnitude,
+        };
+    }
+
+    /**
+     * Whether a relative adjustment can apply to a field.
+     *
+     * @param {Object} relative - From detectRelative().
+     * @param {Object} field    - Schema index field.
+     * @returns {boolean}
+     */
+    isRelativeCompatible(relative, field) {
+        if (isCompoundType(field.type)) {
+            // "more padding" adjusts every side.
+            return relative.kind === 'size' && getDefaultParts(field.type).every((key) => getPartField(field.type, key).unit);
+        }
+        if (relative.kind === 'size') {
+            return field.type === 'text' && this.valueParser.isUnitField(field);
+        }
+        return field.type === 'color';
+    }
+
     /**
      * Try to detect module type from tokens.
      *
@@ -295,68 +732,466 @@ export class IntentClassifier {
         return null;
     }
 
+    /**
+     * Detect a request aimed at every module of a type rather than the
+     * selected one: "all buttons", "every heading", "each blurb in this
+     * section".
+     *
+     * @param {string} text - Raw input.
+     * @returns {Object|null} { moduleType, within: 'page'|'section'|'row'|'column' }, or null.
+     */
+    detectScope(text) {
+        const normalized = this.normalize(text);
+        const tokens = this.tokenize(normalized);
+        const at = tokens.findIndex((token) => this.scopeQuantifiers.includes(token));
+        if (at === -1) {
+            return null;
+        }
+
+        let start = at + 1;
+        while (['the', 'of', 'my', 'these', 'those'].includes(tokens[start])) {
+            start++;
+        }
+        const following = tokens.slice(start);
+        const best = this.matchModuleName(following);
+        if (!best) {
+            return null;
+        }
+
+        const last = following[best.length - 1];
+        const plural = last !== singular(last) || /^modules?$/.test(following[best.length] || '');
+        if (tokens[at] === 'all' && !plural) {
+            return null;
+        }
+
+        const container = /\b(?:in|inside|within)\s+(?:this|the current|the same|the selected|current|that)\s+(section|row|column)\b/.exec(normalized);
+        return { moduleType: best.moduleType, within: container ? container[1] : 'page' };
+    }
+
+    /**
+     * Match the longest module name or alias at the start of some tokens.
+     * Plurals count ("blurbs" matches "blurb").
+     *
+     * @param {string[]} tokens
+     * @param {string[]} [moduleTypes] - Only match these types.
+     * @returns {Object|null} { moduleType, length } — length in tokens.
+     */
+    matchModuleName(tokens, moduleTypes = null) {
+        const singulars = tokens.map(singular);
+        let best = null;
+
+        for (const [moduleType, entry] of Object.entries(this.schemaIndex)) {
+            if (moduleTypes && !moduleTypes.includes(moduleType)) continue;
+            for (const name of [entry.label, ...entry.aliases]) {
+                const words = this.tokenize(this.normalize(name)).map(singular);
+                const matches = words.length > 0 && words.every((word, i) => singulars[i] === word);
+                if (matches && (!best || words.length > best.length)) {
+                    best = { moduleType, length: words.length };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Whether the index has a schema for a module type.
+     *
+     * @param {string} moduleType
+     * @returns {boolean}
+     */
+    hasModule(moduleType) {
+        return Boolean(moduleType && this.schemaIndex[moduleType]);
+    }
+
+    /**
+     * Readable name of a module type.
+     *
+     * @param {string} moduleType
+     * @returns {string} The schema label, e.g. 'Button', or the type itself.
+     */
+    getModuleLabel(moduleType) {
+        const entry = this.schemaIndex[moduleType];
+        return entry && entry.label ? entry.label : moduleType;
+    }
+
+    /**
+     * Detect a command that changes the page structure around the selected
+     * module rather than its settings:
+     *
+     * - insert:    "add a button below this", "insert two blurbs above"
+     * - duplicate: "duplicate this three times", "copy this blurb"
+     * - remove:    "delete this", "remove this module"
+     * - move:      "move this up", "move it to the bottom"
+     *
+     * "remove the icon" is left to field classification (it hides a
+     * setting); remove only applies when the module itself is named
+     * explicitly ("this", "it", "this module", "the text module"), so
+     * "delete the text" on a Text module still edits its content.
+     *
+     * @param {string} text         - Raw input.
+     * @param {string} [moduleType] - Selected module type.
+     * @returns {Object|null} { action, moduleType, count, position, direction, raw }, or null.
+     */
+    detectStructural(text, moduleType = null) {
+        const normalized = this.normalize(text);
+        const tokens = this.tokenize(normalized);
+        const at = tokens.findIndex((token) => Object.prototype.hasOwnProperty.call(this.structuralKeywords, token));
+        if (at === -1) {
+            return null;
+        }
+
+        const verb = tokens[at];
+        const action = this.structuralKeywords[verb];
+        const command = { action, moduleType: null, count: 1, position: null, direction: null, raw: text };
+        let rest = tokens.slice(at + 1);
+
+        if (action === 'insert') {
+            let count = 1;
+            while (rest.length > 0 && (['a', 'an', 'another', 'new', 'one', 'more'].includes(rest[0]) || countWord(rest[0]))) {
+                count = countWord(rest[0]) || count;
+                rest = rest.slice(1);
+            }
+            const match = this.matchModuleName(rest);
+            // "add a button link" is a field edit, not a new module.
+            const next = rest[match ? match.length : 0];
+            if (!match || (next !== undefined && !this.positionWords.includes(next))) {
+                return null;
+            }
+            command.moduleType = match.moduleType;
+            command.count = count;
+            command.position = /\b(above|before)\b/.test(normalized) ? 'before' : 'after';
+            return command;
+        }
+
+        // The rest must name the selected module ("this", "it", "this blurb")
+        // and carry nothing but a count or direction.
+        const reference = this.matchSelfReference(rest, moduleType);
+        if (reference === null) {
+            return null;
+        }
+        const remainder = rest.slice(reference);
+
+        if (action === 'remove') {
+            // "the text" may be the Text module or its text; only a pointer
+            // ("this", "it") or the word "module" makes it the module.
+            const end = /^(module|element)$/.test(remainder[0] || '') ? reference + 1 : reference;
+            const object = rest.slice(0, end);
+            const explicit = object.some((token) => ['this', 'that', 'selected', 'current', 'it', 'module', 'element'].includes(token));
+            // A bare "remove" / "remove it" is too vague to delete a module.
+            const named = reference > 0 && rest[0] !== 'it';
+            return rest.length === end && explicit && (named || verb === 'delete') ? command : null;
+        }
+
+        if (action === 'duplicate') {
+            if (!remainder.every((token) => countWord(token) || ['times', 'copies', 'more', 'twice', 'thrice', 'x'].includes(token))) {
+                return null;
+            }
+            const times = /\b(\w+)\s+(?:times|copies|more)\b/.exec(normalized);
+            if (/\btwice\b/.test(normalized)) command.count = 2;
+            else if (/\bthrice\b/.test(normalized)) command.count = 3;
+            else if (times && countWord(times[1])) command.count = countWord(times[1]);
+            return command;
+        }
+
+        // move
+        const directions = {
+            top: 'top', first: 'top', beginning: 'top', start: 'top',
+            bottom: 'bottom', last: 'bottom', end: 'bottom',
+            up: 'up', higher: 'up', earlier: 'up',
+            down: 'down', lower: 'down', later: 'down',
+        };
+        const direction = remainder.map((token) => directions[token]).find(Boolean);
+        const filler = ['to', 'the', 'of', 'a', 'one', 'spot', 'position', 'place', 'page', 'column', 'row', 'section'];
+        if (!direction || !remainder.every((token) => directions[token] || filler.includes(token))) {
+            return null;
+        }
+        command.direction = direction;
+        return command;
+    }
+
+    /**
+     * Count the tokens that refer to the selected module itself: "this",
+     * "it", "the selected module", "this blurb" (when a Blurb is selected).
+     *
+     * @param {string[]} tokens       - Tokens after the verb.
+     * @param {string}   [moduleType] - Selected module type.
+     * @returns {number|null} Tokens used (0 when there is no object), or null if another object is named.
+     */
+    matchSelfReference(tokens, moduleType) {
+        let used = 0;
+        while (['this', 'the', 'that', 'selected', 'current'].includes(tokens[used])) {
+            used++;
+        }
+        if (tokens[used] === 'it' || /^(module|element)$/.test(tokens[used] || '')) {
+            return used + 1;
+        }
+
+        const match = this.matchModuleName(tokens.slice(used));
+        if (match) {
+            return match.moduleType === moduleType ? used + match.length : null;
+        }
+        return used;
+    }
+
+    /**
+     * Detect a command about the child items of the selected module
+     * (accordion items, tabs, slides, pricing tables):
+     *
+     * - list:   "list the slides", "how many tabs are there"
+     * - insert: "add a fourth FAQ item about shipping", "add a slide"
+     * - remove: "delete the second tab", "remove the last slide"
+     * - move:   "move the third item to the top", "move slide 2 down"
+     * - edit:   "make the second slide's button red"
+     *
+     * `index` is zero-based, -1 for "last", null when no item is named.
+     * `describes` is set when an insert says what the new item is about.
+     * `rest` is the input without the item reference, for classifying an
+     * edit against the child schema.
+     *
+     * @param {string} text       - Raw input.
+     * @param {string} moduleType - Selected module type.
+     * @returns {Object|null} { action, childType, index, direction, describes, rest, raw }, or null.
+     */
+    detectChildCommand(text, moduleType) {
+        const entry = this.schemaIndex[moduleType];
+        if (!entry || !entry.childType) {
+            return null;
+        }
+
+        const tokens = this.tokenize(this.normalize(text));
+        let noun = null;
+        for (let at = 0; at < tokens.length && !noun; at++) {
+            const length = this.matchChildName(tokens.slice(at), entry.childType);
+            if (length > 0) noun = { at, length };
+        }
+        if (!noun) {
+            return null;
+        }
+
+        // The item number comes before the noun ("the second slide") or after it ("slide 2").
+        const before = tokens[noun.at - 1];
+        const after = tokens[noun.at + noun.length];
+        let index = null;
+        if (before && ordinal(before) !== null) {
+            index = ordinal(before);
+        } else if (after && /^\d+$/.test(after)) {
+            index = Number(after) - 1;
+        }
+
+        const verb = tokens[0];
+        const command = {
+            action: 'edit',
+            childType: entry.childType,
+            index,
+            direction: null,
+            describes: false,
+            rest: text,
+            raw: text,
+        };
+
+        if (['list', 'show', 'what', 'which', 'how'].includes(verb)) {
+            command.action = 'list';
+            return index === null ? command : null;
+        }
+        if (['add', 'insert', 'create', 'new'].includes(verb)) {
+            // Words after the noun other than a position describe the new item.
+            const filler = ['the', 'a', 'end', 'top', 'bottom', 'start', 'beginning', 'position', 'one'];
+            command.action = 'insert';
+            command.describes = tokens.slice(noun.at + noun.length).some((token) => !this.positionWords.includes(token)
+                && !filler.includes(token) && ordinal(token) === null && !/^\d+$/.test(token));
+            return command;
+        }
+        if (['delete', 'remove'].includes(verb)) {
+            command.action = 'remove';
+            return command;
+        }
+        if (verb === 'move') {
+            const direction = tokens.slice(noun.at + noun.length).map((token) => ({
+                top: 'top', first: 'top', beginning: 'top', start: 'top',
+                bottom: 'bottom', last: 'bottom', end: 'bottom',
+                up: 'up', higher: 'up', earlier: 'up',
+                down: 'down', lower: 'down', later: 'down',
+            }[token])).find(Boolean);
+            if (!direction) {
+                return null;
+            }
+            command.action = 'move';
+            command.direction = direction;
+            return command;
+        }
+
+        // An edit must name one item; "make the slides red" is about the parent.
+        if (index === null) {
+            return null;
+        }
+        const numberAfter = ordinal(before || '') === null;
+        const words = tokens.slice(numberAfter ? noun.at : noun.at - 1, noun.at + noun.length + (numberAfter ? 1 : 0));
+        const reference = new RegExp(`\\b(?:the\\s+)?${words.join('\\W+')}(?:'s|s')?\\b`, 'i');
+        command.rest = text.replace(reference, ' ').replace(/\s+/g, ' ').trim();
+        return command;
+    }
+
+    /**
+     * Count the tokens at the start of a list that name a child item: the
+     * child type's label or an alias, or a generic word like "item".
+     *
+     * @param {string[]} tokens
+     * @param {string}   childType
+     * @returns {number} Tokens matched; 0 if none.
+     */
+    matchChildName(tokens, childType) {
+        const match = this.matchModuleName(tokens, [childType]);
+        if (match) {
+            return match.length;
+        }
+        return this.childNouns.includes(tokens[0]) ? 1 : 0;
+    }
+
+    /**
+     * Whether the input asks for new page content rather than a change to
+     * existing modules: a layout noun with a description ("hero section
+     * with ...") or after a creating verb ("add a three column row").
+     *
+     * A noun that points at existing content ("this section", "the row")
+     * is never a layout request.
+     *
+     * @param {string} text - Raw input.
+     * @returns {boolean}
+     */
+    isLayoutRequest(text) {
+        const tokens = this.tokenize(this.normalize(text));
+        const at = tokens.findIndex((token) => this.layoutNouns.includes(token));
+        if (at === -1) {
+            return false;
+        }
+
+        const before = tokens.slice(Math.max(0, at - 3), at);
+        if (before.some((token) => ['this', 'the', 'that', 'current', 'selected', 'its', 'my', 'same'].includes(token))) {
+            return false;
+        }
+
+        return this.layoutVerbs.includes(tokens[0]) || tokens.slice(at + 1).includes('with');
+    }
+
     /**
      * Score all fields in a module against the user's tokens.
      *
-     * Scoring:
-     * - Label word overlap: 20 per matching word.
-     * - Field name overlap: 15 per matching token.
-     * - Option value match: 30 if a token matches an option key or value.
-     * - Toggle label overlap: 10 per matching word.
+     * Each token is compared with four sources of words; the best match tier
+     * per source counts once (weights in this.scoreWeights):
+     * - Label words:       20 exact / 18 stem / 12 fuzzy.
+     * - Field name parts:  15 exact / 13 stem /  9 fuzzy.
+     * - Option keys/labels: 30 exact / 25 stem / 18 fuzzy.
+     * - Toggle label words: 10 exact /  9 stem /  6 fuzzy.
+     *
+     * "Stem" tolerates plurals and verb endings ("paddings"), "fuzzy" tolerates
+     * small typos ("backgroud", "aligment"). A token that matches at least
+     * half of the module's fields counts half.
      *
      * @param {string[]} tokens - Tokenized input.
      * @param {Object} moduleEntry - Schema index entry.
      * @returns {Array} Sorted array of { fieldName, label, score, ... }.
      */
     scoreFields(tokens, moduleEntry) {
-        const results = [];
+        const weights = this.scoreWeights;
 
-        for (const field of moduleEntry.fields) {
-            let score = 0;
+        // First pass: per-token contribution for every field.
+        const perField = moduleEntry.fields.map((field) => {
             const labelWords = field.label.toLowerCase().split(/\s+/);
             const fieldNameParts = field.fieldName.toLowerCase().split('_');
+            const toggleWords = field.toggleLabel.toLowerCase().split(/\s+/);
+            const optionWords = [];
 
-            // Label word overlap.
-            for (const token of tokens) {
-                if (labelWords.includes(token)) {
-                    score += 20;
+            if (field.options) {
+                for (const [key, val] of Object.entries(field.options)) {
+                    optionWords.push(key.toLowerCase(), String(val).toLowerCase());
                 }
             }
 
-            // Field name overlap.
-            for (const token of tokens) {
-                if (fieldNameParts.includes(token)) {
-                    score += 15;
-                }
-            }
+            return tokens.map((token) => {
+                let points = 0;
 
-            // Option value match.
-            if (field.options) {
-                for (const token of tokens) {
-                    for (const [key, val] of Object.entries(field.options)) {
-                        if (key.toLowerCase() === token || val.toLowerCase() === token) {
-                            score += 30;
-                        }
-                    }
-                }
-            }
+                const labelTier = bestMatch(token, labelWords);
+                if (labelTier) points += weights.label[labelTier];
 
-            // Toggle label overlap.
-            const toggleWords = field.toggleLabel.toLowerCase().split(/\s+/);
-            for (const token of tokens) {
-                if (toggleWords.includes(token)) {
-                    score += 10;
-                }
-            }
+                const nameTier = bestMatch(token, fieldNameParts);
+                if (nameTier) points += weights.fieldName[nameTier];
+
+                const optionTier = optionWords.length ? bestMatch(token, optionWords) : null;
+                if (optionTier) points += weights.option[optionTier];
 
-            results.push({
-                ...field,
-                score,
+                const toggleTier = bestMatch(token, toggleWords);
+                if (toggleTier) points += weights.toggle[toggleTier];
+
+                return points;
             });
-        }
+        });
+
+        // Tokens that hit at least half of the module's fields (usually the
+        // module's own name — "divider" in a Divider) say little about which
+        // field is meant.
+        const fieldCount = moduleEntry.fields.length;
+        const damping = tokens.map((token, i) => {
+            const hits = perField.filter((points) => points[i] > 0).length;
+            return fieldCount >= 4 && hits >= fieldCount / 2 ? 0.5 : 1;
+        });
+
+        const results = moduleEntry.fields.map((field, f) => ({
+            ...field,
+            score: perField[f].reduce((sum, points, i) => sum + points * damping[i], 0),
+        }));
 
         // Sort by score descending.
         results.sort((a, b) => b.score - a.score);
         return results;
     }
 }
+
+/**
+ * Reduce a plural noun to its singular ("blurbs", "boxes", "galleries").
+ *
+ * @param {string} word - Lowercase word.
+ * @returns {string}
+ */
+function singular(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+/** Number words accepted as counts in structural commands. */
+const COUNT_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+/**
+ * Read a count from a token ("3", "three").
+ *
+ * @param {string} token
+ * @returns {number|null} 1–10, or null.
+ */
+function countWord(token) {
+    const count = /^\d+$/.test(token) ? Number(token) : COUNT_WORDS[token];
+    return count >= 1 && count <= 10 ? count : null;
+}
+
+/** Ordinal words, zero-based. */
+const ORDINALS = {
+    first: 0, second: 1, third: 2, fourth: 3, fifth: 4, sixth: 5, seventh: 6, eighth: 7, ninth: 8, tenth: 9,
+    last: -1, final: -1,
+};
+
+/**
+ * Zero-based position named by an ordinal ("second", "3rd", "last" = -1).
+ *
+ * @param {string} token
+ * @returns {number|null}
+ */
+function ordinal(token) {
+    if (Object.prototype.hasOwnProperty.call(ORDINALS, token)) {
+        return ORDINALS[token];
+    }
+    const match = /^(\d+)(?:st|nd|rd|th)$/.exec(token);
+    return match && Number(match[1]) > 0 ? Number(match[1]) - 1 : null;
+}
@@ -0,0 +1,101 @@
+/**
+ * Relative Resolver — Works out new values for relative edits.
+ *
+ * Handles "bigger", "increase by 10px", "20% smaller", "a bit darker",
+ * "more saturated" against the field's current value. Lengths keep their
+ * unit; colors are adjusted in HSL space.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { parseColor, formatColor, rgbToHsl, hslToRgb } from './ColorUtils';
+
+/** Proportional step for unsized length changes, by magnitude. */
+export const SIZE_STEPS = { small: 0.1, normal: 0.2, large: 0.5 };
+
+/** HSL percentage-point step for unsized color changes, by magnitude. */
+export const COLOR_STEPS = { small: 5, normal: 10, large: 20 };
+
+/**
+ * Resolve a relative adjustment against the current field value.
+ *
+ * @param {Object} relative     - { kind: 'size'|'lightness'|'saturation', direction: 1|-1, amount, unit, magnitude }.
+ * @param {string} currentValue - The field's current (or default) value.
+ * @returns {string|null} New stored value, or null if the adjustment doesn't apply.
+ */
+export function resolveRelativeValue(relative, currentValue) {
+    if (!relative || currentValue === null || currentValue === undefined || currentValue === '') {
+        return null;
+    }
+
+    if (relative.kind === 'size') {
+        return adjustLength(String(currentValue), relative);
+    }
+
+    if (relative.kind === 'lightness' || relative.kind === 'saturation') {
+        return adjustColor(String(currentValue), relative);
+    }
+
+    return null;
+}
+
+/**
+ * Adjust a CSS length ("24px", "1.5em", "50%") or bare number.
+ *
+ * @param {string} current  - Current value.
+ * @param {Object} relative - Relative descriptor.
+ * @returns {string|null}
+ */
+function adjustLength(current, relative) {
+    const match = current.trim().match(/^(-?\d*\.?\d+)([a-z%]*)$/i);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+    let next;
+
+    if (relative.amount === null || relative.amount === undefined) {
+        const step = SIZE_STEPS[relative.magnitude] || SIZE_STEPS.normal;
+        next = number * (1 + relative.direction * step);
+    } else if (relative.unit === '%' && unit !== '%') {
+        // "20% bigger" scales the current value.
+        next = number * (1 + relative.direction * relative.amount / 100);
+    } else if (!relative.unit || relative.unit === unit) {
+        next = number + relative.direction * relative.amount;
+    } else {
+        // Mixed units ("increase 2em by 10px") can't be resolved locally.
+        return null;
+    }
+
+    if (number >= 0 && next < 0) {
+        next = 0;
+    }
+
+    const rounded = unit === 'px' || unit === '' ? Math.round(next) : Math.round(next * 100) / 100;
+    return `${rounded}${unit}`;
+}
+
+/**
+ * Adjust the lightness or saturation of a color.
+ *
+ * @param {string} current  - Current color value.
+ * @param {Object} relative - Relative descriptor.
+ * @returns {string|null}
+ */
+function adjustColor(current, relative) {
+    const color = parseColor(current);
+    if (!color) return null;
+
+    const step = relative.amount !== null && relative.amount !== undefined
+        ? relative.amount
+        : (COLOR_STEPS[relative.magnitude] || COLOR_STEPS.normal);
+
+    const hsl = rgbToHsl(color);
+    if (relative.kind === 'lightness') {
+        hsl.l = Math.min(100, Math.max(0, hsl.l + relative.direction * step));
+    } else {
+        hsl.s = Math.min(100, Math.max(0, hsl.s + relative.direction * step));
+    }
+
+    return formatColor(hslToRgb(hsl));
+}
@@ -0,0 +1,309 @@
+/**
+ * Value Parser — Turns free-text values into valid stored field values.
+ *
+ * Knows each schema field type (color, select, yes_no, text with units,
+ * upload) and normalizes what the user typed into the format Divi stores:
+ * option labels become option keys, named colors become hex, units are kept.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { NAMED_COLORS, COLOR_MODIFIERS, parseColor, formatColor, rgbToHsl, hslToRgb } from './ColorUtils';
+
+/** Field name fragments that indicate a CSS length/size value. */
+const UNIT_FIELD_PATTERN = /(width|height|size|weight|spacing|radius|padding|margin|offset|gap|indent)/;
+
+/** Spelled-out unit names mapped to CSS units. */
+const UNIT_ALIASES = {
+    px: 'px',
+    pixel: 'px',
+    pixels: 'px',
+    em: 'em',
+    ems: 'em',
+    rem: 'rem',
+    rems: 'rem',
+    '%': '%',
+    percent: '%',
+    vh: 'vh',
+    vw: 'vw',
+    pt: 'pt',
+    points: 'pt',
+    ms: 'ms',
+    s: 's',
+    seconds: 's',
+    deg: 'deg',
+    degrees: 'deg',
+};
+
+/** Words that map to yes_no values. */
+const YES_NO_WORDS = {
+    yes: 'on',
+    on: 'on',
+    true: 'on',
+    enable: 'on',
+    enabled: 'on',
+    show: 'on',
+    shown: 'on',
+    visible: 'on',
+    no: 'off',
+    off: 'off',
+    false: 'off',
+    disable: 'off',
+    disabled: 'off',
+    hide: 'off',
+    hidden: 'off',
+};
+
+/** Common spelling variants of select option labels. */
+const OPTION_SYNONYMS = {
+    centre: 'center',
+    centered: 'center',
+    middle: 'center',
+    justify: 'justified',
+};
+
+export class ValueParser {
+    /**
+     * Parse a value phrase for a field into its stored form.
+     *
+     * @param {string} phrase - What the user typed as the value (e.g. "Justified", "dark blue").
+     * @param {Object} field  - Field from the schema index ({ fieldName, type, options, ... }).
+     * @returns {string|null} Stored value, or null if the phrase is not valid for the field.
+     */
+    parse(phrase, field) {
+        if (phrase === null || phrase === undefined) return null;
+        const text = this.stripQuotes(String(phrase).trim());
+        if (!text) return null;
+
+        switch (field.type) {
+            case 'color':
+                return this.parseColorValue(text);
+            case 'select':
+                return this.parseSelect(text, field.options);
+            case 'yes_no':
+                return this.parseYesNo(text);
+            case 'upload':
+                return this.parseUpload(text);
+            case 'tiny_mce':
+            case 'textarea':
+            case 'codemirror':
+                return text;
+            default:
+                return this.isUnitField(field) ? this.parseUnit(text) : text;
+        }
+    }
+
+    /**
+     * Find a value for a field anywhere in a full instruction when no explicit
+     * "to <value>" phrase was given (e.g. "make the button text red").
+     *
+     * @param {string} text  - Full user input.
+     * @param {Object} field - Field from the schema index.
+     * @returns {string|null} Stored value, or null.
+     */
+    extract(text, field) {
+        const lower = String(text).toLowerCase();
+
+        switch (field.type) {
+            case 'select':
+                return this.findOption(lower, field.options);
+            case 'color':
+                return this.findColor(lower);
+            case 'text':
+                if (this.isUnitField(field)) {
+                    const match = lower.match(/(-?\d*\.?\d+)\s*(px|pixels?|em|ems|rem|rems|%|percent|vh|vw|pt)\b/);
+                    return match ? this.parseUnit(match[0]) : null;
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse a color phrase: hex, rgb()/rgba(), named colors and "dark"/"light" modifiers.
+     *
+     * @param {string} text - Color phrase.
+     * @returns {string|null} Hex or rgba() string.
+     */
+    parseColorValue(text) {
+        const lower = text.toLowerCase().replace(/\s*\(\s*/g, '(').replace(/\s*\)/g, ')');
+
+        if (lower === 'transparent') return 'transparent';
+
+        const direct = parseColor(lower);
+        if (direct) return formatColor(direct);
+
+        // "dark blue", "light gray" — modifier + named color.
+        const words = lower.split(/\s+/);
+        if (words.length === 2 && COLOR_MODIFIERS[words[0]] !== undefined && NAMED_COLORS[words[1]]) {
+            const hsl = rgbToHsl(parseColor(NAMED_COLORS[words[1]]));
+            hsl.l += COLOR_MODIFIERS[words[0]];
+            return formatColor(hslToRgb(hsl));
+        }
+
+        // "sky blue" → "skyblue".
+        const joined = words.join('');
+        if (NAMED_COLORS[joined]) return NAMED_COLORS[joined];
+
+        return null;
+    }
+
+    /**
+     * Find the first color mentioned anywhere in the text.
+     *
+     * @param {string} lower - Lowercased input.
+     * @returns {string|null}
+     */
+    findColor(lower) {
+        const functional = lower.match(/rgba?\([^)]*\)/);
+        if (functional) return this.parseColorValue(functional[0]);
+
+        const hex = lower.match(/#[0-9a-f]{3,8}\b/);
+        if (hex) {
+            const parsed = this.parseColorValue(hex[0]);
+            if (parsed) return parsed;
+        }
+
+        const words = lower.replace(/[^\w\s]/g, ' ').split(/\s+/).filter(Boolean);
+        for (let i = 0; i < words.length; i++) {
+            if (!NAMED_COLORS[words[i]]) continue;
+            if (i > 0 && COLOR_MODIFIERS[words[i - 1]] !== undefined) {
+                return this.parseColorValue(`${words[i - 1]} ${words[i]}`);
+            }
+            return NAMED_COLORS[words[i]];
+        }
+
+        return null;
+    }
+
+    /**
+     * Map an option key or label back to its key.
+     *
+     * @param {string} text    - Option phrase (e.g. "Justified", "h1", "centre").
+     * @param {Object} options - Schema options { key: label }.
+     * @returns {string|null} Option key.
+     */
+    parseSelect(text, options) {
+        if (!options) return null;
+        const lower = text.toLowerCase();
+        const wanted = OPTION_SYNONYMS[lower] || lower;
+        const compact = wanted.replace(/[\s_-]+/g, '');
+
+        for (const [key, label] of Object.entries(options)) {
+            if (key.toLowerCase() === wanted || String(label).toLowerCase() === wanted) {
+                return key;
+            }
+        }
+
+        for (const [key, label] of Object.entries(options)) {
+            if (
+                key.toLowerCase().replace(/[\s_-]+/g, '') === compact ||
+                String(label).toLowerCase().replace(/[\s_-]+/g, '') === compact
+            ) {
+                return key;
+            }
+        }
+
+        // Unambiguous prefix ("justif" → justified).
+        if (compact.length >= 4) {
+            const prefixed = Object.entries(options).filter(([key, label]) =>
+                key.toLowerCase().startsWith(compact) || String(label).toLowerCase().startsWith(compact)
+            );
+            if (prefixed.length === 1) return prefixed[0][0];
+        }
+
+        return null;
+    }
+
+    /**
+     * Find an option key or label mentioned anywhere in the text.
+     *
+     * Longer labels are tried first so "Top Left" wins over "Left".
+     *
+     * @param {string} lower   - Lowercased input.
+     * @param {Object} options - Schema options { key: label }.
+     * @returns {string|null} Option key.
+     */
+    findOption(lower, options) {
+        if (!options) return null;
+        const words = lower.replace(/[^\w\s]/g, ' ').split(/\s+/).filter(Boolean);
+        const padded = ` ${words.map((w) => OPTION_SYNONYMS[w] || w).join(' ')} `;
+
+        const candidates = [];
+        for (const [key, label] of Object.entries(options)) {
+            candidates.push([key, key.toLowerCase().replace(/_/g, ' ')]);
+            candidates.push([key, String(label).toLowerCase()]);
+        }
+        candidates.sort((a, b) => b[1].length - a[1].length);
+
+        for (const [key, phrase] of candidates) {
+            if (phrase && padded.includes(` ${phrase} `)) {
+                return key;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse a yes/no phrase.
+     *
+     * @param {string} text
+     * @returns {string|null} 'on' | 'off' | null.
+     */
+    parseYesNo(text) {
+        return YES_NO_WORDS[text.toLowerCase()] || null;
+    }
+
+    /**
+     * Parse an upload value (image/media URL).
+     *
+     * @param {string} text
+     * @returns {string|null}
+     */
+    parseUpload(text) {
+        if (/^https?:\/\/\S+$/i.test(text)) return text;
+        if (/^\/?[\w\-./]+\.(jpe?g|png|gif|webp|svg|avif|mp4|webm|mp3)$/i.test(text)) return text;
+        return null;
+    }
+
+    /**
+     * Parse a number with an optional unit, keeping the unit intact.
+     *
+     * "24px" → "24px", "1.5 em" → "1.5em", "24 pixels" → "24px", "24" → "24px".
+     *
+     * @param {string} text
+     * @returns {string|null}
+     */
+    parseUnit(text) {
+        const match = text.toLowerCase().match(/^(-?\d*\.?\d+)\s*([a-z%]*)$/);
+        if (!match) return null;
+
+        const number = match[1].startsWith('.') ? `0${match[1]}` : match[1].replace(/^-\./, '-0.');
+        if (!match[2]) return `${number}px`;
+
+        const unit = UNIT_ALIASES[match[2]];
+        return unit ? `${number}${unit}` : null;
+    }
+
+    /**
+     * Whether a text field holds a CSS length.
+     *
+     * @param {Object} field - Schema field, or a compound field part with `unit`.
+     * @returns {boolean}
+     */
+    isUnitField(field) {
+        return field.unit === true || UNIT_FIELD_PATTERN.test(field.fieldName || '');
+    }
+
+    /**
+     * Strip surrounding quotes from a phrase.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    stripQuotes(text) {
+        const match = text.match(/^(["'“‘])(.*)(["'”’])$/);
+        return match ? match[2] : text;
+    }
+}
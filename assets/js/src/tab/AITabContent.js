@@ -7,14 +7,32 @@
  */
 
 import { MessageList } from '../chat/MessageList';
+import { SnapshotHistory } from './SnapshotHistory';
+
+/** Maximum number of messages kept in a stored transcript. */
+const MAX_STORED_MESSAGES = 50;
 
 export class AITabContent {
     /**
-     * @param {Object}   options
-     * @param {Function} options.onSend - Callback when user sends a message.
+     * @param {Object}           options
+     * @param {Function}         options.onSend   - Callback when user sends a message.
+     * @param {ChatHistoryStore} [options.store]  - Transcript store for restoring the chat.
+     * @param {Function}         [options.onUndo] - Async (snapshotId) undo for the current module, used by restored Undo buttons.
+     * @param {Object}           [options.history]               - Snapshot history callbacks; enables the History view.
+     * @param {Function}         options.history.load            - Async () => { snapshots, redo, current, moduleType }.
+     * @param {Function}         options.history.restore         - Async (snapshot) => void.
+     * @param {Function}         options.history.redo            - Async () => void.
+     * @param {Function}         [options.history.describeField] - (moduleType, fieldName) => { label, type } or null.
      */
     constructor(options = {}) {
         this.onSend = options.onSend || (() => {});
+        this.store = options.store || null;
+        this.onUndo = options.onUndo || null;
+        this.history = options.history || null;
+        this.historyView = null;
+        this.historyEl = null;
+        this.historyBtn = null;
+        this.moduleId = null;
         this.el = null;
         this.messageList = null;
         this.inputEl = null;
@@ -25,10 +43,13 @@ export class AITabContent {
     /**
      * Render the chat UI into the given container element.
      *
-     * @param {HTMLElement} container - The .da-ai-tab-content div from ModalTabInjector.
+     * Restores the module's stored transcript when there is one.
+     *
+     * @param {HTMLElement} container    - The .da-ai-tab-content div from ModalTabInjector.
+     * @param {Object}      [moduleInfo] - { moduleId, moduleType, moduleData }.
      * @returns {HTMLElement} The container element.
      */
-    render(container) {
+    render(container, moduleInfo = null) {
         this.el = container;
         this.el.innerHTML = this._template();
 
@@ -37,6 +58,24 @@ export class AITabContent {
         this.messagesEl = this.el.querySelector('.da-tab-messages');
         this.inputEl = this.el.querySelector('.da-tab-input');
         this.sendBtn = this.el.querySelector('.da-tab-send-btn');
+        this.historyEl = this.el.querySelector('.da-tab-history');
+        this.historyBtn = this.el.querySelector('.da-tab-history-btn');
+
+        if (this.history) {
+            this.historyView = new SnapshotHistory({
+                describeField: this.history.describeField,
+                onRestore: async (snapshot) => {
+                    await this.history.restore(snapshot);
+                    await this.showHistory();
+                },
+                onRedo: async () => {
+                    await this.history.redo();
+                    await this.showHistory();
+                },
+            });
+        } else {
+            this.historyBtn.hidden = true;
+        }
 
         // Initialize message list.
         this.messageList = new MessageList(this.messagesEl);
@@ -44,11 +83,17 @@ export class AITabContent {
         // Bind events.
         this._bindEvents();
 
+        if (moduleInfo) {
+            this.moduleId = moduleInfo.moduleId;
+        }
+
         // Welcome message.
-        this.messageList.addMessage(
-            'Hi! Tell me what you\'d like to change on this module.',
-            'assistant'
-        );
+        if (!this.restore()) {
+            this.messageList.addMessage(
+                'Hi! Tell me what you\'d like to change on this module.',
+                'assistant'
+            );
+        }
 
         return this.el;
     }
@@ -62,7 +107,9 @@ export class AITabContent {
         return `
             <div class="da-tab-header">
                 <span class="da-tab-module-info"></span>
+                <button class="da-tab-history-btn" type="button">History</button>
             </div>
+            <div class="da-tab-history" hidden></div>
             <div class="da-tab-messages"></div>
             <div class="da-tab-input-area">
                 <textarea class="da-tab-input" placeholder="Describe what you'd like to change..." rows="2"></textarea>
@@ -77,6 +124,14 @@ export class AITabContent {
     _bindEvents() {
         this.sendBtn.addEventListener('click', () => this._handleSend());
 
+        this.historyBtn.addEventListener('click', () => {
+            if (this.isHistoryOpen()) {
+                this.hideHistory();
+            } else {
+                this.showHistory();
+            }
+        });
+
         this.inputEl.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
@@ -134,14 +189,40 @@ export class AITabContent {
     /**
      * Append an undo button to a message element.
      *
+     * The kind says what the callback takes back: 'snapshot' rolls the
+     * module back to the snapshot saved before the change, 'batch' does that
+     * for several modules, and 'structure', 'child' and 'layout' reverse
+     * edits to the page tree. It is kept on the button with the snapshot ID,
+     * so a restored transcript knows which buttons can still work.
+     *
      * @param {HTMLElement} msgEl  - The message element to append to.
      * @param {Function}    onUndo - Async callback when undo is clicked.
+     * @param {Object}      [options]
+     * @param {string}      [options.kind='snapshot'] - What the undo reverses.
+     * @param {string}      [options.snapshotId]      - Snapshot saved before a 'snapshot' change.
      */
-    appendUndoButton(msgEl, onUndo) {
+    appendUndoButton(msgEl, onUndo, { kind = 'snapshot', snapshotId = '' } = {}) {
         const btn = document.createElement('button');
         btn.className = 'da-undo-btn';
         btn.textContent = 'Undo';
+        btn.dataset.undoKind = kind;
+        if (snapshotId) {
+            btn.dataset.snapshotId = snapshotId;
+        }
+
+        this._bindUndoButton(btn, onUndo);
 
+        msgEl.appendChild(btn);
+        this.messageList.scrollToBottom();
+    }
+
+    /**
+     * Wire an undo button to its callback.
+     *
+     * @param {HTMLButtonElement} btn
+     * @param {Function}          onUndo - Async callback when undo is clicked.
+     */
+    _bindUndoButton(btn, onUndo) {
         btn.addEventListener('click', async () => {
             btn.disabled = true;
             btn.textContent = 'Undoing...';
@@ -153,9 +234,187 @@ export class AITabContent {
                 btn.disabled = false;
             }
         });
+    }
+
+    /**
+     * Append a Stop button to a status message for a request in progress.
+     *
+     * The message text is wrapped in a `.da-msg-content` span first, so the
+     * status can be updated in place without dropping the button.
+     *
+     * @param {HTMLElement} msgEl  - The status message element.
+     * @param {Function}    onStop - Callback when Stop is clicked.
+     * @returns {HTMLButtonElement} The button; remove it when the request ends.
+     */
+    appendStopButton(msgEl, onStop) {
+        if (!msgEl.querySelector('.da-msg-content')) {
+            const content = document.createElement('span');
+            content.className = 'da-msg-content';
+            content.innerHTML = msgEl.innerHTML;
+            msgEl.innerHTML = '';
+            msgEl.appendChild(content);
+        }
+
+        const btn = document.createElement('button');
+        btn.className = 'da-stop-btn';
+        btn.textContent = 'Stop';
+        btn.addEventListener('click', () => {
+            btn.disabled = true;
+            onStop();
+        });
 
         msgEl.appendChild(btn);
         this.messageList.scrollToBottom();
+        return btn;
+    }
+
+    /**
+     * Append the way out of a failed request to its message: a link to the
+     * plugin settings, a Retry button (usable once), or a Rephrase button
+     * that puts the request back in the input.
+     *
+     * @param {HTMLElement} msgEl                 - The error message element.
+     * @param {string|null} recovery              - 'settings', 'retry' or 'rephrase'; null adds nothing.
+     * @param {Object}      handlers
+     * @param {string}      [handlers.settingsUrl] - Plugin settings page.
+     * @param {Function}    [handlers.onRetry]     - Runs the request again.
+     * @param {string}      [handlers.text]        - The request, for rephrasing.
+     * @returns {HTMLElement|null} The link or button added.
+     */
+    appendRecovery(msgEl, recovery, { settingsUrl = '', onRetry = null, text = '' } = {}) {
+        let el = null;
+
+        if (recovery === 'settings' && settingsUrl) {
+            el = document.createElement('a');
+            el.href = settingsUrl;
+            el.target = '_blank';
+            el.rel = 'noopener';
+            el.textContent = 'Open Settings';
+        } else if (recovery === 'retry' && onRetry) {
+            el = document.createElement('button');
+            el.textContent = 'Retry';
+            el.addEventListener('click', () => {
+                el.disabled = true;
+                onRetry();
+            });
+        } else if (recovery === 'rephrase') {
+            el = document.createElement('button');
+            el.textContent = 'Rephrase';
+            el.addEventListener('click', () => {
+                this.inputEl.value = text;
+                this.inputEl.dispatchEvent(new Event('input'));
+                this.inputEl.focus();
+            });
+        }
+
+        if (!el) {
+            return null;
+        }
+
+        el.className = `da-recovery-btn da-recovery-${recovery}`;
+        msgEl.appendChild(el);
+        this.messageList.scrollToBottom();
+        return el;
+    }
+
+    /**
+     * Append clickable choice chips to a message element.
+     *
+     * Picking a chip disables the whole group so a question is answered once.
+     *
+     * @param {HTMLElement} msgEl   - The message element to append to.
+     * @param {Array}       choices - [{ fieldName, label, detail }].
+     * @param {Function}    onPick  - Callback with the picked choice.
+     */
+    appendChoices(msgEl, choices, onPick) {
+        const group = document.createElement('div');
+        group.className = 'da-choice-chips';
+
+        choices.forEach((choice) => {
+            const chip = document.createElement('button');
+            chip.className = 'da-choice-chip';
+            chip.dataset.field = choice.fieldName;
+
+            const label = document.createElement('span');
+            label.className = 'da-choice-label';
+            label.textContent = choice.label;
+            chip.appendChild(label);
+
+            if (choice.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'da-choice-detail';
+                detail.textContent = choice.detail;
+                chip.appendChild(detail);
+            }
+
+            chip.addEventListener('click', () => {
+                group.querySelectorAll('.da-choice-chip').forEach((btn) => {
+                    btn.disabled = true;
+                });
+                chip.classList.add('da-choice-chip-picked');
+                onPick(choice);
+            });
+
+            group.appendChild(chip);
+        });
+
+        msgEl.appendChild(group);
+        this.messageList.scrollToBottom();
+    }
+
+    /**
+     * Whether the History view is showing.
+     *
+     * @returns {boolean}
+     */
+    isHistoryOpen() {
+        return Boolean(this.historyEl && !this.historyEl.hidden);
+    }
+
+    /**
+     * Show (or refresh) the History view in place of the messages.
+     *
+     * @returns {Promise<void>}
+     */
+    async showHistory() {
+        if (!this.historyView || !this.historyEl) return;
+
+        this.historyEl.hidden = false;
+        this.messagesEl.hidden = true;
+        this.historyBtn.textContent = 'Back to chat';
+        if (!this.historyEl.firstChild) {
+            this.historyEl.textContent = 'Loading history...';
+        }
+
+        const moduleId = this.moduleId;
+        let list;
+        try {
+            list = this.historyView.render(await this.history.load());
+        } catch (e) {
+            console.warn('[Divi Anchor AI] Could not load snapshot history:', e);
+            list = document.createElement('div');
+            list.className = 'da-history-error';
+            list.textContent = `Could not load history: ${(e && e.message) || 'unknown error'}`;
+        }
+
+        // The module may have changed or the view closed while loading.
+        if (moduleId !== this.moduleId || !this.isHistoryOpen()) return;
+
+        this.historyEl.innerHTML = '';
+        this.historyEl.appendChild(list);
+    }
+
+    /**
+     * Hide the History view and return to the chat.
+     */
+    hideHistory() {
+        if (!this.historyEl) return;
+
+        this.historyEl.hidden = true;
+        this.historyEl.innerHTML = '';
+        this.messagesEl.hidden = false;
+        this.historyBtn.textContent = 'History';
+        this.messageList.scrollToBottom();
     }
 
     /**
@@ -166,12 +425,87 @@ export class AITabContent {
     setModuleContext(context) {
         if (!this.headerEl) return;
         const infoEl = this.headerEl.querySelector('.da-tab-module-info');
+        if (context) {
+            if (context.moduleId !== this.moduleId) {
+                this.hideHistory();
+            }
+            this.moduleId = context.moduleId;
+        }
         if (infoEl && context) {
             const label = this._formatModuleType(context.moduleType);
             infoEl.textContent = label ? `${label} (${context.moduleType})` : '';
         }
     }
 
+    /**
+     * Store the current transcript for the current module.
+     */
+    save() {
+        if (!this.store || !this.moduleId || !this.messagesEl) return;
+
+        const copy = this.messagesEl.cloneNode(true);
+        copy.querySelectorAll('.da-typing-indicator').forEach((el) => el.remove());
+
+        const messages = Array.from(copy.children);
+        messages.slice(0, Math.max(0, messages.length - MAX_STORED_MESSAGES)).forEach((el) => el.remove());
+
+        this.store.save(this.moduleId, copy.innerHTML);
+    }
+
+    /**
+     * Restore the current module's stored transcript.
+     *
+     * Buttons in restored messages lose their handlers: pending Apply/Cancel
+     * actions, inline editors, choice chips and Retry/Rephrase buttons are
+     * disabled since the request is stale; the settings link still works.
+     * Only the newest snapshot Undo is rewired to the module-level undo;
+     * the others can't be replayed from the transcript and are disabled.
+     *
+     * @returns {boolean} True if a transcript was restored.
+     */
+    restore() {
+        const html = this.store ? this.store.get(this.moduleId) : null;
+        if (!html || !this.messagesEl) {
+            return false;
+        }
+
+        this.messagesEl.innerHTML = html;
+
+        const expired = [
+            '.da-changeset-actions button',
+            '.da-choice-chip',
+            'button.da-recovery-btn',
+            '.da-changeset-preview input',
+            '.da-changeset-preview select',
+        ].join(', ');
+        this.messagesEl.querySelectorAll(expired).forEach((control) => {
+            control.disabled = true;
+            control.title = 'This request expired. Send it again to get a fresh proposal.';
+        });
+
+        const pending = Array.from(this.messagesEl.querySelectorAll('.da-undo-btn'))
+            .filter((btn) => btn.textContent !== 'Undone');
+        const snapshotUndos = pending.filter((btn) => btn.dataset.undoKind === 'snapshot');
+        const latest = this.onUndo ? snapshotUndos[snapshotUndos.length - 1] : null;
+
+        this.messagesEl.querySelectorAll('.da-undo-btn').forEach((btn) => {
+            btn.disabled = true;
+            if (pending.includes(btn) && btn !== latest) {
+                btn.textContent = 'Undo';
+                btn.title = 'This change can no longer be undone here. Use History to restore an earlier state.';
+            }
+        });
+
+        if (latest) {
+            latest.textContent = 'Undo';
+            latest.disabled = false;
+            this._bindUndoButton(latest, () => this.onUndo(latest.dataset.snapshotId || ''));
+        }
+
+        this.messageList.scrollToBottom();
+        return true;
+    }
+
     /**
      * Clear all messages (e.g. on module switch).
      */
@@ -0,0 +1,209 @@
+/**
+ * Snapshot History — Lists a module's snapshots in the AI tab.
+ *
+ * Each snapshot shows its label, age and a diff against the module's
+ * current settings, with a Restore button. The most recently undone
+ * change can be redone from the top of the list.
+ *
+ * @package Divi_Anchor_AI
+ */
+
+import { ChangesetPreview } from '../chat/ChangesetPreview';
+
+/**
+ * Stringify a stored value; missing values compare as empty.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function asText(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+export class SnapshotHistory {
+    /**
+     * @param {Object}   options
+     * @param {Function} options.onRestore       - Async callback with the snapshot to restore.
+     * @param {Function} options.onRedo          - Async callback to redo the last undone change.
+     * @param {Function} [options.describeField] - (moduleType, fieldName) => { label, type } or null.
+     */
+    constructor(options = {}) {
+        this.onRestore = options.onRestore || (async () => {});
+        this.onRedo = options.onRedo || (async () => {});
+        this.describeField = options.describeField || (() => null);
+        this.preview = new ChangesetPreview();
+    }
+
+    /**
+     * Render the history list.
+     *
+     * @param {Object} history
+     * @param {Array}  history.snapshots  - Snapshots, newest first.
+     * @param {Array}  history.redo       - Undone states, newest first.
+     * @param {Object} history.current    - Current module data.
+     * @param {string} history.moduleType - Module type, for field labels.
+     * @returns {HTMLElement}
+     */
+    render({ snapshots = [], redo = [], current = {}, moduleType = '' }) {
+        const el = document.createElement('div');
+        el.className = 'da-history';
+
+        if (redo.length > 0) {
+            el.appendChild(this.renderRedo(redo[0]));
+        }
+
+        if (snapshots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'da-history-empty';
+            empty.textContent = 'No snapshots yet. A snapshot is saved before every change made from this tab.';
+            el.appendChild(empty);
+            return el;
+        }
+
+        snapshots.forEach((snapshot) => {
+            el.appendChild(this.renderItem(snapshot, current, moduleType));
+        });
+
+        return el;
+    }
+
+    /**
+     * Render the redo bar for the most recently undone change.
+     *
+     * @param {Object} snapshot - Undone state.
+     * @returns {HTMLElement}
+     */
+    renderRedo(snapshot) {
+        const bar = document.createElement('div');
+        bar.className = 'da-history-redo';
+
+        const text = document.createElement('span');
+        text.textContent = 'Undid a change' + (snapshot.time_ago ? ` ${snapshot.time_ago} ago` : '') + '.';
+        bar.appendChild(text);
+
+        const btn = document.createElement('button');
+        btn.className = 'da-history-btn da-history-redo-btn';
+        btn.textContent = 'Redo';
+        this.bindAction(btn, 'Redoing...', 'Redo failed', () => this.onRedo());
+        bar.appendChild(btn);
+
+        return bar;
+    }
+
+    /**
+     * Render one snapshot with its diff and Restore button.
+     *
+     * @param {Object} snapshot   - { id, label, time_ago, data }.
+     * @param {Object} current    - Current module data.
+     * @param {string} moduleType
+     * @returns {HTMLElement}
+     */
+    renderItem(snapshot, current, moduleType) {
+        const item = document.createElement('div');
+        item.className = 'da-history-item';
+        item.dataset.snapshotId = snapshot.id;
+
+        const head = document.createElement('div');
+        head.className = 'da-history-head';
+
+        const label = document.createElement('span');
+        label.className = 'da-history-label';
+        label.textContent = snapshot.label || 'Snapshot';
+        head.appendChild(label);
+
+        if (snapshot.time_ago) {
+            const time = document.createElement('span');
+            time.className = 'da-history-time';
+            time.textContent = `${snapshot.time_ago} ago`;
+            head.appendChild(time);
+        }
+
+        const btn = document.createElement('button');
+        btn.className = 'da-history-btn da-history-restore-btn';
+        btn.textContent = 'Restore';
+        head.appendChild(btn);
+        item.appendChild(head);
+
+        const changes = this.diff(snapshot.data, current, moduleType);
+        if (changes.length === 0) {
+            const same = document.createElement('div');
+            same.className = 'da-history-same';
+            same.textContent = 'Same as the current settings.';
+            item.appendChild(same);
+            btn.disabled = true;
+            return item;
+        }
+
+        const details = document.createElement('details');
+        details.className = 'da-history-diff';
+        const summary = document.createElement('summary');
+        summary.textContent = changes.length === 1 ? '1 setting differs' : `${changes.length} settings differ`;
+        details.appendChild(summary);
+        details.appendChild(this.preview.render(changes, 'Restoring would change'));
+        item.appendChild(details);
+
+        this.bindAction(btn, 'Restoring...', 'Restore failed', () => this.onRestore(snapshot));
+
+        return item;
+    }
+
+    /**
+     * Fields a restore would change: current value → snapshot value.
+     *
+     * Only fields stored in the snapshot are compared, since those are the
+     * ones a restore writes. Internal keys (leading underscore) are skipped.
+     *
+     * @param {Object} snapshotData
+     * @param {Object} current
+     * @param {string} moduleType
+     * @returns {Array} [{ field, label, old_value, new_value, type }].
+     */
+    diff(snapshotData, current, moduleType) {
+        const data = snapshotData || {};
+        const now = current || {};
+
+        return Object.keys(data)
+            .filter((field) => !field.startsWith('_'))
+            .filter((field) => asText(data[field]) !== asText(now[field]))
+            .map((field) => {
+                const info = this.describeField(moduleType, field);
+                return {
+                    field,
+                    label: (info && info.label) || field,
+                    old_value: asText(now[field]),
+                    new_value: asText(data[field]),
+                    type: info ? info.type : undefined,
+                };
+            });
+    }
+
+    /**
+     * Wire an action button; every history button is disabled while it runs.
+     *
+     * @param {HTMLButtonElement} btn
+     * @param {string}            busyText
+     * @param {string}            failText
+     * @param {Function}          action   - Async action.
+     */
+    bindAction(btn, busyText, failText, action) {
+        btn.addEventListener('click', async () => {
+            const list = btn.closest('.da-history');
+            const buttons = list ? Array.from(list.querySelectorAll('.da-history-btn')) : [btn];
+            const enabled = buttons.filter((b) => !b.disabled);
+            const text = btn.textContent;
+
+            enabled.forEach((b) => { b.disabled = true; });
+            btn.textContent = busyText;
+            try {
+                await action();
+            } catch (e) {
+                console.warn('[Divi Anchor AI] History action failed:', e);
+                btn.textContent = failText;
+                btn.title = (e && e.message) || '';
+                enabled.forEach((b) => { b.disabled = false; });
+                return;
+            }
+            btn.textContent = text;
+        });
+    }
+}
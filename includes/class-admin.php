@@ -90,9 +90,10 @@ class Divi_Anchor_Admin {
             ? $input['active_provider'] : 'anthropic';
 
         // Feature toggles.
-        $sanitized['feature_analysis']  = ! empty( $input['feature_analysis'] ) ? 'on' : 'off';
-        $sanitized['feature_changes']   = ! empty( $input['feature_changes'] ) ? 'on' : 'off';
-        $sanitized['feature_snapshots'] = ! empty( $input['feature_snapshots'] ) ? 'on' : 'off';
+        $sanitized['feature_analysis']     = ! empty( $input['feature_analysis'] ) ? 'on' : 'off';
+        $sanitized['feature_changes']      = ! empty( $input['feature_changes'] ) ? 'on' : 'off';
+        $sanitized['feature_snapshots']    = ! empty( $input['feature_snapshots'] ) ? 'on' : 'off';
+        $sanitized['feature_chat_history'] = ! empty( $input['feature_chat_history'] ) ? 'on' : 'off';
 
         return $sanitized;
     }
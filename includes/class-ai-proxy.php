@@ -3,7 +3,8 @@
  * Multi-provider AI proxy.
  *
  * Abstracts communication with Anthropic Claude, OpenAI, and Google Gemini.
- * Implements two-stage prompting: intent analysis → changeset generation.
+ * Implements two-stage prompting: intent analysis → changeset generation,
+ * plus single-stage layout generation for new page content.
  *
  * @package Divi_Anchor_AI
  */
@@ -78,16 +79,17 @@ class Divi_Anchor_AI_Proxy {
      * @param string $prompt       User's natural language instruction.
      * @param array  $module_data  Current module data context.
      * @param string $module_type  Module type identifier.
+     * @param array  $history      Recent conversation turns, oldest first.
      * @return array|WP_Error Parsed intent or error.
      */
-    public function analyze_intent( $prompt, $module_data, $module_type ) {
+    public function analyze_intent( $prompt, $module_data, $module_type, $history = array() ) {
         $schema = $this->schema_registry->get( $module_type );
         if ( ! $schema ) {
             return new WP_Error( 'unknown_module', 'Unknown module type: ' . $module_type );
         }
 
         $system_prompt = $this->build_intent_system_prompt( $schema );
-        $user_message  = $this->build_intent_user_message( $prompt, $module_data, $module_type );
+        $user_message  = $this->build_intent_user_message( $prompt, $module_data, $module_type, $history );
 
         $response = $this->send_request( $system_prompt, $user_message );
 
@@ -134,6 +136,30 @@ class Divi_Anchor_AI_Proxy {
         return $parsed;
     }
 
+    /**
+     * Generate a page layout (sections → rows → columns → modules) from a
+     * natural-language description.
+     *
+     * @param string $prompt User's description of the layout.
+     * @return array|WP_Error Layout array ({ sections, summary }) or error.
+     */
+    public function generate_layout( $prompt ) {
+        $system_prompt = $this->build_layout_system_prompt();
+
+        $response = $this->send_request( $system_prompt, "Layout request: {$prompt}" );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $parsed = json_decode( $response, true );
+        if ( ! $parsed || ! isset( $parsed['sections'] ) || ! is_array( $parsed['sections'] ) ) {
+            return new WP_Error( 'parse_error', 'Failed to parse AI layout response' );
+        }
+
+        return $parsed;
+    }
+
     /**
      * Send a request to the active AI provider.
      *
@@ -207,7 +233,7 @@ class Divi_Anchor_AI_Proxy {
 
         if ( $code !== 200 ) {
             $msg = isset( $body['error']['message'] ) ? $body['error']['message'] : 'Anthropic API error';
-            return new WP_Error( 'anthropic_error', $msg, array( 'status' => $code ) );
+            return new WP_Error( 'anthropic_error', $msg, $this->provider_error_data( $response ) );
         }
 
         return isset( $body['content'][0]['text'] ) ? $body['content'][0]['text'] : '';
@@ -256,7 +282,7 @@ class Divi_Anchor_AI_Proxy {
 
         if ( $code !== 200 ) {
             $msg = isset( $body['error']['message'] ) ? $body['error']['message'] : 'OpenAI API error';
-            return new WP_Error( 'openai_error', $msg, array( 'status' => $code ) );
+            return new WP_Error( 'openai_error', $msg, $this->provider_error_data( $response ) );
         }
 
         return isset( $body['choices'][0]['message']['content'] ) ? $body['choices'][0]['message']['content'] : '';
@@ -309,7 +335,7 @@ class Divi_Anchor_AI_Proxy {
 
         if ( $code !== 200 ) {
             $msg = isset( $body['error']['message'] ) ? $body['error']['message'] : 'Gemini API error';
-            return new WP_Error( 'gemini_error', $msg, array( 'status' => $code ) );
+            return new WP_Error( 'gemini_error', $msg, $this->provider_error_data( $response ) );
         }
 
         return isset( $body['candidates'][0]['content']['parts'][0]['text'] )
@@ -317,6 +343,24 @@ class Divi_Anchor_AI_Proxy {
             : '';
     }
 
+    /**
+     * Error data for a failed provider response: its HTTP status, plus the
+     * provider's Retry-After so the builder can wait before retrying.
+     *
+     * @param array $response wp_remote_post() response.
+     * @return array
+     */
+    private function provider_error_data( $response ) {
+        $data        = array( 'status' => wp_remote_retrieve_response_code( $response ) );
+        $retry_after = wp_remote_retrieve_header( $response, 'retry-after' );
+
+        if ( is_string( $retry_after ) && $retry_after !== '' ) {
+            $data['retry_after'] = $retry_after;
+        }
+
+        return $data;
+    }
+
     /**
      * Build the system prompt for intent analysis (Stage 1).
      *
@@ -351,13 +395,24 @@ PROMPT;
      * @param string $prompt      User prompt.
      * @param array  $module_data Current module data.
      * @param string $module_type Module type.
+     * @param array  $history     Recent conversation turns, oldest first.
      * @return string
      */
-    private function build_intent_user_message( $prompt, $module_data, $module_type ) {
+    private function build_intent_user_message( $prompt, $module_data, $module_type, $history = array() ) {
         $data_json = wp_json_encode( $module_data, JSON_PRETTY_PRINT );
 
+        $conversation = '';
+        if ( ! empty( $history ) ) {
+            $lines = array();
+            foreach ( $history as $turn ) {
+                $speaker = 'assistant' === $turn['role'] ? 'Assistant' : 'User';
+                $lines[] = "{$speaker}: {$turn['content']}";
+            }
+            $conversation = "Recent conversation (resolve references like \"it\" or \"the same\" against it):\n" . implode( "\n", $lines ) . "\n\n";
+        }
+
         return <<<MSG
-User instruction: {$prompt}
+{$conversation}User instruction: {$prompt}
 
 Current module data ({$module_type}):
 {$data_json}
@@ -397,6 +452,10 @@ Rules:
 - Use the correct value format for each field type (e.g., "on"/"off" for yes_no fields).
 - For select fields, only use values from the options list.
 - Include old_value when modifying existing fields.
+- For a tablet or phone value use "<field>_tablet" or "<field>_phone", only on fields marked "responsive".
+- For a hover value use "<field>__hover", only on fields marked "hover".
+- A field with "show_if" only takes effect while those fields have those values; also change them when they do not.
+- font, custom_margin, custom_padding and border_radii values are "|"-separated parts (font: family|weight|italic|uppercase|underline|small caps|strikethrough|line color|line style; spacing: top|right|bottom|left|link top & bottom|link left & right; border_radii: on/off linked|top left|top right|bottom right|bottom left). Start from the current value and change only the parts the user asked for.
 PROMPT;
     }
 
@@ -422,6 +481,63 @@ Generate the changeset.
 MSG;
     }
 
+    /**
+     * Build the system prompt for layout generation.
+     *
+     * Lists every registered module with its field names so the layout
+     * only uses modules and settings the builder knows.
+     *
+     * @return string
+     */
+    private function build_layout_system_prompt() {
+        $modules = array();
+        foreach ( $this->schema_registry->get_all() as $type => $schema ) {
+            $modules[ $type ] = array(
+                'label'  => isset( $schema['label'] ) ? $schema['label'] : $type,
+                'fields' => array_keys( $this->extract_field_names( $schema ) ),
+            );
+        }
+        $modules_json = wp_json_encode( $modules, JSON_PRETTY_PRINT );
+
+        return <<<PROMPT
+You are a layout generator for the Divi Visual Builder. Turn the user's description into sections, rows, columns and modules.
+
+Available modules and their fields:
+{$modules_json}
+
+Respond with ONLY valid JSON in this format:
+{
+    "sections": [
+        {
+            "label": "Short section name, e.g. Hero",
+            "rows": [
+                {
+                    "columns": [
+                        {
+                            "width": "1_2",
+                            "modules": [
+                                {
+                                    "module_type": "et_pb_text",
+                                    "settings": { "field_name": "value" }
+                                }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        }
+    ],
+    "summary": "Human-readable summary of the layout"
+}
+
+Rules:
+- Only use module types and fields from the list above.
+- Column widths are fractions: "4_4", "1_2", "1_3", "2_3", "1_4", "3_4". The widths of a row add up to 1.
+- Write real, specific copy for headings, text and buttons; no lorem ipsum.
+- Use "on"/"off" for yes_no fields.
+PROMPT;
+    }
+
     /**
      * Extract all field names from a schema for prompt context.
      *
@@ -29,27 +29,31 @@ class Divi_Anchor_Changeset {
     /**
      * Validate a changeset against the module schema.
      *
+     * Fields whose values fail are listed in invalid_fields, so callers can
+     * drop them and keep the rest of the changeset.
+     *
      * @param array $changeset Changeset array with module_type and changes.
-     * @return array { valid: bool, errors: array }
+     * @return array { valid: bool, errors: array, invalid_fields: array }
      */
     public function validate( $changeset ) {
-        $errors = array();
+        $errors         = array();
+        $invalid_fields = array();
 
         if ( ! isset( $changeset['module_type'] ) ) {
             $errors[] = 'Missing module_type in changeset';
-            return array( 'valid' => false, 'errors' => $errors );
+            return array( 'valid' => false, 'errors' => $errors, 'invalid_fields' => $invalid_fields );
         }
 
         if ( ! isset( $changeset['changes'] ) || ! is_array( $changeset['changes'] ) ) {
             $errors[] = 'Missing or invalid changes array';
-            return array( 'valid' => false, 'errors' => $errors );
+            return array( 'valid' => false, 'errors' => $errors, 'invalid_fields' => $invalid_fields );
         }
 
         $module_type = $changeset['module_type'];
 
         if ( ! $this->schema_registry->has( $module_type ) ) {
             $errors[] = sprintf( 'Unknown module type: %s', $module_type );
-            return array( 'valid' => false, 'errors' => $errors );
+            return array( 'valid' => false, 'errors' => $errors, 'invalid_fields' => $invalid_fields );
         }
 
         foreach ( $changeset['changes'] as $i => $change ) {
@@ -59,7 +63,8 @@ class Divi_Anchor_Changeset {
             }
 
             if ( ! array_key_exists( 'new_value', $change ) ) {
-                $errors[] = sprintf( 'Change for field "%s" is missing "new_value"', $change['field'] );
+                $errors[]         = sprintf( 'Change for field "%s" is missing "new_value"', $change['field'] );
+                $invalid_fields[] = $change['field'];
                 continue;
             }
 
@@ -70,13 +75,15 @@ class Divi_Anchor_Changeset {
             );
 
             if ( ! $result['valid'] ) {
-                $errors[] = $result['message'];
+                $errors[]         = $result['message'];
+                $invalid_fields[] = $change['field'];
             }
         }
 
         return array(
-            'valid'  => empty( $errors ),
-            'errors' => $errors,
+            'valid'          => empty( $errors ),
+            'errors'         => $errors,
+            'invalid_fields' => $invalid_fields,
         );
     }
 
@@ -86,6 +86,7 @@ class Divi_Anchor {
     private function register_hooks() {
         // REST API.
         add_action( 'rest_api_init', array( $this->rest_api, 'register_routes' ) );
+        add_action( 'wp_ajax_divi_anchor_refresh_nonce', array( $this->rest_api, 'refresh_nonce' ) );
 
         // Admin.
         $this->admin->init();
@@ -115,11 +116,27 @@ class Divi_Anchor {
             true
         );
 
+        $settings = get_option( 'divi_anchor_settings', array() );
+
+        /**
+         * Filter the time limits of the builder's REST requests.
+         *
+         * @param array $timeouts Milliseconds keyed by endpoint ('generate-changes')
+         *                        or 'default'; 0 for no limit. Unset ones keep the
+         *                        script's defaults.
+         */
+        $timeouts = apply_filters( 'divi_anchor_request_timeouts', array() );
+
         wp_localize_script( 'divi-anchor-adapter', 'diviAnchorConfig', array(
             'restUrl'      => esc_url_raw( rest_url( 'divi-anchor/v1/' ) ),
             'nonce'        => wp_create_nonce( 'wp_rest' ),
+            'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
+            'settingsUrl'  => admin_url( 'admin.php?page=divi-anchor-ai' ),
             'diviVersion'  => $this->version_adapter->get_version(),
             'pluginVersion' => DIVI_ANCHOR_VERSION,
+            'postId'       => get_queried_object_id(),
+            'persistChat'  => isset( $settings['feature_chat_history'] ) && 'on' === $settings['feature_chat_history'],
+            'timeouts'     => (object) array_map( 'absint', (array) $timeouts ),
         ) );
 
         // AI Tab styles.
@@ -2,7 +2,8 @@
 /**
  * REST API controller.
  *
- * Registers 7 endpoints under the divi-anchor/v1 namespace.
+ * Registers 10 endpoints under the divi-anchor/v1 namespace, plus the
+ * admin-ajax action that refreshes the REST nonce.
  *
  * @package Divi_Anchor_AI
  */
@@ -59,6 +60,7 @@ class Divi_Anchor_REST_API {
                 'prompt'      => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
                 'module_type' => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
                 'module_data' => array( 'required' => true, 'type' => 'object' ),
+                'history'     => array( 'required' => false, 'type' => 'array', 'sanitize_callback' => array( $this, 'sanitize_history' ), 'default' => array() ),
             ),
         ) );
 
@@ -73,6 +75,15 @@ class Divi_Anchor_REST_API {
             ),
         ) );
 
+        register_rest_route( self::NAMESPACE, '/generate-layout', array(
+            'methods'             => 'POST',
+            'callback'            => array( $this, 'generate_layout' ),
+            'permission_callback' => array( $this, 'check_permission' ),
+            'args'                => array(
+                'prompt' => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
+            ),
+        ) );
+
         register_rest_route( self::NAMESPACE, '/validate-changes', array(
             'methods'             => 'POST',
             'callback'            => array( $this, 'validate_changes' ),
@@ -102,10 +113,16 @@ class Divi_Anchor_REST_API {
             'callback'            => array( $this, 'save_snapshot' ),
             'permission_callback' => array( $this, 'check_permission' ),
             'args'                => array(
-                'module_id'   => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
-                'module_type' => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
-                'module_data' => array( 'required' => true, 'type' => 'object' ),
-                'label'       => array( 'required' => false, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field', 'default' => '' ),
+                'module_id'     => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
+                'module_type'   => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
+                'module_data'   => array( 'required' => true, 'type' => 'object' ),
+                'label'         => array( 'required' => false, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field', 'default' => '' ),
+                'affected_keys' => array(
+                    'required' => false,
+                    'type'     => 'array',
+                    'items'    => array( 'type' => 'string' ),
+                    'default'  => array(),
+                ),
             ),
         ) );
 
@@ -116,6 +133,26 @@ class Divi_Anchor_REST_API {
             'args'                => array(
                 'snapshot_id' => array( 'required' => false, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
                 'module_id'   => array( 'required' => false, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
+                'module_data' => array( 'required' => false, 'type' => 'object' ),
+            ),
+        ) );
+
+        register_rest_route( self::NAMESPACE, '/redo', array(
+            'methods'             => 'POST',
+            'callback'            => array( $this, 'redo' ),
+            'permission_callback' => array( $this, 'check_permission' ),
+            'args'                => array(
+                'module_id'   => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
+                'module_data' => array( 'required' => true, 'type' => 'object' ),
+            ),
+        ) );
+
+        register_rest_route( self::NAMESPACE, '/snapshots', array(
+            'methods'             => 'GET',
+            'callback'            => array( $this, 'get_snapshots' ),
+            'permission_callback' => array( $this, 'check_permission' ),
+            'args'                => array(
+                'module_id' => array( 'required' => true, 'type' => 'string', 'sanitize_callback' => 'sanitize_text_field' ),
             ),
         ) );
     }
@@ -129,6 +166,20 @@ class Divi_Anchor_REST_API {
         return current_user_can( 'edit_pages' );
     }
 
+    /**
+     * admin-ajax divi_anchor_refresh_nonce — Issue a fresh REST nonce.
+     *
+     * Not a REST route: once the nonce has expired, REST requests are
+     * treated as logged out, while admin-ajax goes by the login cookie.
+     */
+    public function refresh_nonce() {
+        if ( ! $this->check_permission() ) {
+            wp_send_json_error( array( 'message' => 'Not allowed.' ), 403 );
+        }
+
+        wp_send_json_success( array( 'nonce' => wp_create_nonce( 'wp_rest' ) ) );
+    }
+
     /**
      * POST /analyze-module — Send prompt + module context to AI for intent analysis.
      *
@@ -144,7 +195,8 @@ class Divi_Anchor_REST_API {
         $result = $this->ai_proxy->analyze_intent(
             $request->get_param( 'prompt' ),
             $request->get_param( 'module_data' ),
-            $request->get_param( 'module_type' )
+            $request->get_param( 'module_type' ),
+            $request->get_param( 'history' )
         );
 
         if ( is_wp_error( $result ) ) {
@@ -154,6 +206,35 @@ class Divi_Anchor_REST_API {
         return rest_ensure_response( $result );
     }
 
+    /**
+     * Sanitize conversation history: keep the last turns with a known role.
+     *
+     * @param mixed $history Raw history param.
+     * @return array List of array( 'role' => 'user'|'assistant', 'content' => string ).
+     */
+    public function sanitize_history( $history ) {
+        if ( ! is_array( $history ) ) {
+            return array();
+        }
+
+        $turns = array();
+        foreach ( $history as $turn ) {
+            if ( ! is_array( $turn ) || empty( $turn['content'] ) ) {
+                continue;
+            }
+            $role = isset( $turn['role'] ) ? $turn['role'] : '';
+            if ( ! in_array( $role, array( 'user', 'assistant' ), true ) ) {
+                continue;
+            }
+            $turns[] = array(
+                'role'    => $role,
+                'content' => sanitize_textarea_field( $turn['content'] ),
+            );
+        }
+
+        return array_slice( $turns, -10 );
+    }
+
     /**
      * POST /generate-changes — Generate changeset from analyzed intent.
      *
@@ -179,6 +260,27 @@ class Divi_Anchor_REST_API {
         return rest_ensure_response( $result );
     }
 
+    /**
+     * POST /generate-layout — Generate sections, rows and modules from a description.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function generate_layout( WP_REST_Request $request ) {
+        $settings = get_option( 'divi_anchor_settings', array() );
+        if ( empty( $settings['feature_changes'] ) || $settings['feature_changes'] !== 'on' ) {
+            return new WP_Error( 'feature_disabled', 'Change generation is disabled', array( 'status' => 403 ) );
+        }
+
+        $result = $this->ai_proxy->generate_layout( $request->get_param( 'prompt' ) );
+
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        return rest_ensure_response( $result );
+    }
+
     /**
      * POST /validate-changes — Validate changeset against schema.
      *
@@ -232,7 +334,8 @@ class Divi_Anchor_REST_API {
             $request->get_param( 'module_id' ),
             $request->get_param( 'module_type' ),
             $request->get_param( 'module_data' ),
-            $request->get_param( 'label' )
+            $request->get_param( 'label' ),
+            array_map( 'sanitize_text_field', (array) $request->get_param( 'affected_keys' ) )
         );
 
         return rest_ensure_response( array(
@@ -244,6 +347,9 @@ class Divi_Anchor_REST_API {
     /**
      * POST /rollback — Restore a saved snapshot.
      *
+     * With a module_id this undoes the latest change; passing the current
+     * module_data as well makes the undo redoable.
+     *
      * @param WP_REST_Request $request Request.
      * @return WP_REST_Response|WP_Error
      */
@@ -254,7 +360,7 @@ class Divi_Anchor_REST_API {
         if ( $snapshot_id ) {
             $snapshot = $this->snapshot->restore( $snapshot_id );
         } elseif ( $module_id ) {
-            $snapshot = $this->snapshot->pop( $module_id );
+            $snapshot = $this->snapshot->undo( $module_id, $request->get_param( 'module_data' ) );
         } else {
             return new WP_Error( 'missing_param', 'Provide either snapshot_id or module_id', array( 'status' => 400 ) );
         }
@@ -268,4 +374,47 @@ class Divi_Anchor_REST_API {
             'message'     => 'Snapshot restored',
         ) );
     }
+
+    /**
+     * POST /redo — Re-apply the most recently undone change.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response|WP_Error
+     */
+    public function redo( WP_REST_Request $request ) {
+        $snapshot = $this->snapshot->redo(
+            $request->get_param( 'module_id' ),
+            $request->get_param( 'module_data' )
+        );
+
+        if ( ! $snapshot ) {
+            return new WP_Error( 'not_found', 'Nothing to redo', array( 'status' => 404 ) );
+        }
+
+        return rest_ensure_response( array(
+            'snapshot' => $snapshot,
+            'message'  => 'Change redone',
+        ) );
+    }
+
+    /**
+     * GET /snapshots — List a module's undo and redo history, newest first.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response
+     */
+    public function get_snapshots( WP_REST_Request $request ) {
+        $module_id = $request->get_param( 'module_id' );
+        $now       = current_time( 'timestamp' );
+
+        $describe = function ( $snapshot ) use ( $now ) {
+            $snapshot['time_ago'] = human_time_diff( $snapshot['timestamp'], $now );
+            return $snapshot;
+        };
+
+        return rest_ensure_response( array(
+            'snapshots' => array_map( $describe, $this->snapshot->get_history( $module_id ) ),
+            'redo'      => array_map( $describe, $this->snapshot->get_history( $module_id, 'redo' ) ),
+        ) );
+    }
 }
@@ -168,6 +168,10 @@ class Divi_Anchor_Schema_Registry {
 
         $field_def = $this->find_field( $schema, $field_name );
 
+        if ( ! $field_def ) {
+            $field_def = $this->find_variant_field( $schema, $field_name );
+        }
+
         if ( ! $field_def ) {
             return array(
                 'valid'   => false,
@@ -178,6 +182,30 @@ class Divi_Anchor_Schema_Registry {
         return $this->validate_value( $value, $field_def, $field_name );
     }
 
+    /**
+     * Find the base field of a breakpoint or hover key.
+     *
+     * "text_orientation_phone" resolves to text_orientation if it is
+     * responsive, "text_color__hover" to text_color if it has hover values.
+     *
+     * @param array  $schema     Module schema.
+     * @param string $field_name Variant key.
+     * @return array|null Base field definition or null.
+     */
+    public function find_variant_field( $schema, $field_name ) {
+        if ( preg_match( '/^(.+)__hover$/', $field_name, $matches ) ) {
+            $field_def = $this->find_field( $schema, $matches[1] );
+            return ! empty( $field_def['hover'] ) ? $field_def : null;
+        }
+
+        if ( preg_match( '/^(.+)_(tablet|phone)$/', $field_name, $matches ) ) {
+            $field_def = $this->find_field( $schema, $matches[1] );
+            return ! empty( $field_def['responsive'] ) ? $field_def : null;
+        }
+
+        return null;
+    }
+
     /**
      * Find a field definition within a schema.
      *
@@ -246,6 +274,25 @@ class Divi_Anchor_Schema_Registry {
                     );
                 }
                 break;
+
+            case 'font':
+            case 'custom_margin':
+            case 'custom_padding':
+            case 'border_radii':
+                // Pipe-delimited parts, e.g. "10px|20px|10px|20px|false|false".
+                $part_counts = array(
+                    'font'           => 9,
+                    'custom_margin'  => 6,
+                    'custom_padding' => 6,
+                    'border_radii'   => 5,
+                );
+                if ( ! is_string( $value ) || count( explode( '|', $value ) ) > $part_counts[ $type ] ) {
+                    return array(
+                        'valid'   => false,
+                        'message' => sprintf( 'Field "%s" must have at most %d "|"-separated parts', $field_name, $part_counts[ $type ] ),
+                    );
+                }
+                break;
         }
 
         return array(
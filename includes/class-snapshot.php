@@ -3,7 +3,8 @@
  * Module state snapshots.
  *
  * Saves and restores module state using WordPress transients.
- * Provides an undo stack for rolling back changes.
+ * Provides an undo stack for rolling back changes, and a redo stack of
+ * the states that undo replaced.
  *
  * @package Divi_Anchor_AI
  */
@@ -29,27 +30,20 @@ class Divi_Anchor_Snapshot {
      * @param string $module_id   Unique module identifier.
      * @param string $module_type Module type.
      * @param array  $module_data Module data to save.
-     * @param string $label       Optional label for the snapshot.
+     * @param string $label         Optional label for the snapshot.
+     * @param array  $affected_keys Attributes the change after this snapshot writes,
+     *                              so undo can clear the ones it added.
      * @return string Snapshot ID.
      */
-    public function save( $module_id, $module_type, $module_data, $label = '' ) {
-        $snapshot_id = wp_generate_uuid4();
-
-        $snapshot = array(
-            'id'          => $snapshot_id,
-            'module_id'   => $module_id,
-            'module_type' => $module_type,
-            'data'        => $module_data,
-            'label'       => $label,
-            'timestamp'   => current_time( 'timestamp' ),
-        );
-
-        // Save individual snapshot.
-        set_transient( self::PREFIX . $snapshot_id, $snapshot, self::TTL );
+    public function save( $module_id, $module_type, $module_data, $label = '', $affected_keys = array() ) {
+        $snapshot_id = $this->store( $module_id, $module_type, $module_data, $label, $affected_keys );
 
         // Add to the module's undo stack.
         $this->push_to_stack( $module_id, $snapshot_id );
 
+        // A new change makes anything that was undone unreachable.
+        $this->clear_stack( $module_id, 'redo' );
+
         return $snapshot_id;
     }
 
@@ -111,13 +105,83 @@ class Divi_Anchor_Snapshot {
     }
 
     /**
-     * Get the undo stack for a module.
+     * Undo: pop the most recent snapshot and keep the state it replaces.
+     *
+     * @param string     $module_id    Module identifier.
+     * @param array|null $current_data Current module data; pushed onto the redo stack when given.
+     * @return array|null The popped snapshot or null.
+     */
+    public function undo( $module_id, $current_data = null ) {
+        $snapshot = $this->pop( $module_id );
+
+        if ( $snapshot && is_array( $current_data ) ) {
+            $redo_id = $this->store( $module_id, $snapshot['module_type'], $current_data, $snapshot['label'], $this->affected_keys( $snapshot ) );
+            $this->push_to_stack( $module_id, $redo_id, 'redo' );
+        }
+
+        return $snapshot;
+    }
+
+    /**
+     * Redo: pop the most recently undone state and make the current state
+     * undoable again.
+     *
+     * @param string $module_id    Module identifier.
+     * @param array  $current_data Current module data.
+     * @return array|null The state to re-apply, or null if there is nothing to redo.
+     */
+    public function redo( $module_id, $current_data ) {
+        $stack = $this->get_stack( $module_id, 'redo' );
+
+        if ( empty( $stack ) ) {
+            return null;
+        }
+
+        $snapshot_id = array_pop( $stack );
+        $this->set_stack( $module_id, $stack, 'redo' );
+
+        $snapshot = $this->restore( $snapshot_id );
+        delete_transient( self::PREFIX . $snapshot_id );
+
+        if ( ! $snapshot ) {
+            return null;
+        }
+
+        $undo_id = $this->store( $module_id, $snapshot['module_type'], $current_data, $snapshot['label'], $this->affected_keys( $snapshot ) );
+        $this->push_to_stack( $module_id, $undo_id );
+
+        return $snapshot;
+    }
+
+    /**
+     * Get a module's snapshots, newest first.
+     *
+     * @param string $module_id Module identifier.
+     * @param string $kind      'undo' or 'redo'.
+     * @return array List of snapshots; expired ones are skipped.
+     */
+    public function get_history( $module_id, $kind = 'undo' ) {
+        $history = array();
+
+        foreach ( array_reverse( $this->get_stack( $module_id, $kind ) ) as $snapshot_id ) {
+            $snapshot = $this->restore( $snapshot_id );
+            if ( $snapshot ) {
+                $history[] = $snapshot;
+            }
+        }
+
+        return $history;
+    }
+
+    /**
+     * Get the undo (or redo) stack for a module.
      *
      * @param string $module_id Module identifier.
+     * @param string $kind      'undo' or 'redo'.
      * @return array List of snapshot IDs.
      */
-    public function get_stack( $module_id ) {
-        $stack = get_transient( self::PREFIX . 'stack_' . md5( $module_id ) );
+    public function get_stack( $module_id, $kind = 'undo' ) {
+        $stack = get_transient( $this->stack_key( $module_id, $kind ) );
         return is_array( $stack ) ? $stack : array();
     }
 
@@ -127,23 +191,72 @@ class Divi_Anchor_Snapshot {
      * @param string $module_id Module identifier.
      */
     public function clear( $module_id ) {
-        $stack = $this->get_stack( $module_id );
+        $this->clear_stack( $module_id, 'undo' );
+        $this->clear_stack( $module_id, 'redo' );
+    }
 
-        foreach ( $stack as $snapshot_id ) {
+    /**
+     * The attributes a snapshot's change wrote; empty for snapshots saved
+     * before these were recorded.
+     *
+     * @param array $snapshot Snapshot.
+     * @return array
+     */
+    private function affected_keys( $snapshot ) {
+        return isset( $snapshot['affected_keys'] ) ? (array) $snapshot['affected_keys'] : array();
+    }
+
+    /**
+     * Store a snapshot without touching any stack.
+     *
+     * @param string $module_id   Module identifier.
+     * @param string $module_type Module type.
+     * @param array  $module_data Module data to save.
+     * @param string $label         Label for the snapshot.
+     * @param array  $affected_keys Attributes the change after this snapshot writes.
+     * @return string Snapshot ID.
+     */
+    private function store( $module_id, $module_type, $module_data, $label, $affected_keys = array() ) {
+        $snapshot_id = wp_generate_uuid4();
+
+        $snapshot = array(
+            'id'            => $snapshot_id,
+            'module_id'     => $module_id,
+            'module_type'   => $module_type,
+            'data'          => $module_data,
+            'label'         => $label,
+            'affected_keys' => array_values( array_map( 'strval', (array) $affected_keys ) ),
+            'timestamp'     => current_time( 'timestamp' ),
+        );
+
+        set_transient( self::PREFIX . $snapshot_id, $snapshot, self::TTL );
+
+        return $snapshot_id;
+    }
+
+    /**
+     * Delete a stack and the snapshots on it.
+     *
+     * @param string $module_id Module identifier.
+     * @param string $kind      'undo' or 'redo'.
+     */
+    private function clear_stack( $module_id, $kind ) {
+        foreach ( $this->get_stack( $module_id, $kind ) as $snapshot_id ) {
             delete_transient( self::PREFIX . $snapshot_id );
         }
 
-        delete_transient( self::PREFIX . 'stack_' . md5( $module_id ) );
+        delete_transient( $this->stack_key( $module_id, $kind ) );
     }
 
     /**
-     * Push a snapshot ID onto the module's undo stack.
+     * Push a snapshot ID onto one of the module's stacks.
      *
      * @param string $module_id   Module identifier.
      * @param string $snapshot_id Snapshot UUID.
+     * @param string $kind        'undo' or 'redo'.
      */
-    private function push_to_stack( $module_id, $snapshot_id ) {
-        $stack   = $this->get_stack( $module_id );
+    private function push_to_stack( $module_id, $snapshot_id, $kind = 'undo' ) {
+        $stack   = $this->get_stack( $module_id, $kind );
         $stack[] = $snapshot_id;
 
         // Trim stack to max size.
@@ -154,16 +267,28 @@ class Divi_Anchor_Snapshot {
             }
         }
 
-        $this->set_stack( $module_id, $stack );
+        $this->set_stack( $module_id, $stack, $kind );
     }
 
     /**
-     * Save the undo stack for a module.
+     * Save a stack for a module.
      *
      * @param string $module_id Module identifier.
      * @param array  $stack     List of snapshot IDs.
+     * @param string $kind      'undo' or 'redo'.
+     */
+    private function set_stack( $module_id, $stack, $kind = 'undo' ) {
+        set_transient( $this->stack_key( $module_id, $kind ), $stack, self::TTL );
+    }
+
+    /**
+     * Transient key of a module's stack.
+     *
+     * @param string $module_id Module identifier.
+     * @param string $kind      'undo' or 'redo'.
+     * @return string
      */
-    private function set_stack( $module_id, $stack ) {
-        set_transient( self::PREFIX . 'stack_' . md5( $module_id ), $stack, self::TTL );
+    private function stack_key( $module_id, $kind ) {
+        return self::PREFIX . ( $kind === 'redo' ? 'redo_' : 'stack_' ) . md5( $module_id );
     }
 }
@@ -172,6 +172,20 @@ $active_provider = isset( $settings['active_provider'] ) ? $settings['active_pro
                         </label>
                     </td>
                 </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Chat History', 'divi-anchor-ai' ); ?></th>
+                    <td>
+                        <label>
+                            <input
+                                type="checkbox"
+                                name="divi_anchor_settings[feature_chat_history]"
+                                value="on"
+                                <?php checked( isset( $settings['feature_chat_history'] ) ? $settings['feature_chat_history'] : 'off', 'on' ); ?>
+                            />
+                            <?php esc_html_e( 'Keep AI tab conversations across page reloads (stored in this browser)', 'divi-anchor-ai' ); ?>
+                        </label>
+                    </td>
+                </tr>
             </table>
         </div>
 
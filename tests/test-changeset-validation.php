@@ -83,6 +83,21 @@ class Test_Changeset_Validation extends TestCase {
         $this->assertFalse( $result['valid'] );
     }
 
+    public function test_invalid_fields_are_listed() {
+        $changeset = array(
+            'module_type' => 'et_pb_text',
+            'changes'     => array(
+                array( 'field' => 'content', 'new_value' => 'Hello' ),
+                array( 'field' => 'text_orientation', 'new_value' => 'diagonal' ),
+                array( 'field' => 'no_such_field', 'new_value' => 'x' ),
+            ),
+        );
+
+        $result = $this->changeset->validate( $changeset );
+        $this->assertFalse( $result['valid'] );
+        $this->assertEquals( array( 'text_orientation', 'no_such_field' ), $result['invalid_fields'] );
+    }
+
     public function test_valid_select_value_passes() {
         $changeset = array(
             'module_type' => 'et_pb_text',
@@ -22,9 +22,9 @@ class Test_Schema_Registry extends TestCase {
         $this->assertNotEmpty( $types, 'Should load at least one schema' );
     }
 
-    public function test_has_fifty_core_modules() {
+    public function test_has_fifty_three_core_modules() {
         $types = $this->registry->get_types();
-        $this->assertCount( 50, $types, 'Should have 50 core module schemas' );
+        $this->assertCount( 53, $types, 'Should have 53 core module schemas' );
     }
 
     public function test_expected_module_types_exist() {
@@ -90,6 +90,10 @@ class Test_Schema_Registry extends TestCase {
             'et_pb_fullwidth_menu',
             'et_pb_fullwidth_post_slider',
             'et_pb_fullwidth_portfolio',
+            // Child items.
+            'et_pb_accordion_item',
+            'et_pb_tab',
+            'et_pb_slide',
         );
 
         foreach ( $expected as $type ) {
@@ -147,6 +151,37 @@ class Test_Schema_Registry extends TestCase {
         $this->assertFalse( $result['valid'] );
     }
 
+    public function test_validate_responsive_variant() {
+        $result = $this->registry->validate_field( 'et_pb_text', 'text_orientation_phone', 'center' );
+        $this->assertTrue( $result['valid'] );
+
+        $result = $this->registry->validate_field( 'et_pb_text', 'text_orientation_phone', 'diagonal' );
+        $this->assertFalse( $result['valid'] );
+
+        // header_level is not responsive.
+        $result = $this->registry->validate_field( 'et_pb_text', 'header_level_tablet', 'h2' );
+        $this->assertFalse( $result['valid'] );
+    }
+
+    public function test_validate_hover_variant() {
+        $result = $this->registry->validate_field( 'et_pb_button', 'button_bg_color__hover', '#ff0000' );
+        $this->assertTrue( $result['valid'] );
+
+        $result = $this->registry->validate_field( 'et_pb_text', 'text_orientation__hover', 'center' );
+        $this->assertFalse( $result['valid'] );
+    }
+
+    public function test_validate_compound_field() {
+        $result = $this->registry->validate_field( 'et_pb_text', 'custom_padding', '10px|20px|10px|20px|false|false' );
+        $this->assertTrue( $result['valid'] );
+
+        $result = $this->registry->validate_field( 'et_pb_text', 'header_font', 'Open Sans|700|on||||||' );
+        $this->assertTrue( $result['valid'] );
+
+        $result = $this->registry->validate_field( 'et_pb_image', 'border_radii', 'on|5px|5px|5px|5px|5px' );
+        $this->assertFalse( $result['valid'] );
+    }
+
     public function test_validate_unknown_module() {
         $result = $this->registry->validate_field( 'et_pb_fake', 'content', 'value' );
         $this->assertFalse( $result['valid'] );
@@ -160,6 +195,31 @@ class Test_Schema_Registry extends TestCase {
         $this->assertEquals( 'text', $field_def['type'] );
     }
 
+    public function test_show_if_rules_point_at_valid_values() {
+        foreach ( $this->registry->get_all() as $module_type => $schema ) {
+            foreach ( $schema['tabs'] as $tab ) {
+                foreach ( $tab['toggles'] as $toggle ) {
+                    foreach ( $toggle['fields'] as $field_name => $field_def ) {
+                        if ( empty( $field_def['show_if'] ) ) {
+                            continue;
+                        }
+                        foreach ( $field_def['show_if'] as $parent => $value ) {
+                            $result = $this->registry->validate_field( $module_type, $parent, $value );
+                            $this->assertTrue( $result['valid'], "{$module_type}.{$field_name} depends on {$parent} = {$value}" );
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    public function test_button_colors_depend_on_custom_styles() {
+        $schema    = $this->registry->get( 'et_pb_button' );
+        $field_def = $this->registry->find_field( $schema, 'button_bg_color' );
+
+        $this->assertEquals( array( 'custom_button' => 'on' ), $field_def['show_if'] );
+    }
+
     public function test_register_custom_schema() {
         $custom = array(
             'module_type' => 'et_pb_custom',